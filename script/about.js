@@ -17,6 +17,12 @@
  * 页面初始化
  */
 document.addEventListener('DOMContentLoaded', () => {
-    /* 当前版本无特殊逻辑，预留扩展空间 */
+    /* 注册 Service Worker，支持离线浏览 */
+    OfflineManager.register();
+
+    /* 接续其他页面正在播放的音频 */
+    MiniPlayer.init();
+
+    /* 当前版本无其他逻辑，预留扩展空间 */
     console.log('[关于页面] 已加载');
 });
@@ -0,0 +1,396 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 专辑页逻辑 (album.js)
+ * ============================================================================
+ *
+ * 专辑页的核心逻辑，负责：
+ *   1. 无 id 参数时列出全部专辑（按发行日期倒序）
+ *   2. 有 id 参数时渲染专辑信息（封面、发行日期、简介）与曲目列表
+ *   3. 连续播放：一首播放结束后自动播放下一首，音频与视频曲目可混排
+ *   4. 曲目加载失败时提示并跳到下一首
+ *   5. 锁屏与耳机媒体键切换上一首/下一首（MediaSessionManager）
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * 专辑页状态
+ */
+const AlbumPage = {
+
+    /** 当前专辑 */
+    album: null,
+
+    /** 当前专辑的曲目（按专辑顺序排列的作品数据） */
+    tracks: [],
+
+    /** 正在播放的曲目下标，未播放时为 -1 */
+    currentIndex: -1,
+};
+
+
+/**
+ * 页面初始化
+ * DOM 加载完成后执行
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const container = Utils.getById('album-content');
+    if (!container) return;
+
+    try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
+        container.appendChild(UIComponents.createLoadingState());
+
+        const albumId = Utils.getParam('id');
+
+        if (!albumId) {
+            renderAlbumList(await DataLoader.getAlbums());
+            return;
+        }
+
+        const album = await DataLoader.getAlbumById(albumId);
+        if (!album) {
+            showAlbumError(new Error(`未找到ID为"${albumId}"的专辑，该专辑可能已被移除`));
+            return;
+        }
+
+        AlbumPage.album = album;
+        AlbumPage.tracks = await DataLoader.getAlbumTracks(album.id);
+        renderAlbumDetail(album, AlbumPage.tracks);
+
+        /* 更新页面标题 */
+        document.title = `${album.title} | ${CONFIG.site.title}`;
+
+    } catch (error) {
+        Utils.logError('专辑', '加载页面', error);
+        showAlbumError(error);
+    }
+});
+
+
+/* ==================== 专辑列表 ==================== */
+
+/**
+ * 渲染全部专辑列表
+ *
+ * @param {Array} albums - DataLoader.getAlbums 的结果
+ */
+function renderAlbumList(albums) {
+    const container = Utils.getById('album-content');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (albums.length === 0) {
+        container.appendChild(UIComponents.createEmptyState('暂无专辑'));
+        return;
+    }
+
+    const grid = Utils.createElement('div', { className: 'album-grid' });
+    albums.forEach(album => grid.appendChild(createAlbumCard(album)));
+    container.appendChild(grid);
+
+    Utils.observeLazyImages(container);
+}
+
+
+/**
+ * 创建专辑卡片
+ *
+ * @param {Object} album - 专辑数据
+ * @returns {HTMLElement} 卡片元素
+ */
+function createAlbumCard(album) {
+    const card = Utils.createElement('article', {
+        className: 'card card--clickable album-card',
+        attributes: {
+            'data-album-id': album.id,
+            'role': 'link',
+            'aria-label': `查看专辑：${album.title}`,
+            'tabindex': '0',
+        },
+    });
+
+    card.innerHTML = `
+        ${createAlbumCoverHTML(album, 'card__cover')}
+        <div class="card__body">
+            <h3 class="album-card__title">${album.title}</h3>
+            <p class="album-card__meta">${Utils.formatDate(album.releaseDate)} · ${album.tracks.length} 首</p>
+        </div>
+    `;
+
+    const open = () => PathUtils.navigate(`${CONFIG.paths.pages}album.html?id=${album.id}`);
+    card.addEventListener('click', open);
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            open();
+        }
+    });
+
+    return card;
+}
+
+
+/**
+ * 构建专辑封面（无封面或加载失败时显示占位图）
+ *
+ * @param {Object} album - 专辑数据
+ * @param {string} className - 封面图片的类名
+ * @returns {string} HTML 字符串
+ */
+function createAlbumCoverHTML(album, className) {
+    return album.cover
+        ? `<img class="${className}" data-src="${PathUtils.resolve(album.cover)}" alt="${album.title}封面" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'"><div class="card__cover-placeholder" style="display:none" aria-hidden="true"><span>💿</span></div>`
+        : `<div class="card__cover-placeholder" aria-hidden="true"><span>💿</span></div>`;
+}
+
+
+/* ==================== 专辑详情 ==================== */
+
+/**
+ * 渲染专辑详情：专辑信息、播放器区域与曲目列表
+ *
+ * @param {Object} album - 专辑数据
+ * @param {Array} tracks - 按专辑顺序排列的作品数据
+ */
+function renderAlbumDetail(album, tracks) {
+    const container = Utils.getById('album-content');
+    if (!container) return;
+
+    const pageTitle = Utils.getById('album-page-title');
+    if (pageTitle) pageTitle.textContent = album.title;
+
+    container.innerHTML = `
+        <section class="album-header" aria-labelledby="album-title">
+            <div class="album-header__cover">
+                ${createAlbumCoverHTML(album, 'album-header__image')}
+            </div>
+            <div class="album-header__text">
+                <h2 class="album-header__title" id="album-title">${album.title}</h2>
+                <p class="album-header__meta">${Utils.formatDate(album.releaseDate)} 发行 · ${tracks.length} 首</p>
+                ${album.description ? `<p class="album-header__desc">${album.description}</p>` : ''}
+                <div class="album-header__actions">
+                    <button class="btn btn--primary album-header__play" type="button">全部播放</button>
+                    <a class="btn btn--text" href="${PathUtils.resolve(`${CONFIG.paths.pages}album.html`)}">全部专辑</a>
+                </div>
+            </div>
+        </section>
+
+        <section class="album-player" id="album-player" aria-label="正在播放" hidden>
+            <p class="album-player__now" aria-live="polite"></p>
+            <div class="album-player__media"></div>
+        </section>
+
+        <ol class="album-tracks" aria-label="曲目列表"></ol>
+    `;
+
+    const list = container.querySelector('.album-tracks');
+    tracks.forEach((work, index) => list.appendChild(createTrackItem(work, index)));
+
+    const playAllBtn = container.querySelector('.album-header__play');
+    const firstPlayable = tracks.findIndex(work => getTrackSource(work));
+    if (firstPlayable === -1) {
+        playAllBtn.disabled = true;
+    } else {
+        playAllBtn.addEventListener('click', () => playTrack(firstPlayable));
+    }
+
+    Utils.observeLazyImages(container);
+}
+
+
+/**
+ * 创建单个曲目列表项
+ * 没有可播放媒体的曲目仍然列出，但播放按钮不可用。
+ *
+ * @param {Object} work - 作品数据
+ * @param {number} index - 曲目下标
+ * @returns {HTMLElement} 列表项元素
+ */
+function createTrackItem(work, index) {
+    const item = Utils.createElement('li', {
+        className: 'album-track',
+        attributes: { 'data-work-id': work.id },
+    });
+
+    const playable = Boolean(getTrackSource(work));
+
+    item.innerHTML = `
+        <span class="album-track__number" aria-hidden="true">${String(index + 1).padStart(2, '0')}</span>
+        <button class="album-track__play" type="button" aria-label="播放：${work.title}" ${playable ? '' : 'disabled'}>
+            ${work.type === 'video' ? '🎬' : '▶'}
+        </button>
+        <div class="album-track__text">
+            <a class="album-track__title" href="${PathUtils.resolve(`${CONFIG.paths.pages}work-detail.html?id=${work.id}`)}">${work.title}</a>
+            ${work.subtitle ? `<p class="album-track__subtitle">${work.subtitle}</p>` : ''}
+        </div>
+        <span class="album-track__date">${work.createDate ? Utils.formatDateYearMonth(work.createDate) : ''}</span>
+    `;
+
+    if (playable) {
+        item.querySelector('.album-track__play').addEventListener('click', () => playTrack(index));
+    }
+
+    return item;
+}
+
+
+/* ==================== 连续播放 ==================== */
+
+/**
+ * 获取曲目的播放源
+ * MV 作品播放视频，其余作品播放音频；两者都没有时不可播放。
+ * 多个版本按 MediaRenditions.select 排序，浏览器依次尝试。
+ *
+ * @param {Object} work - 作品数据
+ * @returns {{tag: string, renditions: Array}|null}
+ */
+function getTrackSource(work) {
+    const renditions = MediaRenditions.select(work);
+    if (renditions.length === 0) return null;
+    return { tag: renditions[0].kind, renditions };
+}
+
+
+/**
+ * 播放指定曲目
+ * 每次切换曲目都重建媒体元素，音频与视频曲目可以无缝交替。
+ *
+ * @param {number} index - 曲目下标
+ */
+function playTrack(index) {
+    const work = AlbumPage.tracks[index];
+    const source = work && getTrackSource(work);
+    const player = Utils.getById('album-player');
+    if (!source || !player) return;
+
+    AlbumPage.currentIndex = index;
+
+    const mediaContainer = player.querySelector('.album-player__media');
+    const media = Utils.createElement(source.tag, {
+        className: `album-player__${source.tag}`,
+        attributes: {
+            'controls': '',
+            'preload': source.tag === 'video' ? CONFIG.media.videoPreload : CONFIG.media.audioPreload,
+        },
+    });
+    media.innerHTML = MediaRenditions.createSourcesHTML(source.renditions);
+
+    /* 播放结束后自动播放下一首 */
+    media.addEventListener('ended', () => playNext());
+
+    /* 全部版本都加载失败时跳过（使用捕获阶段以捕获 source 子元素的错误） */
+    const handleError = (event) => {
+        if (!MediaRenditions.isFinalError(event)) return;
+        media.removeEventListener('error', handleError, true);
+        Utils.logError('专辑', '媒体加载', media.error || new Error('媒体加载失败'));
+        UIComponents.showToast(`《${work.title}》加载失败，已跳到下一首`, 'error');
+        playNext();
+    };
+    media.addEventListener('error', handleError, true);
+
+    mediaContainer.innerHTML = '';
+    mediaContainer.appendChild(media);
+
+    /* 离开专辑页后由迷你播放器接续当前曲目；收听位置记入收听记录 */
+    MiniPlayer.attach(media, work);
+    ListeningHistory.track(media, work);
+
+    /* 锁屏与媒体键可切换专辑中的上一首/下一首 */
+    MediaSessionManager.attach(media, () => work, {
+        getTrackActions: () => ({
+            previous: findPlayableTrack(index, -1) >= 0 ? () => playTrack(findPlayableTrack(index, -1)) : null,
+            next: findPlayableTrack(index, 1) >= 0 ? () => playNext() : null,
+        }),
+    });
+    player.hidden = false;
+
+    player.querySelector('.album-player__now').textContent =
+        `正在播放 ${index + 1}/${AlbumPage.tracks.length}：${work.title}`;
+    updateCurrentTrack();
+
+    /* 由用户点击触发的首次播放不会被拦截；自动连播被浏览器拦截时保留控件由访客手动播放 */
+    media.play().catch(() => {});
+}
+
+
+/**
+ * 查找某一曲目之前或之后最近的可播放曲目
+ *
+ * @param {number} from - 起始曲目下标（不含）
+ * @param {number} direction - 1 向后查找，-1 向前查找
+ * @returns {number} 曲目下标，没有时为 -1
+ */
+function findPlayableTrack(from, direction) {
+    for (let index = from + direction; index >= 0 && index < AlbumPage.tracks.length; index += direction) {
+        if (getTrackSource(AlbumPage.tracks[index])) return index;
+    }
+    return -1;
+}
+
+
+/**
+ * 播放下一首可播放的曲目，已到专辑末尾时停止
+ */
+function playNext() {
+    const nextIndex = findPlayableTrack(AlbumPage.currentIndex, 1);
+
+    if (nextIndex === -1) {
+        AlbumPage.currentIndex = -1;
+        updateCurrentTrack();
+        const now = Utils.query('.album-player__now');
+        if (now) now.textContent = '专辑已播放完毕';
+        return;
+    }
+
+    playTrack(nextIndex);
+}
+
+
+/**
+ * 标记正在播放的曲目
+ */
+function updateCurrentTrack() {
+    Utils.queryAll('.album-track').forEach((item, index) => {
+        const isCurrent = index === AlbumPage.currentIndex;
+        item.classList.toggle('is-playing', isCurrent);
+        if (isCurrent) {
+            item.setAttribute('aria-current', 'true');
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
+}
+
+
+/* ==================== 错误处理 ==================== */
+
+/**
+ * 显示专辑页错误
+ * 使用 classifyError 将技术性错误转换为用户友好的提示，提供返回专辑列表的入口
+ *
+ * @param {Error} error - 错误对象
+ */
+function showAlbumError(error) {
+    const container = Utils.getById('album-content');
+    if (!container) return;
+
+    const message = Utils.classifyError(error).message;
+
+    container.innerHTML = '';
+    container.appendChild(
+        UIComponents.createErrorState(message, () => {
+            PathUtils.navigate(`${CONFIG.paths.pages}album.html`);
+        })
+    );
+}
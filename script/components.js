@@ -9,6 +9,15 @@
  *   3. 分页组件
  *   4. 标签页组件
  *   5. 消息提示组件
+ *   6. 加载状态组件
+ *   7. 数据新鲜度提示组件
+ *   8. 画质切换组件
+ *   9. 音频播放器组件
+ *  10. 继续播放提示组件
+ *  11. 练习工具组件
+ *  12. 嵌入代码组件
+ *  13. 段落标记组件
+ *  14. 视频字幕组件
  *
  * 【设计原则】
  *   - 每个组件方法返回 HTMLElement，由调用者负责插入 DOM
@@ -33,9 +42,17 @@ const UIComponents = {
      *
      * @param {Object} work - 作品数据对象
      * @param {Function} [onClick] - 点击卡片的回调函数，参数为 work 对象
+     * @param {Object} [options] - 可选配置
+     * @param {Object} [options.searchHit] - DataLoader.searchWorksRanked 的结果项，
+     *   命中标题以外的字段时在卡片中显示命中片段
+     * @param {Array} [options.albums] - 收录该作品的专辑（DataLoader.getAlbumsForWork 的结果），
+     *   有值时在卡片中显示"收录于《…》"
+     * @param {string} [options.note] - 附加说明（纯文本，如人物页中显示"作词 · 作曲"）
+     * @param {Object} [options.queueActions] - 播放队列操作 { onPlayNext, onAddToQueue }
+     *   （PlayQueue.getCardActions 的结果），有值时显示"下一首播放""加入队列"按钮
      * @returns {HTMLElement} 卡片元素
      */
-    createWorkCard(work, onClick) {
+    createWorkCard(work, onClick, options = {}) {
         /* 创建卡片容器 */
         const card = Utils.createElement('article', {
             className: 'card card--clickable work-card',
@@ -54,23 +71,33 @@ const UIComponents = {
                  <span>${work.type === 'video' ? '🎬' : '🎵'}</span>
                </div>`;
 
-        /* 构建分类标签 */
-        /* 获取标签样式信息 */
-        const tagInfo = this._getTagInfo(work.tag);
-
         /* 构建卡片内容 */
         card.innerHTML = `
             ${coverHTML}
             <div class="card__body">
                 <div class="work-card__tag">
-                    <span class="tag ${tagInfo.cssClass}">${tagInfo.label}</span>
+                    ${this._createTagChipsHTML(work.tags)}
+                    ${this._createVersionBadgeHTML(work.versions)}
                 </div>
                 <h3 class="work-card__title">${work.title}</h3>
                 ${work.subtitle ? `<p class="work-card__subtitle">${work.subtitle}</p>` : ''}
+                ${this._createSearchSnippetHTML(options.searchHit)}
+                ${this._createAlbumLineHTML(options.albums)}
+                ${options.note ? '<p class="work-card__note"></p>' : ''}
                 <p class="work-card__meta">${work.createDate ? Utils.formatDateYearMonth(work.createDate) : ''}</p>
+                ${options.queueActions ? `
+                <div class="work-card__actions">
+                    <button type="button" class="work-card__action" data-action="play-next" aria-label="下一首播放：${work.title}">⏭ 下一首播放</button>
+                    <button type="button" class="work-card__action" data-action="add-to-queue" aria-label="加入播放队列：${work.title}">＋ 加入队列</button>
+                </div>` : ''}
             </div>
         `;
 
+        /* 附加说明可能包含来自 URL 的文字，使用 textContent 写入 */
+        if (options.note) {
+            card.querySelector('.work-card__note').textContent = options.note;
+        }
+
         /* 绑定点击事件 */
         if (onClick) {
             card.addEventListener('click', () => onClick(work));
@@ -83,6 +110,23 @@ const UIComponents = {
             });
         }
 
+        /* 队列按钮的点击与回车不触发卡片跳转 */
+        if (options.queueActions) {
+            const actions = card.querySelector('.work-card__actions');
+            actions.addEventListener('keydown', (e) => e.stopPropagation());
+            actions.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const button = e.target.closest('.work-card__action');
+                if (!button) return;
+
+                if (button.dataset.action === 'play-next') {
+                    options.queueActions.onPlayNext(work);
+                } else {
+                    options.queueActions.onAddToQueue(work);
+                }
+            });
+        }
+
         /* 防止音频控制条的点击冒泡到卡片 */
         const audioEl = card.querySelector('audio');
         if (audioEl) {
@@ -92,23 +136,116 @@ const UIComponents = {
         return card;
     },
 
+    /**
+     * 构建搜索命中片段（如"歌词：…吹过你的身旁…"）
+     * 命中标题时标题本身即是说明，不再重复显示。
+     *
+     * @param {Object} [hit] - 搜索结果项 { field, fieldLabel, snippet: { text, start, end } }
+     * @returns {string} HTML 字符串，无需显示时为空字符串
+     * @private
+     */
+    _createSearchSnippetHTML(hit) {
+        if (!hit || hit.field === 'title') return '';
+
+        const { text, start, end } = hit.snippet;
+        return `<p class="work-card__snippet">`
+            + `<span class="work-card__snippet-field">${hit.fieldLabel}</span>`
+            + `${text.slice(0, start)}<mark>${text.slice(start, end)}</mark>${text.slice(end)}`
+            + `</p>`;
+    },
+
+    /**
+     * 构建版本数量徽章（如"3 个版本"）
+     * 只有一个版本的作品与普通作品相同，不显示徽章。
+     *
+     * @param {Array} [versions] - 作品的版本列表（work.versions）
+     * @returns {string} HTML 字符串，无需显示时为空字符串
+     * @private
+     */
+    _createVersionBadgeHTML(versions) {
+        if (!versions || versions.length < 2) return '';
+
+        const labels = versions.map(version => version.label).join('、');
+        return `<span class="work-card__versions" title="${labels}">${versions.length} 个版本</span>`;
+    },
+
+    /**
+     * 构建"收录于"专辑说明（如"收录于《写给你的歌》"）
+     * 卡片整体已是链接，这里只显示文字，不再嵌套专辑链接。
+     *
+     * @param {Array} [albums] - 收录该作品的专辑
+     * @returns {string} HTML 字符串，未被收录时为空字符串
+     * @private
+     */
+    _createAlbumLineHTML(albums) {
+        if (!albums || albums.length === 0) return '';
+
+        const titles = albums.map(album => `《${album.title}》`).join('');
+        return `<p class="work-card__album">收录于${titles}</p>`;
+    },
+
+    /**
+     * 构建分类标签组（每个标签一个 .tag 元素）
+     * 卡片整体已是链接，卡片内使用纯文本标签；详情页侧边栏等处可链接到标签页。
+     *
+     * @param {string[]} [tags] - 分类标签数组（work.tags）
+     * @param {Object} [options] - 可选配置
+     * @param {boolean} [options.linked=false] - 是否渲染为指向标签页的链接
+     * @returns {string} HTML 字符串；没有标签时显示"未分类"
+     * @private
+     */
+    _createTagChipsHTML(tags, options = {}) {
+        const list = tags && tags.length > 0 ? tags : [null];
+
+        return list.map(tag => {
+            const tagInfo = this._getTagInfo(tag);
+            if (!options.linked || !tag) {
+                return `<span class="tag ${tagInfo.cssClass}">${tagInfo.label}</span>`;
+            }
+            return `<a class="tag tag--link ${tagInfo.cssClass}" href="${this.getTagPageUrl(tag)}">${tagInfo.label}</a>`;
+        }).join('');
+    },
+
+    /**
+     * 获取标签页地址（已解析 basePath）
+     *
+     * @param {string} [tag] - 分类标签名；不传时为全部标签列表
+     * @returns {string}
+     */
+    getTagPageUrl(tag) {
+        const query = tag ? `?tag=${encodeURIComponent(tag)}` : '';
+        return PathUtils.resolve(`${CONFIG.paths.pages}tag.html${query}`);
+    },
+
+    /**
+     * 获取人物页地址（已解析 basePath）
+     *
+     * @param {string} [name] - 创作人员姓名；不传时为全部创作人员列表
+     * @returns {string}
+     */
+    getPersonPageUrl(name) {
+        const query = name ? `?name=${encodeURIComponent(name)}` : '';
+        return PathUtils.resolve(`${CONFIG.paths.pages}person.html${query}`);
+    },
+
     /**
      * 根据分类标签名获取对应的标签信息
      *
-     * 从 CONFIG.tags.registry 中查找标签配置，返回 CSS 类名和显示名。
+     * 从 CONFIG.tags.registry 中查找标签配置，返回 CSS 类名、显示名和说明。
      * 如果标签未注册，返回默认（缺省）样式类。
      *
      * @param {string} tag - 分类标签名（如 "原创歌曲"、"纯音乐" 等）
-     * @returns {{ cssClass: string, label: string, colorKey: string }}
+     * @returns {{ cssClass: string, label: string, colorKey: string, description: string }}
      *   - cssClass: 用于该标签的 CSS 类名（如 "tag--song"）
      *   - label: 标签显示文本（若未注册则显示原始 tag 值）
      *   - colorKey: CSS 变量中对应的颜色键名（如 "song"）
+     *   - description: 标签说明（未注册或未填写时为空字符串）
      * @private
      */
     _getTagInfo(tag) {
         /* 标签未传入时返回默认缺省值 */
         if (!tag) {
-            return { cssClass: 'tag--default', label: '未分类', colorKey: 'default' };
+            return { cssClass: 'tag--default', label: '未分类', colorKey: 'default', description: '' };
         }
 
         /* 从配置中心查找已注册的标签 */
@@ -118,11 +255,12 @@ const UIComponents = {
                 cssClass: `tag--${registry[tag].colorKey}`,
                 label: tag,
                 colorKey: registry[tag].colorKey,
+                description: registry[tag].description || '',
             };
         }
 
         /* 未注册的标签使用缺省样式 */
-        return { cssClass: 'tag--default', label: tag, colorKey: 'default' };
+        return { cssClass: 'tag--default', label: tag, colorKey: 'default', description: '' };
     },
 
 
@@ -141,8 +279,9 @@ const UIComponents = {
      *   - content: 动态正文
      *   - image: 配图路径（可选）
      *   - relatedWorkId: 关联作品ID（可选）
-     *   - relatedWorkTitle: 关联作品标题（可选，由调用方从作品数据中填充）
-     *   - relatedWorkType: 关联作品类型（可选，由调用方从作品数据中填充）
+     *   - relatedWorkIds: 关联作品ID数组（可选，与 relatedWorkId 合并）
+     *   - relatedWorks: 关联作品的 { id, title, type } 数组
+     *     （可选，由 DataLoader.enrichDynamicsWithRelatedWork 填充）
      *   - date: 发布日期（格式 YYYY-MM-DD）
      *   - time: 发布时间（格式 HH:MM，可选）
      * @param {Function} [onRelatedWorkClick] - 点击关联作品的回调，参数为作品ID
@@ -167,15 +306,22 @@ const UIComponents = {
             </div>`;
         }
 
-        /* 构建关联作品区域 */
+        /* 构建关联作品区域：每个关联作品一个入口 */
+        /* 调用方已富化时使用作品标题（找不到的作品已被排除），否则显示默认文字 */
+        const relatedWorks = dynamic.relatedWorks
+            || DataLoader.getDynamicWorkIds(dynamic).map(id => ({ id, title: null, type: null }));
+
         let relatedWorkHTML = '';
-        if (dynamic.relatedWorkId) {
-            /* 使用关联作品的标题（如果调用方已填充），否则显示默认文字 */
-            const displayText = dynamic.relatedWorkTitle || '关联作品';
-            const icon = dynamic.relatedWorkType === 'video' ? '🎬' : '🎵';
-            relatedWorkHTML = `<div class="dynamic-card__related-work" data-ref-id="${dynamic.relatedWorkId}" role="link" tabindex="0" aria-label="查看关联作品：${displayText}">
-                <span class="dynamic-card__related-icon" aria-hidden="true">${icon}</span>
-                <span class="dynamic-card__related-text">${displayText}</span>
+        if (relatedWorks.length > 0) {
+            relatedWorkHTML = `<div class="dynamic-card__related-works">
+                ${relatedWorks.map(work => {
+                    const displayText = work.title || '关联作品';
+                    const icon = work.type === 'video' ? '🎬' : '🎵';
+                    return `<div class="dynamic-card__related-work" data-ref-id="${work.id}" role="link" tabindex="0" aria-label="查看关联作品：${displayText}">
+                        <span class="dynamic-card__related-icon" aria-hidden="true">${icon}</span>
+                        <span class="dynamic-card__related-text">${displayText}</span>
+                    </div>`;
+                }).join('')}
             </div>`;
         }
 
@@ -196,8 +342,7 @@ const UIComponents = {
 
         /* 绑定关联作品点击事件 */
         if (onRelatedWorkClick) {
-            const relatedEl = card.querySelector('.dynamic-card__related-work');
-            if (relatedEl) {
+            card.querySelectorAll('.dynamic-card__related-work').forEach(relatedEl => {
                 relatedEl.addEventListener('click', (e) => {
                     e.stopPropagation();  /* 阻止冒泡到卡片 */
                     const refId = relatedEl.dataset.refId;
@@ -212,7 +357,7 @@ const UIComponents = {
                         onRelatedWorkClick(refId);
                     }
                 });
-            }
+            });
         }
 
         return card;
@@ -682,4 +827,1133 @@ const UIComponents = {
             innerHTML: `<p>${message}</p>`,
         });
     },
+
+
+    /* ========================================================================
+     * 七、数据新鲜度提示组件
+     * ========================================================================
+     * 持久缓存无法在后台验证数据是否最新时（通常是断网），
+     * 页面仍使用本地副本渲染，并通过此组件告知访客。
+     * ====================================================================== */
+
+    /**
+     * 监听数据缓存的新鲜度事件，在页面顶部显示"数据可能不是最新"提示
+     * 由各数据页面在初始化时调用一次（需在 DataLoader 加载数据之前调用）。
+     *
+     * @example
+     * document.addEventListener('DOMContentLoaded', async () => {
+     *     UIComponents.watchDataFreshness();
+     *     const works = await DataLoader.loadWorks();
+     * });
+     */
+    watchDataFreshness() {
+        window.addEventListener('datacache:stale', (e) => {
+            this._showStaleNotice(e.detail.storedAt);
+        });
+
+        /* 恢复联网后移除提示，下次加载会自动重新验证 */
+        window.addEventListener('online', () => {
+            const notice = Utils.getById('stale-notice');
+            if (notice) notice.remove();
+        });
+    },
+
+    /**
+     * 显示或更新"数据可能不是最新"提示
+     * 多个数据文件同时过时时只显示一条，时间取最早保存的副本。
+     *
+     * @param {number} storedAt - 本地副本的保存时间戳（毫秒）
+     * @private
+     */
+    _showStaleNotice(storedAt) {
+        let notice = Utils.getById('stale-notice');
+        if (notice && Number(notice.dataset.storedAt) <= storedAt) return;
+
+        const time = new Date(storedAt);
+        const pad = n => String(n).padStart(2, '0');
+        const formatted = Utils.formatDate(
+            `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`,
+            `${pad(time.getHours())}:${pad(time.getMinutes())}`
+        );
+
+        if (!notice) {
+            notice = Utils.createElement('div', {
+                id: 'stale-notice',
+                className: 'stale-notice',
+                attributes: { 'role': 'status' },
+            });
+            const mainEl = Utils.query('.page-main') || document.body;
+            mainEl.insertBefore(notice, mainEl.firstChild);
+        }
+
+        notice.dataset.storedAt = String(storedAt);
+        notice.textContent = `网络不可用，当前显示的是 ${formatted} 保存的内容，可能不是最新`;
+    },
+
+
+    /* ========================================================================
+     * 八、画质切换组件
+     * ========================================================================
+     * 作品提供多个媒体版本（renditions）时，允许访客手动选择画质/音质。
+     * "自动"模式下按浏览器支持与网络状况选择，网络变慢时自动降到低码率版本。
+     * ====================================================================== */
+
+    /**
+     * 创建画质/音质切换下拉框
+     * 切换时保留播放位置与播放状态，选择会记录在本地并用于之后播放的作品。
+     *
+     * @param {Object} work - 作品数据
+     * @param {HTMLMediaElement} mediaEl - 播放该作品的音频或视频元素
+     * @returns {HTMLElement|null} 只有一个可播放版本时返回 null
+     *
+     * @example
+     * const qualitySwitch = UIComponents.createQualitySwitch(work, videoEl);
+     * if (qualitySwitch) videoEl.after(qualitySwitch);
+     */
+    createQualitySwitch(work, mediaEl) {
+        const renditions = MediaRenditions.getPlayable(MediaRenditions.getRenditions(work));
+        if (renditions.length < 2) return null;
+
+        const isVideo = renditions[0].kind === 'video';
+        const wrapper = Utils.createElement('div', { className: 'quality-switch' });
+        const selectId = `quality-switch-${work.id}`;
+
+        wrapper.innerHTML = `
+            <label class="quality-switch__label" for="${selectId}">${isVideo ? '画质' : '音质'}</label>
+            <select class="quality-switch__select" id="${selectId}">
+                <option value="auto">自动</option>
+                ${renditions.map(rendition => `<option value="${rendition.label}">${rendition.label}</option>`).join('')}
+            </select>
+        `;
+
+        const select = wrapper.querySelector('.quality-switch__select');
+        const autoOption = select.querySelector('option[value="auto"]');
+        const preference = MediaRenditions.getPreference();
+        select.value = renditions.some(rendition => rendition.label === preference) ? preference : 'auto';
+
+        /* 自动模式下在选项中注明实际播放的版本，如"自动（720p）" */
+        const updateAutoLabel = () => {
+            const current = MediaRenditions.getCurrentRendition(mediaEl, renditions);
+            autoOption.textContent = current ? `自动（${current.label}）` : '自动';
+        };
+        mediaEl.addEventListener('loadedmetadata', updateAutoLabel);
+
+        select.addEventListener('change', () => {
+            MediaRenditions.setPreference(select.value);
+            MediaRenditions.applySources(mediaEl, MediaRenditions.select(work));
+        });
+
+        /* 网络状况变化时，自动模式重新排序版本（变慢时降到低码率） */
+        const stopWatching = MediaRenditions.onConnectionChange(() => {
+            if (!wrapper.isConnected) {
+                stopWatching();
+                return;
+            }
+            if (select.value !== 'auto') return;
+
+            const ordered = MediaRenditions.select(work);
+            const current = MediaRenditions.getCurrentRendition(mediaEl, renditions);
+            if (current && ordered[0].src !== current.src) {
+                MediaRenditions.applySources(mediaEl, ordered);
+            }
+        });
+
+        return wrapper;
+    },
+
+
+    /* ========================================================================
+     * 九、音频播放器组件
+     * ========================================================================
+     * 替代浏览器原生的 <audio controls>，外观随 variables.css 的主题变化。
+     * 进度与音量为 role="slider" 的自定义滑块，支持鼠标、触摸与键盘操作。
+     * ====================================================================== */
+
+    /**
+     * 创建音频播放器
+     * 包含播放/暂停、进度滑块、时间、静音与音量、播放速度，
+     * 作品授权允许时提供下载链接（见 CONFIG.licenses）。
+     *
+     * 焦点在播放器内时的键盘操作：
+     *   空格 播放/暂停；←/→ 后退/前进；↑/↓ 增大/减小音量（焦点在滑块上时方向键调整该滑块）
+     *
+     * 内部的 <audio> 元素带有 audio-player__media 类，调用方可通过它绑定加载失败处理等逻辑。
+     *
+     * @param {Object} work - 作品数据（可为替换了媒体的版本）
+     * @returns {HTMLElement|null} 没有可播放的音频时返回 null
+     *
+     * @example
+     * const player = UIComponents.createAudioPlayer(work);
+     * if (player) container.appendChild(player);
+     */
+    createAudioPlayer(work) {
+        const renditions = MediaRenditions.select(work);
+        if (renditions.length === 0 || renditions[0].kind !== 'audio') return null;
+
+        const license = DataLoader.getWorkLicense(work);
+        const { rates } = CONFIG.player;
+
+        const player = Utils.createElement('div', {
+            className: 'audio-player',
+            attributes: { 'role': 'group', 'aria-label': `音频播放器：${work.title}` },
+        });
+
+        player.innerHTML = `
+            <audio class="audio-player__media" preload="${CONFIG.media.audioPreload}">
+                ${MediaRenditions.createSourcesHTML(renditions)}
+            </audio>
+            <button type="button" class="audio-player__toggle" aria-label="播放">▶</button>
+            <div class="audio-player__seek audio-player__slider" role="slider" tabindex="0" aria-label="播放进度"
+                 aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" aria-valuetext="00:00 / 00:00">
+                <span class="audio-player__track">
+                    <span class="audio-player__buffered"></span>
+                    <span class="audio-player__fill"></span>
+                </span>
+                <span class="audio-player__thumb"></span>
+            </div>
+            <span class="audio-player__time" aria-hidden="true">00:00 / 00:00</span>
+            <div class="audio-player__extras">
+                <button type="button" class="audio-player__mute" aria-label="静音" aria-pressed="false">🔊</button>
+                <div class="audio-player__volume audio-player__slider" role="slider" tabindex="0" aria-label="音量"
+                     aria-valuemin="0" aria-valuemax="100" aria-valuenow="100" aria-valuetext="100%">
+                    <span class="audio-player__track">
+                        <span class="audio-player__fill"></span>
+                    </span>
+                    <span class="audio-player__thumb"></span>
+                </div>
+                <select class="audio-player__rate" aria-label="播放速度">
+                    ${rates.map(rate => `<option value="${rate}"${rate === 1 ? ' selected' : ''}>${rate}×</option>`).join('')}
+                </select>
+                ${license.allowDownload
+                    ? `<a class="audio-player__download" href="${PathUtils.resolve(renditions[0].src)}" download>下载</a>`
+                    : ''}
+                ${license.url
+                    ? `<a class="audio-player__license" href="${license.url}" target="_blank" rel="noopener noreferrer license">${license.label}</a>`
+                    : `<span class="audio-player__license">${license.label}</span>`}
+            </div>
+        `;
+
+        const audio = player.querySelector('.audio-player__media');
+        const toggle = player.querySelector('.audio-player__toggle');
+        const seek = player.querySelector('.audio-player__seek');
+        const time = player.querySelector('.audio-player__time');
+        const mute = player.querySelector('.audio-player__mute');
+        const volume = player.querySelector('.audio-player__volume');
+        const rate = player.querySelector('.audio-player__rate');
+        const download = player.querySelector('.audio-player__download');
+
+        const getDuration = () => (Number.isFinite(audio.duration) ? audio.duration : 0);
+        const seekTo = (seconds) => {
+            audio.currentTime = Math.min(getDuration(), Math.max(0, seconds));
+        };
+        const setVolume = (value) => {
+            audio.volume = Math.min(1, Math.max(0, value));
+            audio.muted = audio.volume === 0;
+        };
+
+        /* ---- 界面随播放状态更新 ---- */
+        const updateToggle = () => {
+            const playing = !audio.paused && !audio.ended;
+            toggle.textContent = playing ? '❚❚' : '▶';
+            toggle.setAttribute('aria-label', playing ? '暂停' : '播放');
+        };
+        const updateTime = (position = audio.currentTime) => {
+            const duration = getDuration();
+            const text = `${Utils.formatDuration(position)} / ${Utils.formatDuration(duration)}`;
+            time.textContent = text;
+            this._setSliderValue(seek, duration > 0 ? position / duration : 0, {
+                now: Math.floor(position),
+                max: Math.floor(duration),
+                text,
+            });
+        };
+        const updateBuffered = () => {
+            const duration = getDuration();
+            const { buffered } = audio;
+            const end = buffered.length > 0 ? buffered.end(buffered.length - 1) : 0;
+            seek.querySelector('.audio-player__buffered').style.width = `${duration > 0 ? end / duration * 100 : 0}%`;
+        };
+        const updateVolume = () => {
+            const level = audio.muted ? 0 : audio.volume;
+            const percent = Math.round(level * 100);
+            mute.textContent = level === 0 ? '🔇' : '🔊';
+            mute.setAttribute('aria-pressed', String(audio.muted));
+            mute.setAttribute('aria-label', audio.muted ? '取消静音' : '静音');
+            this._setSliderValue(volume, level, { now: percent, max: 100, text: `${percent}%` });
+        };
+
+        audio.addEventListener('play', updateToggle);
+        audio.addEventListener('pause', updateToggle);
+        audio.addEventListener('ended', updateToggle);
+        audio.addEventListener('loadedmetadata', () => updateTime());
+        audio.addEventListener('durationchange', () => updateTime());
+        audio.addEventListener('timeupdate', () => {
+            if (!seek.classList.contains('audio-player__slider--dragging')) updateTime();
+        });
+        audio.addEventListener('progress', updateBuffered);
+        audio.addEventListener('volumechange', () => {
+            updateVolume();
+            Utils.writeStorage(CONFIG.player.volumeStorageKey, { volume: audio.volume, muted: audio.muted });
+        });
+        audio.addEventListener('ratechange', () => {
+            rate.value = String(audio.playbackRate);
+        });
+
+        /* 下载当前实际播放的版本（切换音质后随之更新） */
+        if (download) {
+            audio.addEventListener('loadedmetadata', () => {
+                if (audio.currentSrc) download.href = audio.currentSrc;
+            });
+        }
+
+        /* ---- 控件操作 ---- */
+        toggle.addEventListener('click', () => {
+            if (audio.paused || audio.ended) {
+                audio.play().catch((error) => Utils.logError('音频播放器', '播放', error));
+            } else {
+                audio.pause();
+            }
+        });
+        mute.addEventListener('click', () => {
+            /* 音量被拖到 0 而静音时，取消静音恢复到一半音量 */
+            if (audio.muted && audio.volume === 0) audio.volume = 0.5;
+            audio.muted = !audio.muted;
+        });
+        rate.addEventListener('change', () => {
+            audio.playbackRate = Number(rate.value);
+        });
+
+        this._bindSlider(seek, {
+            onPreview: ratio => updateTime(ratio * getDuration()),
+            onCommit: ratio => seekTo(ratio * getDuration()),
+            onStep: (direction, large) => seekTo(audio.currentTime + direction * CONFIG.player.seekStep * (large ? 6 : 1)),
+            onEdge: toEnd => seekTo(toEnd ? getDuration() : 0),
+        });
+        this._bindSlider(volume, {
+            onPreview: ratio => setVolume(ratio),
+            onCommit: ratio => setVolume(ratio),
+            onStep: (direction, large) => setVolume((audio.muted ? 0 : audio.volume) + direction * CONFIG.player.volumeStep * (large ? 3 : 1)),
+            onEdge: toEnd => setVolume(toEnd ? 1 : 0),
+        });
+
+        /* ---- 播放器内的快捷键（滑块自己处理方向键；按钮、下拉框、链接保留原生的空格行为） ---- */
+        player.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+            const onNativeControl = e.target.closest('button, select, a');
+
+            if (e.key === ' ' && !onNativeControl) {
+                toggle.click();
+            } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.tagName !== 'SELECT') {
+                seekTo(audio.currentTime + (e.key === 'ArrowRight' ? 1 : -1) * CONFIG.player.seekStep);
+            } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.target.tagName !== 'SELECT') {
+                setVolume((audio.muted ? 0 : audio.volume) + (e.key === 'ArrowUp' ? 1 : -1) * CONFIG.player.volumeStep);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        /* 恢复上次的音量与静音状态 */
+        const savedVolume = Utils.readStorage(CONFIG.player.volumeStorageKey, null);
+        if (savedVolume && Number.isFinite(savedVolume.volume)) {
+            audio.volume = Math.min(1, Math.max(0, savedVolume.volume));
+            audio.muted = Boolean(savedVolume.muted);
+        }
+        updateVolume();
+        this._preservePitch(audio);
+
+        return player;
+    },
+
+    /**
+     * 更新自定义滑块的位置与 ARIA 属性
+     *
+     * @param {HTMLElement} slider - role="slider" 元素
+     * @param {number} ratio - 位置（0~1）
+     * @param {Object} values - ARIA 值
+     * @param {number} values.now - aria-valuenow
+     * @param {number} values.max - aria-valuemax
+     * @param {string} values.text - aria-valuetext（朗读给读屏软件的文字）
+     * @private
+     */
+    _setSliderValue(slider, ratio, values) {
+        const percent = `${Math.min(1, Math.max(0, ratio)) * 100}%`;
+        slider.querySelector('.audio-player__fill').style.width = percent;
+        slider.querySelector('.audio-player__thumb').style.left = percent;
+        slider.setAttribute('aria-valuenow', String(values.now));
+        slider.setAttribute('aria-valuemax', String(values.max));
+        slider.setAttribute('aria-valuetext', values.text);
+    },
+
+    /**
+     * 为自定义滑块绑定指针与键盘操作
+     * 拖动中调用 onPreview，松开时调用 onCommit；方向键、PageUp / PageDown、Home / End
+     * 按 WAI-ARIA 滑块模式处理（右、上为增大）。
+     *
+     * @param {HTMLElement} slider - role="slider" 元素
+     * @param {Object} handlers - 回调
+     * @param {Function} handlers.onPreview - (ratio) 拖动中的位置
+     * @param {Function} handlers.onCommit - (ratio) 点击或拖动结束的位置
+     * @param {Function} handlers.onStep - (direction: 1|-1, large: boolean) 方向键 / PageUp / PageDown
+     * @param {Function} handlers.onEdge - (toEnd: boolean) Home / End
+     * @private
+     */
+    _bindSlider(slider, handlers) {
+        const ratioAt = (clientX) => {
+            const rect = slider.getBoundingClientRect();
+            return rect.width > 0 ? Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)) : 0;
+        };
+
+        slider.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            slider.setPointerCapture(e.pointerId);
+            slider.classList.add('audio-player__slider--dragging');
+            handlers.onPreview(ratioAt(e.clientX));
+        });
+        slider.addEventListener('pointermove', (e) => {
+            if (!slider.classList.contains('audio-player__slider--dragging')) return;
+            handlers.onPreview(ratioAt(e.clientX));
+        });
+        const endDrag = (e) => {
+            if (!slider.classList.contains('audio-player__slider--dragging')) return;
+            slider.classList.remove('audio-player__slider--dragging');
+            if (e.type === 'pointerup') handlers.onCommit(ratioAt(e.clientX));
+        };
+        slider.addEventListener('pointerup', endDrag);
+        slider.addEventListener('pointercancel', endDrag);
+
+        slider.addEventListener('keydown', (e) => {
+            const steps = {
+                ArrowRight: [1, false], ArrowUp: [1, false], PageUp: [1, true],
+                ArrowLeft: [-1, false], ArrowDown: [-1, false], PageDown: [-1, true],
+            };
+            if (e.key in steps) {
+                handlers.onStep(...steps[e.key]);
+            } else if (e.key === 'Home' || e.key === 'End') {
+                handlers.onEdge(e.key === 'End');
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    },
+
+
+    /* ========================================================================
+     * 十、继续播放提示组件
+     * ========================================================================
+     * 重新打开听过一部分的作品时，提示从上次的位置继续（见 listening-history.js）。
+     * ====================================================================== */
+
+    /**
+     * 创建"继续播放 03:12"提示
+     * 点击任一按钮后提示自动移除。
+     *
+     * @param {number} position - 上次听到的位置（秒）
+     * @param {Object} callbacks - 回调函数
+     * @param {Function} callbacks.onResume - 点击"继续播放"
+     * @param {Function} [callbacks.onDismiss] - 点击"从头播放"
+     * @returns {HTMLElement}
+     *
+     * @example
+     * container.prepend(UIComponents.createResumePrompt(192, { onResume: () => seekAndPlay(192) }));
+     */
+    createResumePrompt(position, callbacks) {
+        const time = Utils.formatDuration(position);
+        const prompt = Utils.createElement('div', {
+            className: 'resume-prompt',
+            attributes: { 'role': 'group', 'aria-label': `上次听到 ${time}` },
+        });
+
+        prompt.innerHTML = `
+            <span class="resume-prompt__text">上次听到 ${time}</span>
+            <button type="button" class="resume-prompt__resume">▶ 继续播放 ${time}</button>
+            <button type="button" class="resume-prompt__dismiss">从头播放</button>
+        `;
+
+        prompt.querySelector('.resume-prompt__resume').addEventListener('click', () => {
+            prompt.remove();
+            callbacks.onResume();
+        });
+        prompt.querySelector('.resume-prompt__dismiss').addEventListener('click', () => {
+            prompt.remove();
+            if (callbacks.onDismiss) callbacks.onDismiss();
+        });
+
+        return prompt;
+    },
+
+
+    /* ========================================================================
+     * 十一、练习工具组件
+     * ========================================================================
+     * 对照曲谱练习时反复播放某一段：A-B 循环、循环次数与变速（保持音高）。
+     * ====================================================================== */
+
+    /**
+     * 创建练习工具
+     * "设 A 点""设 B 点"取播放器的当前位置；播放越过 B 点时回到 A 点，
+     * 达到所选的循环次数后停在 A 点。自定义音频播放器的进度条上同时标出循环段。
+     *
+     * 循环判断基于 timeupdate（约每 250 毫秒一次），越过 B 点后最多多播放一小段。
+     * 访客手动跳到循环段之外时不会被拉回。
+     *
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @param {Object} [options] - 可选配置
+     * @param {{start: number, end: number}|null} [options.loop] - 初始的循环段（秒，如来自 URL）
+     * @param {boolean} [options.rates=false] - 是否提供速度选择（自定义音频播放器已自带，视频需要）
+     * @param {Function} [options.onLoopChange] - 循环段变化时调用，参数为 { start, end } 或 null
+     * @returns {HTMLElement}
+     *
+     * @example
+     * const tools = UIComponents.createPracticeTools(video, {
+     *     rates: true,
+     *     onLoopChange: loop => Utils.updateUrlParams({ loop: loop ? `${loop.start}-${loop.end}` : null }),
+     * });
+     */
+    createPracticeTools(mediaEl, options = {}) {
+        const { loopCounts, minLoopLength } = CONFIG.practice;
+        const onLoopChange = options.onLoopChange || (() => {});
+
+        const tools = Utils.createElement('div', {
+            className: 'practice-tools',
+            attributes: { 'role': 'group', 'aria-label': '练习工具' },
+        });
+
+        tools.innerHTML = `
+            <span class="practice-tools__label" aria-hidden="true">练习</span>
+            <button type="button" class="practice-tools__button practice-tools__set-a">设 A 点</button>
+            <button type="button" class="practice-tools__button practice-tools__set-b">设 B 点</button>
+            <span class="practice-tools__range" aria-live="polite"></span>
+            <label class="practice-tools__field">
+                循环
+                <select class="practice-tools__count">
+                    ${loopCounts.map(count => `<option value="${count}">${count === 0 ? '不限次数' : `${count} 遍`}</option>`).join('')}
+                </select>
+            </label>
+            ${options.rates ? `
+            <label class="practice-tools__field">
+                速度
+                <select class="practice-tools__rate">
+                    ${CONFIG.player.rates.map(rate => `<option value="${rate}"${rate === 1 ? ' selected' : ''}>${rate}×</option>`).join('')}
+                </select>
+            </label>` : ''}
+            <button type="button" class="practice-tools__button practice-tools__clear" hidden>清除循环</button>
+        `;
+
+        const range = tools.querySelector('.practice-tools__range');
+        const countSelect = tools.querySelector('.practice-tools__count');
+        const rateSelect = tools.querySelector('.practice-tools__rate');
+        const clearButton = tools.querySelector('.practice-tools__clear');
+
+        /* 自定义音频播放器的进度条上标出循环段（视频使用原生控件，只显示文字） */
+        const audioPlayer = mediaEl.closest('.audio-player');
+        const seekTrack = audioPlayer && audioPlayer.querySelector('.audio-player__seek .audio-player__track');
+        const region = seekTrack ? Utils.createElement('span', { className: 'audio-player__loop', attributes: { hidden: '' } }) : null;
+        if (region) seekTrack.appendChild(region);
+
+        /* A、B 两点；两点都设好且间隔足够时构成循环段 */
+        const points = {
+            a: options.loop ? options.loop.start : null,
+            b: options.loop ? options.loop.end : null,
+        };
+        let pass = 1;
+        let lastTime = mediaEl.currentTime;
+
+        const getLoop = () => (points.a !== null && points.b !== null ? { start: points.a, end: points.b } : null);
+
+        const update = () => {
+            const loop = getLoop();
+            const count = Number(countSelect.value);
+
+            if (loop) {
+                range.textContent = `A ${Utils.formatDuration(loop.start)} → B ${Utils.formatDuration(loop.end)}`
+                    + (count > 0 ? `（第 ${pass}/${count} 遍）` : '');
+            } else if (points.a !== null) {
+                range.textContent = `A ${Utils.formatDuration(points.a)} → 请设置 B 点`;
+            } else {
+                range.textContent = '未设置循环段';
+            }
+            clearButton.hidden = points.a === null;
+
+            if (region) {
+                const duration = mediaEl.duration;
+                region.hidden = !loop || !Number.isFinite(duration) || duration <= 0;
+                if (!region.hidden) {
+                    region.style.left = `${loop.start / duration * 100}%`;
+                    region.style.width = `${(loop.end - loop.start) / duration * 100}%`;
+                }
+            }
+        };
+
+        const changed = () => {
+            pass = 1;
+            update();
+            onLoopChange(getLoop());
+        };
+
+        /* 越过 B 点：未达到次数时回到 A 点继续，达到次数后停在 A 点 */
+        const wrap = () => {
+            const loop = getLoop();
+            const count = Number(countSelect.value);
+
+            if (count > 0 && pass >= count) {
+                pass = 1;
+                mediaEl.pause();
+            } else {
+                pass++;
+                if (mediaEl.paused) mediaEl.play().catch(() => {});
+            }
+            mediaEl.currentTime = loop.start;
+            update();
+        };
+
+        tools.querySelector('.practice-tools__set-a').addEventListener('click', () => {
+            points.a = mediaEl.currentTime;
+            if (points.b !== null && points.b - points.a < minLoopLength) points.b = null;
+            changed();
+        });
+        tools.querySelector('.practice-tools__set-b').addEventListener('click', () => {
+            const start = points.a ?? 0;
+            if (mediaEl.currentTime - start < minLoopLength) {
+                this.showToast(`B 点需要在 A 点之后至少 ${minLoopLength} 秒`, 'error');
+                return;
+            }
+            points.a = start;
+            points.b = mediaEl.currentTime;
+            changed();
+        });
+        clearButton.addEventListener('click', () => {
+            points.a = null;
+            points.b = null;
+            changed();
+        });
+        countSelect.addEventListener('change', () => {
+            pass = 1;
+            update();
+        });
+
+        mediaEl.addEventListener('timeupdate', () => {
+            const loop = getLoop();
+            if (loop && lastTime >= loop.start && lastTime < loop.end && mediaEl.currentTime >= loop.end) {
+                wrap();
+            }
+            lastTime = mediaEl.currentTime;
+        });
+        mediaEl.addEventListener('seeked', () => { lastTime = mediaEl.currentTime; });
+        /* B 点在结尾附近时，播放可能先于 timeupdate 结束 */
+        mediaEl.addEventListener('ended', () => {
+            const loop = getLoop();
+            if (loop && lastTime >= loop.start && loop.end >= mediaEl.duration - 0.5) wrap();
+        });
+        mediaEl.addEventListener('durationchange', update);
+
+        if (rateSelect) {
+            mediaEl.addEventListener('ratechange', () => { rateSelect.value = String(mediaEl.playbackRate); });
+            rateSelect.addEventListener('change', () => { mediaEl.playbackRate = Number(rateSelect.value); });
+        }
+        this._preservePitch(mediaEl);
+
+        update();
+        return tools;
+    },
+
+    /**
+     * 变速时保持音高（放慢练习时不会变调）
+     * 各浏览器默认已开启，这里显式设置以防被改动；旧版浏览器使用带前缀的属性。
+     *
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @private
+     */
+    _preservePitch(mediaEl) {
+        ['preservesPitch', 'webkitPreservesPitch', 'mozPreservesPitch'].some((property) => {
+            if (!(property in mediaEl)) return false;
+            mediaEl[property] = true;
+            return true;
+        });
+    },
+
+
+    /* ========================================================================
+     * 十二、嵌入代码组件
+     * ========================================================================
+     * 其他网站通过 <iframe> 嵌入作品播放器（page/embed.html），
+     * 作品详情页的"嵌入"对话框选择尺寸与主题，预览并复制嵌入代码。
+     * ====================================================================== */
+
+    /**
+     * 生成嵌入页面的完整地址（含 basePath）
+     *
+     * @param {Object} work - 作品数据
+     * @param {Object} [options] - 可选配置
+     * @param {Object|null} [options.version] - 播放的版本（默认版本不写入地址）
+     * @param {string} [options.theme] - 主题（CONFIG.embed.themes 的键，默认主题不写入地址）
+     * @returns {string}
+     *
+     * @example
+     * UIComponents.getEmbedUrl(work, { theme: 'dark' });
+     * // → 'https://example.com/my-music-portfolio/page/embed.html?id=S001&theme=dark'
+     */
+    getEmbedUrl(work, options = {}) {
+        const params = new URLSearchParams({ id: work.id });
+        if (options.version && !options.version.isDefault) params.set('v', options.version.key);
+        if (options.theme && options.theme !== CONFIG.embed.defaultTheme) params.set('theme', options.theme);
+
+        return new URL(PathUtils.resolve(`${CONFIG.paths.pages}embed.html?${params}`), window.location.origin).href;
+    },
+
+    /**
+     * 生成 <iframe> 嵌入代码
+     *
+     * @param {Object} work - 作品数据
+     * @param {{width: number|string, height: number}} size - 尺寸（CONFIG.embed.sizes 中的一项）
+     * @param {Object} [options] - 同 getEmbedUrl
+     * @returns {string}
+     */
+    createEmbedCode(work, size, options = {}) {
+        const title = `${work.title} - ${CONFIG.site.title}`.replace(/"/g, '&quot;');
+        return `<iframe src="${this.getEmbedUrl(work, options)}" width="${size.width}" height="${size.height}" `
+            + `title="${title}" style="border: 0; border-radius: 12px;" `
+            + 'allow="autoplay; encrypted-media; fullscreen; picture-in-picture" allowfullscreen loading="lazy"></iframe>';
+    },
+
+    /**
+     * 创建"嵌入"对话框
+     * 选择尺寸预设与主题后，实时更新预览与嵌入代码；"复制代码"写入剪贴板。
+     * 返回 <dialog> 元素，由调用者插入页面并调用 showModal()；关闭后可移除。
+     *
+     * @param {Object} work - 作品数据
+     * @param {Object} [options] - 可选配置
+     * @param {string} [options.kind='audio'] - 媒体类型（'audio' | 'video'），决定可选的尺寸预设
+     * @param {Object|null} [options.version] - 播放的版本
+     * @returns {HTMLDialogElement}
+     *
+     * @example
+     * const dialog = UIComponents.createEmbedDialog(work, { kind: 'audio', version });
+     * document.body.appendChild(dialog);
+     * dialog.showModal();
+     * dialog.addEventListener('close', () => dialog.remove());
+     */
+    createEmbedDialog(work, options = {}) {
+        const { themes, defaultTheme } = CONFIG.embed;
+        const sizes = CONFIG.embed.sizes[options.kind === 'video' ? 'video' : 'audio'];
+        const formatWidth = width => (typeof width === 'number' ? `${width}px` : width);
+
+        const dialog = Utils.createElement('dialog', {
+            className: 'embed-dialog',
+            attributes: { 'aria-labelledby': 'embed-dialog-title' },
+        });
+
+        /* 内容放在 __body 中，对话框本身没有内边距，点击 dialog 元素即为点击遮罩 */
+        dialog.innerHTML = `
+            <div class="embed-dialog__body">
+                <div class="embed-dialog__header">
+                    <h2 class="embed-dialog__title" id="embed-dialog-title">嵌入《${work.title}》</h2>
+                    <button type="button" class="embed-dialog__close" aria-label="关闭">×</button>
+                </div>
+                <div class="embed-dialog__options">
+                    <fieldset class="embed-dialog__field">
+                        <legend class="embed-dialog__label">尺寸</legend>
+                        ${sizes.map((size, i) => `
+                            <label class="embed-dialog__choice">
+                                <input type="radio" name="embed-size" value="${size.key}"${i === 0 ? ' checked' : ''}>
+                                ${size.label}
+                                <span class="embed-dialog__dimensions">${size.width} × ${size.height}</span>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <label class="embed-dialog__field">
+                        <span class="embed-dialog__label">主题</span>
+                        <select class="embed-dialog__theme">
+                            ${Object.entries(themes).map(([key, label]) => `<option value="${key}"${key === defaultTheme ? ' selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="embed-dialog__preview">
+                    <iframe class="embed-dialog__frame" title="嵌入效果预览"></iframe>
+                </div>
+                <label class="embed-dialog__label" for="embed-dialog-code">嵌入代码</label>
+                <textarea class="embed-dialog__code" id="embed-dialog-code" rows="4" readonly spellcheck="false"></textarea>
+                <div class="embed-dialog__actions">
+                    <button type="button" class="btn btn--primary embed-dialog__copy">复制代码</button>
+                </div>
+            </div>
+        `;
+
+        const themeSelect = dialog.querySelector('.embed-dialog__theme');
+        const frame = dialog.querySelector('.embed-dialog__frame');
+        const code = dialog.querySelector('.embed-dialog__code');
+
+        const update = () => {
+            const checked = dialog.querySelector('input[name="embed-size"]:checked');
+            const size = sizes.find(item => checked && item.key === checked.value) || sizes[0];
+            const embedOptions = { version: options.version, theme: themeSelect.value };
+
+            code.value = this.createEmbedCode(work, size, embedOptions);
+            frame.style.width = formatWidth(size.width);
+            frame.style.height = `${size.height}px`;
+
+            /* 只有地址变化（切换主题）时才重新加载预览，切换尺寸不打断预览中的播放 */
+            const url = this.getEmbedUrl(work, embedOptions);
+            if (frame.getAttribute('src') !== url) frame.setAttribute('src', url);
+        };
+
+        dialog.querySelectorAll('input[name="embed-size"]').forEach(input => input.addEventListener('change', update));
+        themeSelect.addEventListener('change', update);
+
+        code.addEventListener('focus', () => code.select());
+
+        dialog.querySelector('.embed-dialog__copy').addEventListener('click', async () => {
+            if (await Utils.copyText(code.value)) {
+                this.showToast('已复制嵌入代码', 'success');
+            } else {
+                code.focus();
+                this.showToast('无法自动复制，请手动复制已选中的代码', 'info');
+            }
+        });
+
+        dialog.querySelector('.embed-dialog__close').addEventListener('click', () => dialog.close());
+
+        /* 点击对话框外的遮罩关闭 */
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) dialog.close();
+        });
+
+        update();
+        return dialog;
+    },
+
+
+    /* ========================================================================
+     * 十三、段落标记组件
+     * ========================================================================
+     * 作品的段落（歌曲的前奏、主歌、副歌、桥段，MV 的场景）标在播放进度上，
+     * 视频另外生成 WebVTT 章节轨道，供支持章节的浏览器在原生控件中显示。
+     * ====================================================================== */
+
+    /**
+     * 查找某一时刻所在的段落（开始时间不晚于该时刻的最后一段）
+     *
+     * @param {Array<{start: number}>} sections - 按开始时间排序的段落（work.sections）
+     * @param {number} time - 段落时间轴上的时间（秒）
+     * @returns {number} 段落下标；第一段开始之前为 -1
+     */
+    findSectionIndex(sections, time) {
+        return sections.reduce((found, section, i) => (section.start <= time ? i : found), -1);
+    },
+
+    /**
+     * 在播放进度上标出段落
+     * 自定义音频播放器：在进度条上每段开头加一道刻度，返回 null；
+     * 视频（原生控件无法添加标记）：返回放在视频下方的段落条，每段按时长占宽，
+     * 当前段落高亮，点击跳到该段开头。
+     *
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @param {Array<{start: number, label: string}>} sections - 按开始时间排序的段落（work.sections）
+     * @param {Object} [options] - 可选配置
+     * @param {number} [options.offset=0] - 播放的媒体相对段落时间轴的偏移（秒），用于时间轴不同的版本
+     * @returns {HTMLElement|null} 视频的段落条；音频或没有段落时为 null
+     *
+     * @example
+     * const sectionBar = UIComponents.createSectionMarkers(video, work.sections);
+     * if (sectionBar) video.after(sectionBar);
+     */
+    createSectionMarkers(mediaEl, sections, options = {}) {
+        if (!sections || sections.length === 0) return null;
+
+        const offset = options.offset || 0;
+        const starts = sections.map(section => Math.max(0, section.start + offset));
+        const getDuration = () => (Number.isFinite(mediaEl.duration) && mediaEl.duration > 0 ? mediaEl.duration : 0);
+
+        /* 自定义音频播放器：进度条上的刻度（第一段从开头开始时不需要刻度） */
+        const audioPlayer = mediaEl.closest('.audio-player');
+        const seekTrack = audioPlayer && audioPlayer.querySelector('.audio-player__seek .audio-player__track');
+        if (seekTrack) {
+            const markers = sections.map((section) => {
+                const marker = Utils.createElement('span', {
+                    className: 'audio-player__marker',
+                    attributes: { title: section.label, hidden: '' },
+                });
+                seekTrack.appendChild(marker);
+                return marker;
+            });
+
+            const layoutMarkers = () => {
+                const duration = getDuration();
+                markers.forEach((marker, i) => {
+                    marker.hidden = !(duration > 0 && starts[i] > 0 && starts[i] < duration);
+                    if (!marker.hidden) marker.style.left = `${starts[i] / duration * 100}%`;
+                });
+            };
+
+            mediaEl.addEventListener('loadedmetadata', layoutMarkers);
+            mediaEl.addEventListener('durationchange', layoutMarkers);
+            layoutMarkers();
+            return null;
+        }
+
+        /* 视频：段落条，时长未知时各段等宽 */
+        const bar = Utils.createElement('ol', {
+            className: 'section-bar',
+            attributes: { 'aria-label': '段落（点击跳转）' },
+        });
+
+        bar.innerHTML = sections.map((section, i) => `
+            <li class="section-bar__item">
+                <button type="button" class="section-bar__seek" data-index="${i}" aria-label="${Utils.formatDuration(starts[i])} ${section.label}">${section.label}</button>
+            </li>
+        `).join('');
+
+        const items = bar.querySelectorAll('.section-bar__item');
+        const buttons = bar.querySelectorAll('.section-bar__seek');
+        let currentIndex = -1;
+
+        const layoutBar = () => {
+            const duration = getDuration();
+            items.forEach((item, i) => {
+                const end = i + 1 < starts.length ? starts[i + 1] : duration;
+                item.hidden = duration > 0 && starts[i] >= duration;
+                item.style.flexGrow = duration > 0 ? String(Math.max(0, Math.min(end, duration) - starts[i])) : '1';
+            });
+        };
+
+        const highlight = () => {
+            const index = this.findSectionIndex(sections, mediaEl.currentTime - offset);
+            if (index === currentIndex) return;
+
+            if (currentIndex >= 0) buttons[currentIndex].removeAttribute('aria-current');
+            currentIndex = index;
+            if (index >= 0) buttons[index].setAttribute('aria-current', 'true');
+        };
+
+        bar.addEventListener('click', (e) => {
+            const button = e.target.closest('.section-bar__seek');
+            if (!button) return;
+
+            mediaEl.currentTime = starts[Number(button.dataset.index)];
+            if (mediaEl.paused) mediaEl.play().catch(() => {});
+        });
+
+        mediaEl.addEventListener('loadedmetadata', layoutBar);
+        mediaEl.addEventListener('durationchange', layoutBar);
+        mediaEl.addEventListener('timeupdate', highlight);
+        mediaEl.addEventListener('seeked', highlight);
+        layoutBar();
+        highlight();
+        return bar;
+    },
+
+    /**
+     * 创建视频的 WebVTT 章节轨道（<track kind="chapters">）
+     * 章节文本在浏览器中生成（Blob 地址），不需要另外提供 .vtt 文件；轨道加载后释放地址。
+     *
+     * @param {Array<{start: number, label: string}>} sections - 按开始时间排序的段落（work.sections）
+     * @param {Object} [options] - 可选配置
+     * @param {number} [options.offset=0] - 播放的媒体相对段落时间轴的偏移（秒）
+     * @returns {HTMLTrackElement|null} 没有段落时为 null
+     *
+     * @example
+     * const track = UIComponents.createChaptersTrack(work.sections);
+     * if (track) video.appendChild(track);
+     */
+    createChaptersTrack(sections, options = {}) {
+        if (!sections || sections.length === 0) return null;
+
+        const offset = options.offset || 0;
+        /* 最后一段的结束时间在元数据加载前未知，取一个足够大的值，浏览器按媒体时长截断 */
+        const openEnd = 24 * 3600;
+        const cues = sections
+            .map((section, i) => ({
+                start: Math.max(0, section.start + offset),
+                end: i + 1 < sections.length ? sections[i + 1].start + offset : openEnd,
+                text: section.label,
+            }))
+            .filter(cue => cue.end > cue.start);
+        if (cues.length === 0) return null;
+
+        return this._createVTTTrack(cues, { kind: 'chapters', label: '段落', srclang: 'zh', default: '' });
+    },
+
+    /**
+     * 由字幕片段生成 <track>（WebVTT 为 Blob 地址，轨道加载后释放）
+     *
+     * @param {Array<{start: number, end: number, text: string}>} cues - 字幕片段
+     * @param {Object} attributes - <track> 的属性（kind、label、srclang 等）
+     * @returns {HTMLTrackElement}
+     * @private
+     */
+    _createVTTTrack(cues, attributes) {
+        const url = URL.createObjectURL(new Blob([Utils.toWebVTT(cues)], { type: 'text/vtt' }));
+        const track = Utils.createElement('track', { attributes: { ...attributes, src: url } });
+        track.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+        return track;
+    },
+
+
+    /* ========================================================================
+     * 十四、视频字幕组件
+     * ========================================================================
+     * 视频的字幕轨道（.vtt 文件或由同步歌词生成）与视频下方的字幕设置：
+     * 语言、第二字幕（两种语言同时显示）、字号与背景，设置保存在 localStorage。
+     * ====================================================================== */
+
+    /**
+     * 创建字幕轨道（<track kind="subtitles">）
+     * 不设置 default 属性，是否显示由 createSubtitleControls 按访客的设置决定。
+     *
+     * @param {Object} subtitle - 字幕
+     * @param {string} [subtitle.src] - .vtt 文件路径（站点根相对）
+     * @param {Array<{start: number, end: number, text: string}>} [subtitle.cues] - 字幕片段（如 LyricsSync.toCues 的结果），提供时不读取 src
+     * @param {string} subtitle.srclang - 语言代码
+     * @param {string} subtitle.label - 显示名称
+     * @param {Object} [options] - 可选配置
+     * @param {number} [options.offset=0] - 播放的媒体相对字幕时间轴的偏移（秒），用于时间轴不同的版本
+     * @returns {HTMLTrackElement|null} 字幕片段为空时为 null
+     *
+     * @example
+     * video.appendChild(UIComponents.createSubtitleTrack({ src: '/artwork/subtitles/V001.en.vtt', srclang: 'en', label: 'English' }));
+     */
+    createSubtitleTrack(subtitle, options = {}) {
+        const offset = options.offset || 0;
+        const attributes = { kind: 'subtitles', label: subtitle.label, srclang: subtitle.srclang };
+
+        if (subtitle.cues) {
+            const cues = subtitle.cues
+                .map(cue => ({ start: Math.max(0, cue.start + offset), end: cue.end + offset, text: cue.text }))
+                .filter(cue => cue.end > cue.start);
+            return cues.length > 0 ? this._createVTTTrack(cues, attributes) : null;
+        }
+
+        const track = Utils.createElement('track', {
+            attributes: { ...attributes, src: PathUtils.resolve(subtitle.src) },
+        });
+
+        /* 文件中的时间以默认版本为准，加载后整体平移 */
+        if (offset) {
+            track.addEventListener('load', () => {
+                Array.from(track.track.cues || []).forEach(cue => {
+                    cue.startTime = Math.max(0, cue.startTime + offset);
+                    cue.endTime = Math.max(cue.startTime, cue.endTime + offset);
+                });
+            }, { once: true });
+        }
+        return track;
+    },
+
+    /**
+     * 创建视频的字幕设置
+     * 语言与第二字幕按语言代码保存，换一部作品时仍选择同一语言；
+     * 访客在浏览器原生控件中切换字幕时，设置随之更新。
+     * 字号与背景写在 <video> 的 data-subtitle-size / data-subtitle-background 上，由 components.css 的 ::cue 样式生效。
+     *
+     * @param {HTMLVideoElement} videoEl - 已添加字幕轨道的视频
+     * @returns {HTMLElement|null} 视频没有字幕轨道时为 null
+     *
+     * @example
+     * const controls = UIComponents.createSubtitleControls(video);
+     * if (controls) video.after(controls);
+     */
+    createSubtitleControls(videoEl) {
+        const tracks = Array.from(videoEl.textTracks).filter(track => track.kind === 'subtitles');
+        if (tracks.length === 0) return null;
+
+        const { sizes, defaultSize, showByDefault, storageKey } = CONFIG.subtitles;
+        const saved = Utils.readStorage(storageKey, {}) || {};
+        const hasLang = lang => tracks.some(track => track.language === lang);
+
+        /* 没有保存过语言（或保存的语言本片没有）时，按 showByDefault 显示第一条轨道 */
+        const prefs = {
+            lang: saved.lang === 'off' || hasLang(saved.lang)
+                ? saved.lang
+                : (showByDefault ? tracks[0].language : 'off'),
+            secondLang: hasLang(saved.secondLang) ? saved.secondLang : 'off',
+            size: sizes[saved.size] ? saved.size : defaultSize,
+            background: saved.background !== false,
+        };
+
+        const optionsHTML = tracks.map(track => `<option value="${track.language}">${track.label}</option>`).join('');
+
+        const controls = Utils.createElement('div', {
+            className: 'subtitle-controls',
+            attributes: { 'role': 'group', 'aria-label': '字幕设置' },
+        });
+
+        controls.innerHTML = `
+            <span class="subtitle-controls__label" aria-hidden="true">字幕</span>
+            <label class="subtitle-controls__field">
+                语言
+                <select class="subtitle-controls__select" data-setting="lang">
+                    <option value="off">关闭</option>
+                    ${optionsHTML}
+                </select>
+            </label>
+            ${tracks.length > 1 ? `
+            <label class="subtitle-controls__field">
+                第二字幕
+                <select class="subtitle-controls__select" data-setting="secondLang">
+                    <option value="off">无</option>
+                    ${optionsHTML}
+                </select>
+            </label>` : ''}
+            <label class="subtitle-controls__field">
+                字号
+                <select class="subtitle-controls__select" data-setting="size">
+                    ${Object.entries(sizes).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="subtitle-controls__field">
+                <input type="checkbox" class="subtitle-controls__check" data-setting="background">
+                背景
+            </label>
+        `;
+
+        const langSelect = controls.querySelector('[data-setting="lang"]');
+        const secondSelect = controls.querySelector('[data-setting="secondLang"]');
+        const sizeSelect = controls.querySelector('[data-setting="size"]');
+        const backgroundCheck = controls.querySelector('[data-setting="background"]');
+
+        /* 设置写入控件；第二字幕与主字幕相同、或主字幕关闭时不显示第二字幕 */
+        const render = () => {
+            if (prefs.secondLang === prefs.lang || prefs.lang === 'off') prefs.secondLang = 'off';
+            langSelect.value = prefs.lang;
+            if (secondSelect) {
+                secondSelect.value = prefs.secondLang;
+                secondSelect.disabled = prefs.lang === 'off';
+            }
+            sizeSelect.value = prefs.size;
+            backgroundCheck.checked = prefs.background;
+        };
+
+        const apply = () => {
+            render();
+            tracks.forEach(track => {
+                track.mode = track.language === prefs.lang || track.language === prefs.secondLang ? 'showing' : 'disabled';
+            });
+            videoEl.dataset.subtitleSize = prefs.size;
+            videoEl.dataset.subtitleBackground = prefs.background ? 'on' : 'off';
+        };
+
+        controls.addEventListener('change', (e) => {
+            const setting = e.target.dataset.setting;
+            if (!setting) return;
+
+            prefs[setting] = setting === 'background' ? e.target.checked : e.target.value;
+            apply();
+            Utils.writeStorage(storageKey, prefs);
+        });
+
+        /* 原生控件中切换字幕：按正在显示的轨道更新设置（只更新控件，不写入 localStorage） */
+        videoEl.textTracks.addEventListener('change', () => {
+            const showing = tracks.filter(track => track.mode === 'showing').map(track => track.language);
+            const selected = [prefs.lang, prefs.secondLang].filter(lang => lang !== 'off');
+            if (showing.length === selected.length && showing.every(lang => selected.includes(lang))) return;
+
+            prefs.lang = showing[0] || 'off';
+            prefs.secondLang = showing[1] || 'off';
+            render();
+        });
+
+        apply();
+        return controls;
+    },
 };
@@ -13,6 +13,20 @@
  *   7. 首页展示配置
  *   8. 功能开关
  *   9. 媒体配置
+ *  10. 离线访问配置（Service Worker）
+ *  11. 站内搜索配置
+ *  12. 作品关联类型
+ *  13. 创作人员角色
+ *  14. 作品版本
+ *  15. 迷你播放器（跨页面接续播放）
+ *  16. 波形进度条
+ *  17. 音频播放器
+ *  18. 作品授权
+ *  19. 播放队列
+ *  20. 收听记录
+ *  21. 练习工具
+ *  22. 嵌入播放器
+ *  23. 视频字幕
  *
  * 【重要】修改项目参数时，请优先在此文件中查找和调整，
  *         避免在业务代码中硬编码配置值。
@@ -80,13 +94,15 @@ const CONFIG = {
      * 集中管理所有作品分类标签及其样式映射。
      *
      * 【标签系统设计说明】
-     * - tags.registry：以标签名为键的查找表，每个条目包含 colorKey
+     * - tags.registry：以标签名为键的查找表，每个条目包含 colorKey 与 description
+     * - 一个作品可以有多个标签（作品数据中的 tags 数组，兼容旧的单个 tag 字符串）
      * - colorKey 用于生成 CSS 类名：tag--{colorKey}（如 tag--song）
      * - 同时对应 variables.css 中的 --tag-{colorKey}-bg / --tag-{colorKey}-text 变量
      * - 未在 registry 中注册的标签，将使用 tag--default 缺省样式
+     * - description 显示在标签页（page/tag.html?tag=标签名）的标题下方
      *
      * 【扩展方法】
-     * 1. 在 registry 中新增条目：'标签名': { colorKey: 'key' }
+     * 1. 在 registry 中新增条目：'标签名': { colorKey: 'key', description: '标签说明' }
      * 2. 在 variables.css 中添加 --tag-{key}-bg / --tag-{key}-text CSS 变量
      * 3. 在 components.css 中添加 .tag--{key} 样式类
      * 4. 如需修改现有标签颜色，只需修改 variables.css 中的对应变量值
@@ -95,24 +111,41 @@ const CONFIG = {
     tags: {
         /**
          * 标签注册表
-         * 键 = 作品数据中的 tag 字段值（如 "原创歌曲"）
-         * 值 = { colorKey } 用于映射 CSS 类名和变量
+         * 键 = 作品数据中 tags 数组的元素（如 "原创歌曲"）
+         * 值 = { colorKey, description }
+         *   colorKey    用于映射 CSS 类名和变量
+         *   description 标签说明，显示在标签页中
          */
         registry: {
             /** 原创歌曲 - 暖红色调 */
-            '原创歌曲': { colorKey: 'song' },
+            '原创歌曲': {
+                colorKey: 'song',
+                description: '作词、作曲均为原创的歌曲作品。',
+            },
 
             /** 纯音乐 - 深青色调 */
-            '纯音乐':   { colorKey: 'instrumental' },
+            '纯音乐': {
+                colorKey: 'instrumental',
+                description: '没有歌词的器乐作品，用旋律讲述故事。',
+            },
 
             /** 音乐MV - 翠绿色调 */
-            '音乐MV':   { colorKey: 'video' },
+            '音乐MV': {
+                colorKey: 'video',
+                description: '为原创歌曲制作的音乐视频。',
+            },
 
             /** 生活随笔 - 暖黄色调（预留） */
-            '生活随笔': { colorKey: 'essay' },
-
-            /** 创作记录 - 柔紫色调（预留） */
-            '创作记录': { colorKey: 'creation' },
+            '生活随笔': {
+                colorKey: 'essay',
+                description: '记录日常生活点滴的随笔。',
+            },
+
+            /** 创作记录 - 柔紫色调 */
+            '创作记录': {
+                colorKey: 'creation',
+                description: '附有创作手记、记录创作过程与心路的作品。',
+            },
         },
     },
 
@@ -148,6 +181,9 @@ const CONFIG = {
         /** 视频文件目录 */
         video:      '/artwork/video/',
 
+        /** 音频波形峰值文件目录（由 tools/generate-peaks.js 生成） */
+        peaks:      '/artwork/peaks/',
+
         /** 动态资源目录 */
         dynamic:    '/dynamic/',
 
@@ -162,17 +198,70 @@ const CONFIG = {
     /* ========================================================================
      * 五、数据源配置
      * ========================================================================
-     * 指定 JSON 数据文件的路径（站点根相对路径）。
+     * 指定各数据集的来源（数据源适配器）、路径（站点根相对路径）及其持久缓存策略。
      * 运行时会自动拼合 basePath。
-     * 如需更换数据源格式或位置，在此处修改。
+     * 如需更换数据源格式或位置，在此处修改，无需改动 data-loader.js。
+     *
+     * 【数据源类型】（source 字段，省略时为 'json'，实现见 data-sources.js）
+     * - 'json'    : 静态 JSON 文件，字段 url、maxAge
+     * - 'rest'    : 分页 REST 接口，字段 url、maxAge、paging
+     * - 'mock'    : 本地模拟接口，以 url 指向的静态 JSON 作为后端，按 rest 的分页协议响应；
+     *               可选 latency（模拟延迟，毫秒）、failureRate（0~1，模拟 503 的概率）
+     * - 'fixture' : 内存夹具，字段 fixture（DataSources.registerFixture 注册的名称）
+     *
+     * 【分页参数】（paging 字段，rest / mock 使用，均可省略）
+     *   { pageParam: 'page', sizeParam: 'pageSize', pageSize: 50, firstPage: 1,
+     *     itemsKey: 'items', totalKey: 'total', maxPages: 100 }
+     *
+     * 【示例】切换到接口：
+     *   artworks: { source: 'rest', url: 'https://api.example.com/works', maxAge: 600000,
+     *               paging: { pageSize: 20, itemsKey: 'data.list', totalKey: 'data.total' } }
+     *
+     * 【持久缓存说明】（需开启 features.persistentCache）
+     * - 数据文件在浏览器本地（IndexedDB）保存一份副本，跨页面导航复用
+     * - maxAge 内：直接使用本地副本，不发起请求
+     * - 超过 maxAge：先返回本地副本渲染页面，再在后台携带
+     *   If-None-Match / If-Modified-Since 重新验证，有更新时写回本地
+     * - 网络不可用时：继续使用本地副本，并在页面上提示数据可能不是最新
+     * - maxAge 为 0 表示每次打开页面都在后台重新验证
      * ====================================================================== */
 
     dataFiles: {
         /** 作品数据文件 */
-        artworks: '/data/artwork.json',
+        artworks: {
+            /** 数据源类型 */
+            source: 'json',
+
+            /** 文件路径 */
+            url: '/data/artwork.json',
+
+            /** 本地副本有效期（毫秒）：作品更新不频繁，10 分钟 */
+            maxAge: 10 * 60 * 1000,
+        },
 
         /** 动态数据文件 */
-        dynamics: '/data/dynamic.json',
+        dynamics: {
+            /** 数据源类型 */
+            source: 'json',
+
+            /** 文件路径 */
+            url: '/data/dynamic.json',
+
+            /** 本地副本有效期（毫秒）：动态更新较频繁，每次都重新验证 */
+            maxAge: 0,
+        },
+
+        /** 专辑/系列数据文件 */
+        albums: {
+            /** 数据源类型 */
+            source: 'json',
+
+            /** 文件路径 */
+            url: '/data/album.json',
+
+            /** 本地副本有效期（毫秒）：与作品数据一致 */
+            maxAge: 10 * 60 * 1000,
+        },
     },
 
 
@@ -219,11 +308,21 @@ const CONFIG = {
         /** 是否启用作品搜索功能 */
         searchEnabled: true,
 
+        /** 是否启用数据文件的持久缓存（IndexedDB，策略见 dataFiles） */
+        persistentCache: true,
+
         /** 是否启用联系表单（需后端支持） */
         contactFormEnabled: false,
 
         /** 联系表单提交接口地址（预留后端接口） */
         contactFormEndpoint: '/api/contact',
+
+        /**
+         * 是否启用开发者模式
+         * 开启后显示数据校验摘要面板等调试信息；
+         * 也可在页面 URL 后追加 ?dev=1 临时开启，无需修改此项。
+         */
+        devMode: false,
     },
 
 
@@ -231,6 +330,12 @@ const CONFIG = {
      * 九、媒体配置
      * ========================================================================
      * 控制音频/视频播放器的默认行为。
+     *
+     * 【多版本媒体（renditions）】
+     * 作品可在 renditions 中提供同一音频/视频的多个版本（格式、码率、分辨率），
+     * 播放器按浏览器支持情况（canPlayType）与网络状况排列 <source>，
+     * 并提供手动切换画质/音质（实现见 media-renditions.js）。
+     * 未提供 renditions 的作品使用 audio / video 字段与下方的默认格式。
      * ====================================================================== */
 
     media: {
@@ -245,6 +350,420 @@ const CONFIG = {
 
         /** 默认视频格式 */
         videoFormat: 'video/mp4',
+
+        /** 访客手动选择的画质/音质在本地偏好中的键名（值为 'auto' 或版本名称） */
+        qualityStorageKey: 'media-quality',
+
+        /** 视为慢速网络的 navigator.connection.effectiveType，此时优先低码率版本 */
+        slowConnectionTypes: ['slow-2g', '2g', '3g'],
+
+        /** 下行带宽估计低于此值（Mbps）时同样视为慢速网络 */
+        slowDownlinkMbps: 1.5,
+    },
+
+
+    /* ========================================================================
+     * 十、离线访问配置
+     * ========================================================================
+     * 控制 Service Worker（站点根目录的 sw.js）的注册与缓存行为。
+     *
+     * 【缓存策略】
+     * - 应用外壳（页面、script/*.js、style/*.css）：安装时预缓存，
+     *   之后先返回缓存再后台更新
+     * - 数据文件（dataFiles）：stale-while-revalidate
+     * - 作品媒体（音频/视频/封面/曲谱）：默认不缓存，
+     *   访客在作品详情页"保存以离线收听"后才写入缓存
+     *
+     * 【注意】
+     * - 修改了任何页面、脚本或样式后，请递增 shellVersion，
+     *   否则已访问过的浏览器会继续使用旧版本的应用外壳
+     * - Service Worker 需要在 HTTPS 或 localhost 下才能注册
+     * ====================================================================== */
+
+    offline: {
+        /** 是否启用离线访问（注册 Service Worker） */
+        enabled: true,
+
+        /** Service Worker 脚本路径（站点根相对路径，需位于站点根目录以覆盖全站） */
+        serviceWorker: '/sw.js',
+
+        /** 应用外壳缓存版本号，发布新版本时递增 */
+        shellVersion: 'v20',
+
+        /** 缓存名称前缀，避免与同域名下其他站点冲突 */
+        cachePrefix: 'oubo',
+    },
+
+
+    /* ========================================================================
+     * 十一、站内搜索配置
+     * ========================================================================
+     * 控制作品搜索的参与字段与相关度权重（实现见 search-engine.js）。
+     *
+     * 【评分规则】（每个字段的得分 = weight × 匹配系数）
+     * - 字段完全等于关键词 ×10，字段以关键词开头 ×4，字段包含关键词 ×3
+     * - 拼音全拼 / 首字母匹配 ×2，允许一个字母误差的拼音匹配 ×1
+     * - 中文关键词未整体命中时按双字切分（n-gram），命中比例达到一半即按比例计分
+     * - 关键词与标题（去掉书名号等标点后）完全一致时，额外加 exactTitleBoost
+     *
+     * 【字段选项】
+     * - pinyin: 是否参与拼音匹配（只建议用于标题类短字段，长文本会产生大量误命中）
+     * - 字段值可以是字符串或字符串数组（如 tags），数组的每个元素分别参与匹配
+     * - key 可使用点号读取数组中对象的属性（如 credits.name 即全部创作人员的姓名）
+     * ====================================================================== */
+
+    search: {
+        /** 参与搜索的字段（label 用于在结果中说明命中位置） */
+        fields: [
+            { key: 'title',        label: '标题',   weight: 10, pinyin: true },
+            { key: 'subtitle',     label: '副标题', weight: 6,  pinyin: true },
+            { key: 'tags',         label: '分类',   weight: 4,  pinyin: true },
+            { key: 'credits.name', label: '创作人员', weight: 5,  pinyin: true },
+            { key: 'id',           label: '编号',   weight: 5 },
+            { key: 'createDate',   label: '创作时间', weight: 3 },
+            { key: 'lyrics',       label: '歌词',   weight: 1 },
+        ],
+
+        /** 关键词与标题完全一致时的额外加分 */
+        exactTitleBoost: 200,
+
+        /** 结果摘要中匹配位置前后保留的字数 */
+        snippetRadius: 16,
+    },
+
+
+    /* ========================================================================
+     * 十二、作品关联类型
+     * ========================================================================
+     * 作品数据中 relations 字段可使用的关联类型，如 V001 是 S001 的 MV：
+     *   "relations": { "mvOf": ["S001"] }
+     * 关联只需在一侧声明，DataLoader 会自动解析反方向。
+     *
+     * - label        : 在声明方详情页显示的名称（V001 页面显示"原曲"）
+     * - inverseLabel : 在被关联方详情页显示的名称（S001 页面显示"观看MV"）
+     *
+     * 新增类型时，需同步在 data-schema.js 的 work.relations 中声明。
+     * ====================================================================== */
+
+    relations: {
+        mvOf:       { label: '原曲',     inverseLabel: '观看MV' },
+        versionOf:  { label: '原版本',   inverseLabel: '其他版本' },
+        remixOf:    { label: '原曲',     inverseLabel: '混音版' },
+        inspiredBy: { label: '灵感来源', inverseLabel: '由此启发' },
+    },
+
+
+    /* ========================================================================
+     * 十三、创作人员角色
+     * ========================================================================
+     * 作品数据中 credits 字段可使用的角色，如：
+     *   "credits": [{ "role": "composer", "name": "鸥波萍迹" }]
+     * 详情页侧边栏按此处的顺序分组显示，点击人名进入人物页（page/person.html?name=…）。
+     *
+     * - label : 角色显示名称
+     *
+     * 未提供 credits 的作品，以 creator 字段作为"创作者"（creator 角色）显示。
+     * ====================================================================== */
+
+    credits: {
+        roles: {
+            lyricist:  { label: '作词' },
+            composer:  { label: '作曲' },
+            arranger:  { label: '编曲' },
+            vocalist:  { label: '演唱' },
+            performer: { label: '演奏' },
+            director:  { label: '视频导演' },
+            creator:   { label: '创作者' },
+        },
+    },
+
+
+    /* ========================================================================
+     * 十四、作品版本
+     * ========================================================================
+     * 同一首作品的不同录音（小样、正式版、原声版、现场版等）写在作品的
+     * versions 字段中，作品集仍只显示一张卡片（标注版本数量），
+     * 详情页播放器上方显示版本切换。
+     *
+     * - label : 版本类型显示名称（版本自身的 label 字段优先）
+     *
+     * 未在此注册的 kind 仍可使用，校验时给出警告，页面直接显示 kind。
+     * ====================================================================== */
+
+    versions: {
+        kinds: {
+            demo:     { label: '小样' },
+            final:    { label: '正式版' },
+            acoustic: { label: '原声版' },
+            live:     { label: '现场版' },
+        },
+    },
+
+
+    /* ========================================================================
+     * 十五、迷你播放器
+     * ========================================================================
+     * 站点由多个独立页面组成，每次跳转都会重新加载文档。为了离开作品详情页后
+     * 仍能继续收听，正在播放的音频状态（作品、播放源、位置、是否在播放）保存在
+     * 当前标签页的 sessionStorage 中，下一个页面在底部的迷你播放器中从同一位置接续。
+     *
+     * 【注意】
+     * - 只接续音频；MV 等视频作品离开页面后停止
+     * - 浏览器禁止自动播放时，迷你播放器停在接续位置，由访客点击播放
+     * ====================================================================== */
+
+    miniPlayer: {
+        /** 是否启用迷你播放器 */
+        enabled: true,
+
+        /** sessionStorage 中保存播放状态的键名（Utils 会自动加前缀） */
+        storageKey: 'mini-player',
+
+        /** 播放状态保存后超过此时长（毫秒）再打开页面时，只恢复位置、不自动播放 */
+        autoResumeWindow: 10 * 60 * 1000,
+    },
+
+
+    /* ========================================================================
+     * 十六、波形进度条
+     * ========================================================================
+     * 作品详情页的音频播放器上方绘制整首歌的波形，可点击、拖动跳转（见 waveform.js）。
+     * 波形优先读取 paths.peaks 下预先生成的峰值文件：
+     *   node tools/generate-peaks.js
+     * 没有峰值文件时可下载音频在浏览器中解码计算（慢速网络时跳过）。
+     *
+     * 【注意】
+     * - 修改 peakCount 后需重新生成峰值文件（node tools/generate-peaks.js --force）
+     * ====================================================================== */
+
+    waveform: {
+        /** 是否显示波形进度条 */
+        enabled: true,
+
+        /** 没有峰值文件时，是否下载音频在浏览器中解码计算波形 */
+        decodeFallback: true,
+
+        /** 每首歌的峰值个数（峰值文件与浏览器解码共用） */
+        peakCount: 800,
+
+        /** 波形竖条的宽度与间距（像素） */
+        barWidth: 2,
+        barGap: 1,
+
+        /** 键盘方向键每次跳转的秒数 */
+        keyboardStep: 5,
+    },
+
+
+    /* ========================================================================
+     * 十七、音频播放器
+     * ========================================================================
+     * 作品详情页使用自定义的音频播放器（UIComponents.createAudioPlayer），
+     * 外观随 variables.css 的主题变化，不再依赖各浏览器不同的原生控件。
+     *
+     * 键盘操作（焦点在播放器内时）：
+     *   空格 播放/暂停，←/→ 后退/前进 seekStep 秒，↑/↓ 增大/减小音量
+     * ====================================================================== */
+
+    player: {
+        /** 可选的播放速度（练习时可放慢到 0.5 倍；变速时保持音高，见 UIComponents._preservePitch） */
+        rates: [0.5, 0.6, 0.75, 0.9, 1, 1.1, 1.25, 1.5],
+
+        /** 方向键每次跳转的秒数（PageUp / PageDown 为 6 倍） */
+        seekStep: 5,
+
+        /** 方向键每次调整的音量（0~1） */
+        volumeStep: 0.1,
+
+        /** localStorage 中保存音量与静音状态的键名（Utils 会自动加前缀） */
+        volumeStorageKey: 'player-volume',
+    },
+
+
+    /* ========================================================================
+     * 十八、作品授权
+     * ========================================================================
+     * 作品数据中 license 字段可使用的授权方式，如：
+     *   "license": "cc-by-nc-4.0"
+     * 播放器只为允许下载的授权显示"下载"链接，并注明授权方式。
+     *
+     * - label         : 授权显示名称
+     * - url           : 授权条款链接（可选）
+     * - allowDownload : 是否提供下载
+     *
+     * 未填写 license 的作品按 defaultLicense 处理（默认保留所有权利，不提供下载）。
+     * ====================================================================== */
+
+    licenses: {
+        defaultLicense: 'all-rights-reserved',
+
+        types: {
+            'all-rights-reserved': { label: '保留所有权利', allowDownload: false },
+            'cc-by-4.0':           { label: 'CC BY 4.0',       url: 'https://creativecommons.org/licenses/by/4.0/deed.zh-hans',       allowDownload: true },
+            'cc-by-sa-4.0':        { label: 'CC BY-SA 4.0',    url: 'https://creativecommons.org/licenses/by-sa/4.0/deed.zh-hans',    allowDownload: true },
+            'cc-by-nc-4.0':        { label: 'CC BY-NC 4.0',    url: 'https://creativecommons.org/licenses/by-nc/4.0/deed.zh-hans',    allowDownload: true },
+            'cc-by-nc-nd-4.0':     { label: 'CC BY-NC-ND 4.0', url: 'https://creativecommons.org/licenses/by-nc-nd/4.0/deed.zh-hans', allowDownload: true },
+            'cc0-1.0':             { label: 'CC0 1.0',         url: 'https://creativecommons.org/publicdomain/zero/1.0/deed.zh-hans', allowDownload: true },
+        },
+    },
+
+
+    /* ========================================================================
+     * 十九、播放队列
+     * ========================================================================
+     * 作品集"全部播放"、作品卡片"下一首播放 / 加入队列"组成的播放队列，
+     * 由迷你播放器按顺序播放（见 play-queue.js）。队列保存在 localStorage，
+     * 关闭浏览器后仍然保留；只有音频作品会加入队列。
+     * ====================================================================== */
+
+    playQueue: {
+        /** localStorage 中保存队列的键名（Utils 会自动加前缀） */
+        storageKey: 'play-queue',
+
+        /** 队列最多容纳的作品数 */
+        maxItems: 200,
+
+        /** 播放超过此秒数时，"上一首"先回到本曲开头 */
+        restartThreshold: 3,
+    },
+
+
+    /* ========================================================================
+     * 二十、收听记录
+     * ========================================================================
+     * 记录每首作品听到的位置（作品详情页提示"继续播放"）与最近收听的作品
+     * （首页"最近播放"），见 listening-history.js。
+     * 记录只保存在访客浏览器的 localStorage 中，不会上传。
+     * ====================================================================== */
+
+    history: {
+        /** 是否启用收听记录（关闭后不再记录，也不显示"继续播放"与"最近播放"） */
+        enabled: true,
+
+        /** localStorage 中保存记录的键名（Utils 会自动加前缀） */
+        storageKey: 'listening-history',
+
+        /** 最多保留的作品数 */
+        maxItems: 20,
+
+        /** 首页"最近播放"显示的作品数 */
+        homeCount: 4,
+
+        /** 播放中保存位置的间隔（毫秒） */
+        saveInterval: 5000,
+
+        /** 听到的位置不足此秒数时不提示"继续播放" */
+        minPosition: 10,
+
+        /** 距结尾不足此秒数时视为已听完，下次从头播放 */
+        finishMargin: 10,
+    },
+
+
+    /* ========================================================================
+     * 二十一、练习工具
+     * ========================================================================
+     * 作品详情页播放器下方的 A-B 循环（UIComponents.createPracticeTools），
+     * 便于对照曲谱反复练习某一段。循环段写入 URL（如 &loop=42-68），
+     * 老师可以把某一段的链接直接分享给学生。
+     * ====================================================================== */
+
+    practice: {
+        /** 是否显示练习工具 */
+        enabled: true,
+
+        /** 可选的循环次数，0 表示不限次数；达到次数后停在 A 点 */
+        loopCounts: [0, 2, 3, 5, 10],
+
+        /** 循环段的最短时长（秒） */
+        minLoopLength: 1,
+    },
+
+
+    /* ========================================================================
+     * 二十二、嵌入播放器
+     * ========================================================================
+     * page/embed.html?id=S001 只显示播放器、标题与作品链接，供其他网站用 <iframe> 嵌入。
+     * 作品详情页的"嵌入"对话框生成嵌入代码（UIComponents.createEmbedDialog）。
+     * ====================================================================== */
+
+    embed: {
+        /** 是否在作品详情页提供"嵌入"按钮（关闭后 embed.html 仍可访问） */
+        enabled: true,
+
+        /** theme 参数的可选值与显示名称；auto 跟随访客系统的深浅色设置 */
+        themes: {
+            light: '浅色',
+            dark: '深色',
+            auto: '跟随系统',
+        },
+
+        /** 未指定或无法识别 theme 参数时使用的主题 */
+        defaultTheme: 'light',
+
+        /**
+         * 嵌入代码的尺寸预设（按作品的媒体类型）
+         * width 为像素数，或 '100%' 表示随所在页面的宽度变化；
+         * 视频的高度包含 16:9 的画面与下方的标题栏。
+         */
+        sizes: {
+            audio: [
+                { key: 'responsive', label: '自适应宽度', width: '100%', height: 180 },
+                { key: 'small', label: '小', width: 360, height: 200 },
+                { key: 'medium', label: '中', width: 560, height: 180 },
+            ],
+            video: [
+                { key: 'small', label: '小', width: 480, height: 330 },
+                { key: 'medium', label: '中', width: 640, height: 420 },
+                { key: 'large', label: '大', width: 854, height: 540 },
+            ],
+        },
+    },
+
+
+    /* ========================================================================
+     * 二十三、视频字幕
+     * ========================================================================
+     * 作品详情页为视频添加 <track kind="subtitles">：作品 subtitles 字段中的 .vtt 文件，
+     * 以及由同步歌词生成的字幕（视频自身的歌词，或 mvOf 关联的原曲的歌词）。
+     * 视频下方可选择字幕语言、第二字幕、字号与背景，选择保存在 localStorage。
+     * ====================================================================== */
+
+    subtitles: {
+        /** 是否为视频添加字幕与字幕设置 */
+        enabled: true,
+
+        /** 首次观看时是否显示字幕（之后按访客的选择） */
+        showByDefault: true,
+
+        /** 由同步歌词生成的字幕的语言与名称；作品提供同一语言的 .vtt 文件时以文件为准 */
+        lyricsTrack: {
+            srclang: 'zh',
+            label: '中文（歌词）',
+        },
+
+        /** .vtt 文件未填写 label 时按语言显示的名称 */
+        languages: {
+            zh: '中文',
+            en: 'English',
+            ja: '日本語',
+        },
+
+        /** 由歌词生成字幕时，最后一句显示的秒数（其余各句显示到下一句开始） */
+        lastCueDuration: 6,
+
+        /** 字号选项，对应 components.css 中 [data-subtitle-size] 的样式 */
+        sizes: {
+            small: '小',
+            medium: '中',
+            large: '大',
+        },
+
+        /** 默认字号 */
+        defaultSize: 'medium',
+
+        /** localStorage 中保存字幕设置的键名（Utils 会自动加前缀） */
+        storageKey: 'subtitle-prefs',
     },
 };
 
@@ -20,6 +20,12 @@
  * 页面初始化
  */
 document.addEventListener('DOMContentLoaded', () => {
+    /* 注册 Service Worker，支持离线浏览 */
+    OfflineManager.register();
+
+    /* 接续其他页面正在播放的音频 */
+    MiniPlayer.init();
+
     initContactForm();
 });
 
@@ -3,16 +3,27 @@
  * 鸥波艺境 - 数据加载器 (data-loader.js)
  * ============================================================================
  *
- * 本文件封装了作品和动态数据的加载、缓存、查询逻辑，
+ * 本文件封装了作品、动态和专辑数据的加载、缓存、查询逻辑，
  * 为各个页面提供统一的数据访问接口。
  *
  * 【核心功能】
- *   1. 加载并缓存 JSON 数据，避免重复请求
- *   2. 提供按 ID、按类型、按关键词查询的方法
- *   3. 支持作品和动态的排序
+ *   1. 通过数据源适配器（DataSources）加载并缓存数据，避免重复请求
+ *   2. 加载时按 DataSchema 校验记录，隔离无效记录
+ *   3. 每次加载后建立索引（ID、标签、类型、年份、关联作品），查询不再逐条扫描
+ *      （一个作品可有多个标签，tags 数组兼容旧的单个 tag 字符串；创作人员按姓名索引）
+ *   4. 解析作品之间的关联（MV、版本、混音、灵感来源），双向可查
+ *   5. 提供按 ID、按类型、按关键词查询的方法
+ *   6. 支持作品和动态的排序
+ *   7. 加载专辑数据，按专辑顺序取得曲目、查询作品被哪些专辑收录
+ *   8. 统一作品的版本列表（小样、正式版、现场版等），确定默认版本
+ *   9. 统一同步歌词（lrc / timedLyrics）为 work.timedLyrics
+ *  10. 统一作品的段落（前奏、主歌、副歌等）为按开始时间排序的 work.sections
+ *  11. 统一视频的字幕文件为 work.subtitles（每种语言一项，补全显示名称）
  *
  * 【使用方式】
- *   本文件需要在 config.js 和 utils.js 之后引入。
+ *   本文件需要在 config.js、utils.js、data-schema.js、data-sources.js 和 lyrics-sync.js 之后引入。
+ *   数据来源（静态 JSON / REST 接口 / 模拟接口 / 内存夹具）由 CONFIG.dataFiles 决定，
+ *   查询方法与数据来源无关。
  *   通过全局 DataLoader 对象访问。
  *
  * @version 1.0.0
@@ -28,11 +39,40 @@ const DataLoader = {
      * 使用对象缓存已加载的数据，避免同一数据被多次请求。
      * _cache.works   : 作品数据数组
      * _cache.dynamics : 动态数据数组
+     * _cache.albums   : 专辑数据数组
      * ====================================================================== */
 
     _cache: {
         works: null,
         dynamics: null,
+        albums: null,
+    },
+
+    /**
+     * 查询索引（随数据加载一起建立，clearCache 时一并清除）
+     * _index.works    : { byId, byTag, byType, byYear, byPerson, relations, search }
+     *                   relations 为 { 作品ID: [{ type, direction, work }] }，含双向关联
+     *                   search 为 SearchEngine 索引，首次搜索时才建立
+     * _index.dynamics : { byId, byRelatedWork }
+     * _index.albums   : { byId, byWork }
+     * 各索引均为 Map；除 byId 外，值为按原始顺序排列的记录数组。
+     */
+    _index: {
+        works: null,
+        dynamics: null,
+        albums: null,
+    },
+
+    /**
+     * 最近一次加载的校验报告（由 DataSchema.validateCollection 生成）
+     * _diagnostics.works    : 作品数据校验报告
+     * _diagnostics.dynamics : 动态数据校验报告
+     * _diagnostics.albums   : 专辑数据校验报告
+     */
+    _diagnostics: {
+        works: null,
+        dynamics: null,
+        albums: null,
     },
 
 
@@ -46,10 +86,13 @@ const DataLoader = {
     /**
      * 加载作品数据
      * 如果数据已缓存，直接返回缓存数据。
-     * 首次加载时使用 loadJSON 提供超时保护和自动重试。
+     * 首次加载时通过 CONFIG.dataFiles.artworks 指定的数据源适配器获取记录，
+     * 并按 DataSchema 校验每条记录，未通过校验的记录被隔离，不会返回。
+     * 返回的作品均带有 tags 数组（见 getWorkTags）、credits 数组（见 getWorkCredits）
+     * 与 versions 数组（见 getWorkVersions）。
      *
      * @param {boolean} [forceRefresh=false] - 是否强制刷新（忽略缓存）
-     * @returns {Promise<Array>} 作品数据数组
+     * @returns {Promise<Array>} 通过校验的作品数据数组
      * @throws {Error} 网络错误、超时、或数据格式错误
      */
     async loadWorks(forceRefresh = false) {
@@ -58,25 +101,51 @@ const DataLoader = {
             return this._cache.works;
         }
 
-        /* 使用 loadJSON 加载数据，内置超时保护和自动重试 */
-        const data = await Utils.loadJSON(CONFIG.dataFiles.artworks);
+        /* 通过数据源适配器加载原始记录 */
+        const data = await DataSources.load(CONFIG.dataFiles.artworks, { forceRefresh });
+
+        /* 逐条校验，隔离无效记录，避免单条坏数据导致整页渲染失败 */
+        const works = this._validate(data, 'work', 'works');
+
+        /* 统一分类标签为 tags 数组（兼容旧的单个 tag 字符串），后续代码只读取 work.tags；
+           未提供创作人员的作品以 creator 作为"创作者"，后续代码只读取 work.credits；
+           只在 versions 中提供媒体的作品，以默认版本作为主媒体（专辑连播、离线保存、has: 筛选读取 audio/video）；
+           同步歌词统一为 work.timedLyrics，只提供同步歌词的作品由它生成纯文本 lyrics（搜索、has:lyrics 读取 lyrics）；
+           段落统一为按开始时间排序的 work.sections（见 getWorkSections），字幕文件统一为 work.subtitles（见 getWorkSubtitles） */
+        works.forEach(work => {
+            work.tags = this.getWorkTags(work);
+            work.credits = this.getWorkCredits(work);
+            work.versions = this.getWorkVersions(work);
+
+            const defaultVersion = work.versions.find(version => version.isDefault);
+            if (defaultVersion && !work.audio && !work.video && !work.renditions) {
+                work.audio = defaultVersion.audio;
+                work.video = defaultVersion.video;
+                work.renditions = defaultVersion.renditions;
+            }
 
-        /* 校验数据格式 */
-        if (!Array.isArray(data)) {
-            throw new Error('作品数据格式错误：预期为数组');
-        }
+            work.timedLyrics = LyricsSync.getLines(work);
+            if (!work.lyrics && work.timedLyrics.length > 0) {
+                work.lyrics = LyricsSync.toPlainText(work.timedLyrics);
+            }
+
+            work.sections = this.getWorkSections(work);
+            work.subtitles = this.getWorkSubtitles(work);
+        });
 
-        /* 写入缓存 */
-        this._cache.works = data;
-        return data;
+        /* 写入缓存并建立索引 */
+        this._cache.works = works;
+        this._index.works = this._buildWorkIndex(works);
+        return works;
     },
 
     /**
      * 加载动态数据
-     * 首次加载时使用 loadJSON 提供超时保护和自动重试。
+     * 首次加载时通过 CONFIG.dataFiles.dynamics 指定的数据源适配器获取记录，
+     * 并按 DataSchema 校验每条记录，未通过校验的记录被隔离，不会返回。
      *
      * @param {boolean} [forceRefresh=false] - 是否强制刷新
-     * @returns {Promise<Array>} 动态数据数组
+     * @returns {Promise<Array>} 通过校验的动态数据数组
      * @throws {Error} 网络错误、超时、或数据格式错误
      */
     async loadDynamics(forceRefresh = false) {
@@ -84,15 +153,35 @@ const DataLoader = {
             return this._cache.dynamics;
         }
 
-        /* 使用 loadJSON 加载数据，内置超时保护和自动重试 */
-        const data = await Utils.loadJSON(CONFIG.dataFiles.dynamics);
+        const data = await DataSources.load(CONFIG.dataFiles.dynamics, { forceRefresh });
+
+        const dynamics = this._validate(data, 'dynamic', 'dynamics');
+
+        this._cache.dynamics = dynamics;
+        this._index.dynamics = this._buildDynamicIndex(dynamics);
+        return dynamics;
+    },
 
-        if (!Array.isArray(data)) {
-            throw new Error('动态数据格式错误：预期为数组');
+    /**
+     * 加载专辑数据
+     * 专辑只在专辑页与作品的"收录于"信息中使用，不包含在 loadAll 中。
+     *
+     * @param {boolean} [forceRefresh=false] - 是否强制刷新
+     * @returns {Promise<Array>} 通过校验的专辑数据数组
+     * @throws {Error} 网络错误、超时、或数据格式错误
+     */
+    async loadAlbums(forceRefresh = false) {
+        if (this._cache.albums && !forceRefresh) {
+            return this._cache.albums;
         }
 
-        this._cache.dynamics = data;
-        return data;
+        const data = await DataSources.load(CONFIG.dataFiles.albums, { forceRefresh });
+
+        const albums = this._validate(data, 'album', 'albums');
+
+        this._cache.albums = albums;
+        this._index.albums = this._buildAlbumIndex(albums);
+        return albums;
     },
 
     /**
@@ -111,12 +200,201 @@ const DataLoader = {
     },
 
     /**
-     * 清除所有缓存
+     * 清除所有缓存（内存缓存与索引、模拟接口的后端数据与浏览器本地的持久副本）
      * 在数据文件更新后调用，确保下次加载获取最新数据。
      */
     clearCache() {
         this._cache.works = null;
         this._cache.dynamics = null;
+        this._cache.albums = null;
+        this._index.works = null;
+        this._index.dynamics = null;
+        this._index.albums = null;
+        DataSources.mockServer.reset();
+        Utils.clearDataCache();
+        this._diagnostics.works = null;
+        this._diagnostics.dynamics = null;
+        this._diagnostics.albums = null;
+        DataSchema.clearReports();
+    },
+
+    /**
+     * 按 Schema 校验数据并记录诊断报告
+     *
+     * @param {Array} records - 原始记录数组
+     * @param {string} schemaName - Schema 名称（'work' | 'dynamic'）
+     * @param {string} key - 诊断报告的存放键（'works' | 'dynamics' | 'albums'）
+     * @returns {Array} 通过校验的记录
+     * @private
+     */
+    _validate(records, schemaName, key) {
+        const report = DataSchema.validateCollection(records, schemaName);
+        this._diagnostics[key] = report;
+        DataSchema.report(report);
+        return report.valid;
+    },
+
+    /**
+     * 获取最近一次加载的校验报告
+     * 可用于调试或在页面中展示被隔离的记录。
+     *
+     * @returns {{ works: Object|null, dynamics: Object|null, albums: Object|null }} 校验报告，未加载的数据为 null
+     *
+     * @example
+     * await DataLoader.loadAll();
+     * DataLoader.getDiagnostics().works.quarantined
+     * // → [{ id: 'S009', index: 5, record: {...}, issues: [...] }]
+     */
+    getDiagnostics() {
+        return { ...this._diagnostics };
+    },
+
+
+    /* ========================================================================
+     * 一-B、查询索引
+     * ========================================================================
+     * 每次加载（含强制刷新）后整体重建，一次遍历完成；
+     * 查询方法通过 _getWorkIndex / _getDynamicIndex 取得索引，保证数据已加载。
+     * ====================================================================== */
+
+    /**
+     * 建立作品索引
+     *
+     * @param {Array} works - 通过校验的作品数组
+     * @returns {{byId: Map, byTag: Map, byType: Map, byYear: Map, byPerson: Map, relations: Map}}
+     * @private
+     */
+    _buildWorkIndex(works) {
+        const index = {
+            byId: new Map(),
+            byTag: new Map(),
+            byType: new Map(),
+            byYear: new Map(),
+            byPerson: new Map(),
+            relations: new Map(),
+            search: null,
+        };
+
+        works.forEach(work => {
+            index.byId.set(work.id, work);
+            work.tags.forEach(tag => this._addToIndex(index.byTag, tag, work));
+            this._addToIndex(index.byType, work.type, work);
+            /* createDate 为 "YYYY-MM"，取前四位作为年份 */
+            this._addToIndex(index.byYear, work.createDate ? work.createDate.slice(0, 4) : null, work);
+            /* 同一人在一个作品中担任多个角色时只计一次 */
+            new Set(work.credits.map(credit => credit.name))
+                .forEach(name => this._addToIndex(index.byPerson, name, work));
+        });
+
+        /* 关联需要先有完整的 ID 索引才能解析，单独遍历一次 */
+        works.forEach(work => {
+            Object.entries(work.relations || {}).forEach(([type, ids]) => {
+                if (!CONFIG.relations[type]) return;
+
+                ids.forEach(id => {
+                    const target = index.byId.get(id);
+                    if (!target || target === work) {
+                        console.warn(`[DataLoader] 作品 ${work.id} 的关联 ${type} 指向无效的作品 "${id}"，已忽略`);
+                        return;
+                    }
+                    this._addToIndex(index.relations, work.id, { type, direction: 'outgoing', work: target });
+                    this._addToIndex(index.relations, target.id, { type, direction: 'incoming', work });
+                });
+            });
+        });
+
+        return index;
+    },
+
+    /**
+     * 建立动态索引
+     *
+     * @param {Array} dynamics - 通过校验的动态数组
+     * @returns {{byId: Map, byRelatedWork: Map}}
+     * @private
+     */
+    _buildDynamicIndex(dynamics) {
+        const index = {
+            byId: new Map(),
+            byRelatedWork: new Map(),
+        };
+
+        dynamics.forEach(d => {
+            index.byId.set(d.id, d);
+            this.getDynamicWorkIds(d).forEach(workId => this._addToIndex(index.byRelatedWork, workId, d));
+        });
+
+        return index;
+    },
+
+    /**
+     * 建立专辑索引
+     * byWork 以作品 ID 为键，值为收录该作品的专辑（一首作品可被多张专辑收录）。
+     *
+     * @param {Array} albums - 通过校验的专辑数组
+     * @returns {{byId: Map, byWork: Map}}
+     * @private
+     */
+    _buildAlbumIndex(albums) {
+        const index = {
+            byId: new Map(),
+            byWork: new Map(),
+        };
+
+        albums.forEach(album => {
+            index.byId.set(album.id, album);
+            new Set(album.tracks).forEach(workId => this._addToIndex(index.byWork, workId, album));
+        });
+
+        return index;
+    },
+
+    /**
+     * 向"一对多"索引中追加记录（键为空时跳过）
+     *
+     * @param {Map} map - 索引
+     * @param {string|null} key - 索引键
+     * @param {Object} record - 记录
+     * @private
+     */
+    _addToIndex(map, key, record) {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(record);
+    },
+
+    /**
+     * 获取作品索引（必要时先加载作品数据）
+     *
+     * @returns {Promise<Object>} 作品索引
+     * @private
+     */
+    async _getWorkIndex() {
+        await this.loadWorks();
+        return this._index.works;
+    },
+
+    /**
+     * 获取动态索引（必要时先加载动态数据）
+     *
+     * @returns {Promise<Object>} 动态索引
+     * @private
+     */
+    async _getDynamicIndex() {
+        await this.loadDynamics();
+        return this._index.dynamics;
+    },
+
+
+    /**
+     * 获取专辑索引（必要时先加载专辑数据）
+     *
+     * @returns {Promise<Object>} 专辑索引
+     * @private
+     */
+    async _getAlbumIndex() {
+        await this.loadAlbums();
+        return this._index.albums;
     },
 
 
@@ -133,8 +411,8 @@ const DataLoader = {
      * @returns {Promise<Object|null>} 作品对象，未找到返回 null
      */
     async getWorkById(id) {
-        const works = await this.loadWorks();
-        return works.find(work => work.id === id) || null;
+        const index = await this._getWorkIndex();
+        return index.byId.get(id) || null;
     },
 
     /**
@@ -145,9 +423,9 @@ const DataLoader = {
      * @returns {Promise<Array>} 作品数组
      */
     async getWorksByIds(ids) {
-        const works = await this.loadWorks();
+        const index = await this._getWorkIndex();
         return ids
-            .map(id => works.find(work => work.id === id))
+            .map(id => index.byId.get(id))
             .filter(Boolean);  /* 过滤掉未找到的作品 */
     },
 
@@ -158,8 +436,8 @@ const DataLoader = {
      * @returns {Promise<Array>} 符合类型的作品数组
      */
     async getWorksByType(type) {
-        const works = await this.loadWorks();
-        return works.filter(work => work.type === type);
+        const index = await this._getWorkIndex();
+        return [...(index.byType.get(type) || [])];
     },
 
     /**
@@ -169,41 +447,59 @@ const DataLoader = {
      * @returns {Promise<Array>}
      */
     async getWorksByTag(tag) {
-        const works = await this.loadWorks();
-        return works.filter(work => work.tag === tag);
+        const index = await this._getWorkIndex();
+        return [...(index.byTag.get(tag) || [])];
+    },
+
+    /**
+     * 按创作年份筛选作品
+     *
+     * @param {string|number} year - 年份（如 2024 或 "2024"）
+     * @returns {Promise<Array>}
+     */
+    async getWorksByYear(year) {
+        const index = await this._getWorkIndex();
+        return [...(index.byYear.get(String(year)) || [])];
     },
 
     /**
-     * 关键词搜索作品
-     * 在标题、副标题、标签、作品ID、创作日期、歌词中搜索匹配的作品。
+     * 关键词搜索作品（按相关度排序）
+     * 评分规则与参与字段见 CONFIG.search，支持拼音全拼与首字母。
      *
      * @param {string} keyword - 搜索关键词
-     * @returns {Promise<Array>} 匹配的作品数组
+     * @returns {Promise<Array>} 匹配的作品数组（相关度由高到低）
      */
     async searchWorks(keyword) {
         if (!keyword || !keyword.trim()) {
             return this.loadWorks();
         }
 
-        const works = await this.loadWorks();
-        const lowerKeyword = keyword.toLowerCase().trim();
+        const hits = await this.searchWorksRanked(keyword);
+        return hits.map(hit => hit.work);
+    },
 
-        return works.filter(work => {
-            /* 在多个字段中搜索关键词 */
-            const searchFields = [
-                work.title,
-                work.subtitle,
-                // work.description,    /* 作品描述信息暂不作为筛选信息源 */
-                work.tag,
-                work.id,
-                work.createDate,
-                work.lyrics
-            ].filter(Boolean);  /* 过滤掉空值 */
-
-            return searchFields.some(field =>
-                field.toLowerCase().includes(lowerKeyword)
-            );
-        });
+    /**
+     * 关键词搜索作品，返回带评分与命中说明的结果
+     *
+     * @param {string} keyword - 搜索关键词
+     * @returns {Promise<Array<{work: Object, score: number, field: string, fieldLabel: string, snippet: Object}>>}
+     *   - field / fieldLabel: 主要命中的字段（如 'lyrics' / '歌词'）
+     *   - snippet: { text, start, end } 命中位置附近的原文片段及高亮范围
+     *
+     * @example
+     * const hits = await DataLoader.searchWorksRanked('xiegei');
+     * // → [{ work: { id: 'S001', ... }, field: 'title', fieldLabel: '标题', snippet: { text: '写给春天的歌', start: 0, end: 2 }, ... }]
+     */
+    async searchWorksRanked(keyword) {
+        if (!keyword || !keyword.trim()) return [];
+
+        const index = await this._getWorkIndex();
+        if (!index.search) {
+            index.search = SearchEngine.createIndex(this._cache.works, CONFIG.search.fields);
+        }
+
+        return SearchEngine.search(index.search, keyword)
+            .map(({ record, ...hit }) => ({ work: record, ...hit }));
     },
 
     /**
@@ -212,9 +508,296 @@ const DataLoader = {
      * @returns {Promise<string[]>} 标签数组
      */
     async getAllTags() {
-        const works = await this.loadWorks();
-        const tags = [...new Set(works.map(work => work.tag).filter(Boolean))];
-        return tags;
+        const index = await this._getWorkIndex();
+        return [...index.byTag.keys()];
+    },
+
+    /**
+     * 获取各分类标签的作品数量（作品多的在前，数量相同时保持首次出现的顺序）
+     *
+     * @returns {Promise<Array<{tag: string, count: number}>>}
+     *
+     * @example
+     * await DataLoader.getTagCounts();
+     * // → [{ tag: '原创歌曲', count: 3 }, { tag: '音乐MV', count: 1 }, ...]
+     */
+    async getTagCounts() {
+        const index = await this._getWorkIndex();
+        return [...index.byTag.entries()]
+            .map(([tag, works]) => ({ tag, count: works.length }))
+            .sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * 获取作品的全部分类标签
+     * 作品可以用 tags 数组声明多个标签，也可以沿用旧的单个 tag 字符串，
+     * 两者同时存在时合并（去重，tag 在前）。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {string[]} 标签数组（可能为空）
+     *
+     * @example
+     * DataLoader.getWorkTags({ tag: '原创歌曲', tags: ['创作记录'] });
+     * // → ['原创歌曲', '创作记录']
+     */
+    getWorkTags(work) {
+        const tags = [work.tag, ...(Array.isArray(work.tags) ? work.tags : [])].filter(Boolean);
+        return [...new Set(tags)];
+    },
+
+    /**
+     * 获取某位创作人员参与的全部作品
+     *
+     * @param {string} name - 姓名（与 credits 中的 name 完全一致）
+     * @returns {Promise<Array>}
+     */
+    async getWorksByPerson(name) {
+        const index = await this._getWorkIndex();
+        return [...(index.byPerson.get(name) || [])];
+    },
+
+    /**
+     * 获取全部创作人员（参与作品多的在前）
+     *
+     * @returns {Promise<Array<{name: string, count: number, roles: string[], link: string|null}>>}
+     *   - roles: 担任过的角色（按 CONFIG.credits.roles 的顺序）
+     *   - link : 任一署名中提供的外部链接
+     */
+    async getAllPeople() {
+        const index = await this._getWorkIndex();
+        const roleOrder = Object.keys(CONFIG.credits.roles);
+
+        return [...index.byPerson.entries()]
+            .map(([name, works]) => {
+                const credits = works.flatMap(work => work.credits.filter(credit => credit.name === name));
+                const roles = new Set(credits.map(credit => credit.role));
+                const withLink = credits.find(credit => credit.link);
+                return {
+                    name,
+                    count: works.length,
+                    roles: roleOrder.filter(role => roles.has(role)),
+                    link: withLink ? withLink.link : null,
+                };
+            })
+            .sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * 获取作品的创作人员
+     * 作品提供了 credits 时直接使用；否则以 creator 字段作为"创作者"（creator 角色）。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{role: string, name: string, link?: string}>}
+     *
+     * @example
+     * DataLoader.getWorkCredits({ creator: '鸥波萍迹' });
+     * // → [{ role: 'creator', name: '鸥波萍迹' }]
+     */
+    getWorkCredits(work) {
+        if (Array.isArray(work.credits) && work.credits.length > 0) return work.credits;
+        return work.creator ? [{ role: 'creator', name: work.creator }] : [];
+    },
+
+    /**
+     * 获取作品的全部版本（按数据中的顺序）
+     * 每个版本补全 key（缺省为 kind）、显示名称、媒体类型与默认标记；
+     * 没有标记 default 的版本时，第一个版本为默认版本。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{key: string, kind: string, label: string, date: string|null, note: string,
+     *   offset: number, isDefault: boolean, type: string, audio: string|null, video: string|null, renditions: Array|null}>}
+     *   未提供 versions 时为空数组
+     *
+     * @example
+     * DataLoader.getWorkVersions({ versions: [
+     *     { kind: 'demo', audio: '/artwork/audio/S002-demo.mp3' },
+     *     { kind: 'final', audio: '/artwork/audio/S002.mp3', default: true },
+     * ] });
+     * // → [{ key: 'demo', label: '小样', isDefault: false, type: 'audio', ... },
+     * //    { key: 'final', label: '正式版', isDefault: true, type: 'audio', ... }]
+     */
+    getWorkVersions(work) {
+        if (!Array.isArray(work.versions) || work.versions.length === 0) return [];
+
+        const markedDefault = work.versions.findIndex(version => version.default === true);
+        const defaultIndex = markedDefault >= 0 ? markedDefault : 0;
+
+        return work.versions.map((version, i) => {
+            const renditions = Array.isArray(version.renditions) && version.renditions.length > 0
+                ? version.renditions
+                : null;
+            const isVideo = Boolean(version.video)
+                || Boolean(renditions && renditions[0].type.startsWith('video/'));
+            const kindInfo = CONFIG.versions.kinds[version.kind];
+
+            return {
+                key: version.key || version.kind,
+                kind: version.kind,
+                label: version.label || (kindInfo ? kindInfo.label : version.kind),
+                date: version.date || null,
+                note: version.note || '',
+                offset: version.offset || 0,
+                isDefault: i === defaultIndex,
+                type: isVideo ? 'video' : 'audio',
+                audio: version.audio || null,
+                video: version.video || null,
+                renditions,
+            };
+        });
+    },
+
+    /**
+     * 获取作品的段落（按开始时间排序）
+     * 开始时间为负、重复或缺少名称的段落被忽略（DataSchema 会给出警告）。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{start: number, label: string}>} 开始时间为默认版本时间轴上的秒数；未提供时为空数组
+     *
+     * @example
+     * DataLoader.getWorkSections({ sections: [{ start: 48, label: '副歌' }, { start: 0, label: '前奏' }] });
+     * // → [{ start: 0, label: '前奏' }, { start: 48, label: '副歌' }]
+     */
+    getWorkSections(work) {
+        if (!Array.isArray(work.sections)) return [];
+
+        const seenStarts = new Set();
+        return work.sections
+            .filter(section => section && Number.isFinite(section.start) && section.start >= 0
+                && typeof section.label === 'string' && section.label.trim())
+            .map(section => ({ start: section.start, label: section.label.trim() }))
+            .sort((a, b) => a.start - b.start)
+            .filter((section) => {
+                if (seenStarts.has(section.start)) return false;
+                seenStarts.add(section.start);
+                return true;
+            });
+    },
+
+    /**
+     * 获取作品的字幕文件
+     * 缺少 src 或 srclang 的项被忽略；同一语言只保留第一项（DataSchema 会给出警告）。
+     * 未填写 label 时按 CONFIG.subtitles.languages 显示语言名称。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{src: string, srclang: string, label: string, isDefault: boolean}>} 未提供时为空数组
+     *
+     * @example
+     * DataLoader.getWorkSubtitles({ subtitles: [{ src: '/artwork/subtitles/V001.en.vtt', srclang: 'en' }] });
+     * // → [{ src: '/artwork/subtitles/V001.en.vtt', srclang: 'en', label: 'English', isDefault: false }]
+     */
+    getWorkSubtitles(work) {
+        if (!Array.isArray(work.subtitles)) return [];
+
+        const seenLangs = new Set();
+        return work.subtitles
+            .filter(subtitle => subtitle && typeof subtitle.src === 'string' && subtitle.src
+                && typeof subtitle.srclang === 'string' && subtitle.srclang.trim())
+            .map(subtitle => {
+                const srclang = subtitle.srclang.trim();
+                return {
+                    src: subtitle.src,
+                    srclang,
+                    label: (subtitle.label || '').trim() || CONFIG.subtitles.languages[srclang] || srclang,
+                    isDefault: subtitle.default === true,
+                };
+            })
+            .filter((subtitle) => {
+                if (seenLangs.has(subtitle.srclang)) return false;
+                seenLangs.add(subtitle.srclang);
+                return true;
+            });
+    },
+
+    /**
+     * 获取作品的授权方式
+     * 未填写或未在 CONFIG.licenses.types 中注册时，按 CONFIG.licenses.defaultLicense 处理。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {{key: string, label: string, url: string|null, allowDownload: boolean}}
+     *
+     * @example
+     * DataLoader.getWorkLicense({ license: 'cc-by-4.0' });
+     * // → { key: 'cc-by-4.0', label: 'CC BY 4.0', url: 'https://creativecommons.org/...', allowDownload: true }
+     */
+    getWorkLicense(work) {
+        const { defaultLicense, types } = CONFIG.licenses;
+        const key = types[work.license] ? work.license : defaultLicense;
+        const type = types[key];
+
+        return {
+            key,
+            label: type.label,
+            url: type.url || null,
+            allowDownload: Boolean(type.allowDownload),
+        };
+    },
+
+    /**
+     * 将创作人员按角色分组（按 CONFIG.credits.roles 的顺序，未注册的角色排在最后）
+     *
+     * @param {Array<{role: string, name: string, link?: string}>} credits - 创作人员
+     * @returns {Array<{role: string, label: string, people: Array<{name: string, link?: string}>}>}
+     *
+     * @example
+     * DataLoader.groupCreditsByRole([
+     *     { role: 'composer', name: '甲' }, { role: 'lyricist', name: '乙' }, { role: 'composer', name: '丙' },
+     * ]);
+     * // → [{ role: 'lyricist', label: '作词', people: [{ name: '乙' }] },
+     * //    { role: 'composer', label: '作曲', people: [{ name: '甲' }, { name: '丙' }] }]
+     */
+    groupCreditsByRole(credits) {
+        const roleOrder = Object.keys(CONFIG.credits.roles);
+        const groups = new Map();
+
+        credits.forEach(({ role, name, link }) => {
+            if (!groups.has(role)) groups.set(role, []);
+            groups.get(role).push(link ? { name, link } : { name });
+        });
+
+        const rank = role => (roleOrder.includes(role) ? roleOrder.indexOf(role) : roleOrder.length);
+        return [...groups.entries()]
+            .sort(([a], [b]) => rank(a) - rank(b))
+            .map(([role, people]) => ({
+                role,
+                label: CONFIG.credits.roles[role] ? CONFIG.credits.roles[role].label : role,
+                people,
+            }));
+    },
+
+    /**
+     * 获取所有作品的创作年份列表（由新到旧）
+     *
+     * @returns {Promise<string[]>} 年份数组，如 ["2025", "2024"]
+     */
+    async getAllYears() {
+        const index = await this._getWorkIndex();
+        return [...index.byYear.keys()].sort((a, b) => b.localeCompare(a));
+    },
+
+    /**
+     * 获取与指定作品关联的作品（双向）
+     * 关联只需在一侧声明：V001 声明 mvOf S001 后，
+     * V001 的结果中有 S001（"原曲"），S001 的结果中有 V001（"观看MV"）。
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Promise<Array<{type: string, direction: string, label: string, work: Object}>>}
+     *   - type: 关联类型（CONFIG.relations 的键）
+     *   - direction: 'outgoing'（本作品声明的）| 'incoming'（其他作品声明指向本作品的）
+     *   - label: 显示名称（按方向取 label / inverseLabel）
+     *
+     * @example
+     * await DataLoader.getRelatedWorks('S001')
+     * // → [{ type: 'mvOf', direction: 'incoming', label: '观看MV', work: { id: 'V001', ... } }]
+     */
+    async getRelatedWorks(workId) {
+        const index = await this._getWorkIndex();
+        return (index.relations.get(workId) || []).map(relation => {
+            const config = CONFIG.relations[relation.type];
+            return {
+                ...relation,
+                label: relation.direction === 'outgoing' ? config.label : config.inverseLabel,
+            };
+        });
     },
 
 
@@ -234,11 +817,7 @@ const DataLoader = {
         let dynamics = await this.loadDynamics();
 
         /* 按日期+时间倒序排序（最新的在前） */
-        dynamics = dynamics.sort((a, b) => {
-            const dateA = new Date(`${a.date} ${a.time || '00:00'}`);
-            const dateB = new Date(`${b.date} ${b.time || '00:00'}`);
-            return dateB - dateA;
-        });
+        dynamics = dynamics.sort(this._compareDynamicsDesc);
 
         /* 如果指定了限制条数，截取前 N 条 */
         if (limit && limit > 0) {
@@ -255,8 +834,33 @@ const DataLoader = {
      * @returns {Promise<Object|null>}
      */
     async getDynamicById(id) {
-        const dynamics = await this.loadDynamics();
-        return dynamics.find(d => d.id === id) || null;
+        const index = await this._getDynamicIndex();
+        return index.byId.get(id) || null;
+    },
+
+    /**
+     * 获取与指定作品关联的动态（按时间倒序）
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Promise<Array>}
+     */
+    async getDynamicsByWorkId(workId) {
+        const index = await this._getDynamicIndex();
+        return [...(index.byRelatedWork.get(workId) || [])].sort(this._compareDynamicsDesc);
+    },
+
+    /**
+     * 动态排序比较函数：按日期+时间倒序（最新的在前）
+     *
+     * @param {Object} a - 动态
+     * @param {Object} b - 动态
+     * @returns {number}
+     * @private
+     */
+    _compareDynamicsDesc(a, b) {
+        const dateA = new Date(`${a.date} ${a.time || '00:00'}`);
+        const dateB = new Date(`${b.date} ${b.time || '00:00'}`);
+        return dateB - dateA;
     },
 
     /**
@@ -281,17 +885,111 @@ const DataLoader = {
     },
 
 
+    /* ========================================================================
+     * 三-B、专辑查询方法
+     * ========================================================================
+     * 专辑的 tracks 只保存作品 ID，曲目顺序即专辑内的播放顺序。
+     * ====================================================================== */
+
+    /**
+     * 获取全部专辑（按发行日期倒序，最新的在前）
+     *
+     * @returns {Promise<Array>}
+     */
+    async getAlbums() {
+        const albums = await this.loadAlbums();
+        return [...albums].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate));
+    },
+
+    /**
+     * 根据专辑 ID 获取单张专辑
+     *
+     * @param {string} id - 专辑 ID
+     * @returns {Promise<Object|null>}
+     */
+    async getAlbumById(id) {
+        const index = await this._getAlbumIndex();
+        return index.byId.get(id) || null;
+    },
+
+    /**
+     * 获取收录了指定作品的专辑
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Promise<Array>}
+     */
+    async getAlbumsForWork(workId) {
+        const index = await this._getAlbumIndex();
+        return [...(index.byWork.get(workId) || [])];
+    },
+
+    /**
+     * 获取"作品 ID → 收录专辑"映射
+     * 供列表页一次性取得全部作品的专辑信息，避免逐张卡片查询。
+     *
+     * @returns {Promise<Map<string, Array>>}
+     */
+    async getAlbumsByWork() {
+        const index = await this._getAlbumIndex();
+        return index.byWork;
+    },
+
+    /**
+     * 获取专辑的曲目（按专辑内顺序排列的作品数据）
+     * 指向不存在作品的曲目会被跳过并在控制台警告。
+     *
+     * @param {string} albumId - 专辑 ID
+     * @returns {Promise<Array>} 作品数组；专辑不存在时为空数组
+     */
+    async getAlbumTracks(albumId) {
+        const album = await this.getAlbumById(albumId);
+        if (!album) return [];
+
+        const index = await this._getWorkIndex();
+        return album.tracks
+            .map(id => {
+                const work = index.byId.get(id);
+                if (!work) {
+                    console.warn(`[DataLoader] 专辑 ${album.id} 的曲目指向无效的作品 "${id}"，已跳过`);
+                }
+                return work;
+            })
+            .filter(Boolean);
+    },
+
+
     /* =================================================================
      * 数据关联与富化
      * ================================================================= */
 
+    /**
+     * 获取动态关联的全部作品 ID
+     * 动态可以用 relatedWorkId 关联单个作品，也可以用 relatedWorkIds 关联多个作品，
+     * 两者同时存在时合并（去重，relatedWorkId 在前）。
+     *
+     * @param {Object} dynamic - 动态数据
+     * @returns {string[]} 作品 ID 数组
+     *
+     * @example
+     * DataLoader.getDynamicWorkIds({ relatedWorkId: 'S001', relatedWorkIds: ['V001', 'S001'] })
+     * // → ['S001', 'V001']
+     */
+    getDynamicWorkIds(dynamic) {
+        const ids = [dynamic.relatedWorkId, ...(dynamic.relatedWorkIds || [])].filter(Boolean);
+        return [...new Set(ids)];
+    },
+
     /**
      * 为动态数据富化关联作品信息
-     * 将动态的 relatedWorkId 解析为具体的作品标题和类型，
+     * 将动态关联的作品 ID 解析为具体的作品标题和类型，
      * 以便 UI 组件可以直接使用，无需自行查找。
      *
-     * 此函数是对原地数据的修改（mutate），会直接在动态对象上
-     * 添加 relatedWorkTitle 和 relatedWorkType 属性。
+     * 此函数是对原地数据的修改（mutate），会直接在动态对象上添加：
+     *   - relatedWorks: [{ id, title, type }]（找不到的作品不会出现）
+     *   - relatedWorkTitle / relatedWorkType: 第一个关联作品的标题和类型
+     *
+     * 传入的 works 即已加载的作品数据时直接使用 ID 索引，
+     * 否则临时建立一次 ID 映射，复杂度均为 O(动态数 + 作品数)。
      *
      * @param {Array} dynamics - 动态数据数组
      * @param {Array} works - 作品数据数组
@@ -299,18 +997,24 @@ const DataLoader = {
      * @example
      * const [works, dynamics] = await DataLoader.loadAll();
      * DataLoader.enrichDynamicsWithRelatedWork(dynamics, works);
-     * // 现在 dynamics[i].relatedWorkTitle 可用
+     * // 现在 dynamics[i].relatedWorks 可用
      */
     enrichDynamicsWithRelatedWork(dynamics, works) {
         if (!dynamics || !works) return;
 
+        const byId = (works === this._cache.works && this._index.works)
+            ? this._index.works.byId
+            : new Map(works.map(w => [w.id, w]));
+
         dynamics.forEach(d => {
-            if (d.relatedWorkId) {
-                const work = works.find(w => w.id === d.relatedWorkId);
-                if (work) {
-                    d.relatedWorkTitle = work.title;
-                    d.relatedWorkType = work.type;
-                }
+            d.relatedWorks = this.getDynamicWorkIds(d)
+                .map(id => byId.get(id))
+                .filter(Boolean)
+                .map(work => ({ id: work.id, title: work.title, type: work.type }));
+
+            if (d.relatedWorks.length > 0) {
+                d.relatedWorkTitle = d.relatedWorks[0].title;
+                d.relatedWorkType = d.relatedWorks[0].type;
             }
         });
     },
@@ -0,0 +1,706 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 数据结构校验 (data-schema.js)
+ * ============================================================================
+ *
+ * 本文件声明了作品与动态两类数据记录的结构规范（Schema），
+ * 并在数据加载时逐条校验，负责：
+ *   1. 声明字段规则（必填、类型、枚举、日期格式、可空的资源路径）
+ *   2. 逐条校验记录，按"记录 ID + 字段"报告问题
+ *   3. 隔离无效记录，而不是让整个页面加载失败
+ *   4. 在开发者模式下显示校验摘要面板
+ *
+ * 【问题分级】
+ *   - error  : 记录无法被正常渲染（如缺少 type、diary 缺少 paragraphs），
+ *              该记录会被隔离，不进入页面数据
+ *   - warning: 记录可以渲染但存在隐患（如未声明的字段、拼写错误的字段名），
+ *              记录保留，仅在控制台和开发者面板中提示
+ *
+ * 【使用方式】
+ *   本文件需要在 utils.js 之后、data-loader.js 之前引入。
+ *   通过全局 DataSchema 对象访问，通常由 DataLoader 自动调用。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const DataSchema = {
+
+
+    /* ========================================================================
+     * 一、格式规则
+     * ========================================================================
+     * 字段 format 属性可引用的格式校验。
+     * 每项包含 pattern（正则）和 hint（报错时展示的期望格式）。
+     * ====================================================================== */
+
+    formats: {
+        /** 年月：作品创作日期，如 "2024-04" */
+        yearMonth: {
+            pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+            hint: 'YYYY-MM',
+        },
+
+        /** 年月日：动态发布日期，如 "2025-11-14" */
+        date: {
+            pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+            hint: 'YYYY-MM-DD',
+        },
+
+        /** 时分：动态发布时间（24 小时制，两位数），如 "09:48" */
+        time: {
+            pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+            hint: 'HH:MM',
+        },
+
+        /** 资源路径：站点根相对路径（/ 开头）或外部 URL */
+        path: {
+            pattern: /^(\/|https?:\/\/)/,
+            hint: '以 / 开头的站点根相对路径或 http(s) 地址',
+        },
+
+        /** 分辨率：视频版本的宽×高，如 "1920x1080" */
+        resolution: {
+            pattern: /^\d+x\d+$/,
+            hint: '宽x高（如 1920x1080）',
+        },
+    },
+
+
+    /* ========================================================================
+     * 二、记录结构声明
+     * ========================================================================
+     * 每个 Schema 包含：
+     *   - label : 记录类型的中文名（用于报告）
+     *   - fields: 字段规则表，键为字段名
+     *   - rules : 跨字段规则（可选），返回问题数组
+     *
+     * 字段规则属性：
+     *   - type      : 'string' | 'number' | 'boolean' | 'object' | 'array'
+     *   - required  : 是否必须出现且不为 null
+     *   - nullable  : 是否允许为 null（非必填字段缺省即视为可省略）
+     *   - nonEmpty  : 字符串是否不允许为空串
+     *   - enum      : 允许的取值列表
+     *   - format    : 引用 formats 中的格式名
+     *   - properties: type 为 object 时的子字段规则
+     *   - items     : type 为 array 时的元素规则
+     *   - ref       : 引用 sharedFields 中的共享规则（多处使用同一结构时，避免各自复制后不一致）
+     *
+     * 【扩展方法】
+     * 作品或动态新增字段时，需在此处同步声明，否则开发者模式会提示"未声明的字段"。
+     * ====================================================================== */
+
+    /**
+     * 多个字段共用的规则，字段规则中以 { ref: '名称' } 引用
+     */
+    sharedFields: {
+        /** 媒体版本列表：作品与作品版本（versions[].renditions）共用 */
+        renditions: {
+            type: 'array',
+            nullable: true,
+            items: {
+                type: 'object',
+                properties: {
+                    src:        { type: 'string', required: true, format: 'path' },
+                    type:       { type: 'string', required: true, nonEmpty: true },
+                    bitrate:    { type: 'number', nullable: true },
+                    resolution: { type: 'string', nullable: true, format: 'resolution' },
+                    label:      { type: 'string', nullable: true },
+                },
+            },
+        },
+    },
+
+    schemas: {
+
+        /** 作品记录（data/artwork.json） */
+        work: {
+            label: '作品',
+            fields: {
+                id:          { type: 'string', required: true, nonEmpty: true },
+                title:       { type: 'string', required: true, nonEmpty: true },
+                subtitle:    { type: 'string', nullable: true },
+                type:        { type: 'string', required: true, enum: ['audio', 'video'] },
+                /* 分类标签：推荐使用 tags 数组，旧的单个 tag 字符串仍然接受，两者至少提供一个 */
+                tags:        { type: 'array', items: { type: 'string', nonEmpty: true } },
+                tag:         { type: 'string', nonEmpty: true },
+                creator:     { type: 'string', required: true, nonEmpty: true },
+                /* 创作人员：角色应在 CONFIG.credits.roles 中注册，link 为个人主页等外部链接 */
+                credits: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            role: { type: 'string', required: true, nonEmpty: true },
+                            name: { type: 'string', required: true, nonEmpty: true },
+                            link: { type: 'string', nullable: true },
+                        },
+                    },
+                },
+                createDate:  { type: 'string', required: true, format: 'yearMonth' },
+                description: { type: 'string', nullable: true },
+                audio:       { type: 'string', nullable: true, format: 'path' },
+                video:       { type: 'string', nullable: true, format: 'path' },
+                cover:       { type: 'string', nullable: true, format: 'path' },
+                lyrics:      { type: 'string', nullable: true },
+                /* 授权方式，应在 CONFIG.licenses.types 中注册；决定播放器是否提供下载 */
+                license:     { type: 'string', nullable: true, nonEmpty: true },
+                /* 同步歌词：LRC 文本或 [{ time: 秒, line }]，两者都提供时使用 timedLyrics，见 lyrics-sync.js */
+                lrc:         { type: 'string', nullable: true },
+                timedLyrics: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            time: { type: 'number', required: true },
+                            line: { type: 'string', required: true },
+                        },
+                    },
+                },
+                /* 段落：歌曲的前奏、主歌、副歌，MV 的场景等，start 为默认版本时间轴上的秒数 */
+                sections: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            start: { type: 'number', required: true },
+                            label: { type: 'string', required: true, nonEmpty: true },
+                        },
+                    },
+                },
+                /* 视频字幕文件（WebVTT），每种语言一项，见 CONFIG.subtitles */
+                subtitles: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            src:     { type: 'string', required: true, format: 'path' },
+                            srclang: { type: 'string', required: true, nonEmpty: true },
+                            label:   { type: 'string', nullable: true },
+                            default: { type: 'boolean' },
+                        },
+                    },
+                },
+                /* 原曲歌词在本视频中的偏移（秒）：由 mvOf 原曲的同步歌词生成字幕时使用 */
+                lyricsOffset: { type: 'number', nullable: true },
+                score:       { type: 'string', nullable: true, format: 'path' },
+                /* 同一音频/视频的多个版本（格式、码率、分辨率），见 CONFIG.media */
+                renditions:  { ref: 'renditions' },
+                /* 同一作品的不同录音（小样、正式版、现场版等），kind 应在 CONFIG.versions.kinds 中注册 */
+                versions: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            key:        { type: 'string', nonEmpty: true },
+                            kind:       { type: 'string', required: true, nonEmpty: true },
+                            label:      { type: 'string', nullable: true },
+                            date:       { type: 'string', nullable: true, format: 'yearMonth' },
+                            note:       { type: 'string', nullable: true },
+                            audio:      { type: 'string', nullable: true, format: 'path' },
+                            video:      { type: 'string', nullable: true, format: 'path' },
+                            renditions: { ref: 'renditions' },
+                            offset:     { type: 'number', nullable: true },
+                            default:    { type: 'boolean' },
+                        },
+                    },
+                },
+                diary: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        title:      { type: 'string', nullable: true },
+                        paragraphs: { type: 'array', required: true, items: { type: 'string' } },
+                    },
+                },
+                /* 关联类型与 CONFIG.relations 一致，值为作品 ID 数组 */
+                relations: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        mvOf:       { type: 'array', items: { type: 'string', nonEmpty: true } },
+                        versionOf:  { type: 'array', items: { type: 'string', nonEmpty: true } },
+                        remixOf:    { type: 'array', items: { type: 'string', nonEmpty: true } },
+                        inspiredBy: { type: 'array', items: { type: 'string', nonEmpty: true } },
+                    },
+                },
+            },
+            rules: [
+                /* 媒体类型与媒体路径需匹配，否则详情页播放器区域为空（由 renditions 或 versions 提供媒体时除外） */
+                (work) => {
+                    const hasRenditions = Array.isArray(work.renditions) && work.renditions.length > 0;
+                    const hasVersions = Array.isArray(work.versions) && work.versions.length > 0;
+                    if (hasRenditions || hasVersions) return [];
+                    if (work.type === 'audio' && !work.audio) {
+                        return [{ field: 'audio', severity: 'warning', message: '类型为 audio 但未提供音频路径' }];
+                    }
+                    if (work.type === 'video' && !work.video) {
+                        return [{ field: 'video', severity: 'warning', message: '类型为 video 但未提供视频路径' }];
+                    }
+                    return [];
+                },
+                /* 没有任何分类标签的作品无法按分类浏览 */
+                (work) => {
+                    const hasTags = Array.isArray(work.tags) && work.tags.length > 0;
+                    return hasTags || work.tag
+                        ? []
+                        : [{ field: 'tags', severity: 'error', message: '缺少分类标签（tags 或 tag）' }];
+                },
+                /* 未注册的角色仍会显示（以角色键作为名称），但多半是拼写错误 */
+                (work) => (Array.isArray(work.credits) ? work.credits : [])
+                    .map((credit, i) => ({ credit, i }))
+                    .filter(({ credit }) => credit && typeof credit.role === 'string' && credit.role && !CONFIG.credits.roles[credit.role])
+                    .map(({ credit, i }) => ({ field: `credits[${i}].role`, severity: 'warning', message: `角色 "${credit.role}" 未在 CONFIG.credits.roles 中注册` })),
+                /* 未注册的授权按默认授权（不提供下载）处理 */
+                (work) => (typeof work.license === 'string' && work.license && !CONFIG.licenses.types[work.license]
+                    ? [{ field: 'license', severity: 'warning', message: `授权 "${work.license}" 未在 CONFIG.licenses.types 中注册，将按默认授权处理` }]
+                    : []),
+                /* 版本：kind 未注册时多半是拼写错误；key（缺省为 kind）在作品内须唯一，否则无法切换到重复的版本 */
+                (work) => {
+                    const versions = Array.isArray(work.versions) ? work.versions : [];
+                    const issues = [];
+                    const seenKeys = new Set();
+
+                    versions.forEach((version, i) => {
+                        if (!version || typeof version.kind !== 'string' || !version.kind) return;
+                        if (!CONFIG.versions.kinds[version.kind]) {
+                            issues.push({ field: `versions[${i}].kind`, severity: 'warning', message: `版本类型 "${version.kind}" 未在 CONFIG.versions.kinds 中注册` });
+                        }
+                        const key = version.key || version.kind;
+                        if (seenKeys.has(key)) {
+                            issues.push({ field: `versions[${i}].key`, severity: 'warning', message: `版本标识 "${key}" 重复，请为同类型的版本填写不同的 key` });
+                        }
+                        seenKeys.add(key);
+                        if (!version.audio && !version.video && !(Array.isArray(version.renditions) && version.renditions.length > 0)) {
+                            issues.push({ field: `versions[${i}]`, severity: 'warning', message: '版本未提供音频、视频或 renditions' });
+                        }
+                    });
+
+                    return issues;
+                },
+                /* LRC 中没有任何时间标签时无法同步，页面会退回纯文本歌词 */
+                (work) => (typeof work.lrc === 'string' && work.lrc.trim() && LyricsSync.parseLRC(work.lrc).length === 0
+                    ? [{ field: 'lrc', severity: 'warning', message: '未找到时间标签（如 [00:12.30]），无法同步显示' }]
+                    : []),
+                /* 段落：开始时间为负或重复时，该段不会显示 */
+                (work) => {
+                    const sections = Array.isArray(work.sections) ? work.sections : [];
+                    const issues = [];
+                    const seenStarts = new Set();
+
+                    sections.forEach((section, i) => {
+                        if (!section || !Number.isFinite(section.start)) return;
+                        if (section.start < 0) {
+                            issues.push({ field: `sections[${i}].start`, severity: 'warning', message: '段落开始时间不能为负数' });
+                        } else if (seenStarts.has(section.start)) {
+                            issues.push({ field: `sections[${i}].start`, severity: 'warning', message: `段落开始时间 ${section.start} 重复` });
+                        }
+                        seenStarts.add(section.start);
+                    });
+
+                    return issues;
+                },
+                /* 字幕：同一语言只能有一个文件 */
+                (work) => {
+                    const subtitles = Array.isArray(work.subtitles) ? work.subtitles : [];
+                    const seenLangs = new Set();
+                    const issues = [];
+
+                    subtitles.forEach((subtitle, i) => {
+                        if (!subtitle || typeof subtitle.srclang !== 'string') return;
+                        if (seenLangs.has(subtitle.srclang)) {
+                            issues.push({ field: `subtitles[${i}].srclang`, severity: 'warning', message: `字幕语言 ${subtitle.srclang} 重复` });
+                        }
+                        seenLangs.add(subtitle.srclang);
+                    });
+
+                    return issues;
+                },
+                /* 作品不能关联自身 */
+                (work) => Object.entries(work.relations || {})
+                    .filter(([, ids]) => Array.isArray(ids) && ids.includes(work.id))
+                    .map(([type]) => ({ field: `relations.${type}`, severity: 'warning', message: '关联了作品自身' })),
+            ],
+        },
+
+        /** 动态记录（data/dynamic.json） */
+        dynamic: {
+            label: '动态',
+            fields: {
+                id:             { type: 'string', required: true, nonEmpty: true },
+                title:          { type: 'string', required: true, nonEmpty: true },
+                content:        { type: 'string', required: true },
+                image:          { type: 'string', nullable: true, format: 'path' },
+                relatedWorkId:  { type: 'string', nullable: true, nonEmpty: true },
+                relatedWorkIds: { type: 'array', nullable: true, items: { type: 'string', nonEmpty: true } },
+                date:           { type: 'string', required: true, format: 'date' },
+                time:           { type: 'string', nullable: true, format: 'time' },
+            },
+            rules: [],
+        },
+
+        /** 专辑/系列记录（data/album.json） */
+        album: {
+            label: '专辑',
+            fields: {
+                id:          { type: 'string', required: true, nonEmpty: true },
+                title:       { type: 'string', required: true, nonEmpty: true },
+                cover:       { type: 'string', nullable: true, format: 'path' },
+                description: { type: 'string', nullable: true },
+                releaseDate: { type: 'string', required: true, format: 'date' },
+                tracks:      { type: 'array', required: true, items: { type: 'string', nonEmpty: true } },
+            },
+            rules: [
+                /* 曲目为空的专辑页面无内容可播放 */
+                (album) => (Array.isArray(album.tracks) && album.tracks.length === 0
+                    ? [{ field: 'tracks', severity: 'warning', message: '曲目列表为空' }]
+                    : []),
+                /* 同一作品在曲目中出现多次，多半是复制粘贴错误 */
+                (album) => {
+                    if (!Array.isArray(album.tracks)) return [];
+                    const duplicates = album.tracks.filter((id, i) => album.tracks.indexOf(id) !== i);
+                    return duplicates.length > 0
+                        ? [{ field: 'tracks', severity: 'warning', message: `曲目重复：${[...new Set(duplicates)].join(', ')}` }]
+                        : [];
+                },
+            ],
+        },
+    },
+
+
+    /* ========================================================================
+     * 三、校验方法
+     * ========================================================================
+     * 单条记录校验与整体集合校验。
+     * ====================================================================== */
+
+    /**
+     * 获取值的结构类型名
+     * 区分 null、array 与普通 object，其余沿用 typeof。
+     *
+     * @param {*} value - 任意值
+     * @returns {string} 类型名
+     * @private
+     */
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    /**
+     * 按字段规则校验单个值
+     * 递归处理 object 的 properties 与 array 的 items。
+     *
+     * @param {*} value - 待校验的值
+     * @param {Object} rule - 字段规则
+     * @param {string} path - 字段路径（如 "diary.paragraphs[0]"），用于报告
+     * @param {Array} issues - 问题收集数组（会被追加）
+     * @private
+     */
+    _checkValue(value, rule, path, issues) {
+        if (rule.ref) {
+            rule = this.sharedFields[rule.ref];
+        }
+
+        /* 缺失或 null：由 required / nullable 决定是否为问题 */
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                issues.push({ field: path, severity: 'error', message: '缺少必填字段' });
+            } else if (value === null && rule.nullable === false) {
+                issues.push({ field: path, severity: 'error', message: '不允许为 null' });
+            }
+            return;
+        }
+
+        /* 类型检查，类型不符时不再检查后续规则 */
+        const actualType = this._typeOf(value);
+        if (actualType !== rule.type) {
+            issues.push({ field: path, severity: 'error', message: `类型应为 ${rule.type}，实际为 ${actualType}` });
+            return;
+        }
+
+        if (rule.type === 'string') {
+            if (rule.nonEmpty && value.trim() === '') {
+                issues.push({ field: path, severity: 'error', message: '不能为空字符串' });
+                return;
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                issues.push({ field: path, severity: 'error', message: `取值 "${value}" 不在允许范围 [${rule.enum.join(', ')}] 内` });
+            }
+            /* 空字符串视为"未填写"，不做格式校验 */
+            if (rule.format && value !== '') {
+                const format = this.formats[rule.format];
+                if (format && !format.pattern.test(value)) {
+                    issues.push({ field: path, severity: 'error', message: `格式应为 ${format.hint}，实际为 "${value}"` });
+                }
+            }
+        }
+
+        if (rule.type === 'object' && rule.properties) {
+            this._checkFields(value, rule.properties, `${path}.`, issues);
+        }
+
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, i) => this._checkValue(item, rule.items, `${path}[${i}]`, issues));
+        }
+    },
+
+    /**
+     * 校验对象的全部字段，并报告未声明的字段
+     *
+     * @param {Object} obj - 待校验对象
+     * @param {Object} fields - 字段规则表
+     * @param {string} prefix - 字段路径前缀
+     * @param {Array} issues - 问题收集数组（会被追加）
+     * @private
+     */
+    _checkFields(obj, fields, prefix, issues) {
+        Object.entries(fields).forEach(([name, rule]) => {
+            this._checkValue(obj[name], rule, prefix + name, issues);
+        });
+
+        /* 未声明的字段多为拼写错误（如 "tpye"），给出警告 */
+        Object.keys(obj).forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+                const suggestion = this._suggestField(name, Object.keys(fields));
+                issues.push({
+                    field: prefix + name,
+                    severity: 'warning',
+                    message: suggestion ? `未声明的字段，是否应为 "${suggestion}"？` : '未声明的字段',
+                });
+            }
+        });
+    },
+
+    /**
+     * 为拼写错误的字段名查找最相近的已声明字段
+     * 使用编辑距离，距离不超过 2 时才给出建议。
+     *
+     * @param {string} name - 未声明的字段名
+     * @param {string[]} candidates - 已声明的字段名
+     * @returns {string|null} 建议的字段名
+     * @private
+     */
+    _suggestField(name, candidates) {
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                let prev = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const temp = row[j];
+                    row[j] = Math.min(
+                        row[j] + 1,
+                        row[j - 1] + 1,
+                        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+                    );
+                    prev = temp;
+                }
+            }
+            return row[b.length];
+        };
+
+        let best = null;
+        let bestDistance = 3;
+        candidates.forEach(candidate => {
+            const d = distance(name.toLowerCase(), candidate.toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * 校验单条记录
+     *
+     * @param {Object} record - 数据记录
+     * @param {string} schemaName - Schema 名称（'work' | 'dynamic'）
+     * @returns {Array<{field: string, severity: string, message: string}>} 问题列表，无问题时为空数组
+     * @throws {Error} Schema 名称未声明时抛出
+     *
+     * @example
+     * DataSchema.validateRecord({ id: 'S009', tpye: 'audio' }, 'work');
+     * // → [{ field: 'type', severity: 'error', message: '缺少必填字段' }, ...]
+     */
+    validateRecord(record, schemaName) {
+        const schema = this.schemas[schemaName];
+        if (!schema) {
+            throw new Error(`未声明的数据结构：${schemaName}`);
+        }
+
+        if (this._typeOf(record) !== 'object') {
+            return [{ field: '(记录)', severity: 'error', message: `记录应为对象，实际为 ${this._typeOf(record)}` }];
+        }
+
+        const issues = [];
+        this._checkFields(record, schema.fields, '', issues);
+        (schema.rules || []).forEach(rule => issues.push(...rule(record)));
+        return issues;
+    },
+
+    /**
+     * 校验整个数据集合，分离有效记录与需隔离的记录
+     * 同时检查 ID 重复：重复出现的记录视为错误并隔离（保留首次出现的记录）。
+     *
+     * @param {Array} records - 记录数组
+     * @param {string} schemaName - Schema 名称（'work' | 'dynamic'）
+     * @returns {{ schema: string, label: string, total: number, valid: Array, quarantined: Array, warnings: Array }}
+     *   - valid      : 可正常使用的记录（含仅有警告的记录）
+     *   - quarantined: 被隔离的记录 { id, index, record, issues }
+     *   - warnings   : 仅有警告的记录 { id, index, issues }
+     */
+    validateCollection(records, schemaName) {
+        const report = {
+            schema: schemaName,
+            label: this.schemas[schemaName].label,
+            total: records.length,
+            valid: [],
+            quarantined: [],
+            warnings: [],
+        };
+
+        const seenIds = new Set();
+
+        records.forEach((record, index) => {
+            const issues = this.validateRecord(record, schemaName);
+            const id = (record && typeof record.id === 'string' && record.id) || `#${index}`;
+
+            if (record && typeof record.id === 'string') {
+                if (seenIds.has(record.id)) {
+                    issues.push({ field: 'id', severity: 'error', message: `ID "${record.id}" 重复` });
+                }
+                seenIds.add(record.id);
+            }
+
+            const hasError = issues.some(issue => issue.severity === 'error');
+            if (hasError) {
+                report.quarantined.push({ id, index, record, issues });
+                return;
+            }
+
+            if (issues.length > 0) {
+                report.warnings.push({ id, index, issues });
+            }
+            report.valid.push(record);
+        });
+
+        return report;
+    },
+
+
+    /* ========================================================================
+     * 四、诊断报告
+     * ========================================================================
+     * 控制台输出每条问题记录；开发者模式下额外显示页面内摘要面板。
+     * ====================================================================== */
+
+    /** 已生成的报告（按 schema 名称索引），供摘要面板汇总显示 */
+    _reports: {},
+
+    /**
+     * 输出校验报告
+     * 被隔离的记录始终在控制台输出警告（不影响页面其余内容）；
+     * 警告级问题仅在开发者模式下输出，避免干扰正式环境的控制台。
+     *
+     * @param {Object} report - validateCollection 返回的报告
+     */
+    report(report) {
+        this._reports[report.schema] = report;
+
+        report.quarantined.forEach(entry => {
+            const detail = entry.issues
+                .filter(issue => issue.severity === 'error')
+                .map(issue => `${issue.field}：${issue.message}`)
+                .join('；');
+            console.warn(`[DataSchema] ${report.label} ${entry.id} 已隔离（第 ${entry.index + 1} 条）— ${detail}`);
+        });
+
+        if (!Utils.isDevMode()) return;
+
+        report.warnings.forEach(entry => {
+            const detail = entry.issues.map(issue => `${issue.field}：${issue.message}`).join('；');
+            console.info(`[DataSchema] ${report.label} ${entry.id} — ${detail}`);
+        });
+
+        this.showDevSummary();
+    },
+
+    /**
+     * 清除已记录的报告（随 DataLoader.clearCache 一起调用）
+     */
+    clearReports() {
+        this._reports = {};
+        const panel = Utils.getById('data-schema-summary');
+        if (panel) panel.remove();
+    },
+
+    /**
+     * 在页面右下角显示开发者模式校验摘要面板
+     * 汇总所有已加载数据集的记录数、隔离数和问题明细。
+     * 没有任何问题时不显示面板。
+     */
+    showDevSummary() {
+        const reports = Object.values(this._reports);
+        const hasIssues = reports.some(r => r.quarantined.length > 0 || r.warnings.length > 0);
+
+        let panel = Utils.getById('data-schema-summary');
+        if (!hasIssues) {
+            if (panel) panel.remove();
+            return;
+        }
+
+        if (!panel) {
+            panel = Utils.createElement('aside', {
+                id: 'data-schema-summary',
+                className: 'schema-summary',
+                attributes: { 'aria-label': '数据校验摘要（开发者模式）' },
+            });
+            document.body.appendChild(panel);
+        }
+
+        panel.innerHTML = `
+            <div class="schema-summary__header">
+                <strong>数据校验</strong>
+                <button class="schema-summary__close" aria-label="关闭数据校验摘要">&times;</button>
+            </div>
+        `;
+
+        /* 问题信息会引用原始数据（如 取值 "<…>"），一律以文本写入，不解析为 HTML */
+        reports.forEach(r => {
+            const section = Utils.createElement('section', { className: 'schema-summary__section' });
+            section.appendChild(Utils.createElement('h4', {
+                className: 'schema-summary__heading',
+                textContent: `${r.label}：共 ${r.total} 条，有效 ${r.valid.length} 条，隔离 ${r.quarantined.length} 条`,
+            }));
+
+            const entries = [...r.quarantined, ...r.warnings];
+            if (entries.some(entry => entry.issues.length > 0)) {
+                const list = Utils.createElement('ul', { className: 'schema-summary__list' });
+                entries.forEach(entry => entry.issues.forEach(issue => {
+                    const item = Utils.createElement('li', {
+                        className: `schema-summary__issue schema-summary__issue--${issue.severity}`,
+                    });
+                    item.appendChild(Utils.createElement('code', { textContent: String(entry.id) }));
+                    item.appendChild(document.createTextNode(' · '));
+                    item.appendChild(Utils.createElement('code', { textContent: issue.field }));
+                    item.appendChild(document.createTextNode(`：${issue.message}`));
+                    list.appendChild(item);
+                }));
+                section.appendChild(list);
+            }
+
+            panel.appendChild(section);
+        });
+
+        panel.querySelector('.schema-summary__close')
+            .addEventListener('click', () => panel.remove());
+    },
+};
@@ -0,0 +1,373 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 数据源适配器 (data-sources.js)
+ * ============================================================================
+ *
+ * 本文件把"数据从哪里来"与"数据如何查询"分离开：
+ * DataLoader 只负责校验、缓存与查询，原始记录由这里的适配器提供。
+ * 每个数据集使用哪个适配器，由 CONFIG.dataFiles 中条目的 source 字段决定。
+ *
+ * 【内置适配器】
+ *   json    静态 JSON 文件（默认），经 Utils.loadJSON 加载，支持持久缓存
+ *   rest    REST 接口，按页请求并合并为完整数组
+ *   mock    本地模拟接口：以静态 JSON 文件为后端，按 rest 的分页协议响应，
+ *           用于在没有真实接口时离线开发、调试 rest 数据流程
+ *   fixture 内存夹具：直接返回通过 registerFixture() 注册的记录
+ *
+ * 【适配器约定】
+ *   适配器是带有 load(file, options) 方法的对象：
+ *   - file    : CONFIG.dataFiles 中的条目
+ *   - options : { forceRefresh: boolean }
+ *   - 返回    : Promise<Array> 原始记录数组（未校验）
+ *   自定义适配器通过 DataSources.register(name, adapter) 注册。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后、data-loader.js 之前引入。
+ *   通过全局 DataSources 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const DataSources = {
+
+
+    /* ========================================================================
+     * 一、适配器注册与调度
+     * ====================================================================== */
+
+    /** 未指定 source 时使用的适配器 */
+    defaultSource: 'json',
+
+    /**
+     * 注册自定义适配器（同名覆盖）
+     *
+     * @param {string} name - 适配器名称，对应 CONFIG.dataFiles 条目的 source 字段
+     * @param {{load: Function}} adapter - 适配器对象
+     * @throws {Error} 适配器缺少 load 方法时抛出
+     *
+     * @example
+     * DataSources.register('graphql', {
+     *     async load(file) { ... return records; },
+     * });
+     */
+    register(name, adapter) {
+        if (!adapter || typeof adapter.load !== 'function') {
+            throw new Error(`数据源适配器 "${name}" 必须提供 load(file, options) 方法`);
+        }
+        this.adapters[name] = adapter;
+    },
+
+    /**
+     * 获取数据集条目对应的适配器
+     *
+     * @param {Object} file - CONFIG.dataFiles 中的条目
+     * @returns {{load: Function}}
+     * @throws {Error} 条目指定了未注册的适配器时抛出
+     */
+    getAdapter(file) {
+        const name = file.source || this.defaultSource;
+        const adapter = this.adapters[name];
+        if (!adapter) {
+            throw new Error(`未知的数据源类型 "${name}"，可用类型：${Object.keys(this.adapters).join(', ')}`);
+        }
+        return adapter;
+    },
+
+    /**
+     * 通过适配器加载数据集
+     *
+     * @param {Object} file - CONFIG.dataFiles 中的条目
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh=false] - 是否跳过本地副本直接请求
+     * @returns {Promise<Array>} 原始记录数组
+     * @throws {Error} 加载失败或返回的数据不是数组时抛出
+     */
+    async load(file, options = {}) {
+        const records = await this.getAdapter(file).load(file, {
+            forceRefresh: Boolean(options.forceRefresh),
+        });
+
+        if (!Array.isArray(records)) {
+            throw new Error(`数据源 "${file.source || this.defaultSource}" 返回的数据格式错误：预期为数组`);
+        }
+        return records;
+    },
+
+
+    /* ========================================================================
+     * 二、内置适配器
+     * ====================================================================== */
+
+    adapters: {
+
+        /**
+         * 静态 JSON 文件
+         * 条目字段：url（文件路径）、maxAge（持久缓存有效期，毫秒）
+         */
+        json: {
+            load(file, options) {
+                return Utils.loadJSON(file.url, {
+                    cacheMaxAge: file.maxAge,
+                    bypassCache: options.forceRefresh,
+                });
+            },
+        },
+
+        /**
+         * REST 接口（分页）
+         * 条目字段：url、maxAge 及分页参数（见 DataSources._pagingOptions）。
+         * 每一页作为独立请求经 Utils.loadJSON 加载，同样享有超时、重试与持久缓存。
+         */
+        rest: {
+            load(file, options) {
+                return DataSources._loadAllPages(file, (pageUrl) => Utils.loadJSON(pageUrl, {
+                    cacheMaxAge: file.maxAge,
+                    bypassCache: options.forceRefresh,
+                }));
+            },
+        },
+
+        /**
+         * 本地模拟接口
+         * 条目字段：url（作为后端数据的静态 JSON 文件）、分页参数、
+         * latency（模拟延迟，毫秒）、failureRate（0~1，按概率模拟 503）。
+         * 与 rest 共用分页流程，切换到真实接口时只需把 source 改为 rest 并修改 url。
+         */
+        mock: {
+            load(file) {
+                return DataSources._loadAllPages(file, (pageUrl) => DataSources.mockServer.respond(file, pageUrl));
+            },
+        },
+
+        /**
+         * 内存夹具
+         * 条目字段：fixture（registerFixture 注册时使用的名称）
+         */
+        fixture: {
+            async load(file) {
+                const records = DataSources._fixtures[file.fixture];
+                if (!records) {
+                    throw new Error(`数据夹具 "${file.fixture}" 不存在，请先调用 DataSources.registerFixture()`);
+                }
+                /* 返回副本：DataLoader 的富化方法会修改记录，不应污染夹具本身 */
+                return JSON.parse(JSON.stringify(records));
+            },
+        },
+    },
+
+
+    /* ========================================================================
+     * 三、分页加载（rest / mock 共用）
+     * ========================================================================
+     * 分页协议：
+     *   请求  {url}?{pageParam}=1&{sizeParam}=50
+     *   响应  { "items": [...], "total": 120 }（字段名可配置，支持 "data.items" 形式的路径）
+     *   也接受直接返回数组的接口（视为单页）。
+     * 按页依次请求，直到取满 total、某页不足 pageSize、或达到 maxPages。
+     * ====================================================================== */
+
+    /** 分页参数默认值 */
+    _pagingDefaults: {
+        pageParam: 'page',
+        sizeParam: 'pageSize',
+        pageSize: 50,
+        firstPage: 1,
+        itemsKey: 'items',
+        totalKey: 'total',
+        maxPages: 100,
+    },
+
+    /**
+     * 合并条目中的分页参数与默认值
+     *
+     * @param {Object} file - CONFIG.dataFiles 中的条目
+     * @returns {Object}
+     * @private
+     */
+    _pagingOptions(file) {
+        return { ...this._pagingDefaults, ...(file.paging || {}) };
+    },
+
+    /**
+     * 逐页请求并合并为完整数组
+     *
+     * @param {Object} file - CONFIG.dataFiles 中的条目
+     * @param {function(string): Promise<any>} requestPage - 请求单页的函数，参数为该页完整 URL
+     * @returns {Promise<Array>} 全部记录
+     * @throws {Error} 任一页请求失败或响应格式错误时抛出
+     * @private
+     */
+    async _loadAllPages(file, requestPage) {
+        const paging = this._pagingOptions(file);
+        const records = [];
+
+        for (let i = 0; i < paging.maxPages; i++) {
+            const page = paging.firstPage + i;
+            const body = await requestPage(this._buildPageUrl(file.url, paging, page));
+
+            /* 直接返回数组的接口不分页 */
+            if (Array.isArray(body)) {
+                return body;
+            }
+
+            const items = this._readPath(body, paging.itemsKey);
+            if (!Array.isArray(items)) {
+                throw new Error(`接口响应格式错误：第 ${page} 页缺少数组字段 "${paging.itemsKey}"`);
+            }
+            records.push(...items);
+
+            const total = Number(this._readPath(body, paging.totalKey));
+            const reachedTotal = Number.isFinite(total) && records.length >= total;
+            if (reachedTotal || items.length < paging.pageSize) {
+                return records;
+            }
+        }
+
+        console.warn(`[DataSources] 已达到最大页数 ${paging.maxPages}，剩余数据未加载 (${file.url})`);
+        return records;
+    },
+
+    /**
+     * 拼接分页参数
+     *
+     * @param {string} url - 接口地址（可已带查询参数）
+     * @param {Object} paging - 分页参数
+     * @param {number} page - 页码
+     * @returns {string}
+     * @private
+     */
+    _buildPageUrl(url, paging, page) {
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}${encodeURIComponent(paging.pageParam)}=${page}`
+            + `&${encodeURIComponent(paging.sizeParam)}=${paging.pageSize}`;
+    },
+
+    /**
+     * 按点分路径读取对象字段
+     *
+     * @param {Object} obj - 源对象
+     * @param {string} path - 字段路径，如 "data.items"
+     * @returns {any} 字段值，路径不存在时为 undefined
+     * @private
+     *
+     * @example
+     * DataSources._readPath({ data: { items: [1] } }, 'data.items')  // → [1]
+     */
+    _readPath(obj, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+    },
+
+
+    /* ========================================================================
+     * 四、模拟接口
+     * ========================================================================
+     * 在浏览器内模拟一个按分页协议响应的接口，数据来自条目 url 指向的静态 JSON。
+     * 不产生额外的网络请求（后端文件只加载一次），可在断网时配合 Service Worker 使用。
+     * ====================================================================== */
+
+    mockServer: {
+
+        /** 已加载的后端数据：{ 文件路径: Promise<Array> } */
+        _datasets: {},
+
+        /**
+         * 响应一次分页请求
+         *
+         * @param {Object} file - CONFIG.dataFiles 中的条目
+         * @param {string} pageUrl - 带分页参数的请求地址
+         * @returns {Promise<Object>} 分页响应，结构与分页协议一致
+         * @throws {Error} 按 failureRate 模拟服务器错误时抛出
+         */
+        async respond(file, pageUrl) {
+            const paging = DataSources._pagingOptions(file);
+            const query = new URLSearchParams(pageUrl.split('?')[1] || '');
+            const page = Number(query.get(paging.pageParam)) || paging.firstPage;
+            const size = Number(query.get(paging.sizeParam)) || paging.pageSize;
+
+            await new Promise(resolve => setTimeout(resolve, file.latency || 0));
+
+            if (file.failureRate && Math.random() < file.failureRate) {
+                throw new Error(`服务器错误 (503)：模拟接口随机失败 (${pageUrl})`);
+            }
+
+            const records = await this._getDataset(file.url);
+            const start = (page - paging.firstPage) * size;
+
+            const body = {};
+            this._writePath(body, paging.itemsKey, records.slice(start, start + size));
+            this._writePath(body, paging.totalKey, records.length);
+            return body;
+        },
+
+        /**
+         * 清除已加载的后端数据（DataLoader.clearCache 时调用）
+         */
+        reset() {
+            this._datasets = {};
+        },
+
+        /**
+         * 加载后端数据文件（每个文件只加载一次）
+         *
+         * @param {string} url - 静态 JSON 文件路径
+         * @returns {Promise<Array>}
+         * @private
+         */
+        _getDataset(url) {
+            if (!this._datasets[url]) {
+                this._datasets[url] = Utils.loadJSON(url).then(data => {
+                    if (!Array.isArray(data)) {
+                        throw new Error(`模拟接口的数据文件格式错误：预期为数组 (${url})`);
+                    }
+                    return data;
+                });
+                /* 加载失败时不保留，下次请求重新加载 */
+                this._datasets[url].catch(() => { delete this._datasets[url]; });
+            }
+            return this._datasets[url];
+        },
+
+        /**
+         * 按点分路径写入对象字段（_readPath 的逆操作）
+         *
+         * @param {Object} obj - 目标对象
+         * @param {string} path - 字段路径
+         * @param {any} value - 写入的值
+         * @private
+         */
+        _writePath(obj, path, value) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            const target = keys.reduce((node, key) => (node[key] = node[key] || {}), obj);
+            target[last] = value;
+        },
+    },
+
+
+    /* ========================================================================
+     * 五、内存夹具
+     * ====================================================================== */
+
+    /** 已注册的夹具：{ 名称: 记录数组 } */
+    _fixtures: {},
+
+    /**
+     * 注册内存夹具，供 source: 'fixture' 的条目使用
+     * 适用于演示、调试特定数据组合，或在控制台中临时替换数据。
+     *
+     * @param {string} name - 夹具名称
+     * @param {Array} records - 记录数组
+     *
+     * @example
+     * DataSources.registerFixture('demo-works', [{ id: 'S001', ... }]);
+     * CONFIG.dataFiles.artworks = { source: 'fixture', fixture: 'demo-works' };
+     * DataLoader.clearCache();
+     */
+    registerFixture(name, records) {
+        if (!Array.isArray(records)) {
+            throw new Error(`数据夹具 "${name}" 必须是数组`);
+        }
+        this._fixtures[name] = records;
+    },
+};
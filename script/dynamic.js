@@ -51,6 +51,15 @@ const DynamicPage = {
  */
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
         /* 从 URL 恢复分页状态 */
         DynamicPage.restoreFromUrl();
 
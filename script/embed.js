@@ -0,0 +1,199 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 嵌入播放器页逻辑 (embed.js)
+ * ============================================================================
+ *
+ * 供其他网站用 <iframe> 嵌入的播放器页面（page/embed.html），负责：
+ *   1. 根据 URL 参数 id（与可选的版本 v）加载作品
+ *   2. 音频作品显示紧凑布局：封面、标题与自定义音频播放器
+ *   3. 视频作品显示视频布局：视频与下方的标题栏
+ *   4. 按 theme 参数切换浅色 / 深色 / 跟随系统（见 CONFIG.embed.themes）
+ *   5. 标题与站点名链接到完整的作品详情页（在新窗口打开）
+ *
+ * 本页面运行在其他网站中，不注册 Service Worker、不显示迷你播放器，也不记录收听位置。
+ * 嵌入代码由作品详情页的"嵌入"对话框生成（UIComponents.createEmbedDialog）。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * 页面状态管理
+ */
+const EmbedPage = {
+
+    /**
+     * 应用 theme 参数
+     * light 使用默认主题，dark 使用 variables.css 中的暗色主题，
+     * auto 跟随访客系统的深浅色设置并随之变化。
+     *
+     * @param {string|null} value - theme 参数
+     */
+    applyTheme(value) {
+        const theme = CONFIG.embed.themes[value] ? value : CONFIG.embed.defaultTheme;
+        const root = document.documentElement;
+        const setDark = (dark) => {
+            if (dark) {
+                root.setAttribute('data-theme', 'dark');
+            } else {
+                root.removeAttribute('data-theme');
+            }
+        };
+
+        if (theme !== 'auto' || !window.matchMedia) {
+            setDark(theme === 'dark');
+            return;
+        }
+
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        setDark(query.matches);
+        query.addEventListener('change', event => setDark(event.matches));
+    },
+
+    /**
+     * 生成作品详情页的完整地址（含 basePath）
+     *
+     * @param {Object} work - 作品数据
+     * @param {Object|null} version - 播放的版本
+     * @returns {string}
+     */
+    getWorkUrl(work, version) {
+        const versionQuery = version && !version.isDefault ? `&v=${encodeURIComponent(version.key)}` : '';
+        return PathUtils.resolve(`${CONFIG.paths.pages}work-detail.html?id=${encodeURIComponent(work.id)}${versionQuery}`);
+    },
+};
+
+/* 在页面渲染前应用主题，避免先显示浅色再切换 */
+EmbedPage.applyTheme(Utils.getParam('theme'));
+
+/**
+ * 页面初始化
+ * DOM 加载完成后执行
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const workId = Utils.getParam('id');
+        if (!workId) {
+            showEmbedError('缺少作品ID参数');
+            return;
+        }
+
+        const work = await DataLoader.getWorkById(workId);
+        if (!work) {
+            showEmbedError('该作品可能已被移除');
+            return;
+        }
+
+        /* 与作品详情页相同：v 参数指定版本，否则播放默认版本 */
+        const versionKey = Utils.getParam('v');
+        const version = work.versions.find(item => item.key === versionKey)
+            || work.versions.find(item => item.isDefault)
+            || null;
+
+        renderEmbed(work, version);
+        document.title = `${work.title} | ${CONFIG.site.title}`;
+
+    } catch (error) {
+        Utils.logError('嵌入播放器', '加载作品', error);
+        showEmbedError(Utils.classifyError(error).message);
+    }
+});
+
+
+/**
+ * 渲染嵌入播放器
+ * 根据作品的媒体类型选择紧凑的音频布局或视频布局
+ *
+ * @param {Object} work - 作品数据
+ * @param {Object|null} version - 要播放的版本
+ */
+function renderEmbed(work, version) {
+    const container = Utils.getById('embed');
+    if (!container) return;
+
+    /* 版本只替换媒体，标题、封面等仍取自作品 */
+    const media = version
+        ? { ...work, type: version.type, audio: version.audio, video: version.video, renditions: version.renditions }
+        : work;
+
+    const renditions = MediaRenditions.select(media);
+    const mediaKind = renditions.length > 0 ? renditions[0].kind : null;
+    if (!mediaKind) {
+        showEmbedError('该作品暂无可播放的音频或视频');
+        return;
+    }
+
+    const workUrl = EmbedPage.getWorkUrl(work, version);
+    const titleHTML = `<a class="embed__title" href="${workUrl}" target="_blank" rel="noopener">${work.title}</a>`;
+    const brandHTML = `<a class="embed__brand" href="${workUrl}" target="_blank" rel="noopener" aria-label="在${CONFIG.site.title}中打开《${work.title}》">${CONFIG.site.title} ↗</a>`;
+    const errorHTML = `<p class="embed__error" hidden>${mediaKind === 'video' ? '视频' : '音频'}加载失败，请<a href="${workUrl}" target="_blank" rel="noopener">在${CONFIG.site.title}中收听</a></p>`;
+
+    container.classList.add(`embed--${mediaKind}`);
+
+    if (mediaKind === 'video') {
+        container.innerHTML = `
+            <video class="embed__video" controls preload="${CONFIG.media.videoPreload}"${work.cover ? ` poster="${PathUtils.resolve(work.cover)}"` : ''}>
+                ${MediaRenditions.createSourcesHTML(renditions)}
+                您的浏览器不支持视频播放
+            </video>
+            ${errorHTML}
+            <div class="embed__bar">
+                ${titleHTML}
+                ${brandHTML}
+            </div>
+        `;
+    } else {
+        container.innerHTML = `
+            <div class="embed__header">
+                ${work.cover
+                    ? `<img class="embed__cover" src="${PathUtils.resolve(work.cover)}" alt="" onerror="this.remove()">`
+                    : ''}
+                <div class="embed__text">
+                    ${titleHTML}
+                    ${work.subtitle ? `<p class="embed__subtitle">${work.subtitle}</p>` : ''}
+                </div>
+                ${brandHTML}
+            </div>
+            ${errorHTML}
+        `;
+        container.appendChild(UIComponents.createAudioPlayer(media));
+    }
+
+    bindEmbedErrorHandler(container);
+}
+
+
+/**
+ * 媒体全部版本加载失败时隐藏播放器，提示到站内收听
+ *
+ * @param {HTMLElement} container - 嵌入播放器容器
+ */
+function bindEmbedErrorHandler(container) {
+    const mediaEl = container.querySelector('.embed__video, .audio-player__media');
+    if (!mediaEl) return;
+
+    mediaEl.addEventListener('error', (event) => {
+        if (!MediaRenditions.isFinalError(event)) return;
+
+        Utils.logError('嵌入播放器', '媒体加载', mediaEl.error || new Error('媒体加载失败'));
+        (mediaEl.closest('.audio-player') || mediaEl).style.display = 'none';
+        container.querySelector('.embed__error').hidden = false;
+    }, true);
+}
+
+
+/**
+ * 显示无法播放的提示，并提供站点首页链接
+ *
+ * @param {string} message - 提示文字
+ */
+function showEmbedError(message) {
+    const container = Utils.getById('embed');
+    if (!container) return;
+
+    container.innerHTML = `
+        <p class="embed__status">
+            ${message}，<a href="${PathUtils.resolve('/')}" target="_blank" rel="noopener">访问${CONFIG.site.title}</a>
+        </p>
+    `;
+}
@@ -5,7 +5,8 @@
  *
  * 首页的核心逻辑，负责：
  *   1. 加载选录作品数据并渲染卡片
- *   2. 加载最近动态数据并渲染卡片
+ *   2. 渲染最近播放（本机浏览器中的收听记录），可清除记录
+ *   3. 加载最近动态数据并渲染卡片
  *
  * @version 1.0.0
  * ============================================================================
@@ -17,11 +18,29 @@
  */
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
         /* 并行加载作品和动态数据 */
         const { works, dynamics } = await DataLoader.loadAll();
 
+        /* 专辑信息只是补充，加载失败时卡片不显示"收录于" */
+        const albumsByWork = await DataLoader.getAlbumsByWork().catch((error) => {
+            Utils.logError('首页', '加载专辑', error);
+            return new Map();
+        });
+
         /* 渲染选录作品 */
-        renderFeaturedWorks(works);
+        renderFeaturedWorks(works, albumsByWork);
+
+        /* 渲染最近播放 */
+        renderRecentPlays(works, albumsByWork);
 
         /* 为动态填充关联作品信息后渲染 */
         DataLoader.enrichDynamicsWithRelatedWork(dynamics, works);
@@ -41,8 +60,9 @@ document.addEventListener('DOMContentLoaded', async () => {
  * 筛选出对应的作品并渲染为卡片。
  *
  * @param {Array} allWorks - 全部作品数据
+ * @param {Map<string, Array>} [albumsByWork] - 作品 ID → 收录专辑（DataLoader.getAlbumsByWork 的结果）
  */
-function renderFeaturedWorks(allWorks) {
+function renderFeaturedWorks(allWorks, albumsByWork = new Map()) {
     const container = Utils.getById('featured-works-container');
     if (!container) return;
 
@@ -67,7 +87,7 @@ function renderFeaturedWorks(allWorks) {
         const card = UIComponents.createWorkCard(work, (w) => {
             /* 点击卡片跳转到作品详情页 */
             PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${w.id}`);
-        });
+        }, { albums: albumsByWork.get(work.id), queueActions: PlayQueue.getCardActions(work) });
         fragment.appendChild(card);
     });
 
@@ -77,6 +97,57 @@ function renderFeaturedWorks(allWorks) {
 }
 
 
+/**
+ * 渲染最近播放区域
+ *
+ * 按收听记录（ListeningHistory）的顺序列出最近收听的作品，
+ * 卡片中注明上次听到的位置。没有记录时整个区域保持隐藏。
+ *
+ * @param {Array} allWorks - 全部作品数据
+ * @param {Map<string, Array>} [albumsByWork] - 作品 ID → 收录专辑
+ */
+function renderRecentPlays(allWorks, albumsByWork = new Map()) {
+    const section = Utils.getById('recent-plays');
+    const container = Utils.getById('recent-plays-container');
+    if (!section || !container) return;
+
+    /* 已从作品集中移除的作品不再显示 */
+    const recent = ListeningHistory.getAll()
+        .map(entry => ({ entry, work: allWorks.find(w => w.id === entry.workId) }))
+        .filter(({ work }) => work)
+        .slice(0, CONFIG.history.homeCount);
+
+    section.hidden = recent.length === 0;
+    if (recent.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    recent.forEach(({ entry, work }) => {
+        const card = UIComponents.createWorkCard(work, (w) => {
+            PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${w.id}`);
+        }, {
+            albums: albumsByWork.get(work.id),
+            note: entry.finished ? '已听完' : `上次听到 ${Utils.formatDuration(entry.position)}`,
+            queueActions: PlayQueue.getCardActions(work),
+        });
+        fragment.appendChild(card);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+
+    const clearButton = Utils.getById('recent-plays-clear');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            if (!window.confirm('确定清除全部收听记录吗？')) return;
+            ListeningHistory.clear();
+            section.hidden = true;
+            container.innerHTML = '';
+            UIComponents.showToast('收听记录已清除', 'success');
+        });
+    }
+}
+
+
 /**
  * 渲染最近动态区域
  *
@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 收听记录 (listening-history.js)
+ * ============================================================================
+ *
+ * 记录访客最近收听的作品与每首作品听到的位置：
+ *   1. 播放过程中定期保存位置（作品详情页、专辑页与迷你播放器中的播放器）
+ *   2. 重新打开作品详情页时提示"继续播放 03:12"
+ *   3. 首页"最近播放"列出最近收听的作品
+ *
+ * 记录只保存在访客浏览器的 localStorage 中，不会发送到任何服务器；
+ * 访客可以在首页一键清除。
+ *
+ * 有版本的作品（见 work-detail.js）按版本时间轴对齐后的位置保存：
+ * 保存时减去当前版本的 offset，恢复时加上播放版本的 offset。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后、mini-player.js 之前引入。
+ *   通过全局 ListeningHistory 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const ListeningHistory = {
+
+
+    /* ========================================================================
+     * 一、读取与保存
+     * ====================================================================== */
+
+    /**
+     * 获取全部记录（最近收听的在前）
+     *
+     * @returns {Array<{workId: string, title: string, subtitle: string, cover: string|null,
+     *   position: number, finished: boolean, playedAt: number}>}
+     */
+    getAll() {
+        if (!CONFIG.history.enabled) return [];
+
+        const saved = Utils.readStorage(CONFIG.history.storageKey, []);
+        return Array.isArray(saved)
+            ? saved.filter(entry => entry && entry.workId && Number.isFinite(entry.position))
+            : [];
+    },
+
+    /**
+     * 获取某首作品的记录
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Object|null}
+     */
+    get(workId) {
+        return this.getAll().find(entry => entry.workId === workId) || null;
+    },
+
+    /**
+     * 获取可以继续播放的位置
+     * 没有记录、已经听完或听到的位置太靠前（不足 minPosition 秒）时为 0。
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {number} 版本时间轴上的位置（秒）
+     */
+    getResumePosition(workId) {
+        const entry = this.get(workId);
+        if (!entry || entry.finished || entry.position < CONFIG.history.minPosition) return 0;
+        return entry.position;
+    },
+
+    /**
+     * 记录一次收听，移到最前并保留最近 maxItems 首
+     * 距结尾不足 finishMargin 秒时记为已听完，下次从头播放。
+     *
+     * @param {{workId: string, title: string, subtitle: string, cover: string|null}} item - 作品信息
+     *   （PlayQueue.createItem 的结果或包含相同字段的对象）
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @param {number} [offset=0] - 当前播放版本的 offset（秒）
+     */
+    record(item, mediaEl, offset = 0) {
+        if (!CONFIG.history.enabled || !item) return;
+
+        const remaining = mediaEl.duration - mediaEl.currentTime;
+        const finished = mediaEl.ended || (Number.isFinite(remaining) && remaining < CONFIG.history.finishMargin);
+
+        const entry = {
+            workId: item.workId,
+            title: item.title,
+            subtitle: item.subtitle || '',
+            cover: item.cover || null,
+            position: finished ? 0 : Math.max(0, Math.round(mediaEl.currentTime - offset)),
+            finished,
+            playedAt: Date.now(),
+        };
+
+        const others = this.getAll().filter(saved => saved.workId !== entry.workId);
+        Utils.writeStorage(CONFIG.history.storageKey, [entry, ...others].slice(0, CONFIG.history.maxItems));
+    },
+
+    /**
+     * 清除全部收听记录
+     */
+    clear() {
+        Utils.removeStorage(CONFIG.history.storageKey);
+    },
+
+
+    /* ========================================================================
+     * 二、跟踪播放器
+     * ====================================================================== */
+
+    /**
+     * 跟踪页面上的播放器：开始播放后定期保存位置，暂停、跳转与播放结束时立即保存
+     * 只打开页面而没有播放的作品不会出现在记录中。
+     *
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @param {Object} work - 作品数据
+     * @param {Object} [options] - 可选配置
+     * @param {Function} [options.getOffset] - 返回当前播放版本的 offset（秒）
+     *
+     * @example
+     * ListeningHistory.track(mediaEl, work, { getOffset: () => DetailPage.version ? DetailPage.version.offset : 0 });
+     */
+    track(mediaEl, work, options = {}) {
+        if (!CONFIG.history.enabled) return;
+
+        const getOffset = options.getOffset || (() => 0);
+        const item = { workId: work.id, title: work.title, subtitle: work.subtitle, cover: work.cover };
+        let started = false;
+
+        const save = () => {
+            if (started) this.record(item, mediaEl, getOffset());
+        };
+
+        mediaEl.addEventListener('play', () => {
+            started = true;
+            save();
+        });
+        mediaEl.addEventListener('pause', save);
+        mediaEl.addEventListener('seeked', save);
+        mediaEl.addEventListener('ended', save);
+        mediaEl.addEventListener('timeupdate', Utils.throttle(save, CONFIG.history.saveInterval));
+    },
+};
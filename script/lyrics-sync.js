@@ -0,0 +1,258 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 同步歌词 (lyrics-sync.js)
+ * ============================================================================
+ *
+ * 作品可以提供带时间的歌词，播放时高亮当前行：
+ *   - lrc         : LRC 格式文本，如 "[00:12.30]你细心播种一粒粒种子"
+ *   - timedLyrics : 数组，如 [{ "time": 12.3, "line": "你细心播种一粒粒种子" }]
+ *
+ * 本文件负责：
+ *   1. 解析 LRC（一行多个时间标签、[offset:] 整体偏移、忽略 [ti:] 等信息标签）
+ *   2. 统一两种写法为按时间排序的 [{ time, line }]
+ *   3. 在歌词区域跟随播放器高亮当前行、自动滚动，点击某一行跳转到该时间
+ *   4. 将同步歌词转为字幕片段（视频的 <track kind="subtitles">，见 Utils.toWebVTT）
+ *
+ * 没有同步歌词的作品仍显示纯文本 lyrics。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后、data-schema.js 和 data-loader.js 之前引入。
+ *   通过全局 LyricsSync 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const LyricsSync = {
+
+
+    /* ========================================================================
+     * 一、解析与统一
+     * ====================================================================== */
+
+    /** LRC 时间标签：[分:秒]、[分:秒.百分秒]、[分:秒:百分秒] */
+    _timeTagPattern: /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g,
+
+    /**
+     * 解析 LRC 文本
+     * 同一行可以有多个时间标签（重复的副歌），[offset:毫秒] 为正时歌词整体提前。
+     * 没有时间标签的行（如 [ti:标题] 等信息标签）被忽略。
+     *
+     * @param {string} text - LRC 文本
+     * @returns {Array<{time: number, line: string}>} 按时间排序，时间单位为秒
+     *
+     * @example
+     * LyricsSync.parseLRC('[ti:写给春天的歌]\n[00:12.30][01:20.00]你细心播种');
+     * // → [{ time: 12.3, line: '你细心播种' }, { time: 80, line: '你细心播种' }]
+     */
+    parseLRC(text) {
+        if (!text) return [];
+
+        const offsetMatch = /\[offset:\s*([+-]?\d+)\s*\]/i.exec(text);
+        const offset = offsetMatch ? Number(offsetMatch[1]) / 1000 : 0;
+        const lines = [];
+
+        text.split(/\r?\n/).forEach(raw => {
+            const times = [];
+            let match;
+            this._timeTagPattern.lastIndex = 0;
+            while ((match = this._timeTagPattern.exec(raw)) !== null) {
+                const fraction = match[3] ? Number(`0.${match[3]}`) : 0;
+                times.push(Number(match[1]) * 60 + Number(match[2]) + fraction);
+            }
+            if (times.length === 0) return;
+
+            const line = raw.replace(this._timeTagPattern, '').trim();
+            times.forEach(time => lines.push({ time: Math.max(0, time - offset), line }));
+        });
+
+        return this._sort(lines);
+    },
+
+    /**
+     * 获取作品的同步歌词
+     * timedLyrics 优先；否则解析 lrc；都没有时返回空数组。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{time: number, line: string}>}
+     */
+    getLines(work) {
+        if (Array.isArray(work.timedLyrics) && work.timedLyrics.length > 0) {
+            return this._sort(work.timedLyrics
+                .filter(item => item && Number.isFinite(item.time) && item.time >= 0)
+                .map(item => ({ time: item.time, line: String(item.line || '').trim() })));
+        }
+        return this.parseLRC(work.lrc);
+    },
+
+    /**
+     * 将同步歌词还原为纯文本（用于搜索与没有播放器时的展示）
+     *
+     * @param {Array<{time: number, line: string}>} lines - 同步歌词
+     * @returns {string}
+     */
+    toPlainText(lines) {
+        return lines.map(item => item.line).join('\n');
+    },
+
+    /**
+     * 将同步歌词转为字幕片段
+     * 每句显示到下一行开始（空行即间奏，只用于结束上一句），最后一句显示 lastDuration 秒。
+     *
+     * @param {Array<{time: number, line: string}>} lines - 按时间排序的同步歌词
+     * @param {Object} [options] - 可选配置
+     * @param {number} [options.offset=0] - 歌词在视频中的偏移（秒），如 MV 开头的画面
+     * @param {number} [options.lastDuration=6] - 最后一句显示的秒数
+     * @returns {Array<{start: number, end: number, text: string}>} 可交给 Utils.toWebVTT
+     *
+     * @example
+     * LyricsSync.toCues([{ time: 12.3, line: '你细心播种' }, { time: 18, line: '' }], { offset: 5 });
+     * // → [{ start: 17.3, end: 23, text: '你细心播种' }]
+     */
+    toCues(lines, options = {}) {
+        const offset = options.offset || 0;
+        const lastDuration = options.lastDuration !== undefined ? options.lastDuration : 6;
+
+        return lines
+            .map((item, i) => ({
+                start: Math.max(0, item.time + offset),
+                end: i + 1 < lines.length ? lines[i + 1].time + offset : item.time + offset + lastDuration,
+                text: item.line,
+            }))
+            .filter(cue => cue.text && cue.end > cue.start);
+    },
+
+    /**
+     * 按时间排序（时间相同时保持原顺序）
+     *
+     * @param {Array} lines - 同步歌词
+     * @returns {Array}
+     * @private
+     */
+    _sort(lines) {
+        return lines
+            .map((item, i) => ({ item, i }))
+            .sort((a, b) => a.item.time - b.item.time || a.i - b.i)
+            .map(({ item }) => item);
+    },
+
+    /**
+     * 查找某一时刻正在演唱的行（时间不晚于该时刻的最后一行）
+     *
+     * @param {Array<{time: number}>} lines - 按时间排序的同步歌词
+     * @param {number} time - 播放时间（秒）
+     * @returns {number} 行下标；第一行开始之前为 -1
+     */
+    findIndex(lines, time) {
+        let low = 0;
+        let high = lines.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (lines[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    },
+
+
+    /* ========================================================================
+     * 二、跟随播放
+     * ====================================================================== */
+
+    /** 访客手动滚动歌词后，暂停自动滚动的时长（毫秒） */
+    _manualScrollPause: 3000,
+
+    /**
+     * 生成同步歌词列表的 HTML
+     * 每一行是一个按钮，点击跳转到该行；空行表示间奏，只占位不可点击。
+     *
+     * @param {Array<{time: number, line: string}>} lines - 同步歌词
+     * @returns {string}
+     */
+    createHTML(lines) {
+        const items = lines.map((item, i) => (item.line
+            ? `<li class="lyrics-synced__line" data-index="${i}">
+                   <button type="button" class="lyrics-synced__seek" data-time="${item.time}" aria-label="${Utils.formatDuration(item.time)} ${item.line}">${item.line}</button>
+               </li>`
+            : `<li class="lyrics-synced__line lyrics-synced__line--gap" data-index="${i}" aria-hidden="true"></li>`));
+
+        return `<ol class="lyrics-content lyrics-synced" aria-label="同步歌词（点击某一行跳转）">${items.join('')}</ol>`;
+    },
+
+    /**
+     * 让歌词列表跟随播放器
+     * 在播放器容器上以捕获阶段监听 timeupdate（媒体事件不冒泡），
+     * 播放器被重建（切换版本、切换画质）后无需重新绑定。
+     *
+     * @param {HTMLElement} listEl - createHTML 生成的 .lyrics-synced 元素
+     * @param {HTMLElement} playerEl - 包含 <audio> / <video> 的播放器容器
+     * @param {Array<{time: number, line: string}>} lines - 同步歌词
+     * @param {Object} [options] - 可选配置
+     * @param {Function} [options.getOffset] - 返回当前播放媒体相对歌词时间轴的偏移（秒），
+     *   用于时间轴不同的版本
+     *
+     * @example
+     * LyricsSync.attach(tabPanel.querySelector('.lyrics-synced'), Utils.getById('detail-player'), work.timedLyrics);
+     */
+    attach(listEl, playerEl, lines, options = {}) {
+        const getOffset = options.getOffset || (() => 0);
+        const getMedia = () => playerEl.querySelector('audio, video');
+        const lineEls = listEl.querySelectorAll('.lyrics-synced__line');
+        let currentIndex = -1;
+        let manualScrollAt = 0;
+
+        const highlight = (index) => {
+            if (index === currentIndex) return;
+
+            if (currentIndex >= 0) {
+                lineEls[currentIndex].classList.remove('lyrics-synced__line--active');
+                lineEls[currentIndex].removeAttribute('aria-current');
+            }
+            currentIndex = index;
+            if (index < 0) return;
+
+            const lineEl = lineEls[index];
+            lineEl.classList.add('lyrics-synced__line--active');
+            lineEl.setAttribute('aria-current', 'true');
+
+            /* 只在歌词可见且访客没有刚刚手动滚动时，把当前行滚到列表中部
+               （列表为定位元素，行的 offsetTop 相对列表计算） */
+            if (listEl.offsetParent !== null && Date.now() - manualScrollAt > this._manualScrollPause) {
+                const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+                listEl.scrollTo({
+                    top: lineEl.offsetTop - (listEl.clientHeight - lineEl.offsetHeight) / 2,
+                    behavior: reduceMotion ? 'auto' : 'smooth',
+                });
+            }
+        };
+
+        const sync = () => {
+            const media = getMedia();
+            if (!media) return;
+            highlight(this.findIndex(lines, media.currentTime - getOffset()));
+        };
+
+        playerEl.addEventListener('timeupdate', sync, true);
+        playerEl.addEventListener('seeked', sync, true);
+
+        ['wheel', 'touchmove'].forEach(type => {
+            listEl.addEventListener(type, () => { manualScrollAt = Date.now(); }, { passive: true });
+        });
+
+        listEl.addEventListener('click', (e) => {
+            const button = e.target.closest('.lyrics-synced__seek');
+            const media = getMedia();
+            if (!button || !media) return;
+
+            media.currentTime = Number(button.dataset.time) + getOffset();
+            manualScrollAt = 0;
+            if (media.paused) media.play().catch(() => {});
+        });
+    },
+};
@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 多版本媒体选择 (media-renditions.js)
+ * ============================================================================
+ *
+ * 作品可以在 renditions 中提供同一音频/视频的多个版本，例如：
+ *   "renditions": [
+ *     { "src": "/artwork/audio/S001.flac", "type": "audio/flac", "bitrate": 900 },
+ *     { "src": "/artwork/audio/S001.opus", "type": "audio/ogg; codecs=opus", "bitrate": 160 },
+ *     { "src": "/artwork/audio/S001.mp3", "type": "audio/mpeg", "bitrate": 128 }
+ *   ]
+ *
+ * 本文件负责：
+ *   1. 读取作品的全部版本（未提供 renditions 时由 audio / video 字段生成单一版本）
+ *   2. 按浏览器支持情况（canPlayType）过滤，并按画质排序生成 <source> 列表
+ *   3. 慢速网络（navigator.connection）时优先低码率版本
+ *   4. 记住访客手动选择的画质/音质，切换版本时保留播放位置
+ *
+ * 浏览器按 <source> 的顺序尝试加载，前面的版本加载失败时会自动尝试下一个。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后、components.js 之前引入。
+ *   通过全局 MediaRenditions 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const MediaRenditions = {
+
+
+    /* ========================================================================
+     * 一、读取版本
+     * ====================================================================== */
+
+    /** 常见 MIME 类型对应的格式名称（用于生成版本名称） */
+    _codecNames: {
+        'audio/mpeg': 'MP3',
+        'audio/ogg': 'OGG',
+        'audio/opus': 'Opus',
+        'audio/flac': 'FLAC',
+        'audio/mp4': 'AAC',
+        'audio/aac': 'AAC',
+        'audio/wav': 'WAV',
+        'video/mp4': 'MP4',
+        'video/webm': 'WebM',
+    },
+
+    /**
+     * 获取作品主媒体的全部版本
+     * MV 作品的主媒体为视频（缺少视频时退回音频），其余为音频。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array<{src: string, type: string, bitrate: number|null, width: number|null, height: number|null, label: string, kind: string}>}
+     *   未提供 renditions 时由 audio / video 字段生成单一版本；没有媒体时为空数组
+     *
+     * @example
+     * MediaRenditions.getRenditions({ type: 'audio', audio: '/artwork/audio/S001.mp3' });
+     * // → [{ src: '/artwork/audio/S001.mp3', type: 'audio/mpeg', bitrate: null, ..., label: 'MP3', kind: 'audio' }]
+     */
+    getRenditions(work) {
+        const hasRenditions = Array.isArray(work.renditions) && work.renditions.length > 0;
+        const kind = work.type === 'video' && (hasRenditions || work.video) ? 'video' : 'audio';
+
+        if (hasRenditions) {
+            return work.renditions.map(rendition => this._normalize(rendition, kind));
+        }
+
+        const src = work[kind];
+        if (!src) return [];
+        return [this._normalize({ src, type: CONFIG.media[`${kind}Format`] }, kind)];
+    },
+
+    /**
+     * 补全版本信息（解析分辨率、生成显示名称）
+     *
+     * @param {Object} rendition - 作品数据中的版本
+     * @param {string} kind - 'audio' | 'video'
+     * @returns {Object}
+     * @private
+     */
+    _normalize(rendition, kind) {
+        const [width, height] = rendition.resolution
+            ? rendition.resolution.split('x').map(Number)
+            : [null, null];
+
+        const normalized = {
+            src: rendition.src,
+            type: rendition.type,
+            bitrate: rendition.bitrate || null,
+            width,
+            height,
+            kind,
+        };
+
+        normalized.label = rendition.label || this._createLabel(normalized);
+        return normalized;
+    },
+
+    /**
+     * 生成版本的显示名称：视频为"720p"，音频为"Opus 160kbps"
+     *
+     * @param {Object} rendition - 已解析的版本
+     * @returns {string}
+     * @private
+     */
+    _createLabel(rendition) {
+        if (rendition.kind === 'video' && rendition.height) {
+            return `${rendition.height}p`;
+        }
+
+        const baseType = rendition.type.split(';')[0].trim().toLowerCase();
+        const codecMatch = /codecs="?([\w.]+)/.exec(rendition.type);
+        const codec = codecMatch && codecMatch[1] === 'opus'
+            ? 'Opus'
+            : (this._codecNames[baseType] || baseType.split('/')[1].toUpperCase());
+
+        return rendition.bitrate ? `${codec} ${rendition.bitrate}kbps` : codec;
+    },
+
+
+    /* ========================================================================
+     * 二、选择与排序
+     * ====================================================================== */
+
+    /**
+     * 按当前环境为作品排列播放版本
+     * 1. 过滤掉浏览器无法播放的格式（全部无法识别时保留全部，交由浏览器尝试）
+     * 2. canPlayType 为 'probably' 的格式排在 'maybe' 之前
+     * 3. 支持程度相同时画质由高到低排列；慢速网络时由低到高
+     * 4. 访客手动选择过的版本排在最前
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Array} 排好序的版本，第一个即首选
+     */
+    select(work) {
+        const renditions = this.getPlayable(this.getRenditions(work));
+        return this.order(renditions, {
+            preference: this.getPreference(),
+            slow: this.isSlowConnection(),
+        });
+    },
+
+    /**
+     * 过滤出浏览器可以播放的版本
+     *
+     * @param {Array} renditions - 版本列表
+     * @returns {Array} 附带 support（'probably' | 'maybe'）的版本
+     */
+    getPlayable(renditions) {
+        if (renditions.length === 0) return [];
+
+        const tester = document.createElement(renditions[0].kind);
+        const withSupport = renditions.map(rendition => ({
+            ...rendition,
+            support: typeof tester.canPlayType === 'function' ? tester.canPlayType(rendition.type) : 'maybe',
+        }));
+
+        const playable = withSupport.filter(rendition => rendition.support !== '');
+        return playable.length > 0 ? playable : withSupport;
+    },
+
+    /**
+     * 排列版本顺序
+     * 先按浏览器的支持程度（canPlayType），再按画质：确定能播放的格式优先于
+     * 只是"可能"能播放的更高码率格式，避免首选的 <source> 解码失败。
+     *
+     * @param {Array} renditions - 版本列表
+     * @param {Object} [options] - 排序选项
+     * @param {string} [options.preference='auto'] - 访客选择的版本名称
+     * @param {boolean} [options.slow=false] - 是否为慢速网络
+     * @returns {Array}
+     */
+    order(renditions, options = {}) {
+        const { preference = 'auto', slow = false } = options;
+        const quality = rendition => rendition.height || rendition.bitrate || 0;
+        const supportRank = rendition => (rendition.support === 'probably' ? 0 : 1);
+
+        const sorted = [...renditions].sort((a, b) =>
+            supportRank(a) - supportRank(b)
+            || (slow ? quality(a) - quality(b) : quality(b) - quality(a)));
+
+        const preferred = sorted.findIndex(rendition => rendition.label === preference);
+        if (preference !== 'auto' && preferred > 0) {
+            sorted.unshift(...sorted.splice(preferred, 1));
+        }
+
+        return sorted;
+    },
+
+
+    /* ========================================================================
+     * 三、网络状况
+     * ====================================================================== */
+
+    /**
+     * 判断当前是否为慢速网络
+     * 依据 navigator.connection（Network Information API）：省流量模式、
+     * effectiveType 属于 CONFIG.media.slowConnectionTypes，或下行带宽低于 slowDownlinkMbps。
+     * 浏览器不支持该 API 时视为正常网络。
+     *
+     * @returns {boolean}
+     */
+    isSlowConnection() {
+        const connection = navigator.connection;
+        if (!connection) return false;
+
+        return Boolean(connection.saveData)
+            || CONFIG.media.slowConnectionTypes.includes(connection.effectiveType)
+            || (typeof connection.downlink === 'number' && connection.downlink > 0
+                && connection.downlink < CONFIG.media.slowDownlinkMbps);
+    },
+
+    /**
+     * 监听网络状况变化
+     *
+     * @param {Function} callback - 网络状况变化时调用
+     * @returns {Function} 取消监听的函数
+     */
+    onConnectionChange(callback) {
+        const connection = navigator.connection;
+        if (!connection || typeof connection.addEventListener !== 'function') return () => {};
+
+        connection.addEventListener('change', callback);
+        return () => connection.removeEventListener('change', callback);
+    },
+
+
+    /* ========================================================================
+     * 四、画质偏好
+     * ====================================================================== */
+
+    /**
+     * 获取访客选择的画质/音质
+     *
+     * @returns {string} 'auto' 或版本名称（如 "720p"）
+     */
+    getPreference() {
+        return Utils.readStorage(CONFIG.media.qualityStorageKey, 'auto');
+    },
+
+    /**
+     * 保存访客选择的画质/音质（跨作品、跨页面生效；其他作品没有同名版本时按自动处理）
+     *
+     * @param {string} label - 'auto' 或版本名称
+     */
+    setPreference(label) {
+        if (label === 'auto') {
+            Utils.removeStorage(CONFIG.media.qualityStorageKey);
+        } else {
+            Utils.writeStorage(CONFIG.media.qualityStorageKey, label);
+        }
+    },
+
+
+    /* ========================================================================
+     * 五、应用到媒体元素
+     * ====================================================================== */
+
+    /**
+     * 生成 <source> 列表的 HTML
+     *
+     * @param {Array} renditions - 排好序的版本
+     * @returns {string}
+     */
+    createSourcesHTML(renditions) {
+        return renditions
+            .map(rendition => `<source src="${PathUtils.resolve(rendition.src)}" type="${rendition.type}">`)
+            .join('');
+    },
+
+    /**
+     * 替换媒体元素的 <source> 列表并重新加载，保留播放位置与播放状态
+     *
+     * @param {HTMLMediaElement} mediaEl - 音频或视频元素
+     * @param {Array} renditions - 排好序的版本
+     */
+    applySources(mediaEl, renditions) {
+        const position = mediaEl.currentTime;
+        const wasPlaying = !mediaEl.paused && !mediaEl.ended;
+
+        mediaEl.querySelectorAll('source').forEach(source => source.remove());
+        mediaEl.insertAdjacentHTML('afterbegin', this.createSourcesHTML(renditions));
+        mediaEl.load();
+
+        if (position > 0 || wasPlaying) {
+            mediaEl.addEventListener('loadedmetadata', () => {
+                if (position > 0) mediaEl.currentTime = position;
+                if (wasPlaying) mediaEl.play().catch(() => {});
+            }, { once: true });
+        }
+    },
+
+    /**
+     * 获取媒体元素当前实际播放的版本
+     *
+     * @param {HTMLMediaElement} mediaEl - 音频或视频元素
+     * @param {Array} renditions - 版本列表
+     * @returns {Object|null}
+     */
+    getCurrentRendition(mediaEl, renditions) {
+        if (!mediaEl.currentSrc) return null;
+        const current = decodeURI(new URL(mediaEl.currentSrc, location.href).pathname);
+        return renditions.find(rendition => decodeURI(new URL(PathUtils.resolve(rendition.src), location.href).pathname) === current) || null;
+    },
+
+    /**
+     * 判断媒体的 error 事件是否意味着全部版本都加载失败
+     * 捕获阶段会收到每个 <source> 的 error；只要后面还有 <source>，浏览器就会继续尝试，
+     * 此时不应显示加载失败。
+     *
+     * @param {Event} event - error 事件
+     * @returns {boolean}
+     */
+    isFinalError(event) {
+        const target = event.target;
+        if (!target || target.tagName !== 'SOURCE') return true;
+
+        let next = target.nextElementSibling;
+        while (next && next.tagName !== 'SOURCE') next = next.nextElementSibling;
+        return !next;
+    },
+};
@@ -0,0 +1,255 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 系统媒体控制 (media-session.js)
+ * ============================================================================
+ *
+ * 通过 Media Session API（navigator.mediaSession）把正在播放的作品告诉系统：
+ *   1. 锁屏、通知栏与系统媒体面板显示作品标题、副标题、创作者和封面，
+ *      而不是媒体文件名；没有封面的作品使用按站点配色生成的图片
+ *   2. 锁屏按钮、耳机与键盘的媒体键可以播放/暂停、快退/快进、拖动进度，
+ *      并在有播放队列或专辑时切换上一首/下一首
+ *
+ * 页面上可能同时存在多个播放器（如作品详情页与迷你播放器），
+ * 以最近开始播放的一个为准。不支持 Media Session 的浏览器中本模块不做任何事。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后、mini-player.js 之前引入。
+ *   通过全局 MediaSessionManager 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const MediaSessionManager = {
+
+    /** 当前向系统发布的播放器 { mediaEl, getInfo, options }，没有时为 null */
+    _active: null,
+
+    /** 生成的封面（作品标题 → data URL），同一作品只生成一次 */
+    _generatedArtwork: new Map(),
+
+    /** 生成封面的边长（像素） */
+    _artworkSize: 512,
+
+
+    /* ========================================================================
+     * 一、跟踪播放器
+     * ====================================================================== */
+
+    /**
+     * 浏览器是否支持 Media Session API
+     *
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'mediaSession' in navigator && typeof MediaMetadata === 'function';
+    },
+
+    /**
+     * 跟踪播放器：开始播放时把它发布为系统中的"正在播放"
+     *
+     * @param {HTMLMediaElement} mediaEl - 播放器
+     * @param {Function} getInfo - 返回正在播放的作品 { title, subtitle, creator, cover }；
+     *   同一播放器换曲（迷你播放器）时返回新的作品
+     * @param {Object} [options] - 可选配置
+     * @param {Function} [options.getTrackActions] - 返回 { previous, next } 两个函数（或 null），
+     *   系统的上一首/下一首按钮调用它们；为 null 时系统不显示对应按钮
+     *
+     * @example
+     * MediaSessionManager.attach(audio, () => work, {
+     *     getTrackActions: () => ({ previous: null, next: hasNext ? playNext : null }),
+     * });
+     */
+    attach(mediaEl, getInfo, options = {}) {
+        if (!this.isSupported()) return;
+
+        const isActive = () => this._active !== null && this._active.mediaEl === mediaEl;
+
+        mediaEl.addEventListener('play', () => {
+            this._active = { mediaEl, getInfo, options };
+            this.refresh();
+        });
+
+        /* 同一播放器加载新的作品时（迷你播放器换曲）更新信息 */
+        mediaEl.addEventListener('loadstart', () => {
+            if (isActive()) this.refresh();
+        });
+
+        ['pause', 'ended'].forEach((type) => {
+            mediaEl.addEventListener(type, () => {
+                if (isActive()) this._updatePlaybackState();
+            });
+        });
+        ['loadedmetadata', 'durationchange', 'ratechange', 'seeked'].forEach((type) => {
+            mediaEl.addEventListener(type, () => {
+                if (isActive()) this._updatePosition();
+            });
+        });
+    },
+
+    /**
+     * 重新发布当前播放器的作品信息与操作（如播放队列变化后，上一首/下一首是否可用有变化）
+     */
+    refresh() {
+        if (!this.isSupported() || !this._active) return;
+
+        const { getInfo } = this._active;
+        const info = getInfo();
+        if (info) {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: info.title,
+                artist: info.creator || CONFIG.site.author,
+                album: info.subtitle || CONFIG.site.title,
+                artwork: this._getArtwork(info),
+            });
+        }
+
+        this._bindActions();
+        this._updatePlaybackState();
+        this._updatePosition();
+    },
+
+
+    /* ========================================================================
+     * 二、系统操作
+     * ====================================================================== */
+
+    /**
+     * 注册系统按钮与媒体键的处理函数
+     *
+     * @private
+     */
+    _bindActions() {
+        const { mediaEl, options } = this._active;
+        const tracks = options.getTrackActions ? options.getTrackActions() : {};
+        const seekBy = (seconds) => {
+            const duration = Number.isFinite(mediaEl.duration) ? mediaEl.duration : Infinity;
+            mediaEl.currentTime = Math.min(duration, Math.max(0, mediaEl.currentTime + seconds));
+        };
+
+        const handlers = {
+            play: () => mediaEl.play().catch((error) => Utils.logError('系统媒体控制', '播放', error)),
+            pause: () => mediaEl.pause(),
+            seekbackward: (details) => seekBy(-(details.seekOffset || CONFIG.player.seekStep)),
+            seekforward: (details) => seekBy(details.seekOffset || CONFIG.player.seekStep),
+            seekto: (details) => {
+                if (details.fastSeek && typeof mediaEl.fastSeek === 'function') {
+                    mediaEl.fastSeek(details.seekTime);
+                } else {
+                    mediaEl.currentTime = details.seekTime;
+                }
+            },
+            previoustrack: tracks.previous || null,
+            nexttrack: tracks.next || null,
+        };
+
+        /* 旧版浏览器不认识部分操作时会抛出异常，逐个注册互不影响 */
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                /* 不支持该操作，忽略 */
+            }
+        });
+    },
+
+    /**
+     * 同步播放/暂停状态
+     *
+     * @private
+     */
+    _updatePlaybackState() {
+        const { mediaEl } = this._active;
+        navigator.mediaSession.playbackState = mediaEl.paused || mediaEl.ended ? 'paused' : 'playing';
+    },
+
+    /**
+     * 同步进度（锁屏上的进度条）
+     * 时长未知（如直播流、元数据未加载）时不设置。
+     *
+     * @private
+     */
+    _updatePosition() {
+        const { mediaEl } = this._active;
+        if (typeof navigator.mediaSession.setPositionState !== 'function') return;
+        if (!Number.isFinite(mediaEl.duration) || mediaEl.duration <= 0) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: mediaEl.duration,
+                playbackRate: mediaEl.playbackRate || 1,
+                position: Math.min(mediaEl.duration, Math.max(0, mediaEl.currentTime)),
+            });
+        } catch (error) {
+            Utils.logError('系统媒体控制', '更新进度', error);
+        }
+    },
+
+
+    /* ========================================================================
+     * 三、封面
+     * ====================================================================== */
+
+    /**
+     * 获取作品封面
+     * 有封面时经 PathUtils.resolve 解析为完整地址，否则使用生成的封面。
+     *
+     * @param {Object} info - 作品信息
+     * @returns {Array<{src: string, sizes?: string, type?: string}>}
+     * @private
+     */
+    _getArtwork(info) {
+        if (info.cover) {
+            return [{ src: new URL(PathUtils.resolve(info.cover), window.location.href).href }];
+        }
+
+        const generated = this._createArtwork(info.title);
+        const size = `${this._artworkSize}x${this._artworkSize}`;
+        return generated ? [{ src: generated, sizes: size, type: 'image/png' }] : [];
+    },
+
+    /**
+     * 为没有封面的作品生成封面：站点主色渐变背景，中间为标题的第一个字
+     * 颜色读取 variables.css 中的变量，随主题变化。
+     *
+     * @param {string} title - 作品标题
+     * @returns {string|null} PNG 的 data URL；无法使用 canvas 时为 null
+     * @private
+     */
+    _createArtwork(title) {
+        const theme = document.documentElement.getAttribute('data-theme') || 'light';
+        const cacheKey = `${theme}:${title}`;
+        if (this._generatedArtwork.has(cacheKey)) return this._generatedArtwork.get(cacheKey);
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return null;
+
+        const size = this._artworkSize;
+        const styles = getComputedStyle(document.documentElement);
+        const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+        canvas.width = size;
+        canvas.height = size;
+
+        const gradient = context.createLinearGradient(0, 0, size, size);
+        gradient.addColorStop(0, color('--color-primary-light', '#4a8b9d'));
+        gradient.addColorStop(1, color('--color-primary-dark', '#1d3f4a'));
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = `${size * 0.42}px ${color('--font-heading', 'serif')}`;
+        context.fillText(Array.from(title || '♪')[0], size / 2, size * 0.46);
+
+        context.globalAlpha = 0.8;
+        context.font = `${size * 0.06}px ${color('--font-ui', 'sans-serif')}`;
+        context.fillText(CONFIG.site.title, size / 2, size * 0.86);
+
+        const dataUrl = canvas.toDataURL('image/png');
+        this._generatedArtwork.set(cacheKey, dataUrl);
+        return dataUrl;
+    },
+};
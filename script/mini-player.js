@@ -0,0 +1,586 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 迷你播放器 (mini-player.js)
+ * ============================================================================
+ *
+ * 站点由多个独立页面组成，每次跳转都是一次完整的文档加载，播放会随之中断。
+ * 迷你播放器通过"状态交接"让音频跨页面继续：
+ *   1. 页面上的播放器（作品详情、专辑）通过 attach() 交由本模块跟踪，
+ *      播放状态（作品、播放源、位置、是否在播放）随时写入 sessionStorage
+ *   2. 离开页面（pagehide）时保存最后的状态
+ *   3. 下一个页面调用 init()，在底部停靠的迷你播放器中从同一位置接续
+ *   4. 回到同一作品的详情页时，位置交还给页面上的播放器，迷你播放器不显示
+ *
+ * 迷你播放器包含封面、标题、播放/暂停、进度条和"返回作品"链接。
+ * 播放源保存为站点根相对路径，接续时经 PathUtils.resolve 解析，部署到子目录同样有效。
+ *
+ * 迷你播放器同时负责播放播放队列（play-queue.js）：
+ *   - 上一首 / 下一首按钮，队列面板中可跳转、移除、清空，切换随机与循环模式
+ *   - 队列中的作品播放结束后自动播放下一首，加载失败时跳过
+ *   - 没有交接的播放状态但队列不为空时，页面底部显示队列的当前作品（暂停状态）
+ *   - 关闭迷你播放器同时清空队列
+ *
+ * 迷你播放器中的收听同样记入收听记录（listening-history.js），
+ * 播放时在锁屏与系统媒体面板中显示作品信息（media-session.js）。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js、utils.js、media-renditions.js、components.js 和
+ *   play-queue.js、listening-history.js 和 media-session.js 之后引入。
+ *   各页面初始化时调用 MiniPlayer.init()，通过全局 MiniPlayer 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const MiniPlayer = {
+
+    /** 当前被跟踪的播放器 { mediaEl, info }，离开页面时保存它的状态 */
+    _active: null,
+
+    /** 迷你播放器根元素（未显示时为 null） */
+    _bar: null,
+
+    /** 迷你播放器中正在播放的作品信息（迷你播放器暂停、由页面播放器播放时与 _active 不同） */
+    _barInfo: null,
+
+    /** 队列中连续加载失败的作品数，全部失败时停止跳过 */
+    _failures: 0,
+
+    /** 是否已初始化（避免重复绑定 pagehide） */
+    _initialized: false,
+
+
+    /* ========================================================================
+     * 一、初始化与状态交接
+     * ====================================================================== */
+
+    /**
+     * 初始化迷你播放器：有上一个页面交接过来的播放状态时，在页面底部显示；
+     * 没有交接状态但播放队列不为空时，显示队列的当前作品（暂停状态）
+     *
+     * @param {Object} [options] - 可选配置
+     * @param {string} [options.exceptWorkId] - 本页自己会播放的作品 ID（作品详情页），
+     *   交接的状态属于该作品时不显示迷你播放器，由 attach() 把位置交给页面播放器
+     *
+     * @example
+     * document.addEventListener('DOMContentLoaded', () => {
+     *     MiniPlayer.init();
+     * });
+     */
+    init(options = {}) {
+        if (!CONFIG.miniPlayer.enabled || this._initialized) return;
+        this._initialized = true;
+
+        /* pagehide 同时覆盖普通跳转、PathUtils.navigate 与进入往返缓存的情况 */
+        window.addEventListener('pagehide', () => this._save());
+
+        PlayQueue.onChange(queue => this._onQueueChange(queue));
+
+        const state = this._readState();
+        if (state) {
+            if (state.workId !== options.exceptWorkId) this._showBar(state);
+            return;
+        }
+
+        const current = PlayQueue.getCurrent();
+        if (current && current.workId !== options.exceptWorkId) {
+            this._showBar({ ...current, fromQueue: true, position: 0, playing: false, savedAt: 0 });
+        }
+    },
+
+    /**
+     * 从播放队列的当前作品开始播放（作品集"全部播放"）
+     * 页面上正在播放的播放器会被暂停。
+     */
+    playQueue() {
+        if (!CONFIG.miniPlayer.enabled) return;
+
+        const item = PlayQueue.getCurrent();
+        if (!item) return;
+
+        const state = { position: 0, playing: true, savedAt: Date.now() };
+        if (this._bar) {
+            this._load({ ...item, fromQueue: true }, state);
+        } else {
+            this._showBar({ ...item, fromQueue: true, ...state });
+        }
+    },
+
+    /**
+     * 跟踪页面上的音频播放器，使其播放状态可以交接到下一个页面
+     * 视频不交接；同一页面重建播放器（切换曲目、切换版本）时再次调用即可。
+     *
+     * @param {HTMLMediaElement} mediaEl - 页面上的播放器
+     * @param {Object} work - 正在播放的作品（可为替换了媒体的版本，见 work-detail.js）
+     * @param {Object} [options] - 可选配置
+     * @param {string} [options.returnPath] - "返回作品"的站点根相对路径，默认为作品详情页
+     * @param {boolean} [options.resume=false] - 交接的状态属于该作品时，是否从保存的位置接续
+     * @returns {boolean} 是否接续了交接的位置
+     */
+    attach(mediaEl, work, options = {}) {
+        if (!CONFIG.miniPlayer.enabled || mediaEl.tagName !== 'AUDIO') return false;
+
+        const info = PlayQueue.createItem(work, { returnPath: options.returnPath });
+
+        /* 页面播放器被重建时，跟踪新的元素 */
+        if (this._active && this._active.mediaEl !== this._getBarAudio() && !this._active.mediaEl.isConnected) {
+            this._active = { mediaEl, info };
+        }
+
+        const resumed = Boolean(options.resume) && this._resumeInto(mediaEl, info);
+
+        const saveIfActive = () => {
+            if (this._active && this._active.mediaEl === mediaEl) this._save();
+        };
+
+        mediaEl.addEventListener('play', () => {
+            /* 页面播放器开始播放后接管状态，迷你播放器让位 */
+            if (this._bar) this.close();
+            this._active = { mediaEl, info };
+            this._save();
+        });
+        mediaEl.addEventListener('pause', saveIfActive);
+        mediaEl.addEventListener('seeked', saveIfActive);
+        mediaEl.addEventListener('ended', saveIfActive);
+        mediaEl.addEventListener('timeupdate', Utils.throttle(saveIfActive, 5000));
+
+        return resumed;
+    },
+
+    /**
+     * 把交接过来的位置交给页面播放器
+     * 同一作品正在迷你播放器中播放时，直接取迷你播放器的实时位置。
+     *
+     * @param {HTMLMediaElement} mediaEl - 页面上的播放器
+     * @param {Object} info - 作品信息
+     * @returns {boolean} 是否有可接续的状态
+     * @private
+     */
+    _resumeInto(mediaEl, info) {
+        const barAudio = this._getBarAudio();
+        let state = this._readState();
+
+        if (barAudio && this._active && this._active.info.workId === info.workId) {
+            state = { position: barAudio.currentTime, playing: !barAudio.paused, savedAt: Date.now() };
+            this.close();
+        }
+        if (!state || (state.workId && state.workId !== info.workId)) return false;
+
+        this._active = { mediaEl, info };
+        this._restorePosition(mediaEl, state);
+        return true;
+    },
+
+    /**
+     * 在媒体元数据加载后恢复位置；保存时间不久时继续播放
+     * 浏览器禁止自动播放时停在该位置，由访客手动播放。
+     *
+     * @param {HTMLMediaElement} mediaEl - 音频元素
+     * @param {Object} state - 保存的状态 { position, playing, savedAt }
+     * @private
+     */
+    _restorePosition(mediaEl, state) {
+        const autoPlay = state.playing && Date.now() - state.savedAt < CONFIG.miniPlayer.autoResumeWindow;
+
+        const apply = () => {
+            if (state.position > 0 && state.position < mediaEl.duration) {
+                mediaEl.currentTime = state.position;
+            }
+            if (autoPlay) mediaEl.play().catch(() => {});
+        };
+
+        if (mediaEl.readyState >= 1) {
+            apply();
+        } else {
+            mediaEl.addEventListener('loadedmetadata', apply, { once: true });
+        }
+    },
+
+
+    /* ========================================================================
+     * 二、状态存储
+     * ====================================================================== */
+
+    /**
+     * 读取交接的播放状态
+     *
+     * @returns {Object|null} { workId, title, subtitle, creator, cover, sources, returnPath, fromQueue, position, playing, savedAt }
+     * @private
+     */
+    _readState() {
+        const state = Utils.readStorage(CONFIG.miniPlayer.storageKey, null, { session: true });
+        if (!state || !state.workId || !Array.isArray(state.sources) || state.sources.length === 0) {
+            return null;
+        }
+        return state;
+    },
+
+    /**
+     * 保存当前被跟踪播放器的状态
+     * 播放结束后位置记为 0，下次从头播放。
+     *
+     * @private
+     */
+    _save() {
+        if (!this._active) return;
+
+        const { mediaEl, info } = this._active;
+        Utils.writeStorage(CONFIG.miniPlayer.storageKey, {
+            ...info,
+            position: mediaEl.ended ? 0 : mediaEl.currentTime,
+            playing: !mediaEl.paused && !mediaEl.ended,
+            savedAt: Date.now(),
+        }, { session: true });
+    },
+
+
+    /* ========================================================================
+     * 三、迷你播放器界面
+     * ====================================================================== */
+
+    /**
+     * 获取迷你播放器中的音频元素
+     *
+     * @returns {HTMLAudioElement|null}
+     * @private
+     */
+    _getBarAudio() {
+        return this._bar ? this._bar.querySelector('.mini-player__audio') : null;
+    },
+
+    /**
+     * 在页面底部显示迷你播放器并接续播放
+     *
+     * @param {Object} state - 交接的播放状态（或队列条目加上 position / playing / savedAt）
+     * @param {Object} [options] - 可选配置
+     * @param {boolean} [options.activate=true] - 是否立即由迷你播放器接管状态；
+     *   队列变化时显示的迷你播放器处于暂停状态，开始播放后才接管
+     * @private
+     */
+    _showBar(state, options = {}) {
+        const info = {
+            workId: state.workId,
+            title: state.title,
+            subtitle: state.subtitle,
+            creator: state.creator,
+            cover: state.cover,
+            sources: state.sources,
+            returnPath: state.returnPath,
+            fromQueue: Boolean(state.fromQueue),
+        };
+
+        const bar = Utils.createElement('div', {
+            className: 'mini-player',
+            attributes: { 'role': 'region', 'aria-label': '迷你播放器' },
+        });
+
+        bar.innerHTML = `
+            <a class="mini-player__return" href="#"></a>
+            <button type="button" class="mini-player__step mini-player__prev" aria-label="上一首" hidden>⏮</button>
+            <button type="button" class="mini-player__toggle" aria-label="播放">▶</button>
+            <button type="button" class="mini-player__step mini-player__next" aria-label="下一首" hidden>⏭</button>
+            <input type="range" class="mini-player__seek" min="0" max="0" step="1" value="0" aria-label="播放进度">
+            <span class="mini-player__time" aria-hidden="true">00:00 / 00:00</span>
+            <button type="button" class="mini-player__queue-toggle" aria-expanded="false" aria-controls="mini-player-queue" hidden></button>
+            <button type="button" class="mini-player__close" aria-label="关闭迷你播放器">×</button>
+            <div class="mini-player__queue" id="mini-player-queue" role="dialog" aria-label="播放队列" hidden>
+                <div class="mini-player__queue-header">
+                    <span class="mini-player__queue-title"></span>
+                    <button type="button" class="mini-player__mode mini-player__shuffle" aria-pressed="false">🔀 随机</button>
+                    <button type="button" class="mini-player__mode mini-player__repeat"></button>
+                    <button type="button" class="mini-player__mode mini-player__clear">清空</button>
+                </div>
+                <ol class="mini-player__queue-list"></ol>
+            </div>
+            <audio class="mini-player__audio" preload="metadata"></audio>
+        `;
+
+        const audio = bar.querySelector('.mini-player__audio');
+        const toggle = bar.querySelector('.mini-player__toggle');
+        const seek = bar.querySelector('.mini-player__seek');
+        const time = bar.querySelector('.mini-player__time');
+        const queueToggle = bar.querySelector('.mini-player__queue-toggle');
+        const queuePanel = bar.querySelector('.mini-player__queue');
+        const prevButton = bar.querySelector('.mini-player__prev');
+        const nextButton = bar.querySelector('.mini-player__next');
+
+        const updateTime = () => {
+            const text = `${Utils.formatDuration(audio.currentTime)} / ${Utils.formatDuration(audio.duration)}`;
+            time.textContent = text;
+            seek.value = String(Math.floor(audio.currentTime));
+            seek.setAttribute('aria-valuetext', text);
+        };
+        const updateToggle = () => {
+            const playing = !audio.paused && !audio.ended;
+            toggle.textContent = playing ? '❚❚' : '▶';
+            toggle.setAttribute('aria-label', playing ? '暂停' : '播放');
+        };
+        const save = () => {
+            this._save();
+            /* 只记录真正播放过的作品（恢复位置时的跳转不算） */
+            if (audio.played.length > 0) ListeningHistory.record(this._barInfo, audio);
+        };
+        const playItem = (item) => {
+            if (item) this._load({ ...item, fromQueue: true }, { position: 0, playing: true, savedAt: Date.now() });
+        };
+        const setQueueOpen = (open) => {
+            queuePanel.hidden = !open;
+            queueToggle.setAttribute('aria-expanded', String(open));
+        };
+
+        audio.addEventListener('loadedmetadata', () => {
+            seek.max = String(Math.floor(audio.duration) || 0);
+            updateTime();
+        });
+        audio.addEventListener('emptied', () => {
+            seek.max = '0';
+            updateTime();
+        });
+        audio.addEventListener('timeupdate', updateTime);
+        audio.addEventListener('timeupdate', Utils.throttle(save, 5000));
+        audio.addEventListener('play', () => {
+            /* 迷你播放器开始播放时暂停页面上的播放器，并接管状态 */
+            if (this._active && this._active.mediaEl !== audio) this._active.mediaEl.pause();
+            this._active = { mediaEl: audio, info: this._barInfo };
+            updateToggle();
+            save();
+        });
+        audio.addEventListener('playing', () => { this._failures = 0; });
+        audio.addEventListener('pause', () => { updateToggle(); save(); });
+        audio.addEventListener('ended', () => {
+            save();
+            /* 队列中的作品播放结束后自动播放下一首 */
+            if (this._barInfo.fromQueue) playItem(PlayQueue.next({ auto: true }));
+        });
+
+        /* 全部播放源都加载失败时：队列中的作品跳到下一首，否则关闭迷你播放器
+           （使用捕获阶段以捕获 source 子元素的错误） */
+        audio.addEventListener('error', (event) => {
+            if (!MediaRenditions.isFinalError(event)) return;
+
+            const { title, fromQueue } = this._barInfo;
+            Utils.logError('迷你播放器', '媒体加载', audio.error || new Error('媒体加载失败'));
+
+            this._failures++;
+            const next = fromQueue && this._failures < PlayQueue.getState().items.length ? PlayQueue.next() : null;
+            if (next) {
+                UIComponents.showToast(`《${title}》加载失败，已跳到下一首`, 'error');
+                playItem(next);
+            } else {
+                UIComponents.showToast(`《${title}》加载失败，无法继续播放`, 'error');
+                this._failures = 0;
+                this.close();
+            }
+        }, true);
+
+        toggle.addEventListener('click', () => {
+            if (audio.paused || audio.ended) {
+                audio.play().catch((error) => Utils.logError('迷你播放器', '播放', error));
+            } else {
+                audio.pause();
+            }
+        });
+        seek.addEventListener('input', () => {
+            audio.currentTime = Number(seek.value);
+        });
+
+        /* 上一首：播放超过几秒时先回到本曲开头；正在播放的不是队列作品时，回到队列的当前作品 */
+        prevButton.addEventListener('click', () => {
+            if (this._barInfo.fromQueue && audio.currentTime > CONFIG.playQueue.restartThreshold) {
+                audio.currentTime = 0;
+                return;
+            }
+            playItem(this._barInfo.fromQueue ? PlayQueue.previous() : PlayQueue.getCurrent());
+        });
+        nextButton.addEventListener('click', () => {
+            if (this._barInfo.fromQueue) {
+                playItem(PlayQueue.next());
+            } else {
+                playItem(PlayQueue.getCurrent() || PlayQueue.next());
+            }
+        });
+
+        queueToggle.addEventListener('click', () => setQueueOpen(queuePanel.hidden));
+        queuePanel.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            setQueueOpen(false);
+            queueToggle.focus();
+        });
+        bar.querySelector('.mini-player__shuffle').addEventListener('click', () => {
+            PlayQueue.setShuffle(!PlayQueue.getState().shuffle);
+        });
+        bar.querySelector('.mini-player__repeat').addEventListener('click', () => PlayQueue.cycleRepeat());
+        bar.querySelector('.mini-player__clear').addEventListener('click', () => {
+            PlayQueue.clear();
+            setQueueOpen(false);
+            toggle.focus();
+        });
+        bar.querySelector('.mini-player__queue-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+
+            const index = Number(button.dataset.index);
+            if (button.classList.contains('mini-player__queue-remove')) {
+                PlayQueue.remove(index);
+            } else {
+                playItem(PlayQueue.jumpTo(index));
+            }
+        });
+
+        bar.querySelector('.mini-player__close').addEventListener('click', () => {
+            this.close();
+            PlayQueue.clear();
+        });
+
+        /* 锁屏与媒体键：有播放队列时可切换上一首/下一首 */
+        MediaSessionManager.attach(audio, () => this._barInfo, {
+            getTrackActions: () => (PlayQueue.getState().items.length > 0
+                ? { previous: () => prevButton.click(), next: () => nextButton.click() }
+                : {}),
+        });
+
+        document.body.appendChild(bar);
+        document.body.classList.add('has-mini-player');
+
+        this._bar = bar;
+        if (options.activate !== false || !this._active) {
+            this._active = { mediaEl: audio, info };
+        }
+        this._load(info, state);
+    },
+
+    /**
+     * 在迷你播放器中加载一首作品
+     *
+     * @param {Object} info - 作品信息（PlayQueue.createItem 的结果，可带 fromQueue）
+     * @param {Object} state - 播放位置 { position, playing, savedAt }
+     * @private
+     */
+    _load(info, state) {
+        const audio = this._getBarAudio();
+        const returnLink = this._bar.querySelector('.mini-player__return');
+
+        this._barInfo = info;
+        if (this._active && this._active.mediaEl === audio) {
+            this._active = { mediaEl: audio, info };
+        }
+
+        returnLink.href = PathUtils.resolve(info.returnPath);
+        returnLink.setAttribute('aria-label', `返回作品：${info.title}`);
+        returnLink.innerHTML = `
+            ${info.cover
+                ? `<img class="mini-player__cover" src="${PathUtils.resolve(info.cover)}" alt="" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+                   <span class="mini-player__cover mini-player__cover--placeholder" style="display:none" aria-hidden="true">🎵</span>`
+                : '<span class="mini-player__cover mini-player__cover--placeholder" aria-hidden="true">🎵</span>'}
+            <span class="mini-player__text">
+                <span class="mini-player__title"></span>
+                <span class="mini-player__subtitle">返回作品</span>
+            </span>
+        `;
+        returnLink.querySelector('.mini-player__title').textContent = info.title;
+
+        audio.innerHTML = MediaRenditions.createSourcesHTML(info.sources);
+        audio.load();
+        this._restorePosition(audio, state);
+        this._renderQueue(PlayQueue.getState());
+    },
+
+    /**
+     * 更新队列相关的按钮与队列面板
+     *
+     * @param {Object} queue - PlayQueue.getState() 的结果
+     * @private
+     */
+    _renderQueue(queue) {
+        const bar = this._bar;
+        const hasQueue = queue.items.length > 0;
+        const playingFromQueue = Boolean(this._barInfo && this._barInfo.fromQueue);
+
+        bar.querySelector('.mini-player__prev').hidden = !hasQueue;
+        bar.querySelector('.mini-player__next').hidden = !hasQueue;
+
+        const queueToggle = bar.querySelector('.mini-player__queue-toggle');
+        queueToggle.hidden = !hasQueue;
+        queueToggle.textContent = `☰ ${queue.items.length}`;
+        queueToggle.setAttribute('aria-label', `播放队列（${queue.items.length} 首）`);
+        if (!hasQueue) {
+            bar.querySelector('.mini-player__queue').hidden = true;
+            queueToggle.setAttribute('aria-expanded', 'false');
+        }
+
+        bar.querySelector('.mini-player__close').setAttribute('aria-label',
+            hasQueue ? '关闭迷你播放器并清空播放队列' : '关闭迷你播放器');
+
+        bar.querySelector('.mini-player__queue-title').textContent = `播放队列（${queue.items.length}）`;
+        bar.querySelector('.mini-player__shuffle').setAttribute('aria-pressed', String(queue.shuffle));
+
+        const repeat = bar.querySelector('.mini-player__repeat');
+        repeat.textContent = `${queue.repeat === 'one' ? '🔂' : '🔁'} ${PlayQueue.repeatModes[queue.repeat]}`;
+        repeat.setAttribute('aria-label', `循环模式：${PlayQueue.repeatModes[queue.repeat]}（点击切换）`);
+        repeat.classList.toggle('mini-player__mode--on', queue.repeat !== 'off');
+
+        const list = bar.querySelector('.mini-player__queue-list');
+        list.innerHTML = '';
+        queue.items.forEach((item, i) => {
+            const current = i === queue.position;
+            const li = Utils.createElement('li', {
+                className: `mini-player__queue-item${current ? ' mini-player__queue-item--current' : ''}`,
+            });
+            if (current && playingFromQueue) li.setAttribute('aria-current', 'true');
+
+            li.appendChild(Utils.createElement('button', {
+                className: 'mini-player__queue-play',
+                textContent: item.title,
+                attributes: { 'type': 'button', 'data-index': String(i) },
+            }));
+            li.appendChild(Utils.createElement('button', {
+                className: 'mini-player__queue-remove',
+                textContent: '×',
+                attributes: { 'type': 'button', 'data-index': String(i), 'aria-label': `从队列移除：${item.title}` },
+            }));
+            list.appendChild(li);
+        });
+    },
+
+    /**
+     * 播放队列变化时更新迷你播放器；迷你播放器未显示时显示队列的当前作品（暂停状态）
+     *
+     * @param {Object} queue - 新的队列状态
+     * @private
+     */
+    _onQueueChange(queue) {
+        /* 上一首/下一首是否可用随队列变化 */
+        MediaSessionManager.refresh();
+
+        if (this._bar) {
+            this._renderQueue(queue);
+            return;
+        }
+
+        const current = queue.items[queue.position];
+        if (current) {
+            this._showBar({ ...current, fromQueue: true, position: 0, playing: false, savedAt: 0 }, { activate: false });
+        }
+    },
+
+    /**
+     * 关闭迷你播放器：停止播放并清除交接状态
+     * 页面上的播放器开始播放时也会调用，由页面播放器接管状态。
+     * 点击迷你播放器的关闭按钮时另外清空播放队列。
+     */
+    close() {
+        const audio = this._getBarAudio();
+        if (!audio) return;
+
+        audio.pause();
+        this._bar.remove();
+        this._bar = null;
+        this._barInfo = null;
+        document.body.classList.remove('has-mini-player');
+
+        if (this._active && this._active.mediaEl === audio) {
+            this._active = null;
+            Utils.removeStorage(CONFIG.miniPlayer.storageKey, { session: true });
+        }
+    },
+};
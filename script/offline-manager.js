@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 离线管理器 (offline-manager.js)
+ * ============================================================================
+ *
+ * 页面端的离线能力入口，负责：
+ *   1. 注册站点根目录的 Service Worker（sw.js）
+ *   2. 保存单个作品的媒体资源（音频/视频/封面/曲谱）以供离线收听
+ *   3. 列出、移除已保存的作品
+ *
+ * 【存储方式】
+ *   每个已保存的作品对应一个独立的 Cache Storage 缓存（{cachePrefix}-pin-{作品ID}），
+ *   其中除媒体文件外，还保存一条元信息记录（标题、保存时间、占用空间），
+ *   用于在离线管理页列出作品。Service Worker 在收到媒体请求时优先从这些缓存中返回。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 utils.js 之后引入。
+ *   各页面在初始化时调用 OfflineManager.register()。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const OfflineManager = {
+
+
+    /* ========================================================================
+     * 一、Service Worker 注册
+     * ====================================================================== */
+
+    /**
+     * 判断当前浏览器环境是否支持离线功能
+     * Service Worker 与 Cache Storage 均需要安全上下文（HTTPS 或 localhost）。
+     *
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(CONFIG.offline.enabled)
+            && 'serviceWorker' in navigator
+            && typeof caches !== 'undefined';
+    },
+
+    /**
+     * 注册 Service Worker
+     * 作用域为 CONFIG.basePath，覆盖站点下的全部页面。
+     * 注册失败不影响页面正常使用，仅记录日志。
+     *
+     * @returns {Promise<ServiceWorkerRegistration|null>} 注册结果，不支持或失败时为 null
+     */
+    async register() {
+        if (!this.isSupported()) return null;
+
+        try {
+            return await navigator.serviceWorker.register(
+                PathUtils.resolve(CONFIG.offline.serviceWorker),
+                { scope: CONFIG.basePath }
+            );
+        } catch (error) {
+            Utils.logError('OfflineManager', '注册 Service Worker', error);
+            return null;
+        }
+    },
+
+
+    /* ========================================================================
+     * 二、作品离线保存
+     * ====================================================================== */
+
+    /** 缓存中保存元信息的键（每个作品缓存内唯一） */
+    _metaKey: '__offline-meta__.json',
+
+    /**
+     * 获取作品对应的缓存名称
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {string}
+     * @private
+     */
+    _cacheName(workId) {
+        return `${CONFIG.offline.cachePrefix}-pin-${workId}`;
+    },
+
+    /**
+     * 获取元信息记录的完整 URL（缓存键必须是合法 URL）
+     *
+     * @returns {string}
+     * @private
+     */
+    _metaUrl() {
+        return PathUtils.resolve('/' + this._metaKey);
+    },
+
+    /**
+     * 收集作品需要离线保存的全部资源路径
+     * 有多个媒体版本时只保存当前环境下的首选版本（MediaRenditions.select 的第一个）；
+     * 视频的字幕文件一并保存。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {string[]} 已解析 basePath 的资源 URL
+     */
+    getWorkResources(work) {
+        const [preferred] = MediaRenditions.select(work);
+        const subtitlePaths = work.subtitles.map(subtitle => subtitle.src);
+        const paths = [preferred && preferred.src, work.audio, work.video, work.cover, work.score, ...subtitlePaths]
+            .filter(Boolean)
+            .map(path => PathUtils.resolve(path));
+        return [...new Set(paths)];
+    },
+
+    /**
+     * 保存作品以供离线收听
+     * 逐个下载作品的媒体资源写入独立缓存；任何一个资源失败都会回滚，
+     * 避免留下"看似已保存、实际无法播放"的半成品。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Promise<Object>} 元信息 { id, title, subtitle, type, pinnedAt, size, resources }
+     * @throws {Error} 不支持离线功能、作品没有可保存的资源或下载失败时抛出
+     */
+    async pinWork(work) {
+        if (!this.isSupported()) {
+            throw new Error('当前浏览器未启用离线功能');
+        }
+
+        const resources = this.getWorkResources(work);
+        if (resources.length === 0) {
+            throw new Error('该作品没有可离线保存的媒体资源');
+        }
+
+        const cacheName = this._cacheName(work.id);
+        const cache = await caches.open(cacheName);
+        let size = 0;
+
+        try {
+            for (const url of resources) {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`媒体资源下载失败（${response.status}）：${url}`);
+                }
+                const blob = await response.clone().blob();
+                size += blob.size;
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            await caches.delete(cacheName);
+            throw error;
+        }
+
+        const meta = {
+            id: work.id,
+            title: work.title,
+            subtitle: work.subtitle || '',
+            type: work.type,
+            pinnedAt: Date.now(),
+            size,
+            resources,
+        };
+
+        await cache.put(this._metaUrl(), new Response(JSON.stringify(meta), {
+            headers: { 'Content-Type': 'application/json' },
+        }));
+
+        return meta;
+    },
+
+    /**
+     * 移除已保存的作品
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Promise<boolean>} 是否确实移除了缓存
+     */
+    async unpinWork(workId) {
+        if (!this.isSupported()) return false;
+        return caches.delete(this._cacheName(workId));
+    },
+
+    /**
+     * 读取单个作品缓存中的元信息
+     *
+     * @param {string} cacheName - 缓存名称
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _readMeta(cacheName) {
+        const cache = await caches.open(cacheName);
+        const response = await cache.match(this._metaUrl());
+        return response ? response.json() : null;
+    },
+
+    /**
+     * 查询作品是否已离线保存
+     *
+     * @param {string} workId - 作品 ID
+     * @returns {Promise<Object|null>} 已保存时返回元信息，否则返回 null
+     */
+    async getPinnedWork(workId) {
+        if (!this.isSupported()) return null;
+
+        const cacheName = this._cacheName(workId);
+        if (!(await caches.has(cacheName))) return null;
+        return this._readMeta(cacheName);
+    },
+
+    /**
+     * 列出全部已保存的作品（最近保存的在前）
+     * 缺少元信息的缓存（如保存过程中页面被关闭）会被顺带清理。
+     *
+     * @returns {Promise<Object[]>} 元信息数组
+     */
+    async listPinnedWorks() {
+        if (!this.isSupported()) return [];
+
+        const prefix = `${CONFIG.offline.cachePrefix}-pin-`;
+        const names = (await caches.keys()).filter(name => name.startsWith(prefix));
+
+        const metas = await Promise.all(names.map(async (name) => {
+            const meta = await this._readMeta(name);
+            if (!meta) await caches.delete(name);
+            return meta;
+        }));
+
+        return metas
+            .filter(Boolean)
+            .sort((a, b) => b.pinnedAt - a.pinnedAt);
+    },
+
+    /**
+     * 移除全部已保存的作品
+     *
+     * @returns {Promise<number>} 移除的作品数量
+     */
+    async unpinAll() {
+        const pinned = await this.listPinnedWorks();
+        await Promise.all(pinned.map(meta => this.unpinWork(meta.id)));
+        return pinned.length;
+    },
+};
@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 离线作品管理页逻辑 (offline.js)
+ * ============================================================================
+ *
+ * 离线作品管理页的核心逻辑，负责：
+ *   1. 列出访客在作品详情页保存的离线作品（标题、保存时间、占用空间）
+ *   2. 打开、移除单个离线作品
+ *   3. 一键移除全部离线作品
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * 页面初始化
+ * DOM 加载完成后执行
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        if (!OfflineManager.isSupported()) {
+            showOfflineUnsupported();
+            return;
+        }
+
+        initClearAll();
+        await renderPinnedWorks();
+
+    } catch (error) {
+        Utils.logError('离线作品', '加载列表', error);
+        showOfflineError(error);
+    }
+});
+
+
+/**
+ * 渲染已保存的作品列表
+ * 每次增删后重新从缓存读取，保证显示与实际存储一致
+ */
+async function renderPinnedWorks() {
+    const list = Utils.getById('offline-list');
+    const summary = Utils.getById('offline-summary');
+    const clearAllBtn = Utils.getById('offline-clear-all');
+    if (!list) return;
+
+    const pinned = await OfflineManager.listPinnedWorks();
+
+    list.innerHTML = '';
+
+    if (pinned.length === 0) {
+        list.appendChild(UIComponents.createEmptyState('还没有保存离线作品，可在作品详情页点击"保存以离线收听"'));
+        if (summary) summary.textContent = '保存在本机的作品，无网络时也可以收听';
+        if (clearAllBtn) clearAllBtn.hidden = true;
+        return;
+    }
+
+    const totalSize = pinned.reduce((sum, meta) => sum + (meta.size || 0), 0);
+    if (summary) summary.textContent = `共 ${pinned.length} 首作品，占用 ${Utils.formatFileSize(totalSize)}`;
+    if (clearAllBtn) clearAllBtn.hidden = false;
+
+    const fragment = document.createDocumentFragment();
+    pinned.forEach(meta => fragment.appendChild(createPinnedItem(meta)));
+    list.appendChild(fragment);
+}
+
+
+/**
+ * 创建单个离线作品列表项
+ *
+ * @param {Object} meta - OfflineManager 保存的作品元信息
+ * @returns {HTMLElement} 列表项元素
+ */
+function createPinnedItem(meta) {
+    const pinnedAt = new Date(meta.pinnedAt);
+    const pad = n => String(n).padStart(2, '0');
+    const dateText = Utils.formatDate(
+        `${pinnedAt.getFullYear()}-${pad(pinnedAt.getMonth() + 1)}-${pad(pinnedAt.getDate())}`,
+        `${pad(pinnedAt.getHours())}:${pad(pinnedAt.getMinutes())}`
+    );
+
+    const item = Utils.createElement('li', {
+        className: 'offline-item card',
+        attributes: { 'data-work-id': meta.id },
+    });
+
+    item.innerHTML = `
+        <div class="offline-item__icon" aria-hidden="true">${meta.type === 'video' ? '🎬' : '🎵'}</div>
+        <div class="offline-item__text">
+            <h3 class="offline-item__title">${meta.title}</h3>
+            ${meta.subtitle ? `<p class="offline-item__subtitle">${meta.subtitle}</p>` : ''}
+            <p class="offline-item__meta">${dateText} 保存 · ${Utils.formatFileSize(meta.size)}</p>
+        </div>
+        <div class="offline-item__actions">
+            <button class="btn btn--text offline-item__open" type="button" aria-label="打开作品：${meta.title}">打开</button>
+            <button class="btn btn--outline offline-item__remove" type="button" aria-label="移除离线作品：${meta.title}">移除</button>
+        </div>
+    `;
+
+    item.querySelector('.offline-item__open').addEventListener('click', () => {
+        PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${meta.id}`);
+    });
+
+    item.querySelector('.offline-item__remove').addEventListener('click', async () => {
+        try {
+            await OfflineManager.unpinWork(meta.id);
+            UIComponents.showToast(`已移除《${meta.title}》的离线副本`, 'success');
+            await renderPinnedWorks();
+        } catch (error) {
+            Utils.logError('离线作品', '移除作品', error);
+            UIComponents.showToast(error, 'error');
+        }
+    });
+
+    return item;
+}
+
+
+/**
+ * 初始化"全部移除"按钮
+ */
+function initClearAll() {
+    const clearAllBtn = Utils.getById('offline-clear-all');
+    if (!clearAllBtn) return;
+
+    clearAllBtn.addEventListener('click', async () => {
+        if (!window.confirm('确定移除全部离线作品吗？')) return;
+
+        try {
+            const count = await OfflineManager.unpinAll();
+            UIComponents.showToast(`已移除 ${count} 首离线作品`, 'success');
+            await renderPinnedWorks();
+        } catch (error) {
+            Utils.logError('离线作品', '全部移除', error);
+            UIComponents.showToast(error, 'error');
+        }
+    });
+}
+
+
+/**
+ * 浏览器不支持离线功能时的提示
+ * Service Worker 需要 HTTPS 或 localhost 环境
+ */
+function showOfflineUnsupported() {
+    const list = Utils.getById('offline-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.appendChild(UIComponents.createEmptyState('当前浏览器或访问方式不支持离线保存（需要 HTTPS 访问）'));
+}
+
+
+/**
+ * 显示加载错误
+ * 使用 classifyError 将技术性错误转换为用户友好的提示
+ *
+ * @param {Error} error - 错误对象
+ */
+function showOfflineError(error) {
+    const classified = Utils.classifyError(error);
+
+    const list = Utils.getById('offline-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.appendChild(
+        UIComponents.createErrorState(classified.message, () => {
+            window.location.reload();
+        })
+    );
+}
@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 人物页逻辑 (person.js)
+ * ============================================================================
+ *
+ * 人物页的核心逻辑，负责：
+ *   1. 无 name 参数时列出全部创作人员（担任的角色、参与作品数量）
+ *   2. 有 name 参数时渲染此人担任的角色、外部链接与参与的全部作品
+ *
+ * 角色名称来自 CONFIG.credits.roles。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * 页面初始化
+ * DOM 加载完成后执行
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const container = Utils.getById('person-content');
+    if (!container) return;
+
+    try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
+        container.appendChild(UIComponents.createLoadingState());
+
+        const name = Utils.getParam('name');
+        const people = await DataLoader.getAllPeople();
+
+        if (!name) {
+            renderPeopleList(people);
+            return;
+        }
+
+        const works = await DataLoader.getWorksByPerson(name);
+
+        /* 专辑信息只是补充，加载失败时卡片不显示"收录于" */
+        const albumsByWork = await DataLoader.getAlbumsByWork().catch((error) => {
+            Utils.logError('人物', '加载专辑', error);
+            return new Map();
+        });
+
+        renderPersonDetail(name, people.find(person => person.name === name), works, albumsByWork);
+
+        /* 更新页面标题 */
+        document.title = `${name} | ${CONFIG.site.title}`;
+
+    } catch (error) {
+        Utils.logError('人物', '加载页面', error);
+        showPersonError(error);
+    }
+});
+
+
+/**
+ * 将角色键转换为显示名称
+ *
+ * @param {string[]} roles - 角色键数组
+ * @returns {string} 如 "作词 · 作曲"
+ */
+function formatRoles(roles) {
+    return roles
+        .map(role => (CONFIG.credits.roles[role] ? CONFIG.credits.roles[role].label : role))
+        .join(' · ');
+}
+
+
+/* ==================== 全部创作人员 ==================== */
+
+/**
+ * 渲染全部创作人员列表
+ *
+ * @param {Array} people - DataLoader.getAllPeople 的结果
+ */
+function renderPeopleList(people) {
+    const container = Utils.getById('person-content');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (people.length === 0) {
+        container.appendChild(UIComponents.createEmptyState('暂无创作人员信息'));
+        return;
+    }
+
+    const list = Utils.createElement('ul', {
+        className: 'person-list',
+        attributes: { 'aria-label': '全部创作人员' },
+    });
+
+    people.forEach(person => {
+        const item = Utils.createElement('li', { className: 'person-list__item' });
+
+        item.innerHTML = `
+            <a class="person-list__link card" href="${UIComponents.getPersonPageUrl(person.name)}">
+                <span class="person-list__name">${person.name}</span>
+                <span class="person-list__meta">${formatRoles(person.roles)} · ${person.count} 首作品</span>
+            </a>
+        `;
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+}
+
+
+/* ==================== 单个人物 ==================== */
+
+/**
+ * 渲染单个人物的角色与参与作品
+ *
+ * @param {string} name - 姓名（来自 URL 参数）
+ * @param {Object|undefined} person - DataLoader.getAllPeople 中对应的条目，未参与任何作品时为 undefined
+ * @param {Array} works - 此人参与的作品
+ * @param {Map<string, Array>} albumsByWork - 作品 ID → 收录专辑
+ */
+function renderPersonDetail(name, person, works, albumsByWork) {
+    const container = Utils.getById('person-content');
+    if (!container) return;
+
+    const pageTitle = Utils.getById('person-page-title');
+    if (pageTitle) pageTitle.textContent = name;
+
+    container.innerHTML = `
+        <section class="person-header" aria-labelledby="person-name">
+            <h2 class="person-header__name" id="person-name"></h2>
+            <p class="person-header__meta"></p>
+            <div class="person-header__actions">
+                <a class="btn btn--text" href="${UIComponents.getPersonPageUrl()}">全部创作人员</a>
+            </div>
+        </section>
+        <div class="person-works"></div>
+    `;
+
+    /* 姓名来自 URL 参数，使用 textContent 写入，避免注入 */
+    container.querySelector('.person-header__name').textContent = name;
+    container.querySelector('.person-header__meta').textContent = person
+        ? `${formatRoles(person.roles)} · 参与 ${works.length} 首作品`
+        : '暂无参与的作品';
+
+    if (person && person.link) {
+        const link = Utils.createElement('a', {
+            className: 'btn btn--outline',
+            textContent: '个人主页',
+            attributes: { 'href': person.link, 'target': '_blank', 'rel': 'noopener noreferrer' },
+        });
+        container.querySelector('.person-header__actions').prepend(link);
+    }
+
+    const grid = container.querySelector('.person-works');
+
+    if (works.length === 0) {
+        grid.appendChild(UIComponents.createEmptyState('没有找到此人参与的作品'));
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    works.forEach(work => {
+        /* 卡片中注明此人在该作品中担任的角色 */
+        const roles = work.credits.filter(credit => credit.name === name).map(credit => credit.role);
+        const card = UIComponents.createWorkCard(work, (w) => {
+            PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${w.id}`);
+        }, {
+            albums: albumsByWork.get(work.id),
+            note: formatRoles(roles),
+            queueActions: PlayQueue.getCardActions(work),
+        });
+        fragment.appendChild(card);
+    });
+    grid.appendChild(fragment);
+
+    Utils.observeLazyImages(grid);
+}
+
+
+/* ==================== 错误处理 ==================== */
+
+/**
+ * 显示人物页错误
+ * 使用 classifyError 将技术性错误转换为用户友好的提示
+ *
+ * @param {Error} error - 错误对象
+ */
+function showPersonError(error) {
+    const container = Utils.getById('person-content');
+    if (!container) return;
+
+    const message = Utils.classifyError(error).message;
+
+    container.innerHTML = '';
+    container.appendChild(
+        UIComponents.createErrorState(message, () => {
+            window.location.reload();
+        })
+    );
+}
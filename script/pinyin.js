@@ -0,0 +1,499 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 拼音字表 (pinyin.js)
+ * ============================================================================
+ *
+ * 为站内搜索提供汉字到拼音（不带声调）的查询，支持按全拼和首字母搜索。
+ *
+ * 【字表说明】
+ *   覆盖 GB2312 一、二级汉字（共 6763 字），按读音分组存放以减小体积；
+ *   多音字出现在每个读音的分组中（如"长"同时属于 chang 与 zhang）。
+ *   ü 统一写作 v（如 lv、nv），与常见拼音输入法一致。
+ *   字表外的字符（生僻字、标点、字母数字）视为没有拼音。
+ *
+ * 【使用方式】
+ *   本文件只依赖浏览器环境，需在 search-engine.js 之前引入。
+ *   通过全局 Pinyin 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const Pinyin = {
+
+
+    /* ========================================================================
+     * 一、字表
+     * ========================================================================
+     * 键：不带声调的拼音；值：该读音下的全部汉字。
+     * ====================================================================== */
+
+    _table: {
+        a: '啊阿呵吖嗄腌锕',
+        ai: '埃挨哎唉哀皑癌蔼矮艾碍爱隘捱嗳嗌嫒瑷暧砹锿霭',
+        an: '鞍氨安俺按暗岸胺案厂广谙埯揞犴庵桉铵鹌黯',
+        ang: '肮昂盎仰',
+        ao: '凹敖熬翱袄傲奥懊澳嚣坳艹拗嗷岙廒遨媪骜獒聱螯鏊鳌鏖',
+        ba: '芭捌扒叭吧笆八疤巴拔跋靶把耙坝霸罢爸茇菝岜灞钯粑鲅魃',
+        bai: '白柏百摆佰败拜稗伯捭呗掰擘',
+        ban: '斑班搬扳般颁板版扮拌伴瓣半办绊阪坂钣瘢癍舨',
+        bang: '邦帮梆榜膀绑棒磅蚌镑傍谤旁彭蒡浜',
+        bao: '苞胞包褒剥薄雹保堡饱宝抱报暴豹鲍爆刨炮曝瀑勹葆孢煲鸨褓趵龅',
+        bei: '杯碑悲卑北辈背贝钡倍狈备惫焙被臂勃孛陂邶蓓呗悖碚鹎褙鐾鞴',
+        ben: '奔苯本笨夯畚坌贲锛',
+        beng: '蚌崩绷甭泵蹦迸堋嘣甏',
+        bi: '逼鼻比鄙笔彼碧蓖蔽毕毙毖币庇痹闭敝弊必辟壁臂避陛佛拂秘泌匕俾芘荜荸萆薜吡哔狴庳愎滗濞弼妣婢嬖纰璧贲睥畀铋秕裨筚箅篦舭襞跸髀',
+        bian: '鞭边编贬扁便变卞辨辩辫遍匾弁苄忭汴缏煸砭碥窆褊蝙笾鳊',
+        biao: '标彪膘表婊骠杓飑飙飚灬镖镳瘭裱鳔髟',
+        bie: '鳖憋别瘪蹩',
+        bin: '彬斌濒滨宾摈份频傧豳缤玢槟殡膑镔髌鬓',
+        bing: '兵冰柄丙秉饼炳病并屏禀冫邴摒枋槟',
+        bo: '柏般剥薄玻菠播拨钵波博勃搏铂箔伯帛舶脖膊渤泊驳卜簿佛孛亳蕃擗啵饽艴檗擘礴钹鹁簸趵跛踣',
+        bu: '堡捕卜哺补埠不布步簿部怖埔卟逋瓿晡钚钸醭',
+        ca: '擦拆嚓礤',
+        cai: '猜裁材才财睬踩采彩菜蔡',
+        can: '餐参蚕残惭惨灿掺孱骖璨粲黪',
+        cang: '苍舱仓沧藏伧',
+        cao: '操糙槽曹草嘈漕屮螬艚',
+        ce: '厕策侧册测栅恻',
+        cen: '参岑涔',
+        ceng: '层蹭曾噌',
+        cha: '插叉茬茶查碴搽察岔差诧刹喳苴嚓猹馇汊姹杈楂槎檫锸镲衩',
+        chai: '差拆柴豺侪钗瘥虿',
+        chan: '搀掺蝉馋谗缠铲产阐颤单崭冁谄蒇廛忏潺澶孱羼婵骣觇禅镡蟾躔',
+        chang: '昌猖场尝常长偿肠厂敞畅唱倡裳倘淌伥鬯苌菖徜怅惝阊娼嫦昶氅鲳',
+        chao: '超抄钞朝嘲潮巢吵炒绰剿怊晁焯耖',
+        che: '车扯撤掣彻澈尺坼屮砗',
+        chen: '郴臣辰尘晨忱沉陈趁衬称沈伧谌谶抻嗔宸琛榇碜龀',
+        cheng: '撑称城橙成呈乘程惩澄诚承逞骋秤净抢盛丞埕噌枨柽樘晟塍瞠铖铛裎蛏酲',
+        chi: '吃痴持匙池迟弛驰耻齿侈尺赤翅斥炽傺郗坻墀茌叱哧啻嗤彳饬媸柢敕眙眵鸱瘛褫蚩螭笞篪豉踟魑',
+        chong: '充冲虫崇宠涌种重茺忡憧铳舂艟',
+        chou: '抽酬畴踌稠愁筹仇绸瞅丑臭俦帱惆瘳雠',
+        chu: '初出橱厨躇锄雏滁除楚础储矗搐触处畜助亍刍怵憷绌杵楮樗褚蜍蹰黜',
+        chuai: '揣搋啜嘬膪踹',
+        chuan: '川穿椽传船喘串舛遄巛氚钏舡',
+        chuang: '疮窗幢床闯创怆',
+        chui: '吹炊捶锤垂椎陲棰槌',
+        chun: '春椿醇唇淳纯蠢莼肫朐鹑蝽',
+        chuo: '戳绰淖啜辶辍踔龊',
+        ci: '差疵茨磁雌辞慈瓷词此刺赐次伺兹茈呲祠鹚糍',
+        cong: '聪葱囱匆从丛苁淙骢琮璁枞',
+        cou: '凑楱辏腠',
+        cu: '粗醋簇促趋趣卒蔟徂猝殂酢蹙蹴',
+        cuan: '蹿篡窜攒汆撺爨镩',
+        cui: '摧崔催脆瘁粹淬翠衰萃啐悴璀榱毳隹',
+        cun: '村存寸蹲忖皴',
+        cuo: '磋撮搓措挫错厝嵯脞锉矬痤瘥鹾蹉',
+        da: '搭达答瘩打大惮耷哒嗒怛妲沓疸褡笪靼鞑',
+        dai: '大呆歹傣戴带殆代贷袋待逮怠毒诒埭甙呔岱迨骀绐玳棣黛',
+        dan: '耽担丹单郸掸胆旦氮但惮淡诞弹蛋石儋萏啖澹殚赕膻眈疸瘅聃箪',
+        dang: '当挡党荡档谠凼菪宕砀铛裆',
+        dao: '刀捣蹈倒岛祷导到稻悼道盗刂叨帱忉氘焘纛',
+        de: '德得的底地锝',
+        dei: '得',
+        deng: '澄蹬灯登等瞪凳邓噔嶝戥磴镫簦',
+        di: '的堤低滴迪敌笛狄涤翟嫡抵底地蒂第帝弟递缔提氐籴诋谛邸坻荻嘀娣柢棣觌砥碲睇镝羝骶',
+        dia: '嗲',
+        dian: '颠掂滇碘点典靛垫电佃甸店惦奠淀殿阽坫巅玷钿癜癫簟踮',
+        diao: '碉叼雕凋刁掉吊钓调铞铫貂鲷',
+        die: '跌爹碟蝶迭谍叠佚垤堞揲喋牒瓞耋蹀鲽',
+        ding: '丁盯叮钉顶鼎锭定订仃啶玎腚碇町铤疔耵酊',
+        diu: '丢铥',
+        dong: '东冬董懂动栋侗恫冻洞垌咚岽峒氡胨胴硐鸫',
+        dou: '兜抖斗陡豆逗痘都读蔸渎钭窦蚪篼',
+        du: '都督毒犊独读堵睹赌杜镀肚度渡妒顿芏嘟渎椟牍蠹竺笃髑黩',
+        duan: '端短锻段断缎椴煅簖',
+        dui: '堆兑队对敦追怼憝碓镦',
+        dun: '墩吨蹲敦顿囤钝盾遁沌炖砘礅盹镦趸',
+        duo: '度掇哆多夺垛躲朵跺舵剁惰堕隋驮咄哚隳沲缍柁铎裰踱',
+        e: '阿蛾峨鹅俄额讹娥恶厄扼遏鄂饿哦噩谔垩苊莪萼呃愕阏屙婀轭腭锇锷鹗颚鳄',
+        ei: '诶',
+        en: '恩蒽摁',
+        er: '而儿耳尔饵洱二贰佴迩珥铒鸸鲕',
+        fa: '发罚筏伐乏阀法珐垡砝',
+        fan: '藩帆番翻樊矾钒繁凡烦反返范贩犯饭泛蕃蘩拚幡梵燔畈蹯',
+        fang: '坊芳方肪房防妨仿访纺放匚邡彷枋钫舫鲂',
+        fei: '菲非啡飞肥匪诽吠肺废沸费芾狒悱淝妃绯榧腓斐扉砩镄痱蜚篚翡霏鲱',
+        fen: '芬酚吩氛分纷坟焚汾粉奋份忿愤粪偾瀵玢棼鲼鼢',
+        feng: '丰封枫蜂峰锋风疯烽逢冯缝讽奉凤俸酆葑唪沣砜',
+        fo: '佛',
+        fou: '不否缶',
+        fu: '佛夫敷肤孵扶拂辐幅氟符伏俘服浮涪福袱弗甫抚辅俯釜斧脯腑府腐赴副覆赋复傅付阜父腹负富讣附妇缚咐匐凫阝郛芙芾苻茯莩菔拊呋呒幞怫滏宓艴孚驸绂绋桴赙祓砩黻黼罘稃馥蚨蜉蝠蝮麸趺跗鲋鳆',
+        ga: '噶嘎胳夹咖轧伽尬呷尕尜戛旮钆',
+        gai: '该改概钙盖溉芥丐陔垓戤赅胲',
+        gan: '干甘杆柑竿肝赶感秆敢赣乾坩苷尴擀泔淦澉绀橄旰矸疳酐',
+        gang: '冈刚钢缸肛纲岗港杠扛亢戆罡筻',
+        gao: '篙皋高膏羔糕搞镐稿告睾诰郜藁缟槔槁杲锆',
+        ge: '盖哥歌搁戈鸽胳疙割革葛格蛤阁隔铬个各合咯鬲仡哿圪塥嗝纥搿膈硌镉袼颌虼舸骼',
+        gei: '给',
+        gen: '根跟亘茛哏艮',
+        geng: '耕更庚羹埂耿梗颈哽赓绠鲠',
+        gong: '工攻功恭龚供躬公宫弓巩汞拱贡共红廾珙肱蚣觥',
+        gou: '钩勾沟苟狗垢构购够拘句佝诟岣遘媾缑枸觏彀笱篝鞲',
+        gu: '辜菇咕箍估沽孤姑鼓古蛊骨谷股故顾固雇贾嘏诂菰呱崮汩梏轱牯牿臌毂瞽罟钴锢鸪鹄痼蛄酤觚鲴鹘',
+        gua: '刮瓜剐寡挂褂括卦诖呱栝胍鸹',
+        guai: '乖拐怪掴',
+        guan: '棺关官冠观管馆罐惯灌贯纶斡倌莞掼涫盥鹳矜鳏',
+        guang: '光广逛咣犷潢桄胱',
+        gui: '瑰规圭硅归龟闺轨鬼诡癸桂柜跪贵刽傀匦匮刿庋宄妫桧炅晷皈簋鲑鳜',
+        gun: '辊滚棍丨衮绲磙鲧',
+        guo: '锅郭国果裹过涡馘埚掴呙囗帼崞猓椁虢聒蜾蝈',
+        ha: '蛤哈虾铪',
+        hai: '骸孩海氦亥害骇还咳嗨胲醢',
+        han: '厂酣憨邯韩含涵寒函喊罕翰撼捍旱憾悍焊汗汉邗菡撖犴阚瀚旰晗焓顸颔蚶鼾',
+        hang: '夯杭航亢吭巷行沆绗桁颃',
+        hao: '皋镐壕嚎豪毫郝好耗号浩貉蒿薅嗥嚆濠灏昊皓颢蚝',
+        he: '盖呵喝荷菏核禾和何合盒貉阂河涸赫褐鹤贺苛吓诃劾壑嗬阖纥曷盍颌翮',
+        hei: '嘿黑嗨',
+        hen: '痕很狠恨哏',
+        heng: '哼亨横衡恒行蘅珩桁',
+        hng: '哼',
+        hong: '轰哄烘虹鸿洪宏弘红黉訇讧荭蕻薨闳泓',
+        hou: '喉侯猴吼厚候后堠後逅瘊篌糇鲎骺',
+        hu: '核和呼乎忽瑚壶葫胡蝴狐糊湖弧虎唬护互沪户戏许冱芴唿囫岵猢怙惚浒滹琥槲轷觳烀煳戽扈祜瓠鹄鹕鹱虍笏醐斛鹘',
+        hua: '花哗华猾滑画划化话豁骅桦砉铧',
+        huai: '槐徊怀淮坏踝',
+        huan: '欢环桓还缓换患唤痪豢焕涣宦幻郇奂垸萑擐圜獾洹浣漶寰逭缳锾鲩鬟',
+        huang: '荒慌黄磺蝗簧皇凰惶煌晃幌恍谎隍徨湟潢遑璜肓癀蟥篁鳇',
+        hui: '堕灰挥辉徽恢蛔回毁悔慧卉惠晦贿秽会烩汇讳诲绘溃诙茴荟蕙咴哕喙隳洄浍彗缋珲桧晖恚虺蟪麾',
+        hun: '棍荤昏婚魂浑混诨馄阍溷珲',
+        huo: '和豁活伙火获或惑霍货祸劐藿攉嚯夥灬钬锪镬耠蠖',
+        ji: '革给击圾基机畸稽积箕肌饥迹激讥鸡姬绩缉吉极棘辑籍集及急疾汲即嫉级挤几脊己蓟技冀季伎祭剂悸济寄寂计记既忌际妓继纪藉期其奇齐系丌亟乩剞佶偈诘墼芨芰荠蒺蕺掎叽咭哜唧岌嵴洎彐屐骥畿玑楫殛戟戢赍觊犄齑矶羁嵇稷瘠虮笈笄暨跻跽霁鲚鲫髻麂',
+        jia: '嘉枷夹佳家加荚颊贾甲钾假稼价架驾嫁茄挟嘏伽郏哿葭拮岬浃迦珈戛胛恝铗镓痂瘕袷颉蛱笳袈跏',
+        jian: '歼监坚尖笺间煎兼肩艰奸缄茧检柬碱硷拣捡简俭剪减荐槛鉴践贱见键箭件健舰剑饯渐溅涧建浅堑僭谏谫菅蒹搛囝湔蹇謇缣枧楗戋戬牮犍毽腱睑锏鹣裥笕翦趼踺鲣鞯',
+        jiang: '港虹僵姜将浆江疆蒋桨奖讲匠酱降强茳洚绛缰犟礓耩糨豇',
+        jiao: '蕉椒礁焦胶交郊浇骄娇嚼搅铰矫侥脚狡角饺缴绞剿教酵轿较叫窖觉校佼僬艽茭挢噍峤徼湫姣敫爝皎鹪蛟醮跤鲛',
+        jie: '家价揭接皆秸街阶截劫节桔杰捷睫竭洁结解姐戒藉芥界借介疥诫届楷她偈讦诘卩拮哜喈嗟婕孑桀碣疖袷颉蚧羯鲒骱',
+        jin: '巾筋斤金今津襟紧锦仅谨进靳晋禁近烬浸尽劲卺荩堇噤馑廑妗缙瑾槿赆觐钅衿矜',
+        jing: '劲荆兢茎睛晶鲸京惊精粳经井警景颈静境敬镜径痉靖竟竞净刭儆阱菁獍憬泾迳弪婧肼胫腈旌箐靓',
+        jiong: '炯窘冂迥炅扃',
+        jiu: '揪究纠玖韭久灸九酒厩救旧臼舅咎就疚僦啾阄柩桕鸠鹫赳鬏',
+        ju: '车柜桔鞠拘狙疽居驹菊局咀矩举沮聚拒据巨具距踞锯俱句惧炬剧且渠倨讵苣苴莒菹掬遽屦琚枸椐榘榉橘犋飓钜锔窭裾趄醵踽龃雎瞿鞫',
+        juan: '捐鹃娟倦眷卷绢圈鄄狷涓桊蠲锩镌隽',
+        jue: '嚼脚角撅攫抉掘倔爵觉决诀绝厥劂谲矍蕨噘噱崛獗孓珏桷橛爝镢蹶觖鳜',
+        jun: '龟均菌钧军君峻俊竣浚郡骏捃皲筠隽麇',
+        ka: '喀咖卡咯佧咔胩',
+        kai: '开揩楷凯慨岂剀垲蒈忾恺铠锎锴',
+        kan: '槛刊堪勘坎砍看嵌侃凵莰阚戡龛瞰',
+        kang: '康慷糠扛抗亢炕伉闶钪',
+        kao: '考拷烤靠尻栲犒铐',
+        ke: '坷苛柯棵磕颗科壳咳可渴克刻客课嗑岢恪溘骒缂珂轲氪瞌钶铪锞稞疴窠颏蚵蝌髁',
+        ken: '肯啃垦恳裉龈',
+        keng: '坑吭铿',
+        kong: '空恐孔控倥崆箜',
+        kou: '抠口扣寇芤蔻叩眍筘',
+        ku: '枯哭窟苦酷库裤挎刳堀喾绔骷',
+        kua: '夸垮挎跨胯侉',
+        kuai: '会块筷侩快蒯郐蒉哙狯浍脍',
+        kuan: '宽款髋',
+        kuang: '匡筐狂框矿眶旷况诓诳邝圹夼哐纩贶',
+        kui: '亏盔岿窥葵奎魁傀馈愧溃馗匮夔隗蒉揆喹喟悝愦逵暌睽聩蝰篑跬',
+        kun: '坤昆捆困悃阃琨锟醌鲲髡',
+        kuo: '括扩廓阔适栝蛞',
+        la: '垃拉喇蜡腊辣啦落剌邋旯砬瘌',
+        lai: '莱来赖崃徕涞濑赉睐铼疠癞籁',
+        lan: '蓝婪栏拦篮阑兰澜谰揽览懒缆烂滥啉岚漤榄斓罱镧褴',
+        lang: '琅榔狼廊郎朗浪莨蒗啷阆锒稂螂',
+        lao: '捞劳牢老佬姥酪烙涝乐潦落络唠崂栳铑铹痨耢醪',
+        le: '勒乐肋了仂叻嘞泐鳓',
+        lei: '勒雷镭蕾磊累儡垒擂肋类泪羸诔嘞嫘缧檑耒酹',
+        leng: '棱楞冷塄愣',
+        li: '厘梨犁黎篱狸离漓理李里鲤礼莉荔吏栗丽厉励砾历利傈例俐痢立粒沥隶力璃哩鬲俪俚郦坜苈莅蓠藜呖唳喱猁悝溧澧逦娌嫠骊缡枥栎轹戾砺砬詈罹锂镉鹂疠疬蛎蜊蠡笠篥粝醴跞雳鲡鳢黧',
+        lia: '俩',
+        lian: '联莲连镰廉怜涟帘敛脸链恋炼练莶蔹奁潋濂琏楝殓臁裢裣蠊鲢',
+        liang: '俩粮凉梁粱良两辆量晾亮谅墚莨椋踉靓魉',
+        liao: '撩聊僚疗燎寥辽潦了撂镣廖料蓼尥嘹獠寮缪缭钌鹩',
+        lie: '列裂烈劣猎冽埒捩咧洌趔躐鬣',
+        lin: '琳林磷霖临邻鳞淋凛赁吝拎蔺啉嶙廪懔遴檩辚膦瞵粼躏麟',
+        ling: '棱玲菱零龄铃伶羚凌灵陵岭领另令酃苓呤囹泠绫柃棂瓴聆蛉翎鲮',
+        liu: '溜琉榴硫馏留刘瘤流柳六碌陆浏遛骝绺旒熘锍镏鹨鎏',
+        lo: '咯',
+        long: '龙聋咙笼窿隆垄拢陇弄垅茏泷珑栊胧砻癃',
+        lou: '楼娄搂篓漏陋露偻蒌喽嵝镂瘘耧蝼髅',
+        lu: '六芦卢颅庐炉掳卤虏鲁麓碌露路赂鹿潞禄录陆戮绿垆蓼撸噜泸渌漉逯璐栌橹轳辂辘氇胪镥鸬鹭簏舻鲈',
+        luan: '峦挛孪滦卵乱脔娈栾鸾銮',
+        lun: '抡轮伦仑沦纶论囵',
+        luo: '咯烙萝螺罗逻锣箩骡裸落洛骆络倮蠃荦捋摞猡泺漯珞椤脶硌镙瘰跞雒',
+        lv: '驴吕铝侣旅履屡缕虑氯律率滤绿偻捋闾榈膂稆褛',
+        lve: '掠略锊',
+        m: '呒',
+        ma: '妈麻玛码蚂马骂嘛吗么摩抹犸杩蟆麽',
+        mai: '埋买麦卖迈脉劢荬唛霾',
+        man: '埋瞒馒蛮满蔓曼慢漫谩墁幔缦熳镘颟螨鳗鞔',
+        mang: '芒茫盲氓忙莽邙漭硭蟒',
+        mao: '猫茅锚毛矛铆卯茂冒帽貌贸袤茆峁泖瑁昴牦耄旄懋瞀蝥蟊髦',
+        me: '么麽',
+        mei: '玫枚梅酶霉煤没眉媒镁每美昧寐妹媚糜谜莓嵋猸浼湄楣镅鹛袂魅',
+        men: '瞒门闷们扪汶焖懑钔鞔',
+        meng: '氓萌蒙檬盟锰猛梦孟勐甍瞢懵朦礞虻蜢蟒蠓艋艨黾',
+        mi: '眯醚靡糜迷谜弥米秘觅泌蜜密幂芈冖谧蘼咪嘧猕汨宓弭脒祢敉糸縻麋',
+        mian: '棉眠绵冕免勉娩缅面沔渑湎宀腼眄黾',
+        miao: '苗描瞄藐秒渺庙妙喵邈缈缪杪淼眇鹋',
+        mie: '蔑灭乜咩蠛篾',
+        min: '民抿皿敏悯闽苠岷闵泯缗玟珉愍黾鳘',
+        ming: '明螟鸣铭名命冥茗溟暝瞑酩',
+        miu: '谬缪',
+        mo: '貉嘿脉冒么没摸摹蘑模膜磨摩魔抹末莫墨默沫漠寞陌万无谟茉蓦馍嫫嬷殁镆秣瘼耱蟆貊貘麽',
+        mou: '谋牟某侔厶哞缪眸蛑鍪',
+        mu: '姥模莫牟拇牡亩姆母墓暮幕募慕木目睦牧穆仫坶苜沐缪毪钼',
+        n: '唔',
+        na: '拿哪呐钠那娜纳南内捺肭镎衲',
+        nai: '哪氖乃奶耐奈能鼐佴艿萘柰',
+        nan: '南男难喃囝囡楠腩蝻赧',
+        nang: '囊攮囔馕曩',
+        nao: '挠脑恼闹淖孬垴呶猱瑙桡硇铙蛲',
+        ne: '哪呢讷疒',
+        nei: '哪那馁内',
+        nen: '嫩恁',
+        neng: '能',
+        ng: '唔嗯',
+        ni: '呢妮霓倪泥尼拟你匿腻逆溺疑伲坭猊怩昵旎睨铌鲵',
+        nian: '蔫拈年碾撵捻念粘辗廿埝辇黏鲇鲶',
+        niang: '娘酿',
+        niao: '溺鸟尿茑嬲脲袅',
+        nie: '捻捏聂孽啮镊镍涅摄乜陧蘖嗫颞臬蹑',
+        nin: '您恁',
+        ning: '柠狞凝宁拧泞佞咛甯聍',
+        niu: '牛扭钮纽拗狃忸妞',
+        nong: '脓浓农弄侬哝',
+        nou: '耨',
+        nu: '奴努怒帑弩胬孥驽',
+        nuan: '暖',
+        nuo: '娜难挪懦糯诺傩搦喏锘',
+        nv: '女恧钕衄',
+        nve: '虐疟',
+        o: '哦喔噢',
+        ou: '欧鸥殴藕呕偶沤区禺讴怄瓯耦',
+        pa: '扒耙啪趴爬帕怕琶葩杷钯筢',
+        pai: '拍排牌徘湃派迫俳蒎哌',
+        pan: '扳般拌番攀潘盘磐盼畔判叛胖拚丬爿泮袢襻蟠蹒',
+        pang: '膀磅乓庞旁耪胖彷滂逄螃',
+        pao: '抛咆刨炮袍跑泡匏狍庖脬疱',
+        pei: '坏呸胚培裴赔陪配佩沛辔帔淠妃旆锫醅霈',
+        pen: '喷盆湓',
+        peng: '亨砰抨烹澎彭蓬棚硼篷膨朋鹏捧碰苹堋嘭怦蟛',
+        pi: '罢被辟否坏坯砒霹批披劈琵毗啤脾疲皮匹痞僻屁譬丕仳陂陴邳郫圮埤鼙芘擗吡噼庀淠濞媲纰枇甓睥罴铍癖裨疋蚍蜱貔',
+        pian: '扁便篇偏片骗谝骈缏犏胼翩蹁',
+        piao: '飘漂瓢票朴剽莩嘌嫖骠缥殍瞟螵',
+        pie: '撇瞥丿苤氕',
+        pin: '拼频贫品聘拚姘嫔榀牝颦',
+        ping: '冯乒坪苹萍平凭瓶评屏俜娉枰鲆',
+        po: '泊繁坡泼颇婆破魄迫粕朴叵陂鄱泺珀钋钷皤笸',
+        pou: '剖裒掊',
+        pu: '堡暴卜脯扑铺仆莆葡菩蒲埔朴圃普浦谱曝瀑匍噗溥濮璞攴氆攵镤镨蹼',
+        qi: '稽缉伎揭期欺栖戚妻七凄漆柒沏其棋奇歧畦崎脐齐旗祈祁骑起岂乞企启契砌器气迄弃汽泣讫枝丌亟亓俟圻芑芪荠萁萋葺蕲啐嘁屺岐汔淇骐绮琪琦杞桤槭耆欹祺憩碛颀蛴蜞綦綮蹊鳍麒',
+        qia: '卡掐恰洽葜咭袷髂',
+        qian: '牵扦钎铅千迁签仟谦乾黔钱钳前潜遣浅谴堑嵌欠歉纤倩佥阡凵芊芡茜荨掮岍悭慊骞搴褰缱椠犍肷愆钤虔箝羟',
+        qiang: '将疆枪呛腔羌墙蔷强抢戕嫱樯戗炝锖锵镪襁蜣羟跄',
+        qiao: '壳橇锹敲悄桥瞧乔侨巧鞘撬翘峭俏窍雀劁诮谯荞峤愀憔缲樵硗跷鞒',
+        qie: '契砌切茄且怯窃伽郄惬慊妾挈锲箧趄',
+        qin: '钦侵亲秦琴勤芹擒禽寝沁芩堇揿吣嗪噙廑溱檎锓矜覃螓衾',
+        qing: '亲青轻氢倾卿清擎晴氰情顷请庆苘圊檠磬蜻罄箐綮謦鲭黥',
+        qiong: '琼穷邛茕穹蛩筇跫銎',
+        qiu: '仇龟秋丘邱球求囚酋泅俅巯艽犰湫逑遒楸赇虬蚯蝤裘糗鳅鼽',
+        qu: '趋区蛆曲躯屈驱渠取娶龋趣去戌诎劬苣蕖蘧岖衢阒璩觑氍朐祛磲鸲癯蛐蠼麴瞿黢',
+        quan: '圈颧权醛泉全痊拳犬券劝诠荃犭悛绻辁畎铨蜷筌鬈',
+        que: '缺炔瘸却鹊榷确雀芍阕阙悫',
+        qun: '裙群逡麇',
+        ran: '然燃冉染苒蚺髯',
+        rang: '瓤壤攘嚷让禳穰',
+        rao: '饶扰绕荛娆桡',
+        re: '惹热若喏',
+        ren: '壬仁人忍韧任认刃妊纫亻仞荏葚饪轫稔衽',
+        reng: '扔仍',
+        ri: '日',
+        rong: '戎茸蓉荣融熔溶容绒冗嵘狨榕肜蝾',
+        rou: '揉柔肉糅蹂鞣',
+        ru: '女茹蠕儒孺如辱乳汝入褥蓐薷嚅洳溽濡缛铷襦颥',
+        ruan: '软阮朊',
+        rui: '兑蕊瑞锐芮蕤枘睿蚋',
+        run: '闰润',
+        ruo: '若弱偌箬',
+        sa: '撒洒萨卅仨挲脎飒',
+        sai: '腮鳃塞赛思噻',
+        san: '参三叁伞散馓毵糁',
+        sang: '桑嗓丧搡磉颡',
+        sao: '搔骚扫嫂梢埽缫缲臊瘙鳋',
+        se: '塞瑟色涩啬槭铯穑',
+        sen: '森',
+        seng: '僧',
+        sha: '莎砂杀刹沙纱傻啥煞杉厦唼嗄挲歃铩痧裟霎鲨',
+        shai: '色筛晒酾',
+        shan: '掺单掸珊苫杉山删煽衫闪陕擅赡膳善汕扇缮栅剡讪鄯埏芟彡潸姗嬗骟膻禅钐疝蟮舢跚鳝',
+        shang: '墒伤商赏晌上尚裳汤垧绱殇熵觞',
+        shao: '鞘梢捎稍烧芍勺韶少哨邵绍召劭苕潲杓蛸筲艄',
+        she: '奢赊蛇舌舍赦摄射慑涉社设拾折厍佘揲猞滠歙畲麝',
+        shei: '谁',
+        shen: '参砷申呻伸身深娠绅神沈审婶甚肾慎渗什信诜谂谌莘葚吲哂渖椹胂矧蜃糁',
+        sheng: '乘甸声生甥牲升绳省盛剩胜圣嵊渑晟眚笙',
+        shi: '匙师失狮施湿诗尸虱十石拾时什食蚀实识史矢使屎驶始式示士世柿事拭誓逝势是嗜噬适仕侍释饰氏市恃室视试硕似嘘泽栅殖峙谥埘莳蓍弑饣轼耆贳炻礻铈螫舐筮酾豕鲥鲺',
+        shou: '收手首守寿授售受瘦兽熟扌狩绶艏',
+        shu: '蔬枢梳殊抒输叔舒淑疏书赎孰熟薯暑曙署蜀黍鼠属术述树束戍竖墅庶数漱恕俞朱倏塾菽摅沭澍姝纾毹腧殳秫疋',
+        shua: '刷耍唰',
+        shuai: '率摔衰甩帅蟀',
+        shuan: '栓拴闩涮',
+        shuang: '霜双爽泷孀',
+        shui: '谁水睡税说氵',
+        shun: '吮瞬顺舜',
+        shuo: '数说硕朔烁蒴搠妁槊铄',
+        si: '食斯撕嘶思私司丝死肆寺嗣四伺似饲巳厮俟兕厶咝汜泗澌姒驷纟缌祀锶鸶耜蛳笥糸',
+        song: '松耸怂颂送宋讼诵凇菘崧嵩忪悚淞竦',
+        sou: '搜艘擞嗽叟薮嗖嗾馊溲飕瞍锼螋',
+        su: '苏酥俗素速粟僳塑溯宿诉肃缩夙谡蔌嗉愫涑簌觫稣',
+        suan: '酸蒜算狻',
+        sui: '尿虽隋随绥髓碎岁穗遂隧祟谇荽濉邃燧眭睢',
+        sun: '孙损笋荪狲飧榫隼',
+        suo: '莎蓑梭唆缩琐索锁所些唢嗦嗍娑桫挲睃羧',
+        ta: '塌他它她塔獭挞蹋踏拓嗒闼溻漯遢榻沓铊趿鳎',
+        tai: '胎苔抬台泰酞太态汰邰薹呔骀肽炱钛跆鲐',
+        tan: '弹坍摊贪瘫滩坛檀痰潭谭谈坦毯袒碳探叹炭郯澹宕昙忐钽锬镡覃',
+        tang: '汤塘搪堂棠膛唐糖倘躺淌趟烫傥帑饧惝溏瑭樘铴镗耥螗螳羰醣',
+        tao: '掏涛滔绦萄桃逃淘陶讨套跳鼗叨啕洮韬焘饕',
+        te: '特忒忑慝铽',
+        tei: '忒',
+        teng: '藤腾疼誊滕',
+        ti: '弟梯剔踢锑提题蹄啼体替嚏惕涕剃屉倜荑悌逖绨缇棣鹈裼醍',
+        tian: '佃甸天添填田甜恬舔腆掭忝阗殄畋钿',
+        tiao: '调挑条迢眺跳佻苕啁祧铫窕蜩笤粜龆鲦髫',
+        tie: '贴铁帖萜餮',
+        ting: '厅听烃汀廷停亭庭挺艇莛葶婷梃町铤蜓霆',
+        tong: '侗恫洞通桐酮瞳同铜彤童桶捅筒统痛佟僮仝垌茼嗵峒恸潼砼',
+        tou: '偷投头透愉亠钭骰',
+        tu: '凸秃突图徒途涂屠土吐兔堍荼菟钍酴',
+        tuan: '揣湍团抟彖疃',
+        tui: '弟推颓腿蜕褪退忒煺',
+        tun: '囤褪吞屯臀氽饨暾豚',
+        tuo: '拖托脱鸵陀驮驼椭妥拓唾乇佗坨庹沲沱柝柁橐砣铊箨酡跎鼍',
+        wa: '凹挖哇蛙洼娃瓦袜佤娲腽',
+        wai: '歪外崴',
+        wan: '蔓豌弯湾玩顽丸烷完碗挽晚皖惋宛婉万腕剜芄莞菀纨绾琬脘畹蜿箢',
+        wang: '汪王亡枉网往旺望忘妄罔尢惘辋魍',
+        wei: '威巍微危韦违桅围唯惟为潍维苇萎委伟伪尾纬未蔚味畏胃喂魏位渭谓尉慰卫遗倭偎诿隈隗圩葳薇囗帏帷崴嵬猥猬闱沩洧涠逶娓玮韪軎炜煨痿艉隹鲔',
+        wen: '瘟温蚊文闻纹吻稳紊问刎阌汶玟璺韫雯',
+        weng: '嗡翁瓮蓊蕹',
+        wo: '挝蜗涡窝我斡卧握沃倭莴喔幄渥肟硪龌',
+        wu: '恶亡巫呜钨乌污诬屋无芜梧吾吴毋武五捂午舞伍侮坞戊雾晤物勿务悟误兀仵阢邬圬芴唔庑怃忤浯寤迕妩婺骛杌牾於焐鹉鹜痦蜈鋈鼯',
+        xi: '腊栖洒鳃昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀檄袭席习媳喜铣洗系隙戏细僖兮诶隰郄郗茜菥葸蓰奚咭唏徙饩忾阋浠淅屣嬉玺樨曦觋欷歙熹禊禧皙穸裼蜥螅蟋舄舾羲粞翕醯蹊鼷',
+        xia: '唬夹瞎虾匣霞辖暇峡侠狭下厦夏吓呷狎遐瑕柙硖瘕罅黠',
+        xian: '掺见铣洗掀锨先仙鲜纤咸贤衔舷闲涎弦嫌显险现献县腺馅羡宪陷限线冼苋莶藓岘彡猃暹娴氙燹祆锬鹇痫蚬筅籼酰跣跹霰',
+        xiang: '降相厢镶香箱襄湘乡翔祥详想响享项巷橡像向象羊芗葙饷庠骧缃蟓鲞飨',
+        xiao: '俏萧硝霄削哮嚣销消宵淆晓小孝校肖啸笑效哓崤潇逍姣骁绡枭枵蛸筱箫魈',
+        xie: '解契楔些歇蝎鞋协挟携邪斜胁谐写械卸蟹懈泄泻谢屑血叶偕亵勰燮薤撷獬廨渫瀣邂绁缬榭榍颉躞鲑',
+        xin: '薪芯锌欣辛新忻心信衅囟馨莘忄昕歆镡鑫',
+        xing: '省星腥猩惺兴刑型形邢行醒幸杏性姓陉荇荥擤饧悻硎',
+        xiong: '兄凶胸匈汹雄熊芎',
+        xiu: '臭宿休修羞朽嗅锈秀袖绣咻岫馐庥溴鸺貅髹',
+        xu: '邪休墟戌需虚嘘须徐许蓄酗叙旭序畜恤絮婿绪续吁诩勖圩蓿洫浒溆顼栩朐煦砉盱胥糈醑',
+        xuan: '券县轩喧宣悬旋玄选癣眩绚儇谖萱揎泫渲漩璇楦暄炫煊碹铉镟痃',
+        xue: '削靴薛学穴雪血谑噱彐泶踅鳕',
+        xun: '浚孙勋熏循旬询寻驯巡殉汛训讯逊迅巽郇埙荀荨蕈薰峋徇獯恂洵浔曛窨醺鲟',
+        ya: '邪压押鸦鸭呀丫芽牙蚜崖衙涯雅哑亚讶轧伢垭揠吖岈迓娅琊桠氩砑碣睚痖疋',
+        yan: '铅焉咽阉烟淹盐严研蜒岩延言颜阎炎沿奄掩眼衍演艳堰燕厌砚雁唁彦焰宴谚验殷厣赝剡俨偃兖讠谳阽郾鄢埏芫菸崦恹闫阏湮滟妍嫣琰檐晏胭腌焱罨筵酽魇餍鼹',
+        yang: '详殃央鸯秧杨扬佯疡羊洋阳氧仰痒养样漾徉怏泱炀烊恙蛘鞅',
+        yao: '侥乐么疟陶邀腰妖瑶摇尧遥窑谣姚咬舀药要耀约钥夭爻吆崾徭幺珧杳轺曜肴铫鹞窈窕繇鳐',
+        ye: '喝射邪咽椰噎耶爷野冶也页掖业叶曳腋夜液拽靥谒邺揶揲晔烨铘',
+        yi: '艾蛾疙蛇射食尾泄一壹医揖铱依伊衣颐夷遗移仪胰疑沂宜姨彝椅蚁倚已乙矣以艺抑易邑屹亿役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎刈劓仡佚佾诒圯埸懿苡荑薏弈奕挹弋呓咦咿嗌噫峄嶷猗饴怿怡悒漪迤驿缢殪轶贻欹旖熠眙钇镒镱痍瘗癔翊衤蜴舣羿翳酏黟',
+        yin: '茵荫因殷音阴姻吟银淫寅饮尹引隐印胤鄞廴圻垠堙茚吲喑狺夤洇湮氤铟瘾窨蚓霪龈',
+        ying: '景英樱婴鹰应缨莹萤营荧蝇迎赢盈影颖硬映嬴郢茔荥莺萦蓥撄嘤膺滢潆瀛瑛璎楹媵鹦瘿颍罂',
+        yo: '哟育唷',
+        yong: '拥佣臃痈庸雍踊蛹咏泳涌永恿勇用俑壅墉喁慵邕镛甬鳙饔',
+        you: '幽优悠忧尤由邮铀犹油游酉有友右佑釉诱又幼卣攸侑莠莜莸尢呦囿宥柚猷牖铕疣蚰蚴蝣蝤繇鱿黝鼬',
+        yu: '奥谷蔚尉吾邪迂淤于盂榆虞愚舆余俞逾鱼愉渝渔隅予娱雨与屿禹宇语羽玉域芋郁吁遇喻峪御愈欲狱育誉浴寓裕预豫驭粥禺毓伛俣谀谕萸菀蓣揄喁圄圉嵛狳饫馀庾阈鬻妪妤纡瑜昱觎腴欤於煜熨燠肀聿钰鹆鹬瘐瘀窬窳蜮蝓竽臾舁雩龉',
+        yuan: '宛鸳渊冤元垣袁原援辕园员圆猿源缘远苑愿怨院垸塬芫掾圜沅媛瑗橼爰眢鸢螈箢鼋',
+        yue: '兑乐说曰约越跃钥岳粤月悦阅龠哕瀹栎樾刖钺',
+        yun: '员耘云郧匀陨允运蕴酝晕韵孕郓芸狁恽愠纭韫殒昀氲熨筠',
+        za: '匝砸杂咱扎咋拶咂',
+        zai: '栽哉灾宰载再在仔崽甾',
+        zan: '堑咱攒暂赞拶瓒昝簪糌趱錾',
+        zang: '藏赃脏葬奘驵臧',
+        zao: '遭糟凿藻枣早澡蚤躁噪造皂灶燥唣',
+        ze: '侧责择则泽咋仄赜啧帻迮昃笮箦舴',
+        zei: '贼',
+        zen: '怎谮',
+        zeng: '增憎曾赠综缯甑罾锃',
+        zha: '查蜡扎喳渣札轧铡闸眨栅榨咋乍炸诈柞揸吒咤哳喋馇怍楂砟痄蚱齄',
+        zhai: '侧翟祭齐责择摘斋宅窄债寨哜砦瘵豸',
+        zhan: '颤瞻毡詹粘沾盏斩辗崭展蘸栈占战站湛绽谵搌旃',
+        zhang: '长樟章彰漳张掌涨杖丈帐账仗胀瘴障仉鄣幛嶂獐嫜璋蟑',
+        zhao: '朝嘲招昭找沼赵照罩兆肇召爪着诏啁濯棹钊笊',
+        zhe: '遮折哲蛰辙者锗蔗这浙著着乇谪摺柘辄磔鹧褶蜇螫赭',
+        zhei: '这',
+        zhen: '填珍斟真甄砧臻贞针侦枕疹诊震振镇阵帧圳蓁浈溱缜桢椹榛轸赈胗朕祯畛稹鸩箴',
+        zheng: '丁蒸挣睁征狰争怔整拯正政症郑证诤峥徵钲铮筝鲭',
+        zhi: '识氏拓芝枝支吱蜘知肢脂汁之织职直植殖执值侄址指止趾只旨纸志挚掷至致置帜峙制智秩稚质炙痔滞治窒卮陟郅郦埴芷摭帙徵夂忮彘咫骘栉枳栀桎轵轾贽胝膣祉祗黹雉鸷痣蛭絷酯跖踬踯豸觯',
+        zhong: '中盅忠钟衷终种肿重仲众冢夂忪锺蚣螽舯踵',
+        zhou: '调舟周州洲诌粥轴肘帚咒皱宙昼骤荮啁妯纣绉胄碡籀繇酎',
+        zhu: '属术珠株蛛朱猪诸诛逐竹烛煮拄瞩嘱主著柱助蛀贮铸筑住注祝驻丶伫侏邾苎茱洙渚潴澍杼槠橥炷铢疰瘃褚竺箸舳翥躅麈',
+        zhua: '挝抓爪',
+        zhuai: '拽转',
+        zhuan: '传专砖转撰赚篆啭馔沌颛',
+        zhuang: '幢桩庄装妆撞壮状僮奘戆',
+        zhui: '揣椎锥追赘坠缀惴骓缒隹',
+        zhun: '淳屯谆准肫窀',
+        zhuo: '缴淖著捉拙卓桌琢茁酌啄着灼浊倬诼擢浞涿濯棹焯禚斫镯',
+        zi: '齐吱兹咨资姿滋淄孜紫仔籽滓子自渍字谘茈呲嵫姊孳缁甾梓辎赀恣眦锱秭耔笫粢趑觜訾龇鲻髭',
+        zong: '鬃棕踪宗综总纵偬枞腙粽',
+        zou: '邹走奏揍诹陬鄹驺楱鲰',
+        zu: '租足卒族祖诅阻组俎菹镞',
+        zuan: '赚钻纂攥缵躜',
+        zui: '咀嘴醉最罪蕞觜',
+        zun: '尊遵撙樽鳟',
+        zuo: '撮琢昨左佐柞做作坐座阼唑嘬怍胙祚笮酢',
+    },
+
+
+    /* ========================================================================
+     * 二、查询方法
+     * ====================================================================== */
+
+    /** 由字表反向生成的 { 汉字: 读音数组 }，首次查询时建立 */
+    _charMap: null,
+
+    /**
+     * 建立汉字到读音的反向映射
+     *
+     * @returns {Map<string, string[]>}
+     * @private
+     */
+    _getCharMap() {
+        if (!this._charMap) {
+            this._charMap = new Map();
+            Object.entries(this._table).forEach(([syllable, chars]) => {
+                for (const char of chars) {
+                    if (!this._charMap.has(char)) this._charMap.set(char, []);
+                    this._charMap.get(char).push(syllable);
+                }
+            });
+        }
+        return this._charMap;
+    },
+
+    /**
+     * 获取单个汉字的全部读音
+     *
+     * @param {string} char - 单个字符
+     * @returns {string[]} 读音数组（不带声调），字表外的字符返回空数组
+     *
+     * @example
+     * Pinyin.getReadings('春')  // → ['chun']
+     * Pinyin.getReadings('长')  // → ['chang', 'zhang']
+     * Pinyin.getReadings('A')   // → []
+     */
+    getReadings(char) {
+        return this._getCharMap().get(char) || [];
+    },
+
+    /**
+     * 将文本逐字转换为读音列表
+     *
+     * @param {string} text - 原始文本
+     * @returns {string[][]} 与文本字符一一对应的读音数组
+     *   按 UTF-16 编码单元拆分，下标与字符串下标一致，便于定位匹配片段
+     *
+     * @example
+     * Pinyin.toSyllables('春天')  // → [['chun'], ['tian']]
+     */
+    toSyllables(text) {
+        return (text || '').split('').map(char => this.getReadings(char));
+    },
+};
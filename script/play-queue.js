@@ -0,0 +1,393 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 播放队列 (play-queue.js)
+ * ============================================================================
+ *
+ * 连续收听多首作品：作品集"全部播放"（按当前搜索/筛选结果）、作品卡片上的
+ * "下一首播放" / "加入队列"，由底部的迷你播放器（mini-player.js）按队列顺序播放，
+ * 一首结束后自动播放下一首。
+ *
+ * 本文件只管理队列状态，不负责播放：
+ *   - items    : 按播放顺序排列的条目 { workId, title, subtitle, creator, cover, sources, returnPath, seq }
+ *   - position : 当前条目的下标（-1 表示尚未开始）
+ *   - shuffle  : 随机播放——开启时打乱尚未播放的条目，关闭时按加入顺序（seq）还原
+ *   - repeat   : 'off' 播完停止 / 'all' 列表循环 / 'one' 单曲循环
+ *
+ * 队列保存在 localStorage，刷新页面或重新打开站点后仍然保留。
+ * 只有音频作品可以加入队列（迷你播放器只播放音频），MV 等视频作品会被跳过。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js、utils.js、media-renditions.js 和 components.js 之后、
+ *   mini-player.js 之前引入。通过全局 PlayQueue 对象访问。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const PlayQueue = {
+
+    /** 队列变化的监听函数 */
+    _listeners: [],
+
+    /** 循环模式的切换顺序与显示名称 */
+    repeatModes: {
+        off: '不循环',
+        all: '列表循环',
+        one: '单曲循环',
+    },
+
+
+    /* ========================================================================
+     * 一、条目
+     * ====================================================================== */
+
+    /**
+     * 判断作品能否加入队列（有可播放的音频）
+     *
+     * @param {Object} work - 作品数据
+     * @returns {boolean}
+     */
+    isQueueable(work) {
+        const renditions = MediaRenditions.getRenditions(work);
+        return renditions.length > 0 && renditions[0].kind === 'audio';
+    },
+
+    /**
+     * 生成播放条目：迷你播放器播放一首作品所需的全部信息
+     * 播放源按当前环境排好序，保存后在其他页面无需重新加载作品数据即可播放。
+     *
+     * @param {Object} work - 作品数据（可为替换了媒体的版本）
+     * @param {Object} [options] - 可选配置
+     * @param {string} [options.returnPath] - "返回作品"的站点根相对路径，默认为作品详情页
+     * @returns {{workId: string, title: string, subtitle: string, creator: string, cover: string|null,
+     *   sources: Array, returnPath: string}}
+     */
+    createItem(work, options = {}) {
+        return {
+            workId: work.id,
+            title: work.title,
+            subtitle: work.subtitle || '',
+            creator: work.creator || '',
+            cover: work.cover || null,
+            sources: MediaRenditions.select(work).map(({ src, type }) => ({ src, type })),
+            returnPath: options.returnPath || `${CONFIG.paths.pages}work-detail.html?id=${encodeURIComponent(work.id)}`,
+        };
+    },
+
+    /**
+     * 打乱数组顺序（Fisher–Yates），返回新数组
+     *
+     * @param {Array} items - 条目
+     * @returns {Array}
+     * @private
+     */
+    _shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+
+    /* ========================================================================
+     * 二、读取与保存
+     * ====================================================================== */
+
+    /**
+     * 读取队列状态
+     *
+     * @returns {{items: Array, position: number, shuffle: boolean, repeat: string, nextSeq: number}}
+     */
+    getState() {
+        const saved = Utils.readStorage(CONFIG.playQueue.storageKey, null);
+        const items = saved && Array.isArray(saved.items)
+            ? saved.items.filter(item => item && item.workId && Array.isArray(item.sources) && item.sources.length > 0)
+            : [];
+
+        return {
+            items,
+            position: saved && Number.isInteger(saved.position)
+                ? Math.min(items.length - 1, Math.max(-1, saved.position))
+                : -1,
+            shuffle: Boolean(saved && saved.shuffle),
+            repeat: saved && this.repeatModes[saved.repeat] ? saved.repeat : 'off',
+            nextSeq: saved && Number.isFinite(saved.nextSeq) ? saved.nextSeq : items.length,
+        };
+    },
+
+    /**
+     * 保存队列状态并通知监听函数
+     *
+     * @param {Object} state - 队列状态
+     * @private
+     */
+    _save(state) {
+        Utils.writeStorage(CONFIG.playQueue.storageKey, state);
+        this._listeners.forEach(listener => listener(state));
+    },
+
+    /**
+     * 监听队列变化（加入、移除、切换曲目、切换模式）
+     *
+     * @param {Function} listener - 参数为新的队列状态
+     */
+    onChange(listener) {
+        this._listeners.push(listener);
+    },
+
+    /**
+     * 获取当前条目
+     *
+     * @returns {Object|null}
+     */
+    getCurrent() {
+        const { items, position } = this.getState();
+        return items[position] || null;
+    },
+
+
+    /* ========================================================================
+     * 三、编辑队列
+     * ====================================================================== */
+
+    /**
+     * 用一组作品替换整个队列（"全部播放"）
+     * 不能播放的作品被跳过；随机播放开启时打乱顺序。
+     *
+     * @param {Array<Object>} works - 作品数据
+     * @returns {{added: number, skipped: number}} 加入与跳过的数量
+     */
+    replace(works) {
+        const state = this.getState();
+        const queueable = works.filter(work => this.isQueueable(work)).slice(0, CONFIG.playQueue.maxItems);
+
+        state.items = queueable.map((work, i) => ({ ...this.createItem(work), seq: i }));
+        state.nextSeq = state.items.length;
+        state.position = state.items.length > 0 ? 0 : -1;
+        if (state.shuffle) state.items = this._shuffle(state.items);
+
+        this._save(state);
+        return { added: state.items.length, skipped: works.length - state.items.length };
+    },
+
+    /**
+     * 将作品加入队列末尾；已在队列中时不重复加入
+     * 队列尚未开始时，加入的作品成为当前条目。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {boolean} 是否加入（已在队列中、不能播放或队列已满时为 false）
+     */
+    add(work) {
+        const state = this.getState();
+        if (!this.isQueueable(work) || state.items.some(item => item.workId === work.id)
+            || state.items.length >= CONFIG.playQueue.maxItems) {
+            return false;
+        }
+
+        state.items.push({ ...this.createItem(work), seq: state.nextSeq++ });
+        if (state.position < 0) state.position = 0;
+        this._save(state);
+        return true;
+    },
+
+    /**
+     * 将作品安排在当前条目之后播放；已在队列中时移动到该位置
+     * 关闭随机播放后仍保持在原当前条目之后（seq 取相邻两项的中间值）。
+     *
+     * @param {Object} work - 作品数据
+     * @returns {boolean} 是否成功（不能播放或队列已满时为 false）
+     */
+    playNext(work) {
+        if (!this.isQueueable(work)) return false;
+
+        const state = this.getState();
+        const existing = state.items.findIndex(item => item.workId === work.id);
+        if (existing === state.position && existing >= 0) return true;
+        if (existing < 0 && state.items.length >= CONFIG.playQueue.maxItems) return false;
+
+        if (existing >= 0) {
+            state.items.splice(existing, 1);
+            if (existing < state.position) state.position--;
+        }
+
+        const current = state.items[state.position];
+        const currentSeq = current ? current.seq : -1;
+        const laterSeqs = state.items.map(item => item.seq).filter(seq => seq > currentSeq);
+        const seq = laterSeqs.length > 0 ? (currentSeq + Math.min(...laterSeqs)) / 2 : state.nextSeq++;
+
+        state.items.splice(state.position + 1, 0, { ...this.createItem(work), seq });
+        if (state.position < 0) state.position = 0;
+        this._save(state);
+        return true;
+    },
+
+    /**
+     * 移除一个条目
+     * 移除当前条目时，播放中的作品继续播完，结束后播放它后面的一首。
+     *
+     * @param {number} index - 条目下标
+     */
+    remove(index) {
+        const state = this.getState();
+        if (!state.items[index]) return;
+
+        state.items.splice(index, 1);
+        if (index <= state.position) state.position--;
+        this._save(state);
+    },
+
+    /**
+     * 清空队列（保留随机与循环设置）
+     */
+    clear() {
+        const state = this.getState();
+        state.items = [];
+        state.position = -1;
+        state.nextSeq = 0;
+        this._save(state);
+    },
+
+
+    /* ========================================================================
+     * 四、切换曲目与模式
+     * ====================================================================== */
+
+    /**
+     * 跳到指定条目
+     *
+     * @param {number} index - 条目下标
+     * @returns {Object|null} 该条目
+     */
+    jumpTo(index) {
+        const state = this.getState();
+        if (!state.items[index]) return null;
+
+        state.position = index;
+        this._save(state);
+        return state.items[index];
+    },
+
+    /**
+     * 前进到下一首
+     *
+     * @param {Object} [options] - 可选配置
+     * @param {boolean} [options.auto=false] - 是否为播放结束后的自动前进（单曲循环时重复当前条目）
+     * @returns {Object|null} 下一首；已到末尾且不循环时为 null
+     */
+    next(options = {}) {
+        const state = this.getState();
+        if (state.items.length === 0) return null;
+
+        if (options.auto && state.repeat === 'one' && state.items[state.position]) {
+            return state.items[state.position];
+        }
+
+        if (state.position + 1 < state.items.length) {
+            state.position++;
+        } else if (state.repeat !== 'off') {
+            state.position = 0;
+        } else {
+            return null;
+        }
+
+        this._save(state);
+        return state.items[state.position];
+    },
+
+    /**
+     * 回到上一首（已在第一首且列表循环时回到最后一首）
+     *
+     * @returns {Object|null} 上一首；没有上一首时为当前条目
+     */
+    previous() {
+        const state = this.getState();
+        if (state.items.length === 0) return null;
+
+        if (state.position > 0) {
+            state.position--;
+        } else if (state.repeat === 'all') {
+            state.position = state.items.length - 1;
+        } else {
+            state.position = 0;
+        }
+
+        this._save(state);
+        return state.items[state.position];
+    },
+
+    /**
+     * 开启或关闭随机播放
+     * 开启时只打乱尚未播放的条目；关闭时按加入顺序还原，当前条目不变。
+     *
+     * @param {boolean} enabled - 是否随机播放
+     */
+    setShuffle(enabled) {
+        const state = this.getState();
+        const current = state.items[state.position] || null;
+        state.shuffle = enabled;
+
+        if (enabled) {
+            const upcoming = state.items.splice(state.position + 1);
+            state.items.push(...this._shuffle(upcoming));
+        } else {
+            state.items.sort((a, b) => a.seq - b.seq);
+            state.position = current ? state.items.indexOf(current) : -1;
+        }
+
+        this._save(state);
+    },
+
+    /**
+     * 切换循环模式：不循环 → 列表循环 → 单曲循环 → 不循环
+     *
+     * @returns {string} 新的循环模式
+     */
+    cycleRepeat() {
+        const state = this.getState();
+        const modes = Object.keys(this.repeatModes);
+        state.repeat = modes[(modes.indexOf(state.repeat) + 1) % modes.length];
+        this._save(state);
+        return state.repeat;
+    },
+
+
+    /* ========================================================================
+     * 五、作品卡片操作
+     * ====================================================================== */
+
+    /**
+     * 生成作品卡片上的队列操作（传给 UIComponents.createWorkCard 的 options.queueActions）
+     *
+     * @param {Object} work - 作品数据
+     * @returns {Object|undefined} 不能加入队列的作品（如 MV）或迷你播放器未启用时为 undefined，
+     *   卡片不显示队列按钮
+     *
+     * @example
+     * UIComponents.createWorkCard(work, onClick, { queueActions: PlayQueue.getCardActions(work) });
+     */
+    getCardActions(work) {
+        if (!CONFIG.miniPlayer.enabled || !this.isQueueable(work)) return undefined;
+
+        return {
+            onPlayNext: () => {
+                if (this.playNext(work)) {
+                    UIComponents.showToast(`《${work.title}》将在下一首播放`, 'success');
+                } else {
+                    UIComponents.showToast(`播放队列已满（最多 ${CONFIG.playQueue.maxItems} 首）`, 'error');
+                }
+            },
+            onAddToQueue: () => {
+                const inQueue = this.getState().items.some(item => item.workId === work.id);
+                if (this.add(work)) {
+                    UIComponents.showToast(`已将《${work.title}》加入播放队列`, 'success');
+                } else {
+                    UIComponents.showToast(inQueue
+                        ? `《${work.title}》已在播放队列中`
+                        : `播放队列已满（最多 ${CONFIG.playQueue.maxItems} 首）`, inQueue ? 'info' : 'error');
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,418 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 站内搜索引擎 (search-engine.js)
+ * ============================================================================
+ *
+ * 为作品搜索提供按相关度排序的结果，负责：
+ *   1. 按字段权重计分（标题命中远高于歌词中的顺带命中）
+ *   2. 标题完全一致时额外加分
+ *   3. 中文文本按双字（n-gram）切分，关键词未整体出现时仍可部分命中
+ *   4. 按全拼、首字母或二者混合匹配（xgct、xiegei、xiegeichuntian 均可找到《写给春天的歌》），
+ *      四个字母以上的拼音关键词允许一个字母的误差（如 xgcx）
+ *   5. 返回命中的字段与摘要片段，便于在结果中说明"为什么搜到它"
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js 和 pinyin.js 之后引入。
+ *   通常不直接调用，而是通过 DataLoader.searchWorks / searchWorksRanked 使用：
+ *
+ *   const index = SearchEngine.createIndex(works, CONFIG.search.fields);
+ *   const hits = SearchEngine.search(index, 'xiegei');
+ *   // → [{ record, score, field: 'title', fieldLabel: '标题', snippet: {...} }, ...]
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const SearchEngine = {
+
+
+    /* ========================================================================
+     * 一、文本规范化与切分
+     * ========================================================================
+     * 规范化只做"等长"转换（小写、全角转半角），保证规范化文本的下标
+     * 与原文一一对应，摘要片段可以直接按下标截取原文。
+     * ====================================================================== */
+
+    /** 中日韩统一表意文字 */
+    _cjkPattern: /[\u3400-\u9fff\uf900-\ufaff]/,
+
+    /** 比较标题是否完全一致时忽略的标点 */
+    _punctuationPattern: /[\s《》〈〉「」『』“”‘’"'、，。！？：；·…（）()\-—]/g,
+
+    /**
+     * 规范化文本：转小写，全角字母数字转半角
+     *
+     * @param {string} text - 原始文本
+     * @returns {string} 与原文等长的规范化文本
+     *
+     * @example
+     * SearchEngine.normalize('ＭＶ 写给')  // → 'mv 写给'
+     */
+    normalize(text) {
+        return String(text || '')
+            .replace(/[\uff01-\uff5e]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+            .toLowerCase();
+    },
+
+    /**
+     * 去掉标点与空白，用于"完全一致"的判断
+     *
+     * @param {string} text - 已规范化的文本
+     * @returns {string}
+     * @private
+     */
+    _stripPunctuation(text) {
+        return text.replace(this._punctuationPattern, '');
+    },
+
+    /**
+     * 提取文本中连续中文片段的双字组合
+     *
+     * @param {string} text - 已规范化的文本
+     * @returns {Set<string>}
+     *
+     * @example
+     * SearchEngine.bigrams('春天的歌')  // → Set { '春天', '天的', '的歌' }
+     */
+    bigrams(text) {
+        const grams = new Set();
+        for (let i = 0; i < text.length - 1; i++) {
+            if (this._cjkPattern.test(text[i]) && this._cjkPattern.test(text[i + 1])) {
+                grams.add(text.slice(i, i + 2));
+            }
+        }
+        return grams;
+    },
+
+    /**
+     * 将搜索输入拆分为关键词
+     * 按空白分隔，去掉两端的书名号与引号；多个关键词须同时命中。
+     *
+     * @param {string} query - 用户输入
+     * @returns {string[]} 规范化后的关键词
+     */
+    tokenize(query) {
+        return this.normalize(query)
+            .split(/\s+/)
+            .map(term => term.replace(/^[《〈「『“‘"']+|[》〉」』”’"']+$/g, ''))
+            .filter(Boolean);
+    },
+
+
+    /* ========================================================================
+     * 二、建立索引
+     * ====================================================================== */
+
+    /**
+     * 为记录集合建立搜索索引
+     * 每条记录的每个字段预先计算规范化文本、双字组合与拼音，搜索时不再重复计算。
+     * 数组字段（如 tags）的每个元素单独建立一项，各自参与匹配与计分。
+     * 字段名可使用点号读取数组中对象的属性（如 credits.name）。
+     *
+     * @param {Array<Object>} records - 记录数组
+     * @param {Array<{key: string, label: string, weight: number, pinyin?: boolean}>} fields - 参与搜索的字段
+     * @returns {{fields: Array, entries: Array}} 搜索索引
+     */
+    createIndex(records, fields) {
+        const entries = records.map((record, order) => ({
+            record,
+            order,
+            fields: fields.flatMap(field => this.getFieldTexts(record, field.key).map(text => {
+                const norm = this.normalize(text);
+                return {
+                    field,
+                    text,
+                    norm,
+                    core: this._stripPunctuation(norm),
+                    grams: this.bigrams(norm),
+                    syllables: field.pinyin ? Pinyin.toSyllables(text) : null,
+                };
+            })),
+        }));
+
+        return { fields, entries };
+    },
+
+
+    /**
+     * 读取记录中某个搜索字段的全部文本
+     * 字段名可使用点号路径，数组字段的每个非空字符串单独返回；
+     * 作品集的短语与排除词（WorksPage.matchesQuery）也按此读取，与相关度搜索保持一致。
+     *
+     * @param {Object} record - 记录
+     * @param {string} key - 字段路径（如 'tags'、'credits.name'）
+     * @returns {string[]}
+     *
+     * @example
+     * SearchEngine.getFieldTexts({ credits: [{ name: '鸥波萍迹' }] }, 'credits.name');
+     * // → ['鸥波萍迹']
+     */
+    getFieldTexts(record, key) {
+        return this._fieldTexts(this._readField(record, key));
+    },
+
+    /**
+     * 按点号路径读取字段，路径途经数组时对每个元素分别读取并展开
+     *
+     * @param {Object} record - 记录
+     * @param {string} key - 字段路径（如 'title'、'credits.name'）
+     * @returns {*} 字段值；途经数组时为数组
+     * @private
+     *
+     * @example
+     * SearchEngine._readField({ credits: [{ name: 'A' }, { name: 'B' }] }, 'credits.name');
+     * // → ['A', 'B']
+     */
+    _readField(record, key) {
+        return key.split('.').reduce((value, part) => {
+            if (Array.isArray(value)) {
+                return value.flatMap(item => (item && typeof item === 'object' ? item[part] : undefined));
+            }
+            return value && typeof value === 'object' ? value[part] : undefined;
+        }, record);
+    },
+
+    /**
+     * 取出字段中可搜索的文本：字符串返回单项，字符串数组返回各个非空元素
+     *
+     * @param {*} value - 字段值
+     * @returns {string[]}
+     * @private
+     */
+    _fieldTexts(value) {
+        if (typeof value === 'string') return value ? [value] : [];
+        if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item);
+        return [];
+    },
+
+
+    /* ========================================================================
+     * 三、搜索与评分
+     * ====================================================================== */
+
+    /**
+     * 搜索并按相关度排序
+     * 每个关键词取其得分最高的字段计分，所有关键词都命中的记录才会返回；
+     * 得分相同时保持原始顺序。
+     *
+     * @param {{fields: Array, entries: Array}} index - createIndex 生成的索引
+     * @param {string} query - 用户输入
+     * @returns {Array<{record: Object, score: number, field: string, fieldLabel: string, snippet: {text: string, start: number, end: number}}>}
+     *   - field / fieldLabel: 贡献分数最高的字段
+     *   - snippet: 该字段中命中位置附近的原文片段，start/end 为片段内需高亮的范围
+     */
+    search(index, query) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        const wholeQuery = this._stripPunctuation(this.normalize(query));
+        const hits = [];
+
+        index.entries.forEach(entry => {
+            let score = 0;
+            let best = null;
+
+            for (const term of terms) {
+                const match = this._matchTerm(entry, term);
+                if (!match) return;  /* 任一关键词未命中，跳过该记录 */
+
+                score += match.score;
+                if (!best || match.score > best.score) best = match;
+            }
+
+            /* 标题完全一致（忽略书名号等标点）额外加分 */
+            const title = entry.fields.find(f => f.field.key === 'title');
+            if (title && title.core === wholeQuery) {
+                score += CONFIG.search.exactTitleBoost;
+            }
+
+            hits.push({
+                record: entry.record,
+                order: entry.order,
+                score,
+                field: best.fieldEntry.field.key,
+                fieldLabel: best.fieldEntry.field.label,
+                snippet: this._createSnippet(best.fieldEntry.text, best.start, best.end),
+            });
+        });
+
+        return hits
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(({ order, ...hit }) => hit);
+    },
+
+    /**
+     * 计算单个关键词在一条记录中的最佳匹配
+     *
+     * @param {Object} entry - 索引中的记录
+     * @param {string} term - 规范化后的关键词
+     * @returns {{score: number, start: number, end: number, fieldEntry: Object}|null}
+     * @private
+     */
+    _matchTerm(entry, term) {
+        let best = null;
+
+        entry.fields.forEach(fieldEntry => {
+            const match = this._matchField(fieldEntry, term);
+            if (match && (!best || match.score > best.score)) {
+                best = { ...match, fieldEntry };
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * 计算关键词在单个字段中的匹配（依次尝试：整体、双字切分、拼音）
+     *
+     * @param {Object} fieldEntry - 索引中的字段
+     * @param {string} term - 规范化后的关键词
+     * @returns {{score: number, start: number, end: number}|null}
+     * @private
+     */
+    _matchField(fieldEntry, term) {
+        const { field, norm, grams, syllables } = fieldEntry;
+
+        /* 1. 整体命中 */
+        const position = norm.indexOf(term);
+        if (position >= 0) {
+            let factor = 3;
+            if (norm === term) factor = 10;
+            else if (position === 0) factor = 4;
+            return { score: field.weight * factor, start: position, end: position + term.length };
+        }
+
+        /* 2. 中文双字切分：命中一半以上的双字组合 */
+        const termGrams = this.bigrams(term);
+        if (termGrams.size > 0) {
+            const matched = [...termGrams].filter(gram => grams.has(gram));
+            const ratio = matched.length / termGrams.size;
+            if (ratio >= 0.5) {
+                const start = norm.indexOf(matched[0]);
+                return { score: field.weight * ratio, start, end: start + 2 };
+            }
+        }
+
+        /* 3. 拼音：全拼、首字母或混合 */
+        if (syllables && /^[a-z]{2,}$/.test(term)) {
+            const match = this.matchPinyin(syllables, term);
+            if (match) {
+                return { score: field.weight * (match.fuzzy ? 1 : 2), start: match.start, end: match.end };
+            }
+        }
+
+        return null;
+    },
+
+
+    /* ========================================================================
+     * 四、拼音匹配
+     * ========================================================================
+     * 关键词从某个汉字开始，依次与后续汉字的读音比对：
+     * 每个汉字可以匹配完整读音，也可以只匹配读音的开头（最少一个字母），
+     * 因此全拼（xiegei）、首字母（xg）与混合写法（xiegeicht）使用同一套规则。
+     * 多音字的任一读音都可以参与匹配。
+     * ====================================================================== */
+
+    /** 允许一个字母误差的最短拼音关键词长度 */
+    _fuzzyMinLength: 4,
+
+    /**
+     * 在逐字读音中查找拼音关键词
+     * 优先返回精确匹配；找不到时，对足够长的关键词允许一个汉字的首字母不符。
+     *
+     * @param {string[][]} syllables - 逐字读音（Pinyin.toSyllables 的结果）
+     * @param {string} term - 小写字母组成的关键词
+     * @returns {{start: number, end: number, fuzzy: boolean}|null} 命中的字符范围
+     *
+     * @example
+     * const syllables = Pinyin.toSyllables('写给春天的歌');
+     * SearchEngine.matchPinyin(syllables, 'xiegei')  // → { start: 0, end: 2, fuzzy: false }
+     * SearchEngine.matchPinyin(syllables, 'xgcx')    // → { start: 0, end: 4, fuzzy: true }
+     */
+    matchPinyin(syllables, term) {
+        const allowedErrors = term.length >= this._fuzzyMinLength ? [0, 1] : [0];
+
+        for (const maxErrors of allowedErrors) {
+            for (let start = 0; start < syllables.length; start++) {
+                const end = this._matchPinyinAt(syllables, term, start, 0, maxErrors);
+                if (end !== -1) {
+                    return { start, end, fuzzy: maxErrors > 0 };
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * 从指定汉字与关键词位置开始递归匹配
+     *
+     * @param {string[][]} syllables - 逐字读音
+     * @param {string} term - 关键词
+     * @param {number} charIndex - 当前汉字下标
+     * @param {number} termIndex - 当前关键词下标
+     * @param {number} errorsLeft - 剩余可容忍的误差次数
+     * @returns {number} 匹配结束的汉字下标（不含），未匹配返回 -1
+     * @private
+     */
+    _matchPinyinAt(syllables, term, charIndex, termIndex, errorsLeft) {
+        if (termIndex === term.length) return charIndex;
+        if (charIndex >= syllables.length) return -1;
+
+        const readings = syllables[charIndex];
+        if (readings.length === 0) return -1;
+
+        const rest = term.slice(termIndex);
+        for (const reading of readings) {
+            /* 先尝试尽量长的读音前缀，使全拼优先于首字母 */
+            for (let length = Math.min(reading.length, rest.length); length >= 1; length--) {
+                if (reading.startsWith(rest.slice(0, length))) {
+                    const end = this._matchPinyinAt(syllables, term, charIndex + 1, termIndex + length, errorsLeft);
+                    if (end !== -1) return end;
+                }
+            }
+        }
+
+        /* 误差：当前汉字的首字母不符，视为输错一个字母 */
+        if (errorsLeft > 0) {
+            return this._matchPinyinAt(syllables, term, charIndex + 1, termIndex + 1, errorsLeft - 1);
+        }
+
+        return -1;
+    },
+
+
+    /* ========================================================================
+     * 五、结果摘要
+     * ====================================================================== */
+
+    /**
+     * 截取命中位置附近的原文片段
+     * 只在命中所在的那一行内截取；超出范围的部分以省略号表示。
+     *
+     * @param {string} text - 字段原文
+     * @param {number} start - 命中起始下标
+     * @param {number} end - 命中结束下标（不含）
+     * @returns {{text: string, start: number, end: number}} 片段及其中需高亮的范围
+     * @private
+     */
+    _createSnippet(text, start, end) {
+        const radius = CONFIG.search.snippetRadius;
+
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const lineBreak = text.indexOf('\n', end);
+        const lineEnd = lineBreak === -1 ? text.length : lineBreak;
+
+        const from = Math.max(lineStart, start - radius);
+        const to = Math.min(lineEnd, end + radius);
+        const prefix = from > lineStart ? '…' : '';
+        const suffix = to < lineEnd ? '…' : '';
+
+        return {
+            text: prefix + text.slice(from, to) + suffix,
+            start: prefix.length + start - from,
+            end: prefix.length + end - from,
+        };
+    },
+};
@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 分类标签页逻辑 (tag.js)
+ * ============================================================================
+ *
+ * 分类标签页的核心逻辑，负责：
+ *   1. 无 tag 参数时列出全部标签（标签说明与作品数量）
+ *   2. 有 tag 参数时渲染该标签的说明、作品数量与作品卡片
+ *
+ * 标签说明来自 CONFIG.tags.registry 中的 description。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * 页面初始化
+ * DOM 加载完成后执行
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const container = Utils.getById('tag-content');
+    if (!container) return;
+
+    try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
+        container.appendChild(UIComponents.createLoadingState());
+
+        const tag = Utils.getParam('tag');
+
+        if (!tag) {
+            renderTagList(await DataLoader.getTagCounts());
+            return;
+        }
+
+        const works = await DataLoader.getWorksByTag(tag);
+
+        /* 专辑信息只是补充，加载失败时卡片不显示"收录于" */
+        const albumsByWork = await DataLoader.getAlbumsByWork().catch((error) => {
+            Utils.logError('分类', '加载专辑', error);
+            return new Map();
+        });
+
+        renderTagDetail(tag, works, albumsByWork);
+
+        /* 更新页面标题 */
+        document.title = `${tag} | ${CONFIG.site.title}`;
+
+    } catch (error) {
+        Utils.logError('分类', '加载页面', error);
+        showTagError(error);
+    }
+});
+
+
+/* ==================== 全部标签 ==================== */
+
+/**
+ * 渲染全部标签列表
+ *
+ * @param {Array<{tag: string, count: number}>} tagCounts - DataLoader.getTagCounts 的结果
+ */
+function renderTagList(tagCounts) {
+    const container = Utils.getById('tag-content');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (tagCounts.length === 0) {
+        container.appendChild(UIComponents.createEmptyState('暂无分类'));
+        return;
+    }
+
+    const list = Utils.createElement('ul', {
+        className: 'tag-list',
+        attributes: { 'aria-label': '全部分类' },
+    });
+
+    tagCounts.forEach(({ tag, count }) => {
+        const tagInfo = UIComponents._getTagInfo(tag);
+        const item = Utils.createElement('li', { className: 'tag-list__item' });
+
+        item.innerHTML = `
+            <a class="tag-list__link card" href="${UIComponents.getTagPageUrl(tag)}">
+                <span class="tag-list__header">
+                    <span class="tag ${tagInfo.cssClass}">${tagInfo.label}</span>
+                    <span class="tag-list__count">${count} 首作品</span>
+                </span>
+                ${tagInfo.description ? `<span class="tag-list__desc">${tagInfo.description}</span>` : ''}
+            </a>
+        `;
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+}
+
+
+/* ==================== 单个标签 ==================== */
+
+/**
+ * 渲染单个标签的说明与作品列表
+ *
+ * @param {string} tag - 分类标签名
+ * @param {Array} works - 带有该标签的作品
+ * @param {Map<string, Array>} albumsByWork - 作品 ID → 收录专辑
+ */
+function renderTagDetail(tag, works, albumsByWork) {
+    const container = Utils.getById('tag-content');
+    if (!container) return;
+
+    const tagInfo = UIComponents._getTagInfo(tag);
+
+    const pageTitle = Utils.getById('tag-page-title');
+    if (pageTitle) pageTitle.textContent = tagInfo.label;
+
+    container.innerHTML = `
+        <section class="tag-header" aria-labelledby="tag-title">
+            <h2 class="tag-header__title" id="tag-title">
+                <span class="tag ${tagInfo.cssClass}"></span>
+            </h2>
+            <p class="tag-header__count">共 ${works.length} 首作品</p>
+            ${tagInfo.description ? `<p class="tag-header__desc">${tagInfo.description}</p>` : ''}
+            <a class="btn btn--text" href="${UIComponents.getTagPageUrl()}">全部分类</a>
+        </section>
+        <div class="tag-works"></div>
+    `;
+
+    /* 标签名来自 URL 参数，使用 textContent 写入，避免注入 */
+    container.querySelector('.tag-header__title .tag').textContent = tagInfo.label;
+
+    const grid = container.querySelector('.tag-works');
+
+    if (works.length === 0) {
+        grid.appendChild(UIComponents.createEmptyState('暂无该分类的作品'));
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    works.forEach(work => {
+        const card = UIComponents.createWorkCard(work, (w) => {
+            PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${w.id}`);
+        }, { albums: albumsByWork.get(work.id), queueActions: PlayQueue.getCardActions(work) });
+        fragment.appendChild(card);
+    });
+    grid.appendChild(fragment);
+
+    Utils.observeLazyImages(grid);
+}
+
+
+/* ==================== 错误处理 ==================== */
+
+/**
+ * 显示分类页错误
+ * 使用 classifyError 将技术性错误转换为用户友好的提示
+ *
+ * @param {Error} error - 错误对象
+ */
+function showTagError(error) {
+    const container = Utils.getById('tag-content');
+    if (!container) return;
+
+    const message = Utils.classifyError(error).message;
+
+    container.innerHTML = '';
+    container.appendChild(
+        UIComponents.createErrorState(message, () => {
+            window.location.reload();
+        })
+    );
+}
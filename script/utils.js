@@ -5,11 +5,12 @@
  *
  * 本文件提供全站通用的工具函数，包括：
  *   1. DOM 操作工具
- *   2. 数据加载工具
+ *   2. 数据加载工具（含 IndexedDB 持久缓存）
  *   3. 日期格式化工具
  *   4. URL 参数解析工具
  *   5. 防抖与节流工具
  *   6. 懒加载工具
+ *   7. 本地偏好存储（localStorage / sessionStorage）
  *
  * 【使用方式】
  *   本文件需要在 config.js 之后引入。
@@ -201,7 +202,7 @@ const Utils = {
     },
 
     /**
-     * 加载 JSON 数据文件（带超时与自动重试）
+     * 加载 JSON 数据文件（带超时与自动重试，可选持久缓存）
      *
      * 请求流程：
      *   1. 发起带超时的 fetch 请求
@@ -210,10 +211,15 @@ const Utils = {
      *   4. 解析 JSON 数据
      *   5. 若失败且错误可重试，等待递增延时后重试
      *
+     * 传入 cacheMaxAge 时启用持久缓存（见"二-B、数据持久缓存"），
+     * 优先返回浏览器本地保存的副本，过期后在后台重新验证。
+     *
      * @param {string} url - JSON 文件的 URL
      * @param {Object} [options] - 可选配置
      * @param {number} [options.retries] - 覆盖默认重试次数
      * @param {number} [options.timeout] - 覆盖默认超时时间
+     * @param {number} [options.cacheMaxAge] - 启用持久缓存，并指定本地副本有效期（毫秒）
+     * @param {boolean} [options.bypassCache] - 跳过本地副本直接请求网络（结果仍写回本地；网络失败时退回本地副本）
      * @returns {Promise<any>} 解析后的 JSON 数据
      * @throws {Error} 当所有重试都失败，或遇到不可重试的错误时抛出异常
      *
@@ -221,11 +227,36 @@ const Utils = {
      * const works = await Utils.loadJSON('/data/artwork.json');
      * // 自定义重试次数
      * const works = await Utils.loadJSON('/data/artwork.json', { retries: 3 });
+     * // 启用持久缓存，本地副本 10 分钟内有效
+     * const works = await Utils.loadJSON('/data/artwork.json', { cacheMaxAge: 600000 });
      */
     async loadJSON(url, options = {}) {
         /* 解析 basePath ，拼接为正确的URL */
         url = PathUtils.resolve(url);
-        
+
+        /* 启用持久缓存时交由缓存流程处理，网络请求部分仍复用 _requestJSON */
+        if (options.cacheMaxAge !== undefined && this._isDataCacheAvailable()) {
+            return this._loadJSONWithCache(url, options);
+        }
+
+        const { data } = await this._requestJSON(url, options);
+        return data;
+    },
+
+    /**
+     * 发起 JSON 网络请求（loadJSON 的网络部分）
+     * 携带条件请求头时，服务器返回 304 视为"未修改"，不抛出异常。
+     *
+     * @param {string} url - 已解析 basePath 的完整 URL
+     * @param {Object} [options] - 同 loadJSON，另支持 options.headers 附加请求头
+     * @returns {Promise<{data: any, response: Response|null, notModified: boolean}>}
+     *   - data: 解析后的 JSON 数据（304 时为 null）
+     *   - response: 最终的 Response 对象，用于读取 ETag / Last-Modified
+     *   - notModified: 服务器是否返回 304
+     * @throws {Error} 当所有重试都失败，或遇到不可重试的错误时抛出异常
+     * @private
+     */
+    async _requestJSON(url, options = {}) {
         /* 获取重试配置，允许调用方覆盖默认值 */
         const maxRetries = options.retries ?? this._fetchConfig.retries;
         const requestTimeout = options.timeout ?? this._fetchConfig.timeout;
@@ -246,7 +277,12 @@ const Utils = {
                 }
 
                 /* 发起带超时的请求 */
-                const response = await this.fetchWithTimeout(url, {}, requestTimeout);
+                const response = await this.fetchWithTimeout(url, { headers: options.headers || {} }, requestTimeout);
+
+                /* ---- 条件请求命中：资源未修改 ---- */
+                if (response.status === 304) {
+                    return { data: null, response, notModified: true };
+                }
 
                 /* ---- 检查 HTTP 状态码 ---- */
                 if (!response.ok) {
@@ -288,7 +324,7 @@ const Utils = {
 
                 /* ---- 解析 JSON 数据 ---- */
                 const data = await response.json();
-                return data;
+                return { data, response, notModified: false };
 
             } catch (error) {
                 lastError = error;
@@ -341,6 +377,284 @@ const Utils = {
     },
 
 
+    /* ========================================================================
+     * 二-B、数据持久缓存
+     * ========================================================================
+     * 将 JSON 数据文件保存在浏览器 IndexedDB 中，跨页面导航复用，
+     * 避免每次打开页面都重新下载 artwork.json / dynamic.json。
+     *
+     * 缓存策略（stale-while-revalidate）：
+     *   - 有效期内：直接返回本地副本，不发请求
+     *   - 已过期：立即返回本地副本，后台携带 If-None-Match / If-Modified-Since
+     *     重新验证；304 时仅刷新保存时间，200 时写回新数据并派发 datacache:updated
+     *   - 重新验证失败（断网、服务器故障）：继续使用本地副本，
+     *     并派发 datacache:stale 事件，由页面提示"数据可能不是最新"
+     *
+     * 浏览器不支持或禁用 IndexedDB（如部分隐私模式）时自动退化为纯网络请求。
+     * ====================================================================== */
+
+    /**
+     * 持久缓存内部状态
+     * dbName    - IndexedDB 数据库名
+     * storeName - 对象仓库名（以 url 为主键）
+     * dbPromise - 数据库连接（懒打开，全页面复用）
+     * status    - 各 URL 最近一次的数据来源与新鲜度，供 getDataCacheStatus 查询
+     */
+    _dataCache: {
+        dbName: 'oubo-data-cache',
+        storeName: 'json',
+        dbPromise: null,
+        status: {},
+    },
+
+    /**
+     * 判断持久缓存是否可用（功能开关开启且浏览器支持 IndexedDB）
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isDataCacheAvailable() {
+        return Boolean(CONFIG.features.persistentCache) && typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * 打开（必要时创建）持久缓存数据库
+     *
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _openDataCache() {
+        if (!this._dataCache.dbPromise) {
+            const { dbName, storeName } = this._dataCache;
+            this._dataCache.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName, { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            /* 打开失败时允许下次重新尝试 */
+            this._dataCache.dbPromise.catch(() => {
+                this._dataCache.dbPromise = null;
+            });
+        }
+        return this._dataCache.dbPromise;
+    },
+
+    /**
+     * 在对象仓库上执行一次请求并以 Promise 形式返回结果
+     *
+     * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - 接收 IDBObjectStore，返回 IDBRequest
+     * @returns {Promise<any>} 请求结果
+     * @private
+     */
+    async _dataCacheRequest(mode, operation) {
+        const db = await this._openDataCache();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this._dataCache.storeName, mode).objectStore(this._dataCache.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * 读取本地副本，任何存储异常都视为"无副本"
+     *
+     * @param {string} url - 完整 URL
+     * @returns {Promise<Object|null>} { url, data, etag, lastModified, storedAt }
+     * @private
+     */
+    async _readDataCache(url) {
+        try {
+            return (await this._dataCacheRequest('readonly', store => store.get(url))) || null;
+        } catch (error) {
+            console.warn(`[Utils] 读取本地数据副本失败 (${url}):`, error && error.message);
+            return null;
+        }
+    },
+
+    /**
+     * 写入本地副本，存储异常（如空间不足）不影响页面使用
+     *
+     * @param {Object} entry - { url, data, etag, lastModified, storedAt }
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeDataCache(entry) {
+        try {
+            await this._dataCacheRequest('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.warn(`[Utils] 写入本地数据副本失败 (${entry.url}):`, error && error.message);
+        }
+    },
+
+    /**
+     * 根据网络响应构建本地副本条目，保存验证器（ETag / Last-Modified）
+     *
+     * @param {string} url - 完整 URL
+     * @param {any} data - 解析后的 JSON 数据
+     * @param {Response} response - fetch 响应
+     * @returns {Object} 本地副本条目
+     * @private
+     */
+    _createDataCacheEntry(url, data, response) {
+        return {
+            url,
+            data,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            storedAt: Date.now(),
+        };
+    },
+
+    /**
+     * 记录某个 URL 最近一次的数据来源与新鲜度
+     *
+     * @param {string} url - 完整 URL
+     * @param {Object} status - { source: 'network'|'cache', stale: boolean, storedAt: number }
+     * @private
+     */
+    _setDataCacheStatus(url, status) {
+        this._dataCache.status[url] = status;
+    },
+
+    /**
+     * 带持久缓存的 JSON 加载流程（由 loadJSON 调用）
+     *
+     * @param {string} url - 已解析 basePath 的完整 URL
+     * @param {Object} options - 同 loadJSON
+     * @returns {Promise<any>} 解析后的 JSON 数据
+     * @throws {Error} 无本地副本且网络请求失败时抛出
+     * @private
+     */
+    async _loadJSONWithCache(url, options) {
+        const cached = options.bypassCache ? null : await this._readDataCache(url);
+
+        if (cached) {
+            const age = Date.now() - cached.storedAt;
+            this._setDataCacheStatus(url, { source: 'cache', stale: false, storedAt: cached.storedAt });
+
+            /* 已过期：不等待重新验证，先用本地副本渲染页面 */
+            if (age > options.cacheMaxAge) {
+                this._revalidateDataCache(url, cached, options);
+            }
+            return cached.data;
+        }
+
+        try {
+            const { data, response } = await this._requestJSON(url, options);
+            const entry = this._createDataCacheEntry(url, data, response);
+            await this._writeDataCache(entry);
+            this._setDataCacheStatus(url, { source: 'network', stale: false, storedAt: entry.storedAt });
+            return data;
+        } catch (error) {
+            /* 强制刷新时网络失败，仍可退回本地副本，而不是让页面加载失败 */
+            if (options.bypassCache) {
+                const fallback = await this._readDataCache(url);
+                if (fallback) {
+                    this._markDataCacheStale(url, fallback, error);
+                    return fallback.data;
+                }
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * 在后台重新验证本地副本
+     * 使用条件请求，仅尝试一次，不阻塞页面渲染。
+     *
+     * @param {string} url - 完整 URL
+     * @param {Object} cached - 当前本地副本
+     * @param {Object} options - 同 loadJSON
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _revalidateDataCache(url, cached, options) {
+        /* 浏览器已知处于离线状态，无需发起必然失败的请求 */
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this._markDataCacheStale(url, cached, new Error('网络连接失败（浏览器处于离线状态）'));
+            return;
+        }
+
+        const headers = {};
+        if (cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        try {
+            const result = await this._requestJSON(url, { ...options, retries: 0, headers });
+
+            if (result.notModified) {
+                /* 数据未变化：仅刷新保存时间，重新开始计算有效期 */
+                const entry = { ...cached, storedAt: Date.now() };
+                await this._writeDataCache(entry);
+                this._setDataCacheStatus(url, { source: 'cache', stale: false, storedAt: entry.storedAt });
+                return;
+            }
+
+            const entry = this._createDataCacheEntry(url, result.data, result.response);
+            await this._writeDataCache(entry);
+            this._setDataCacheStatus(url, { source: 'cache', stale: false, storedAt: entry.storedAt });
+
+            /* 当前页面已用旧数据渲染，新数据将在下次加载时生效 */
+            window.dispatchEvent(new CustomEvent('datacache:updated', {
+                detail: { url, storedAt: entry.storedAt },
+            }));
+        } catch (error) {
+            this._markDataCacheStale(url, cached, error);
+        }
+    },
+
+    /**
+     * 将本地副本标记为"可能过时"，并通知页面
+     *
+     * @param {string} url - 完整 URL
+     * @param {Object} cached - 正在使用的本地副本
+     * @param {Error} error - 导致无法验证的错误
+     * @private
+     */
+    _markDataCacheStale(url, cached, error) {
+        console.warn(`[Utils] 无法验证数据是否最新 (${url})，继续使用本地副本:`, error.message);
+        this._setDataCacheStatus(url, { source: 'cache', stale: true, storedAt: cached.storedAt });
+        window.dispatchEvent(new CustomEvent('datacache:stale', {
+            detail: { url, storedAt: cached.storedAt },
+        }));
+    },
+
+    /**
+     * 查询某个数据文件最近一次的加载来源与新鲜度
+     *
+     * @param {string} url - 数据文件路径（站点根相对或完整路径均可）
+     * @returns {{source: string, stale: boolean, storedAt: number}|null} 未经持久缓存加载时返回 null
+     *
+     * @example
+     * Utils.getDataCacheStatus('/data/artwork.json')
+     * // → { source: 'cache', stale: true, storedAt: 1763084880000 }
+     */
+    getDataCacheStatus(url) {
+        return this._dataCache.status[PathUtils.resolve(url)] || null;
+    },
+
+    /**
+     * 清空全部本地数据副本
+     * 数据文件发生结构性变更、或需要确保下次加载直接读取服务器时调用。
+     *
+     * @returns {Promise<void>}
+     */
+    async clearDataCache() {
+        this._dataCache.status = {};
+        if (!this._isDataCacheAvailable()) return;
+        try {
+            await this._dataCacheRequest('readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('[Utils] 清空本地数据副本失败:', error && error.message);
+        }
+    },
+
+
     /* ========================================================================
      * 三、日期格式化工具
      * ========================================================================
@@ -766,6 +1080,108 @@ const Utils = {
         return text.substring(0, maxLength) + '...';
     },
 
+    /**
+     * 将字节数格式化为易读的文件大小
+     *
+     * @param {number} bytes - 字节数
+     * @returns {string}
+     *
+     * @example
+     * Utils.formatFileSize(5347737)  // → '5.1 MB'
+     * Utils.formatFileSize(812)      // → '812 B'
+     */
+    formatFileSize(bytes) {
+        if (!bytes || bytes < 0) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, exponent);
+        return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+    },
+
+    /**
+     * 将秒数格式化为播放时间（分:秒，超过一小时时为 时:分:秒）
+     *
+     * @param {number} seconds - 秒数
+     * @returns {string}
+     *
+     * @example
+     * Utils.formatDuration(192.4)  // → '03:12'
+     * Utils.formatDuration(3725)   // → '1:02:05'
+     * Utils.formatDuration(NaN)    // → '00:00'
+     */
+    formatDuration(seconds) {
+        const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+        const pad = n => String(n).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = total % 60;
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(rest)}` : `${pad(minutes)}:${pad(rest)}`;
+    },
+
+    /**
+     * 生成 WebVTT 文本（视频的章节、字幕轨道）
+     * 时间格式为 时:分:秒.毫秒；文本中的 & 与 < 按 WebVTT 规则转义。
+     *
+     * @param {Array<{start: number, end: number, text: string}>} cues - 按开始时间排序的提示，时间单位为秒
+     * @returns {string}
+     *
+     * @example
+     * Utils.toWebVTT([{ start: 0, end: 12.5, text: '前奏' }]);
+     * // → 'WEBVTT\n\n1\n00:00:00.000 --> 00:00:12.500\n前奏\n'
+     */
+    toWebVTT(cues) {
+        const pad = (n, length = 2) => String(n).padStart(length, '0');
+        const formatTime = (seconds) => {
+            const ms = Math.round(Math.max(0, seconds) * 1000);
+            return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+        };
+        const escapeText = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/-->/g, '→');
+
+        const blocks = cues.map((cue, i) => `${i + 1}\n${formatTime(cue.start)} --> ${formatTime(cue.end)}\n${escapeText(cue.text)}`);
+        return `${['WEBVTT', ...blocks].join('\n\n')}\n`;
+    },
+
+    /**
+     * 将文本复制到剪贴板
+     * 优先使用 Clipboard API；非安全上下文（如局域网 http 预览）或被拒绝时
+     * 退回到选中隐藏文本框并执行复制命令。
+     *
+     * @param {string} text - 要复制的文本
+     * @returns {Promise<boolean>} 是否复制成功
+     *
+     * @example
+     * if (await Utils.copyText(url)) UIComponents.showToast('已复制链接', 'success');
+     */
+    async copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                /* 权限被拒绝，尝试下面的方式 */
+            }
+        }
+
+        const textarea = this.createElement('textarea', {
+            attributes: { readonly: '', 'aria-hidden': 'true', style: 'position:fixed;top:0;left:0;opacity:0' },
+        });
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            copied = false;
+        }
+        textarea.remove();
+        return copied;
+    },
+
 
     /* ========================================================================
      * 九、错误分类与友好提示工具
@@ -919,4 +1335,91 @@ const Utils = {
         const detail = (error instanceof Error) ? error.stack || error.message : String(error);
         console.error(`[${module}] ${action}失败:`, detail);
     },
+
+    /**
+     * 判断当前是否处于开发者模式
+     * 由 CONFIG.features.devMode 开启，也可在任意页面 URL 后追加 ?dev=1 临时开启，
+     * 用于显示数据校验摘要等仅面向维护者的信息。
+     *
+     * @returns {boolean} 是否为开发者模式
+     */
+    isDevMode() {
+        return Boolean(CONFIG.features.devMode) || this.getUrlParam('dev') === '1';
+    },
+
+
+    /* ========================================================================
+     * 十、本地偏好存储
+     * ========================================================================
+     * 基于 localStorage 保存访客的小型偏好（如播放画质），值以 JSON 存储。
+     * 只需在当前标签页内保留的状态（如跨页面接续播放）传入 { session: true } 使用 sessionStorage。
+     * 隐私模式或存储已满时读写会失败，此时返回默认值、忽略写入，不影响页面使用。
+     * ====================================================================== */
+
+    /** 存储键前缀，避免与同域名下的其他站点冲突 */
+    _storagePrefix: 'oubo:',
+
+    /**
+     * 获取存储区（禁用 Cookie 时访问 localStorage 本身也会抛出异常，须在 try 中调用）
+     *
+     * @param {Object} [options] - 存储选项
+     * @param {boolean} [options.session=false] - 是否使用 sessionStorage
+     * @returns {Storage}
+     * @private
+     */
+    _storageArea(options = {}) {
+        return options.session ? sessionStorage : localStorage;
+    },
+
+    /**
+     * 读取本地偏好
+     *
+     * @param {string} key - 键名（不含前缀）
+     * @param {*} [fallback=null] - 不存在或读取失败时的返回值
+     * @param {Object} [options] - 存储选项，见 _storageArea
+     * @returns {*}
+     *
+     * @example
+     * Utils.readStorage('media-quality', 'auto')  // → 'auto'
+     */
+    readStorage(key, fallback = null, options = {}) {
+        try {
+            const raw = this._storageArea(options).getItem(this._storagePrefix + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    /**
+     * 写入本地偏好
+     *
+     * @param {string} key - 键名（不含前缀）
+     * @param {*} value - 可序列化为 JSON 的值
+     * @param {Object} [options] - 存储选项，见 _storageArea
+     * @returns {boolean} 是否写入成功
+     */
+    writeStorage(key, value, options = {}) {
+        try {
+            this._storageArea(options).setItem(this._storagePrefix + key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn('[Utils] 保存本地偏好失败:', error && error.message);
+            return false;
+        }
+    },
+
+    /**
+     * 删除本地偏好
+     *
+     * @param {string} key - 键名（不含前缀）
+     * @param {Object} [options] - 存储选项，见 _storageArea
+     */
+    removeStorage(key, options = {}) {
+        try {
+            this._storageArea(options).removeItem(this._storagePrefix + key);
+        } catch (error) {
+            /* 存储不可用时无需处理 */
+        }
+    },
 };
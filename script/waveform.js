@@ -0,0 +1,381 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - 波形进度条 (waveform.js)
+ * ============================================================================
+ *
+ * 在作品详情页的音频播放器上方绘制整首歌的波形，访客可以一眼看出歌曲的起伏，
+ * 并直接在波形上点击、拖动跳转。
+ *
+ * 波形数据的来源（按顺序尝试）：
+ *   1. 预先生成的峰值文件 CONFIG.paths.peaks + "音频文件名.json"
+ *      （由 tools/generate-peaks.js 生成，体积只有几 KB）
+ *   2. 没有峰值文件时，下载音频并用 Web Audio API 解码计算
+ *      （慢速网络或浏览器不支持时跳过，不显示波形）
+ *
+ * 峰值文件格式：
+ *   { "version": 1, "duration": 213.5, "peaks": [0.12, 0.48, ...] }
+ *   peaks 为等分时间段内的最大振幅，已归一化到 0~1。
+ *
+ * 【使用方式】
+ *   本文件需要在 config.js、utils.js 和 media-renditions.js 之后引入。
+ *   通过全局 Waveform 对象访问；computePeaks 同时被 tools/generate-peaks.js 复用。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const Waveform = {
+
+    /** 已加载的波形数据：峰值文件路径 → Promise<{duration, peaks}|null>（切换版本、画质时不重复加载） */
+    _cache: new Map(),
+
+
+    /* ========================================================================
+     * 一、波形数据
+     * ====================================================================== */
+
+    /**
+     * 获取音频对应的峰值文件路径
+     *
+     * @param {string} src - 音频路径（站点根相对）
+     * @returns {string} 如 '/artwork/audio/S001.mp3' → '/artwork/peaks/S001.json'
+     *
+     * @example
+     * Waveform.getPeaksPath('/artwork/audio/S002-demo.mp3');  // → '/artwork/peaks/S002-demo.json'
+     */
+    getPeaksPath(src) {
+        const fileName = src.split('/').pop().replace(/\.[^.]+$/, '');
+        return `${CONFIG.paths.peaks}${fileName}.json`;
+    },
+
+    /**
+     * 加载作品的波形数据
+     * 优先读取峰值文件；没有峰值文件时解码码率最低的版本计算。
+     *
+     * @param {Object} work - 作品数据（可为替换了媒体的版本）
+     * @returns {Promise<{duration: number, peaks: number[]}|null>} 无法获得波形时为 null，不抛出异常
+     */
+    load(work) {
+        const renditions = MediaRenditions.getRenditions(work).filter(rendition => rendition.kind === 'audio');
+        if (renditions.length === 0) return Promise.resolve(null);
+
+        /* 各版本是同一录音，峰值文件以 audio 字段（或第一个版本）的文件名命名 */
+        const peaksPath = this.getPeaksPath(work.audio || renditions[0].src);
+        if (!this._cache.has(peaksPath)) {
+            const smallest = MediaRenditions.order(MediaRenditions.getPlayable(renditions), { slow: true })[0];
+            const promise = this._loadPeaksFile(peaksPath)
+                .then(data => data || this._decode(smallest.src))
+                .catch((error) => {
+                    Utils.logError('波形', '加载波形', error);
+                    return null;
+                });
+            this._cache.set(peaksPath, promise);
+        }
+        return this._cache.get(peaksPath);
+    },
+
+    /**
+     * 读取峰值文件
+     * 峰值文件是可选的，不存在（404）时静默返回 null，不输出错误。
+     *
+     * @param {string} path - 峰值文件路径
+     * @returns {Promise<{duration: number, peaks: number[]}|null>}
+     * @private
+     */
+    async _loadPeaksFile(path) {
+        const response = await Utils.fetchWithTimeout(PathUtils.resolve(path)).catch(() => null);
+        if (!response || !response.ok) return null;
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.peaks) || data.peaks.length === 0) return null;
+        return { duration: Number(data.duration) || 0, peaks: data.peaks };
+    },
+
+    /**
+     * 下载并解码音频，计算峰值
+     * 需要下载完整的音频文件，因此慢速网络或省流量模式下跳过。
+     *
+     * @param {string} src - 音频路径
+     * @returns {Promise<{duration: number, peaks: number[]}|null>}
+     * @private
+     */
+    async _decode(src) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!CONFIG.waveform.decodeFallback || !AudioContextClass || MediaRenditions.isSlowConnection()) {
+            return null;
+        }
+
+        const response = await fetch(PathUtils.resolve(src));
+        if (!response.ok) return null;
+        const arrayBuffer = await response.arrayBuffer();
+
+        const context = new AudioContextClass();
+        try {
+            const audioBuffer = await context.decodeAudioData(arrayBuffer);
+            const channels = [];
+            for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+                channels.push(audioBuffer.getChannelData(i));
+            }
+            return {
+                duration: audioBuffer.duration,
+                peaks: this.computePeaks(channels, CONFIG.waveform.peakCount),
+            };
+        } finally {
+            context.close();
+        }
+    },
+
+    /**
+     * 由采样数据计算峰值
+     * 将采样等分为 count 段，取每段所有声道的最大振幅，再按全曲最大值归一化。
+     *
+     * @param {Array<ArrayLike<number>>} channels - 各声道的采样（-1~1）
+     * @param {number} count - 峰值个数
+     * @returns {number[]} 0~1 的峰值，保留两位小数
+     */
+    computePeaks(channels, count) {
+        const length = channels.length > 0 ? channels[0].length : 0;
+        if (length === 0) return [];
+
+        const bucketCount = Math.min(count, length);
+        const peaks = new Array(bucketCount).fill(0);
+
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const start = Math.floor(bucket * length / bucketCount);
+            const end = Math.floor((bucket + 1) * length / bucketCount);
+            let max = 0;
+            channels.forEach(samples => {
+                for (let i = start; i < end; i++) {
+                    const value = Math.abs(samples[i]);
+                    if (value > max) max = value;
+                }
+            });
+            peaks[bucket] = max;
+        }
+
+        const overall = Math.max(...peaks) || 1;
+        return peaks.map(peak => Math.round(peak / overall * 100) / 100);
+    },
+
+
+    /* ========================================================================
+     * 二、波形进度条
+     * ====================================================================== */
+
+    /**
+     * 创建波形进度条
+     * 返回的元素先隐藏，波形数据就绪后显示；无法获得波形时保持隐藏，
+     * 访客仍可使用原生播放器的进度条。
+     *
+     * @param {HTMLAudioElement} mediaEl - 音频元素
+     * @param {Object} work - 作品数据（可为替换了媒体的版本）
+     * @returns {HTMLElement|null} 未启用或不是音频时为 null
+     *
+     * @example
+     * const waveform = Waveform.create(audioEl, work);
+     * if (waveform) audioEl.before(waveform);
+     */
+    create(mediaEl, work) {
+        if (!CONFIG.waveform.enabled || mediaEl.tagName !== 'AUDIO') return null;
+
+        const wrapper = Utils.createElement('div', { className: 'waveform' });
+        wrapper.hidden = true;
+        wrapper.innerHTML = `
+            <canvas class="waveform__canvas" role="slider" tabindex="0" aria-label="播放进度（波形）"
+                    aria-valuemin="0" aria-valuemax="0" aria-valuenow="0"></canvas>
+            <span class="waveform__tooltip" aria-hidden="true" hidden></span>
+        `;
+
+        this.load(work).then(data => {
+            if (!data) return;
+            wrapper.hidden = false;
+            this._bind(wrapper, mediaEl, data);
+        });
+
+        return wrapper;
+    },
+
+    /**
+     * 绑定绘制、指针与键盘交互
+     *
+     * @param {HTMLElement} wrapper - 波形容器
+     * @param {HTMLAudioElement} mediaEl - 音频元素
+     * @param {{duration: number, peaks: number[]}} data - 波形数据
+     * @private
+     */
+    _bind(wrapper, mediaEl, data) {
+        const canvas = wrapper.querySelector('.waveform__canvas');
+        const tooltip = wrapper.querySelector('.waveform__tooltip');
+
+        /* 悬停位置与拖动中的预览位置（秒），为 null 表示没有 */
+        let hoverTime = null;
+        let dragTime = null;
+
+        const getDuration = () => (Number.isFinite(mediaEl.duration) && mediaEl.duration > 0
+            ? mediaEl.duration
+            : data.duration);
+
+        const timeAt = (clientX) => {
+            const rect = canvas.getBoundingClientRect();
+            const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+            return ratio * getDuration();
+        };
+
+        const draw = () => {
+            const duration = getDuration();
+            const current = dragTime ?? mediaEl.currentTime;
+            this._draw(canvas, data.peaks, {
+                progress: duration > 0 ? current / duration : 0,
+                hover: hoverTime !== null && duration > 0 ? hoverTime / duration : null,
+            });
+
+            const text = `${Utils.formatDuration(current)} / ${Utils.formatDuration(duration)}`;
+            canvas.setAttribute('aria-valuemax', String(Math.floor(duration)));
+            canvas.setAttribute('aria-valuenow', String(Math.floor(current)));
+            canvas.setAttribute('aria-valuetext', text);
+        };
+
+        const showTooltip = (clientX, time) => {
+            const rect = canvas.getBoundingClientRect();
+            tooltip.hidden = false;
+            tooltip.textContent = Utils.formatDuration(time);
+            tooltip.style.left = `${Math.min(rect.width, Math.max(0, clientX - rect.left))}px`;
+        };
+
+        const seek = (time) => {
+            if (!Number.isFinite(time)) return;
+            mediaEl.currentTime = Math.min(getDuration(), Math.max(0, time));
+        };
+
+        /* ---- 播放进度 ---- */
+        ['timeupdate', 'seeked', 'loadedmetadata', 'durationchange'].forEach(type => {
+            mediaEl.addEventListener(type, draw);
+        });
+
+        /* ---- 悬停提示与拖动跳转（拖动中只预览，松开时跳转） ---- */
+        canvas.addEventListener('pointermove', (e) => {
+            const time = timeAt(e.clientX);
+            showTooltip(e.clientX, time);
+            if (dragTime !== null) {
+                dragTime = time;
+            } else {
+                hoverTime = time;
+            }
+            draw();
+        });
+        canvas.addEventListener('pointerleave', () => {
+            if (dragTime !== null) return;
+            hoverTime = null;
+            tooltip.hidden = true;
+            draw();
+        });
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            canvas.setPointerCapture(e.pointerId);
+            hoverTime = null;
+            dragTime = timeAt(e.clientX);
+            showTooltip(e.clientX, dragTime);
+            draw();
+        });
+        const endDrag = (e) => {
+            if (dragTime === null) return;
+            if (e.type === 'pointerup') seek(dragTime);
+            dragTime = null;
+            tooltip.hidden = true;
+            draw();
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        /* ---- 键盘：左右方向键跳转 5 秒，Home / End 跳到开头 / 结尾 ---- */
+        canvas.addEventListener('keydown', (e) => {
+            const steps = {
+                ArrowLeft: -CONFIG.waveform.keyboardStep,
+                ArrowDown: -CONFIG.waveform.keyboardStep,
+                ArrowRight: CONFIG.waveform.keyboardStep,
+                ArrowUp: CONFIG.waveform.keyboardStep,
+            };
+            if (e.key in steps) {
+                seek(mediaEl.currentTime + steps[e.key]);
+            } else if (e.key === 'Home') {
+                seek(0);
+            } else if (e.key === 'End') {
+                seek(getDuration());
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        /* ---- 尺寸变化时按新的宽度重绘 ---- */
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(draw).observe(canvas);
+        } else {
+            window.addEventListener('resize', Utils.debounce(draw, 150));
+        }
+
+        draw();
+    },
+
+    /**
+     * 绘制波形
+     * 每根竖条取对应时间段内的最大峰值；已播放部分用主题色，
+     * 悬停位置之前尚未播放的部分用浅主题色。颜色取自 CSS 变量，随主题切换。
+     *
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {number[]} peaks - 0~1 的峰值
+     * @param {Object} state - 绘制状态
+     * @param {number} state.progress - 播放进度（0~1）
+     * @param {number|null} state.hover - 悬停位置（0~1）
+     * @private
+     */
+    _draw(canvas, peaks, state) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const style = getComputedStyle(canvas);
+        const colors = {
+            base: style.getPropertyValue('--waveform-color').trim(),
+            progress: style.getPropertyValue('--waveform-progress-color').trim(),
+            hover: style.getPropertyValue('--waveform-hover-color').trim(),
+        };
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const { barWidth, barGap } = CONFIG.waveform;
+        const barCount = Math.max(1, Math.floor(width / (barWidth + barGap)));
+        const progressX = state.progress * width;
+        const hoverX = state.hover === null ? null : state.hover * width;
+
+        for (let bar = 0; bar < barCount; bar++) {
+            const start = Math.floor(bar / barCount * peaks.length);
+            const end = Math.max(start + 1, Math.floor((bar + 1) / barCount * peaks.length));
+            const peak = Math.max(...peaks.slice(start, end));
+
+            const x = bar * (barWidth + barGap);
+            const barHeight = Math.max(1, peak * height);
+
+            if (x < progressX) {
+                ctx.fillStyle = colors.progress;
+            } else if (hoverX !== null && x < hoverX) {
+                ctx.fillStyle = colors.hover;
+            } else {
+                ctx.fillStyle = colors.base;
+            }
+            ctx.fillRect(x, (height - barHeight) / 2, barWidth, barHeight);
+        }
+
+        /* 播放位置竖线 */
+        ctx.fillStyle = colors.progress;
+        ctx.fillRect(Math.min(progressX, width - 1), 0, 1, height);
+    },
+};
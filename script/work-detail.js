@@ -5,24 +5,127 @@
  *
  * 作品详情页的核心逻辑，负责：
  *   1. 根据 URL 参数加载指定作品数据
- *   2. 渲染音频/视频播放器
- *   3. 渲染标签页内容（歌词/曲谱/创作手记）
- *   4. 渲染元信息侧边栏
- *   5. 初始化标签页切换
+ *   2. 渲染音频/视频播放器（音频显示波形进度条，多个版本时提供版本切换）
+ *   3. 渲染标签页内容（歌词/曲谱/创作手记），同步歌词随播放高亮
+ *   4. 渲染元信息侧边栏（含按角色分组的创作人员、收录专辑）
+ *   5. 渲染相关作品（MV、原曲、其他版本等）
+ *   6. 初始化标签页切换
+ *   7. 离线保存作品（保存以离线收听）
+ *   8. 记录收听位置，重新打开时提示继续播放
+ *   9. 练习工具：A-B 循环、循环次数、变速（循环段写入 URL 的 loop 参数，如 &loop=42-68）
+ *  10. 在锁屏与系统媒体面板中显示正在播放的作品（MediaSessionManager）
+ *  11. 时间点链接：URL 的 t 参数指定开始时间（如 &t=1m32s），播放器下方可复制当前时间的链接
+ *  12. "嵌入"对话框：生成在其他网站嵌入播放器（page/embed.html）的 <iframe> 代码
+ *  13. 段落：播放进度上的段落标记、侧边栏的段落列表，视频另有 WebVTT 章节轨道
+ *  14. 视频字幕：作品的 .vtt 文件与由同步歌词（自身或 mvOf 原曲）生成的字幕，可切换语言与样式
  *
  * @version 1.0.0
  * ============================================================================
  */
 
+/**
+ * 页面状态管理
+ */
+const DetailPage = {
+
+    /** 当前播放的版本（work.versions 中的一项，没有版本时为 null） */
+    version: null,
+
+    /** 练习用的循环段 { start, end }（当前版本的媒体时间，秒），未设置时为 null */
+    loop: null,
+
+    /** 链接指定的开始时间（URL 的 t 参数，当前版本的媒体时间，秒），未指定时为 null */
+    startTime: null,
+
+    /** 用于生成视频字幕的同步歌词 { lines, offset }（见 getSubtitleLyrics），没有时为 null */
+    subtitleLyrics: null,
+
+    /**
+     * 解析 URL 中的 loop 参数
+     *
+     * @param {string|null} value - 如 '42-68'、'42.5-68'
+     * @returns {{start: number, end: number}|null} 格式不对或循环段过短时为 null
+     */
+    parseLoop(value) {
+        const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value || '');
+        if (!match) return null;
+
+        const start = Number(match[1]);
+        const end = Number(match[2]);
+        return end - start >= CONFIG.practice.minLoopLength ? { start, end } : null;
+    },
+
+    /**
+     * 生成 loop 参数（保留一位小数）
+     *
+     * @param {{start: number, end: number}|null} loop - 循环段
+     * @returns {string|null}
+     */
+    formatLoop(loop) {
+        if (!loop) return null;
+        const round = seconds => String(Math.round(seconds * 10) / 10);
+        return `${round(loop.start)}-${round(loop.end)}`;
+    },
+
+    /**
+     * 解析 URL 中的 t 参数
+     *
+     * @param {string|null} value - 如 '1m32s'、'1h2m5s'、'92'、'92s'、'1:32'
+     * @returns {number|null} 秒数；格式不对时为 null
+     *
+     * @example
+     * DetailPage.parseTime('1m32s')  // → 92
+     * DetailPage.parseTime('1:32')   // → 92
+     * DetailPage.parseTime('abc')    // → null
+     */
+    parseTime(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return null;
+
+        if (/^\d+(?::[0-5]?\d){1,2}$/.test(text)) {
+            return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        }
+
+        const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s?)?$/.exec(text);
+        if (!match) return null;
+
+        const [, hours = 0, minutes = 0, seconds = 0] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    },
+
+    /**
+     * 生成 t 参数（取整秒）
+     *
+     * @param {number} seconds - 秒数
+     * @returns {string} 如 '1m32s'
+     */
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = total % 60;
+        return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${rest}s`;
+    },
+};
+
 /**
  * 页面初始化
  * DOM 加载完成后执行
  */
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
         /* 从 URL 参数获取作品 ID */
         const workId = Utils.getParam('id');
 
+        /* 接续其他页面正在播放的音频；同一作品由本页播放器接续，不显示迷你播放器 */
+        MiniPlayer.init({ exceptWorkId: workId });
+
         if (!workId) {
             showDetailError(new Error('缺少作品ID参数，请从作品集页面进入'));
             return;
@@ -36,10 +139,34 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        /* 关联作品需在渲染前解析完毕，保证侧边栏各区块的顺序固定 */
+        const relatedWorks = await DataLoader.getRelatedWorks(work.id);
+
+        /* 专辑信息只是补充，加载失败时不影响作品本身的展示 */
+        const albums = await DataLoader.getAlbumsForWork(work.id).catch((error) => {
+            Utils.logError('作品详情', '加载专辑', error);
+            return [];
+        });
+
+        /* 有多个版本时，URL 中的 v 参数指定版本，否则播放默认版本 */
+        const versionKey = Utils.getParam('v');
+        const version = work.versions.find(item => item.key === versionKey)
+            || work.versions.find(item => item.isDefault)
+            || null;
+
+        DetailPage.version = version;
+        DetailPage.loop = CONFIG.practice.enabled ? DetailPage.parseLoop(Utils.getParam('loop')) : null;
+        DetailPage.startTime = DetailPage.parseTime(Utils.getParam('t'));
+        DetailPage.subtitleLyrics = getSubtitleLyrics(work, relatedWorks);
+
         /* 渲染页面各部分 */
-        renderPlayer(work);
+        renderVersionSwitcher(work, version);
+        renderPlayer(work, version, { resume: true });
         renderTabs(work);
-        renderSidebar(work);
+        renderSidebar(work, albums);
+        renderSections(work);
+        renderRelatedWorks(relatedWorks);
+        renderOfflinePin(work);
 
         /* 更新页面标题 */
         document.title = `${work.title} | ${CONFIG.site.title}`;
@@ -56,15 +183,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 /**
  * 渲染播放器区域
- * 根据作品类型（音频/视频）渲染对应的播放器，
+ * 根据作品类型渲染对应的播放器（音频使用 UIComponents.createAudioPlayer，视频使用原生控件），
  * 并绑定媒体加载失败的处理逻辑
  *
  * @param {Object} work - 作品数据
+ * @param {Object|null} [version=null] - 要播放的版本（work.versions 中的一项），为空时播放作品本身的媒体
+ * @param {Object} [options] - 可选配置
+ * @param {boolean} [options.resume=false] - 是否从其他页面交接的位置接续播放（见 MiniPlayer.attach）
  */
-function renderPlayer(work) {
+function renderPlayer(work, version = null, options = {}) {
     const container = Utils.getById('detail-player');
     if (!container) return;
 
+    /* 版本只替换媒体，标题、封面等仍取自作品 */
+    const media = version
+        ? { ...work, type: version.type, audio: version.audio, video: version.video, renditions: version.renditions }
+        : work;
+
     /* 构建封面元素，绑定封面图片加载失败处理 */
     const coverHTML = work.cover
         ? `<img class="detail-player__cover" data-src="${PathUtils.resolve(work.cover)}" alt="${work.title}" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
@@ -75,14 +210,17 @@ function renderPlayer(work) {
                <span>${work.type === 'video' ? '🎬' : '🎵'}</span>
            </div>`;
 
-    /* 根据作品类型构建播放器 */
+    /* 根据作品类型构建播放器，<source> 按浏览器支持与网络状况排序 */
     let playerHTML = '';
+    const renditions = MediaRenditions.select(media);
+    const mediaKind = renditions.length > 0 ? renditions[0].kind : null;
+    const sourcesHTML = MediaRenditions.createSourcesHTML(renditions);
 
-    if (work.type === 'video' && work.video) {
+    if (mediaKind === 'video') {
         /* 视频播放器，添加加载失败提示 */
         playerHTML = `
             <video class="detail-player__video" controls preload="${CONFIG.media.videoPreload}">
-                <source src="${PathUtils.resolve(work.video)}" type="${CONFIG.media.videoFormat}">
+                ${sourcesHTML}
                 您的浏览器不支持视频播放
             </video>
             <div class="media-error" style="display:none">
@@ -90,7 +228,7 @@ function renderPlayer(work) {
                 <button class="media-error__retry" aria-label="重新加载视频">重新加载</button>
             </div>
         `;
-    } else if (work.audio) {
+    } else if (mediaKind === 'audio') {
         /* 音频播放器，添加加载失败提示 */
         playerHTML = `
             <div class="detail-player__audio-wrap">
@@ -101,10 +239,6 @@ function renderPlayer(work) {
                         ${work.subtitle ? `<p class="detail-player__subtitle">${work.subtitle}</p>` : ''}
                     </div>
                 </div>
-                <audio class="detail-player__audio" controls preload="${CONFIG.media.audioPreload}">
-                    <source src="${PathUtils.resolve(work.audio)}" type="${CONFIG.media.audioFormat}">
-                    您的浏览器不支持音频播放
-                </audio>
                 <div class="media-error" style="display:none">
                     <p class="media-error__message" aria-live="polite">音频加载失败，请检查网络连接</p>
                     <button class="media-error__retry" aria-label="重新加载音频">重新加载</button>
@@ -115,15 +249,372 @@ function renderPlayer(work) {
 
     container.innerHTML = playerHTML;
 
+    /* 音频使用自定义播放器（UIComponents.createAudioPlayer），插入到加载失败提示之前 */
+    if (mediaKind === 'audio') {
+        const audioPlayer = UIComponents.createAudioPlayer(media);
+        container.querySelector('.detail-player__audio-wrap .media-error').before(audioPlayer);
+    }
+
+    /* 有多个可播放版本时，在播放器下方提供画质/音质切换 */
+    const mediaEl = container.querySelector('.detail-player__video, .audio-player__media');
+    if (mediaEl) {
+        /* 自定义音频播放器以整体为单位插入画质切换与波形 */
+        const playerEl = mediaEl.closest('.audio-player') || mediaEl;
+
+        const qualitySwitch = UIComponents.createQualitySwitch(media, mediaEl);
+        if (qualitySwitch) playerEl.after(qualitySwitch);
+
+        /* 音频在播放器上方显示波形，可点击、拖动跳转 */
+        const waveform = Waveform.create(mediaEl, media);
+        if (waveform) playerEl.before(waveform);
+
+        /* 练习工具放在画质切换下方；视频使用原生控件，在这里提供速度选择 */
+        let practiceTools = null;
+        if (CONFIG.practice.enabled) {
+            practiceTools = UIComponents.createPracticeTools(mediaEl, {
+                loop: DetailPage.loop,
+                rates: mediaKind === 'video',
+                onLoopChange: (loop) => {
+                    DetailPage.loop = loop;
+                    Utils.updateUrlParams({ loop: DetailPage.formatLoop(loop) });
+                },
+            });
+            (qualitySwitch || playerEl).after(practiceTools);
+        }
+
+        /* 复制当前时间的链接与嵌入代码，放在所有播放控件下方 */
+        (practiceTools || qualitySwitch || playerEl).after(createPlayerActions(mediaEl, work, version, mediaKind));
+
+        /* 视频字幕与字幕设置（设置栏在段落条下方） */
+        if (mediaKind === 'video' && CONFIG.subtitles.enabled) {
+            attachSubtitles(mediaEl, work, version);
+            const subtitleControls = UIComponents.createSubtitleControls(mediaEl);
+            if (subtitleControls) playerEl.after(subtitleControls);
+        }
+
+        /* 段落：音频标在进度条上；视频在画面下方显示段落条，并提供章节轨道 */
+        const sectionOffset = getTimelineOffset(work, version);
+        const sectionBar = UIComponents.createSectionMarkers(mediaEl, work.sections, { offset: sectionOffset });
+        if (sectionBar) playerEl.after(sectionBar);
+        if (mediaKind === 'video') {
+            const chaptersTrack = UIComponents.createChaptersTrack(work.sections, { offset: sectionOffset });
+            if (chaptersTrack) mediaEl.appendChild(chaptersTrack);
+        }
+
+        /* 离开本页后由迷你播放器接续；"返回作品"回到当前版本 */
+        const versionQuery = version && !version.isDefault ? `&v=${encodeURIComponent(version.key)}` : '';
+        /* 链接指定了时间（t）或循环段时从该处开始（t 优先，否则从 A 点开始），
+           不接续其他页面的位置，也不提示继续播放 */
+        const linkedStart = DetailPage.startTime !== null
+            ? DetailPage.startTime
+            : (DetailPage.loop ? DetailPage.loop.start : null);
+        const startAtLink = Boolean(options.resume) && linkedStart !== null;
+        const resumed = MiniPlayer.attach(mediaEl, media, {
+            returnPath: `${CONFIG.paths.pages}work-detail.html?id=${encodeURIComponent(work.id)}${versionQuery}`,
+            resume: options.resume && !startAtLink,
+        });
+
+        /* 记录收听位置；打开页面时没有从其他页面接续，且上次没有听完时提示继续播放 */
+        const offset = version ? version.offset : 0;
+        ListeningHistory.track(mediaEl, work, { getOffset: () => offset });
+
+        /* 锁屏与系统媒体面板显示作品信息；有播放队列时"下一首"交给迷你播放器播放队列 */
+        MediaSessionManager.attach(mediaEl, () => work, {
+            getTrackActions: () => ({ next: PlayQueue.getCurrent() ? () => MiniPlayer.playQueue() : null }),
+        });
+        if (startAtLink) {
+            mediaEl.addEventListener('loadedmetadata', () => {
+                /* 超出时长的时间无效，从头播放 */
+                if (linkedStart >= mediaEl.duration) return;
+
+                if (DetailPage.startTime !== null) {
+                    mediaEl.addEventListener('seeked', revealLyrics, { once: true });
+                }
+                mediaEl.currentTime = linkedStart;
+            }, { once: true });
+        } else if (options.resume && !resumed) {
+            renderResumePrompt(container, mediaEl, work.id, offset);
+        }
+    }
+
     /* 为媒体元素绑定加载失败事件 */
     bindMediaErrorHandlers(container);
 }
 
 
+/**
+ * 获取播放的版本相对默认版本时间轴的偏移（秒）
+ * 同步歌词与段落都以默认版本的时间轴为准，播放其他版本时按两个版本的 offset 差对齐。
+ *
+ * @param {Object} work - 作品数据
+ * @param {Object|null} version - 播放的版本
+ * @returns {number}
+ */
+function getTimelineOffset(work, version) {
+    const defaultVersion = work.versions.find(item => item.isDefault);
+    return version && defaultVersion ? version.offset - defaultVersion.offset : 0;
+}
+
+
+/**
+ * 查找用于生成视频字幕的同步歌词
+ * 视频自身有同步歌词时使用自身的；否则使用 mvOf 关联的原曲的同步歌词，
+ * 按视频的 lyricsOffset（原曲在 MV 中开始的秒数）对齐。
+ *
+ * @param {Object} work - 作品数据
+ * @param {Array} relatedWorks - 关联作品（DataLoader.getRelatedWorks 的结果）
+ * @returns {{lines: Array<{time: number, line: string}>, offset: number}|null}
+ */
+function getSubtitleLyrics(work, relatedWorks) {
+    if (work.timedLyrics.length > 0) {
+        return { lines: work.timedLyrics, offset: 0 };
+    }
+
+    const original = relatedWorks.find(relation => relation.type === 'mvOf'
+        && relation.direction === 'outgoing' && relation.work.timedLyrics.length > 0);
+    return original ? { lines: original.work.timedLyrics, offset: work.lyricsOffset || 0 } : null;
+}
+
+
+/**
+ * 为视频添加字幕轨道
+ * 标记为 default 的 .vtt 文件排在最前（首次观看时显示），其次是同步歌词生成的字幕，
+ * 再次是其他 .vtt 文件；同一语言已有文件时不生成歌词字幕。
+ * 字幕以默认版本的时间轴为准，播放其他版本时按 getTimelineOffset 对齐。
+ *
+ * @param {HTMLVideoElement} videoEl - 视频
+ * @param {Object} work - 作品数据
+ * @param {Object|null} version - 当前播放的版本
+ */
+function attachSubtitles(videoEl, work, version) {
+    const offset = getTimelineOffset(work, version);
+    const { lyricsTrack, lastCueDuration } = CONFIG.subtitles;
+    const subtitles = [...work.subtitles];
+
+    const lyrics = DetailPage.subtitleLyrics;
+    if (lyrics && !subtitles.some(subtitle => subtitle.srclang === lyricsTrack.srclang)) {
+        subtitles.unshift({
+            ...lyricsTrack,
+            cues: LyricsSync.toCues(lyrics.lines, { offset: lyrics.offset, lastDuration: lastCueDuration }),
+        });
+    }
+
+    subtitles.sort((a, b) => Number(Boolean(b.isDefault)) - Number(Boolean(a.isDefault)));
+    subtitles.forEach(subtitle => {
+        const track = UIComponents.createSubtitleTrack(subtitle, { offset });
+        if (track) videoEl.appendChild(track);
+    });
+}
+
+
+/**
+ * 创建播放器下方的操作栏："复制当前时间链接"与"嵌入"
+ * 链接包含作品 ID、非默认版本的 v 参数和当前时间的 t 参数，按 basePath 生成完整地址。
+ *
+ * @param {HTMLMediaElement} mediaEl - 播放器
+ * @param {Object} work - 作品数据
+ * @param {Object|null} version - 当前播放的版本
+ * @param {string} mediaKind - 媒体类型（'audio' | 'video'），决定嵌入代码的尺寸预设
+ * @returns {HTMLElement}
+ */
+function createPlayerActions(mediaEl, work, version, mediaKind) {
+    const actions = Utils.createElement('div', {
+        className: 'detail-player__actions',
+        innerHTML: `
+            <button type="button" class="detail-player__action" data-action="copy-time-link" aria-label="复制从当前时间开始播放的链接">
+                🔗 复制当前时间链接
+            </button>
+            ${CONFIG.embed.enabled
+                ? '<button type="button" class="detail-player__action" data-action="embed" aria-haspopup="dialog">&lt;/&gt; 嵌入</button>'
+                : ''}
+        `,
+    });
+
+    const embedButton = actions.querySelector('[data-action="embed"]');
+    if (embedButton) {
+        embedButton.addEventListener('click', () => {
+            const dialog = UIComponents.createEmbedDialog(work, { kind: mediaKind, version });
+            document.body.appendChild(dialog);
+            dialog.addEventListener('close', () => {
+                dialog.remove();
+                embedButton.focus();
+            });
+
+            /* 不支持 <dialog> 的旧浏览器直接显示在页面上 */
+            if (typeof dialog.showModal === 'function') {
+                dialog.showModal();
+            } else {
+                dialog.setAttribute('open', '');
+                dialog.close = () => dialog.dispatchEvent(new Event('close'));
+            }
+        });
+    }
+
+    actions.querySelector('[data-action="copy-time-link"]').addEventListener('click', async () => {
+        const time = Math.floor(mediaEl.currentTime || 0);
+        const params = new URLSearchParams({ id: work.id });
+        if (version && !version.isDefault) params.set('v', version.key);
+        if (time > 0) params.set('t', DetailPage.formatTime(time));
+
+        const url = new URL(PathUtils.resolve(`${CONFIG.paths.pages}work-detail.html?${params}`), window.location.origin).href;
+
+        if (await Utils.copyText(url)) {
+            UIComponents.showToast(time > 0 ? `已复制从 ${Utils.formatDuration(time)} 开始播放的链接` : '已复制作品链接', 'success');
+        } else {
+            /* 浏览器不允许写入剪贴板时，交给访客手动复制 */
+            window.prompt('请复制以下链接：', url);
+        }
+    });
+
+    return actions;
+}
+
+
+/**
+ * 打开时间点链接后，切换到歌词标签页并把当前歌词滚动到可见位置
+ * 有同步歌词时滚动到正在演唱的一行（由 LyricsSync 在 seeked 时高亮），否则滚动到歌词标签页。
+ */
+function revealLyrics() {
+    const tabsContainer = Utils.getById('detail-tabs');
+    const lyricsTab = tabsContainer && tabsContainer.querySelector('.tabs__item[data-tab="lyrics"]');
+    if (!lyricsTab) return;
+
+    if (!lyricsTab.classList.contains('tabs__item--active')) lyricsTab.click();
+
+    const target = tabsContainer.querySelector('.lyrics-synced__line--active') || tabsContainer;
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    target.scrollIntoView({ block: 'nearest', behavior: reduceMotion ? 'auto' : 'smooth' });
+}
+
+
+/**
+ * 在播放器上方显示"继续播放 03:12"提示（见 ListeningHistory）
+ *
+ * @param {HTMLElement} container - 播放器区域
+ * @param {HTMLMediaElement} mediaEl - 播放器
+ * @param {string} workId - 作品 ID
+ * @param {number} offset - 当前播放版本的 offset（秒）
+ */
+function renderResumePrompt(container, mediaEl, workId, offset) {
+    const position = ListeningHistory.getResumePosition(workId);
+    if (position <= 0) return;
+
+    /* 元数据未加载时先开始播放（preload 为 none 时才会加载），加载后再跳转 */
+    const playFrom = (time) => {
+        if (mediaEl.readyState >= 1) {
+            mediaEl.currentTime = time;
+        } else {
+            mediaEl.addEventListener('loadedmetadata', () => { mediaEl.currentTime = time; }, { once: true });
+        }
+        mediaEl.play().catch((error) => Utils.logError('作品详情', '继续播放', error));
+    };
+
+    container.prepend(UIComponents.createResumePrompt(position, {
+        onResume: () => playFrom(position + offset),
+        onDismiss: () => playFrom(0),
+    }));
+}
+
+
+/**
+ * 渲染版本切换（小样、正式版、现场版等）
+ * 只有一个版本或没有版本的作品不显示。
+ *
+ * @param {Object} work - 作品数据
+ * @param {Object|null} current - 当前播放的版本
+ */
+function renderVersionSwitcher(work, current) {
+    const container = Utils.getById('detail-versions');
+    if (!container || work.versions.length < 2) return;
+
+    container.hidden = false;
+    container.innerHTML = `
+        <div class="detail-versions__list" role="group" aria-label="作品版本">
+            ${work.versions.map(version => `
+                <button type="button" class="detail-versions__item" data-key="${version.key}" aria-pressed="${version === current}">
+                    ${version.label}
+                </button>
+            `).join('')}
+        </div>
+        <p class="detail-versions__info" aria-live="polite"></p>
+    `;
+
+    let active = current;
+
+    /* 版本日期与说明，如"2024年10月 · 手机录的第一版小样" */
+    const updateInfo = () => {
+        const parts = [active.date ? Utils.formatDateYearMonth(active.date) : '', active.note].filter(Boolean);
+        container.querySelector('.detail-versions__info').textContent = parts.join(' · ');
+    };
+    updateInfo();
+
+    container.querySelectorAll('.detail-versions__item').forEach(button => {
+        button.addEventListener('click', () => {
+            const version = work.versions.find(item => item.key === button.dataset.key);
+            if (!version || version === active) return;
+
+            switchVersion(work, active, version);
+            active = version;
+            DetailPage.version = version;
+
+            container.querySelectorAll('.detail-versions__item').forEach(item => {
+                item.setAttribute('aria-pressed', String(item === button));
+            });
+            updateInfo();
+
+            /* 默认版本不写入 URL，保持链接简洁 */
+            Utils.updateUrlParams({ v: version.isDefault ? null : version.key });
+        });
+    });
+}
+
+
+/**
+ * 切换到另一个版本
+ * 重建播放器并尽量保留播放位置：两个版本的 offset（正文开始的秒数）用于对齐时间轴，
+ * 对齐后的位置超出新版本时长时从头播放；切换前正在播放则继续播放。
+ *
+ * @param {Object} work - 作品数据
+ * @param {Object} from - 切换前的版本
+ * @param {Object} to - 切换后的版本
+ */
+function switchVersion(work, from, to) {
+    const container = Utils.getById('detail-player');
+    const previous = container && container.querySelector('.detail-player__video, .audio-player__media');
+    const position = previous ? previous.currentTime - from.offset + to.offset : 0;
+    const wasPlaying = Boolean(previous) && !previous.paused && !previous.ended;
+
+    /* 循环段随时间轴一起对齐 */
+    if (DetailPage.loop) {
+        const shift = to.offset - from.offset;
+        DetailPage.loop = { start: Math.max(0, DetailPage.loop.start + shift), end: DetailPage.loop.end + shift };
+        Utils.updateUrlParams({ loop: DetailPage.formatLoop(DetailPage.loop) });
+    }
+
+    /* 链接指定的开始时间同样对齐，刷新页面时仍指向同一处 */
+    if (DetailPage.startTime !== null) {
+        DetailPage.startTime = Math.max(0, DetailPage.startTime + to.offset - from.offset);
+        Utils.updateUrlParams({ t: DetailPage.formatTime(DetailPage.startTime) });
+    }
+
+    renderPlayer(work, to);
+    Utils.observeLazyImages(container);
+
+    const next = container.querySelector('.detail-player__video, .audio-player__media');
+    if (!next || (position <= 0 && !wasPlaying)) return;
+
+    next.addEventListener('loadedmetadata', () => {
+        if (position > 0 && position < next.duration) next.currentTime = position;
+        if (wasPlaying) next.play().catch(() => {});
+    }, { once: true });
+}
+
+
 /**
  * 渲染标签页内容和导航
  * 使用 UIComponents.createTabs 统一 API 构建标签页，
  * 根据 work 数据动态决定显示哪些标签（歌词/曲谱/创作手记等）。
+ * 有同步歌词（lrc / timedLyrics）时歌词随播放高亮，否则显示纯文本歌词。
  *
  * @param {Object} work - 作品数据
  */
@@ -135,11 +626,14 @@ function renderTabs(work) {
     const tabs = [];
 
     /* 歌词标签页（仅有歌词时显示） */
+    const hasTimedLyrics = work.timedLyrics.length > 0;
     if (work.lyrics) {
         tabs.push({
             id: 'lyrics',
             label: '歌词',
-            content: `<div class="lyrics-content">${Utils.nl2br(work.lyrics)}</div>`,
+            content: hasTimedLyrics
+                ? LyricsSync.createHTML(work.timedLyrics)
+                : `<div class="lyrics-content">${Utils.nl2br(work.lyrics)}</div>`,
         });
     }
 
@@ -183,6 +677,13 @@ function renderTabs(work) {
 
     /* 为曲谱图片绑定加载失败处理 */
     bindScoreImageErrorHandler(tabsContainer);
+
+    /* 同步歌词以默认版本的时间轴为准，播放其他版本时按两个版本的 offset 差对齐 */
+    if (hasTimedLyrics) {
+        LyricsSync.attach(tabsContainer.querySelector('.lyrics-synced'), Utils.getById('detail-player'), work.timedLyrics, {
+            getOffset: () => getTimelineOffset(work, DetailPage.version),
+        });
+    }
 }
 
 
@@ -190,8 +691,9 @@ function renderTabs(work) {
  * 渲染侧边栏元信息
  *
  * @param {Object} work - 作品数据
+ * @param {Array} [albums=[]] - 收录该作品的专辑（DataLoader.getAlbumsForWork 的结果）
  */
-function renderSidebar(work) {
+function renderSidebar(work, albums = []) {
     const container = Utils.getById('detail-sidebar');
     if (!container) return;
 
@@ -203,18 +705,32 @@ function renderSidebar(work) {
 
     /* 可选字段 */
     if (work.subtitle) metaItems.push({ label: '副标题', value: work.subtitle });
-    /* 可选字段：分类标签使用带样式的标签组件 */
-    if (work.tag) {
-        const tagInfo = UIComponents._getTagInfo(work.tag);
+    /* 可选字段：分类标签使用带样式的标签组件，点击进入对应的标签页 */
+    if (work.tags.length > 0) {
         metaItems.push({
             label: '分类',
-            value: `<span class="tag ${tagInfo.cssClass}">${tagInfo.label}</span>`,
+            value: `<span class="meta-list__tags">${UIComponents._createTagChipsHTML(work.tags, { linked: true })}</span>`,
             isHtml: true
         });
     }
-    if (work.creator) metaItems.push({ label: '创作者', value: work.creator });
+    /* 创作人员按角色分组，点击人名进入人物页 */
+    DataLoader.groupCreditsByRole(work.credits).forEach(group => {
+        metaItems.push({
+            label: group.label,
+            value: group.people.map(person => `<a class="meta-list__link" href="${UIComponents.getPersonPageUrl(person.name)}">${person.name}</a>`).join('、'),
+            isHtml: true
+        });
+    });
     if (work.createDate) metaItems.push({ label: '创作日期', value: Utils.formatDateYearMonth(work.createDate) });
     if (work.type) metaItems.push({ label: '类型', value: work.type === 'video' ? 'MV视频' : '音频' });
+    /* 可选字段：收录专辑链接到专辑页 */
+    if (albums.length > 0) {
+        metaItems.push({
+            label: '收录专辑',
+            value: albums.map(album => `<a class="meta-list__link" href="${PathUtils.resolve(`${CONFIG.paths.pages}album.html?id=${album.id}`)}">《${album.title}》</a>`).join(''),
+            isHtml: true
+        });
+    }
 
     /* 渲染：支持 HTML 值（如标签组件）和纯文本值 */
     container.innerHTML = `
@@ -231,6 +747,178 @@ function renderSidebar(work) {
 }
 
 
+/**
+ * 渲染侧边栏中的段落列表（前奏、主歌、副歌等）
+ * 点击某一段跳到该段开头，播放时高亮当前段落。与同步歌词相同，
+ * 在播放器容器上以捕获阶段监听，切换版本、画质重建播放器后无需重新绑定。
+ * 列表中的时间为默认版本时间轴上的时间。
+ *
+ * @param {Object} work - 作品数据
+ */
+function renderSections(work) {
+    const container = Utils.getById('detail-sidebar');
+    const playerEl = Utils.getById('detail-player');
+    if (!container || !playerEl || work.sections.length === 0) return;
+
+    const section = Utils.createElement('section', {
+        className: 'detail-sections',
+        attributes: { 'aria-label': '段落' },
+    });
+
+    section.innerHTML = `
+        <h4 class="detail-sidebar__title">段落</h4>
+        <ol class="detail-sections__list">
+            ${work.sections.map((item, i) => `
+                <li>
+                    <button type="button" class="detail-sections__seek" data-index="${i}">
+                        <span class="detail-sections__time">${Utils.formatDuration(item.start)}</span>
+                        <span class="detail-sections__label">${item.label}</span>
+                    </button>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+
+    container.appendChild(section);
+
+    const buttons = section.querySelectorAll('.detail-sections__seek');
+    const getMedia = () => playerEl.querySelector('.detail-player__video, .audio-player__media');
+    const getOffset = () => getTimelineOffset(work, DetailPage.version);
+    let currentIndex = -1;
+
+    const sync = () => {
+        const media = getMedia();
+        if (!media) return;
+
+        const index = UIComponents.findSectionIndex(work.sections, media.currentTime - getOffset());
+        if (index === currentIndex) return;
+
+        if (currentIndex >= 0) buttons[currentIndex].removeAttribute('aria-current');
+        currentIndex = index;
+        if (index >= 0) buttons[index].setAttribute('aria-current', 'true');
+    };
+
+    playerEl.addEventListener('timeupdate', sync, true);
+    playerEl.addEventListener('seeked', sync, true);
+
+    section.addEventListener('click', (e) => {
+        const button = e.target.closest('.detail-sections__seek');
+        const media = getMedia();
+        if (!button || !media) return;
+
+        media.currentTime = Math.max(0, work.sections[Number(button.dataset.index)].start + getOffset());
+        if (media.paused) media.play().catch(() => {});
+    });
+}
+
+
+/**
+ * 渲染相关作品
+ * 追加在侧边栏元信息下方，如歌曲页显示"观看MV"、MV 页显示"原曲"；没有关联时不显示。
+ *
+ * @param {Array<{label: string, work: Object}>} relatedWorks - DataLoader.getRelatedWorks 的结果
+ */
+function renderRelatedWorks(relatedWorks) {
+    const container = Utils.getById('detail-sidebar');
+    if (!container || relatedWorks.length === 0) return;
+
+    const section = Utils.createElement('section', {
+        className: 'detail-related',
+        attributes: { 'aria-label': '相关作品' },
+    });
+
+    section.innerHTML = `
+        <h4 class="detail-sidebar__title">相关作品</h4>
+        <ul class="detail-related__list">
+            ${relatedWorks.map(relation => `
+                <li>
+                    <a class="detail-related__link" href="${PathUtils.resolve(`${CONFIG.paths.pages}work-detail.html?id=${relation.work.id}`)}">
+                        <span class="detail-related__label">${relation.label}</span>
+                        <span class="detail-related__title">${relation.work.title}</span>
+                    </a>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    container.appendChild(section);
+}
+
+
+/**
+ * 渲染"保存以离线收听"控件
+ * 追加在侧边栏元信息下方；浏览器不支持离线功能或作品没有媒体资源时不显示。
+ *
+ * @param {Object} work - 作品数据
+ */
+async function renderOfflinePin(work) {
+    const container = Utils.getById('detail-sidebar');
+    if (!container || !OfflineManager.isSupported()) return;
+    if (OfflineManager.getWorkResources(work).length === 0) return;
+
+    const wrap = Utils.createElement('div', { className: 'offline-pin' });
+    const button = Utils.createElement('button', {
+        className: 'btn btn--outline offline-pin__btn',
+        attributes: { 'type': 'button' },
+    });
+    const status = Utils.createElement('p', {
+        className: 'offline-pin__status',
+        attributes: { 'aria-live': 'polite' },
+    });
+    const manageLink = Utils.createElement('a', {
+        className: 'offline-pin__link',
+        textContent: '管理离线作品',
+        attributes: { 'href': PathUtils.resolve(`${CONFIG.paths.pages}offline.html`) },
+    });
+
+    wrap.appendChild(button);
+    wrap.appendChild(status);
+    wrap.appendChild(manageLink);
+    container.appendChild(wrap);
+
+    /**
+     * 根据保存状态更新按钮文字与说明
+     *
+     * @param {Object|null} meta - 已保存时的元信息
+     */
+    function updateState(meta) {
+        button.disabled = false;
+        button.textContent = meta ? '移除离线副本' : '保存以离线收听';
+        button.setAttribute('aria-pressed', String(Boolean(meta)));
+        status.textContent = meta
+            ? `已保存到本机（${Utils.formatFileSize(meta.size)}），无网络时也可播放`
+            : '';
+    }
+
+    let pinned = null;
+    try {
+        pinned = await OfflineManager.getPinnedWork(work.id);
+    } catch (error) {
+        Utils.logError('作品详情', '读取离线状态', error);
+    }
+    updateState(pinned);
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            if (pinned) {
+                await OfflineManager.unpinWork(work.id);
+                pinned = null;
+                UIComponents.showToast('已移除离线副本', 'success');
+            } else {
+                button.textContent = '正在保存…';
+                pinned = await OfflineManager.pinWork(work);
+                UIComponents.showToast('已保存，无网络时也可收听', 'success');
+            }
+        } catch (error) {
+            Utils.logError('作品详情', '离线保存', error);
+            UIComponents.showToast(error, 'error');
+        }
+        updateState(pinned);
+    });
+}
+
+
 /**
  * 显示详情页错误
  * 使用 classifyError 将技术性错误转换为用户友好的提示，
@@ -278,8 +966,9 @@ function bindMediaErrorHandlers(container) {
     function handleMediaError(mediaEl) {
         Utils.logError('作品详情', '媒体加载', mediaEl.error || new Error('媒体加载失败'));
 
-        /* 隐藏播放器控件 */
-        mediaEl.style.display = 'none';
+        /* 隐藏播放器控件（音频隐藏整个自定义播放器） */
+        const playerEl = mediaEl.closest('.audio-player') || mediaEl;
+        playerEl.style.display = 'none';
 
         /* 显示错误提示 */
         const errorEl = container.querySelector('.media-error');
@@ -294,7 +983,7 @@ function bindMediaErrorHandlers(container) {
                 /* 隐藏错误提示 */
                 if (errorEl) errorEl.style.display = 'none';
                 /* 重新显示媒体元素并重置 src 以触发重新加载 */
-                mediaEl.style.display = '';
+                playerEl.style.display = '';
                 const currentSrc = mediaEl.currentSrc || mediaEl.querySelector('source')?.src;
                 if (currentSrc) {
                     mediaEl.load();
@@ -303,16 +992,21 @@ function bindMediaErrorHandlers(container) {
         }
     }
 
-    /* 处理音频加载失败（使用捕获阶段以捕获 source 子元素的错误） */
-    const audio = container.querySelector('.detail-player__audio');
+    /* 处理音频加载失败（使用捕获阶段以捕获 source 子元素的错误；
+       还有备选版本时浏览器会继续尝试，只在最后一个版本失败时提示） */
+    const audio = container.querySelector('.audio-player__media');
     if (audio) {
-        audio.addEventListener('error', () => handleMediaError(audio), true);
+        audio.addEventListener('error', (event) => {
+            if (MediaRenditions.isFinalError(event)) handleMediaError(audio);
+        }, true);
     }
 
     /* 处理视频加载失败 */
     const video = container.querySelector('.detail-player__video');
     if (video) {
-        video.addEventListener('error', () => handleMediaError(video), true);
+        video.addEventListener('error', (event) => {
+            if (MediaRenditions.isFinalError(event)) handleMediaError(video);
+        }, true);
     }
 }
 
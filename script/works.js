@@ -6,9 +6,11 @@
  * 作品集页面的核心逻辑，负责：
  *   1. 加载所有作品数据（带缓存）
  *   2. 渲染作品网格
- *   3. 实现搜索过滤功能
- *   4. 实现分页功能（URL 参数状态保持）
- *   5. 实现懒加载
+ *   3. 实现搜索过滤功能（按相关度排序，显示命中片段）
+ *   4. 解析结构化查询语法（tag: / type: / year: / date: / has: / "短语" / -排除）
+ *   5. 实现分页功能（URL 参数状态保持）
+ *   6. 实现懒加载
+ *   7. 全部播放：将当前搜索/筛选结果中的音频作品加入播放队列
  *
  * @version 2.0.0
  * ============================================================================
@@ -29,6 +31,35 @@ const WorksPage = {
     /** 筛选后的作品列表（由缓存的全量数据派生） */
     filteredWorks: [],
 
+    /** 应用当前搜索与筛选条件后的全部结果（不分页），供"全部播放"使用 */
+    displayWorks: [],
+
+    /** 作品 ID → 收录专辑（DataLoader.getAlbumsByWork 的结果），用于在卡片中显示"收录于" */
+    albumsByWork: new Map(),
+
+    /** 当前搜索的命中信息：{ 作品ID: 搜索结果项 }，用于在卡片中显示命中片段 */
+    searchHits: {},
+
+    /** has: 条件可检查的字段及其中文名 */
+    hasFields: {
+        score: '曲谱',
+        lyrics: '歌词',
+        audio: '音频',
+        video: '视频',
+        cover: '封面',
+    },
+
+    /** type: 条件接受的写法（中文别名映射到作品类型） */
+    typeAliases: {
+        audio: 'audio',
+        video: 'video',
+        '音频': 'audio',
+        '视频': 'video',
+    },
+
+    /** 查询语法说明，显示在无效条件提示的末尾 */
+    querySyntaxHelp: '可用语法：tag:分类 type:audio|video year:2024 date:2024-04..2024-12 has:score|lyrics "短语" -排除词',
+
     /**
      * 从 URL 参数恢复页面状态
      * 支持 page 和 search 两个参数，使页面刷新或分享链接时能恢复状态
@@ -38,6 +69,213 @@ const WorksPage = {
         this.searchKeyword = Utils.getUrlParam('search', '');
     },
 
+    /**
+     * 解析搜索框中的结构化查询
+     *
+     * 支持的写法（可任意组合，空格分隔，条件之间为"且"的关系）：
+     *   tag:原创歌曲           按分类筛选
+     *   type:video            按类型筛选（audio / video，也可写 音频 / 视频）
+     *   year:2024             按创作年份筛选
+     *   date:2024-04..2024-12 按创作年月范围筛选（任一端可省略，如 date:2024-06..）
+     *   has:score             只看有曲谱（score / lyrics / audio / video / cover）的作品
+     *   "春天的歌"            短语，须整体出现
+     *   -纯音乐 / -tag:纯音乐  排除
+     *   其余文字              作为关键词参与相关度搜索
+     *
+     * 无法识别的条件不参与筛选，记录在 issues 中供页面提示，而不是让结果变为空。
+     *
+     * @param {string} input - 搜索框原始输入
+     * @param {string[]} knownTags - 现有的分类标签，用于校验 tag: 条件
+     * @returns {{text: string, phrases: string[], excludes: string[], filters: Array, issues: Array}}
+     *   - text: 交给 DataLoader.searchWorksRanked 的关键词（含短语）
+     *   - phrases: 须整体出现的短语
+     *   - excludes: 排除词
+     *   - filters: [{ key, value, negate }]
+     *   - issues: [{ token, message }] 无效的条件及原因
+     *
+     * @example
+     * WorksPage.parseQuery('春天 type:video -has:score', ['原创歌曲'])
+     * // → { text: '春天', filters: [{ key: 'type', value: 'video', negate: false },
+     * //                             { key: 'has', value: 'score', negate: true }], ... }
+     */
+    parseQuery(input, knownTags) {
+        const query = { text: '', phrases: [], excludes: [], filters: [], issues: [] };
+        const words = [];
+
+        /* 可选的 "-"，可选的 "键:"（兼容中文冒号），值为引号包裹的短语或连续非空白字符 */
+        const tokenPattern = /(-)?(?:([a-zA-Z]+)[:：])?("[^"]*"|“[^”]*”|\S+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(input || '')) !== null) {
+            const [token, minus] = match;
+            let [, , rawKey, rawValue] = match;
+            const negate = Boolean(minus);
+
+            /* "tag:" 这类只有键没有值的写法 */
+            if (!rawKey && /^[a-zA-Z]+[:：]$/.test(rawValue)) {
+                rawKey = rawValue.slice(0, -1);
+                rawValue = '';
+            }
+
+            const quoted = /^["“]/.test(rawValue) && rawValue.length > 1 && /["”]$/.test(rawValue);
+
+            if (/^["“]/.test(rawValue) && !quoted) {
+                query.issues.push({ token, message: '引号未闭合，已按普通关键词处理' });
+            }
+
+            const value = (quoted ? rawValue.slice(1, -1) : rawValue.replace(/^["“]/, '')).trim();
+
+            /* ---- 筛选条件 ---- */
+            if (rawKey) {
+                const filter = this._parseFilter(rawKey.toLowerCase(), value, knownTags);
+                if (filter.message) {
+                    query.issues.push({ token, message: filter.message });
+                } else {
+                    query.filters.push({ ...filter, negate });
+                }
+                continue;
+            }
+
+            if (!value || value === '-') continue;
+
+            /* ---- 排除词 / 短语 / 关键词 ---- */
+            if (negate) {
+                query.excludes.push(value);
+            } else {
+                if (quoted) query.phrases.push(value);
+                words.push(value);
+            }
+        }
+
+        query.text = words.join(' ');
+        return query;
+    },
+
+    /**
+     * 解析单个 键:值 条件
+     *
+     * @param {string} key - 条件键（已转小写）
+     * @param {string} value - 条件值
+     * @param {string[]} knownTags - 现有的分类标签
+     * @returns {{key: string, value: any}|{message: string}} 解析结果，无效时只含 message
+     * @private
+     */
+    _parseFilter(key, value, knownTags) {
+        if (!value) {
+            return { message: `"${key}:" 后缺少筛选值` };
+        }
+
+        switch (key) {
+            case 'tag':
+                return knownTags.includes(value)
+                    ? { key, value }
+                    : { message: `没有名为"${value}"的分类，现有分类：${knownTags.join('、')}` };
+
+            case 'type': {
+                const type = this.typeAliases[value.toLowerCase()];
+                return type
+                    ? { key, value: type }
+                    : { message: 'type 只能是 audio（音频）或 video（视频）' };
+            }
+
+            case 'year':
+                return /^\d{4}$/.test(value)
+                    ? { key, value }
+                    : { message: 'year 需要四位年份，如 year:2024' };
+
+            case 'date':
+                return this._parseDateRange(value);
+
+            case 'has':
+                return this.hasFields[value.toLowerCase()]
+                    ? { key, value: value.toLowerCase() }
+                    : { message: `has 可用的值：${Object.keys(this.hasFields).join('、')}` };
+
+            default:
+                return { message: `未知的筛选条件"${key}"，可用：tag、type、year、date、has` };
+        }
+    },
+
+    /**
+     * 解析 date: 条件的年月范围
+     * 单个年月表示该月；范围用 ".." 连接，任一端可省略；只写年份时按整年处理。
+     *
+     * @param {string} value - 如 "2024-04"、"2024-04..2024-12"、"2024-06.."、"2023..2024"
+     * @returns {{key: string, value: {from: string|null, to: string|null}}|{message: string}}
+     * @private
+     */
+    _parseDateRange(value) {
+        const invalid = { message: 'date 格式应为 2024-04 或 2024-04..2024-12（任一端可省略）' };
+        const parts = value.includes('..') ? value.split('..') : [value, value];
+        if (parts.length !== 2 || (!parts[0] && !parts[1])) return invalid;
+
+        /* 将一端规范为 YYYY-MM；只写年份时，起点取 1 月、终点取 12 月 */
+        const normalize = (part, isEnd) => {
+            if (!part) return null;
+            if (/^\d{4}$/.test(part)) return `${part}-${isEnd ? '12' : '01'}`;
+            const ym = /^(\d{4})-(\d{1,2})$/.exec(part);
+            if (!ym || Number(ym[2]) < 1 || Number(ym[2]) > 12) return undefined;
+            return `${ym[1]}-${ym[2].padStart(2, '0')}`;
+        };
+
+        const from = normalize(parts[0], false);
+        const to = normalize(parts[1], true);
+        if (from === undefined || to === undefined) return invalid;
+        if (from && to && from > to) {
+            return { message: `date 范围的起点 ${from} 晚于终点 ${to}` };
+        }
+
+        return { key: 'date', value: { from, to } };
+    },
+
+    /**
+     * 判断作品是否满足查询中的筛选条件、短语与排除词
+     * （关键词的相关度匹配由 DataLoader.searchWorksRanked 完成）
+     *
+     * @param {Object} work - 作品数据
+     * @param {Object} query - parseQuery 的结果
+     * @returns {boolean}
+     */
+    matchesQuery(work, query) {
+        const passesFilters = query.filters.every(filter =>
+            this._matchesFilter(work, filter) !== filter.negate
+        );
+        if (!passesFilters) return false;
+
+        /* 短语与排除词在参与搜索的字段中按原文比对（忽略大小写与全半角）；
+           字段的读取方式与相关度搜索一致：数组字段（如 tags）逐项比对，点号路径（如 credits.name）读取其中的人名 */
+        const haystack = CONFIG.search.fields
+            .flatMap(field => SearchEngine.getFieldTexts(work, field.key))
+            .map(value => SearchEngine.normalize(value));
+        const contains = (text) => haystack.some(value => value.includes(SearchEngine.normalize(text)));
+
+        return query.phrases.every(contains) && !query.excludes.some(contains);
+    },
+
+    /**
+     * 判断作品是否满足单个筛选条件（不考虑 negate）
+     *
+     * @param {Object} work - 作品数据
+     * @param {{key: string, value: any}} filter - 筛选条件
+     * @returns {boolean}
+     * @private
+     */
+    _matchesFilter(work, filter) {
+        const createDate = work.createDate || '';
+
+        switch (filter.key) {
+            case 'tag':  return work.tags.includes(filter.value);
+            case 'type': return work.type === filter.value;
+            case 'year': return createDate.startsWith(filter.value);
+            case 'has':  return Boolean(work[filter.value]);
+            case 'date':
+                return Boolean(createDate)
+                    && (!filter.value.from || createDate >= filter.value.from)
+                    && (!filter.value.to || createDate <= filter.value.to);
+            default:     return true;
+        }
+    },
+
     /**
      * 将当前状态同步到 URL 参数
      * 使用 replaceState 不产生多余历史记录
@@ -57,6 +295,15 @@ const WorksPage = {
  */
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        /* 注册 Service Worker，支持离线浏览 */
+        OfflineManager.register();
+
+        /* 接续其他页面正在播放的音频 */
+        MiniPlayer.init();
+
+        /* 断网时使用本地缓存渲染，并提示数据可能不是最新 */
+        UIComponents.watchDataFreshness();
+
         /* 从 URL 恢复状态（支持刷新后保持分页/搜索） */
         WorksPage.restoreFromUrl();
 
@@ -69,6 +316,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         /* 绑定搜索事件 */
         initSearch();
 
+        /* 绑定全部播放按钮 */
+        initPlayAll();
+
         /* 加载并渲染作品（DataLoader 内部有缓存，不会重复请求） */
         await loadAndRenderWorks();
 
@@ -100,6 +350,26 @@ function initSearch() {
 }
 
 
+/**
+ * 初始化"全部播放"按钮
+ * 用当前搜索/筛选的全部结果（不只是当前页）替换播放队列，并在迷你播放器中开始播放
+ */
+function initPlayAll() {
+    const button = Utils.getById('works-play-all');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        const { added, skipped } = PlayQueue.replace(WorksPage.displayWorks);
+        if (added === 0) return;
+
+        MiniPlayer.playQueue();
+        UIComponents.showToast(skipped > 0
+            ? `已将 ${added} 首作品加入播放队列，另有 ${skipped} 首视频作品或超出队列上限的作品未加入`
+            : `已将 ${added} 首作品加入播放队列`, 'success');
+    });
+}
+
+
 /**
  * 加载并渲染作品
  * 从数据源加载全部作品（DataLoader 内部有缓存机制），然后渲染当前页
@@ -107,6 +377,13 @@ function initSearch() {
 async function loadAndRenderWorks() {
     const allWorks = await DataLoader.loadWorks();
     WorksPage.filteredWorks = allWorks;
+
+    /* 专辑信息只是补充，加载失败时卡片不显示"收录于" */
+    WorksPage.albumsByWork = await DataLoader.getAlbumsByWork().catch((error) => {
+        Utils.logError('作品集', '加载专辑', error);
+        return new Map();
+    });
+
     renderWorks();
 }
 
@@ -121,12 +398,24 @@ async function renderWorks() {
     const paginationContainer = Utils.getById('works-pagination');
     if (!container) return;
 
-    /* 根据关键词筛选作品 */
+    /* 解析查询语法，无效的条件在搜索框下方提示 */
+    const query = WorksPage.parseQuery(WorksPage.searchKeyword, await DataLoader.getAllTags());
+    renderSearchHints(query.issues);
+
+    /* 根据关键词筛选作品（结果已按相关度排序） */
     let displayWorks = WorksPage.filteredWorks;
-    if (WorksPage.searchKeyword) {
-        displayWorks = await DataLoader.searchWorks(WorksPage.searchKeyword);
+    WorksPage.searchHits = {};
+    if (query.text) {
+        const hits = await DataLoader.searchWorksRanked(query.text);
+        hits.forEach(hit => { WorksPage.searchHits[hit.work.id] = hit; });
+        displayWorks = hits.map(hit => hit.work);
     }
 
+    /* 应用筛选条件、短语与排除词 */
+    displayWorks = displayWorks.filter(work => WorksPage.matchesQuery(work, query));
+    WorksPage.displayWorks = displayWorks;
+    updatePlayAllButton(displayWorks);
+
     /* 计算分页信息 */
     const pageInfo = Utils.paginate(
         displayWorks.length,
@@ -163,6 +452,10 @@ async function renderWorks() {
     pageWorks.forEach(work => {
         const card = UIComponents.createWorkCard(work, (w) => {
             PathUtils.navigate(`${CONFIG.paths.pages}work-detail.html?id=${w.id}`);
+        }, {
+            searchHit: WorksPage.searchHits[work.id],
+            albums: WorksPage.albumsByWork.get(work.id),
+            queueActions: PlayQueue.getCardActions(work),
         });
         fragment.appendChild(card);
     });
@@ -187,6 +480,54 @@ async function renderWorks() {
 }
 
 
+/**
+ * 根据当前结果更新"全部播放"按钮
+ * 结果中没有可播放的音频作品，或迷你播放器未启用时隐藏
+ *
+ * @param {Array} displayWorks - 当前搜索/筛选的全部结果
+ */
+function updatePlayAllButton(displayWorks) {
+    const button = Utils.getById('works-play-all');
+    if (!button) return;
+
+    const count = displayWorks.filter(work => PlayQueue.isQueueable(work)).length;
+    button.hidden = !CONFIG.miniPlayer.enabled || count === 0;
+    button.setAttribute('aria-label', `全部播放（${count} 首）`);
+}
+
+
+/**
+ * 渲染搜索语法提示
+ * 列出无法识别的条件及原因（这些条件已被忽略），没有问题时隐藏。
+ * 条件文本来自用户输入（可能来自分享链接），使用 textContent 写入。
+ *
+ * @param {Array<{token: string, message: string}>} issues - parseQuery 返回的问题列表
+ */
+function renderSearchHints(issues) {
+    const container = Utils.getById('works-search-hints');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = issues.length === 0;
+    if (issues.length === 0) return;
+
+    issues.forEach(issue => {
+        const item = Utils.createElement('li', { className: 'works-search__hint' });
+        item.appendChild(Utils.createElement('code', {
+            className: 'works-search__hint-token',
+            textContent: issue.token,
+        }));
+        item.appendChild(document.createTextNode(`${issue.message}（已忽略）`));
+        container.appendChild(item);
+    });
+
+    container.appendChild(Utils.createElement('li', {
+        className: 'works-search__hint works-search__hint--help',
+        textContent: WorksPage.querySyntaxHelp,
+    }));
+}
+
+
 /**
  * 显示加载错误
  * 使用 classifyError 将技术性错误转换为用户友好的提示
@@ -0,0 +1,305 @@
+/**
+ * ============================================================================
+ * 鸥波艺境 - Service Worker (sw.js)
+ * ============================================================================
+ *
+ * 为站点提供离线访问能力，负责：
+ *   1. 安装时预缓存应用外壳（页面、脚本、样式）与数据文件
+ *   2. 应用外壳与数据文件：先返回缓存，再在后台更新（stale-while-revalidate）
+ *   3. 作品媒体：访客"保存以离线收听"后从缓存播放，支持 Range 请求（拖动进度条）
+ *   4. 激活时清理旧版本的应用外壳缓存（保留访客保存的作品）
+ *
+ * 【部署路径】
+ *   本文件必须位于站点根目录，才能控制 basePath 下的全部页面。
+ *   通过 importScripts 复用 config.js 中的 CONFIG 与 PathUtils，
+ *   所有路径均基于 CONFIG.basePath 解析，修改部署位置无需改动此文件。
+ *
+ * 【缓存命名】
+ *   {cachePrefix}-shell-{shellVersion}  应用外壳（随版本号更替）
+ *   {cachePrefix}-data                  数据文件
+ *   {cachePrefix}-pin-{作品ID}          访客保存的单个作品（由 OfflineManager 写入）
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+importScripts('./script/config.js');
+
+const CACHE_NAMES = {
+    shell: `${CONFIG.offline.cachePrefix}-shell-${CONFIG.offline.shellVersion}`,
+    data: `${CONFIG.offline.cachePrefix}-data`,
+    pinPrefix: `${CONFIG.offline.cachePrefix}-pin-`,
+};
+
+/**
+ * 应用外壳资源清单（站点根相对路径）
+ * 新增页面、脚本或样式文件时，需同步加入此清单并递增 CONFIG.offline.shellVersion。
+ */
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/page/works.html',
+    '/page/work-detail.html',
+    '/page/dynamic.html',
+    '/page/about.html',
+    '/page/contact.html',
+    '/page/offline.html',
+    '/page/album.html',
+    '/page/tag.html',
+    '/page/person.html',
+    '/page/embed.html',
+    '/script/config.js',
+    '/script/utils.js',
+    '/script/lyrics-sync.js',
+    '/script/data-schema.js',
+    '/script/data-sources.js',
+    '/script/pinyin.js',
+    '/script/search-engine.js',
+    '/script/data-loader.js',
+    '/script/media-renditions.js',
+    '/script/waveform.js',
+    '/script/components.js',
+    '/script/play-queue.js',
+    '/script/listening-history.js',
+    '/script/media-session.js',
+    '/script/mini-player.js',
+    '/script/offline-manager.js',
+    '/script/index.js',
+    '/script/works.js',
+    '/script/work-detail.js',
+    '/script/dynamic.js',
+    '/script/about.js',
+    '/script/contact.js',
+    '/script/offline.js',
+    '/script/album.js',
+    '/script/tag.js',
+    '/script/person.js',
+    '/script/embed.js',
+    '/style/variables.css',
+    '/style/base.css',
+    '/style/layout.css',
+    '/style/components.css',
+    '/style/index.css',
+    '/style/works.css',
+    '/style/work-detail.css',
+    '/style/dynamic.css',
+    '/style/about.css',
+    '/style/contact.css',
+    '/style/offline.css',
+    '/style/album.css',
+    '/style/tag.css',
+    '/style/person.css',
+    '/style/embed.css',
+].map(path => PathUtils.resolve(path));
+
+/** 数据集条目中带有 url 的部分（fixture 夹具没有网络请求） */
+const DATA_ENTRIES = Object.values(CONFIG.dataFiles).filter(file => file.url);
+
+/** 数据文件与本站接口清单（完整路径），请求按 stale-while-revalidate 处理 */
+const DATA_FILES = DATA_ENTRIES.map(file => PathUtils.resolve(file.url));
+
+/** 可预缓存的静态数据文件（json / mock 数据源）；rest 接口需分页请求，不预缓存 */
+const PRECACHE_DATA_FILES = DATA_ENTRIES
+    .filter(file => (file.source || 'json') !== 'rest')
+    .map(file => PathUtils.resolve(file.url));
+
+
+/* ==================== 生命周期 ==================== */
+
+/**
+ * 安装：预缓存应用外壳与数据文件
+ * 单个资源失败不应阻止安装，否则一个缺失的文件会让离线能力整体失效。
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shellCache = await caches.open(CACHE_NAMES.shell);
+        const dataCache = await caches.open(CACHE_NAMES.data);
+
+        const results = await Promise.allSettled([
+            ...APP_SHELL.map(url => shellCache.add(url)),
+            ...PRECACHE_DATA_FILES.map(url => dataCache.add(url)),
+        ]);
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('[ServiceWorker] 预缓存失败:', result.reason));
+
+        await self.skipWaiting();
+    })());
+});
+
+/**
+ * 激活：删除旧版本的应用外壳缓存
+ * 数据缓存与访客保存的作品缓存跨版本保留。
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        const shellPrefix = `${CONFIG.offline.cachePrefix}-shell-`;
+
+        await Promise.all(names
+            .filter(name => name.startsWith(shellPrefix) && name !== CACHE_NAMES.shell)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+
+/* ==================== 请求拦截 ==================== */
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    /* 仅处理本站 basePath 下的请求，外部资源交由浏览器处理 */
+    if (url.origin !== self.location.origin || !url.pathname.startsWith(CONFIG.basePath)) return;
+
+    const sitePath = '/' + url.pathname.slice(CONFIG.basePath.length);
+
+    if (DATA_FILES.includes(url.pathname)) {
+        event.respondWith(handleDataRequest(event, request));
+        return;
+    }
+
+    if (sitePath.startsWith(CONFIG.paths.artwork)) {
+        event.respondWith(handleMediaRequest(request));
+        return;
+    }
+
+    event.respondWith(handleShellRequest(event, request));
+});
+
+/**
+ * 应用外壳请求：先返回缓存，后台更新
+ * 页面导航忽略查询参数匹配（work-detail.html?id=S001 命中 work-detail.html）。
+ *
+ * @param {FetchEvent} event - fetch 事件（用于延长后台更新的生命周期）
+ * @param {Request} request - 原始请求
+ * @returns {Promise<Response>}
+ */
+async function handleShellRequest(event, request) {
+    const cache = await caches.open(CACHE_NAMES.shell);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const key = request.mode === 'navigate' ? new URL(request.url).pathname : request;
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * 数据文件请求：stale-while-revalidate
+ *
+ * 页面端 Utils.loadJSON 的持久缓存会携带 If-None-Match / If-Modified-Since
+ * 主动重新验证。此类条件请求直接交给网络：若此处返回缓存，页面会误以为
+ * 验证成功，断网时也就无法提示"数据可能不是最新"。
+ *
+ * @param {FetchEvent} event - fetch 事件
+ * @param {Request} request - 原始请求
+ * @returns {Promise<Response>}
+ */
+async function handleDataRequest(event, request) {
+    const isConditional = request.headers.has('if-none-match') || request.headers.has('if-modified-since');
+    const cache = await caches.open(CACHE_NAMES.data);
+
+    if (isConditional) {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            await cache.put(request.url, response.clone());
+        }
+        return response;
+    }
+
+    const cached = await cache.match(request.url);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request.url, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * 作品媒体请求：已保存的作品从缓存返回，其余直接请求网络
+ * 媒体元素拖动进度条时会发出 Range 请求，需从缓存的完整文件中切片返回 206。
+ *
+ * @param {Request} request - 原始请求
+ * @returns {Promise<Response>}
+ */
+async function handleMediaRequest(request) {
+    const cached = await caches.match(request.url, { ignoreVary: true });
+    if (!cached) {
+        return fetch(request);
+    }
+
+    const range = request.headers.get('range');
+    return range ? createRangeResponse(cached, range) : cached;
+}
+
+/**
+ * 根据 Range 请求头从完整响应中构建 206 部分响应
+ *
+ * @param {Response} response - 缓存中的完整响应
+ * @param {string} rangeHeader - Range 请求头，如 "bytes=1024-"
+ * @returns {Promise<Response>}
+ */
+async function createRangeResponse(response, rangeHeader) {
+    const blob = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` },
+        });
+    }
+
+    /* bytes=start-end / bytes=start- / bytes=-suffixLength */
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(blob.size - Number(match[2]), 0);
+        end = blob.size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+    }
+
+    if (start >= blob.size || start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` },
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('content-type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes',
+        },
+    });
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * 鸥波艺境 - 波形峰值生成脚本 (tools/generate-peaks.js)
+ * ============================================================================
+ *
+ * 为 CONFIG.paths.audio 下的每个音频文件生成波形峰值文件，保存到 CONFIG.paths.peaks：
+ *   /artwork/audio/S001.mp3  →  /artwork/peaks/S001.json
+ *
+ * 作品详情页的波形进度条（script/waveform.js）优先读取这些文件，
+ * 访客无需下载整首歌即可看到波形。
+ *
+ * 【使用方式】（在项目根目录执行）
+ *   node tools/generate-peaks.js                 # 生成缺失或已过期的峰值文件
+ *   node tools/generate-peaks.js --force         # 全部重新生成
+ *   node tools/generate-peaks.js S001.mp3 ...    # 只处理指定文件
+ *
+ * 【依赖】
+ *   - Node.js 14 及以上，无需安装 npm 包
+ *   - ffmpeg（用于解码各种音频格式），需在 PATH 中可用
+ *
+ * 目录与峰值个数读取自 script/config.js，计算方法与浏览器端共用
+ * Waveform.computePeaks，两边生成的波形完全一致。
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+
+/** 项目根目录 */
+const ROOT = path.resolve(__dirname, '..');
+
+/** 解码时的采样率：波形只需要振幅轮廓，8kHz 单声道已足够，也能减少内存占用 */
+const SAMPLE_RATE = 8000;
+
+/** 识别为音频的文件扩展名 */
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.ogg', '.opus', '.flac', '.wav', '.webm'];
+
+
+/* ========================================================================
+ * 一、读取站点配置
+ * ====================================================================== */
+
+/**
+ * 在沙箱中执行浏览器脚本，取出其中的全局对象
+ * config.js 与 waveform.js 的顶层只声明对象，不访问 DOM，可直接执行。
+ *
+ * @returns {{CONFIG: Object, Waveform: Object}}
+ */
+function loadSiteScripts() {
+    const context = vm.createContext({ console });
+    const code = ['script/config.js', 'script/waveform.js']
+        .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+        .join('\n;\n');
+
+    vm.runInContext(`${code}\n;this.__exports = { CONFIG, Waveform };`, context);
+    return context.__exports;
+}
+
+/**
+ * 将站点根相对路径（如 '/artwork/audio/'）转换为本地目录
+ *
+ * @param {string} sitePath - 站点根相对路径
+ * @returns {string}
+ */
+function toLocalPath(sitePath) {
+    return path.join(ROOT, ...sitePath.split('/').filter(Boolean));
+}
+
+
+/* ========================================================================
+ * 二、解码与生成
+ * ====================================================================== */
+
+/**
+ * 用 ffmpeg 将音频解码为单声道 16 位 PCM
+ *
+ * @param {string} file - 音频文件路径
+ * @returns {Float32Array} -1~1 的采样
+ * @throws {Error} ffmpeg 不存在或解码失败
+ */
+function decodeAudio(file) {
+    const result = spawnSync('ffmpeg', [
+        '-v', 'error',
+        '-i', file,
+        '-ac', '1',
+        '-ar', String(SAMPLE_RATE),
+        '-f', 's16le',
+        '-',
+    ], { maxBuffer: 512 * 1024 * 1024 });
+
+    if (result.error) {
+        throw new Error(result.error.code === 'ENOENT'
+            ? '未找到 ffmpeg，请先安装并确认其在 PATH 中'
+            : result.error.message);
+    }
+    if (result.status !== 0) {
+        throw new Error(`ffmpeg 解码失败：${result.stderr.toString().trim()}`);
+    }
+
+    const pcm = result.stdout;
+    const samples = new Float32Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+}
+
+/**
+ * 为一个音频文件生成峰值文件
+ *
+ * @param {string} audioFile - 音频文件路径
+ * @param {string} peaksFile - 峰值文件路径
+ * @param {Object} site - loadSiteScripts() 的结果
+ */
+function generate(audioFile, peaksFile, site) {
+    const samples = decodeAudio(audioFile);
+    const data = {
+        version: 1,
+        duration: Math.round(samples.length / SAMPLE_RATE * 100) / 100,
+        peaks: site.Waveform.computePeaks([samples], site.CONFIG.waveform.peakCount),
+    };
+    fs.writeFileSync(peaksFile, `${JSON.stringify(data)}\n`);
+}
+
+/**
+ * 判断峰值文件是否需要（重新）生成：不存在，或比音频文件旧
+ *
+ * @param {string} audioFile - 音频文件路径
+ * @param {string} peaksFile - 峰值文件路径
+ * @returns {boolean}
+ */
+function isOutdated(audioFile, peaksFile) {
+    if (!fs.existsSync(peaksFile)) return true;
+    return fs.statSync(peaksFile).mtimeMs < fs.statSync(audioFile).mtimeMs;
+}
+
+
+/* ========================================================================
+ * 三、入口
+ * ====================================================================== */
+
+function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const only = args.filter(arg => !arg.startsWith('--'));
+
+    const site = loadSiteScripts();
+    const audioDir = toLocalPath(site.CONFIG.paths.audio);
+    const peaksDir = toLocalPath(site.CONFIG.paths.peaks);
+
+    if (!fs.existsSync(audioDir)) {
+        console.error(`[generate-peaks] 音频目录不存在：${audioDir}`);
+        process.exitCode = 1;
+        return;
+    }
+    fs.mkdirSync(peaksDir, { recursive: true });
+
+    const files = fs.readdirSync(audioDir)
+        .filter(name => AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .filter(name => only.length === 0 || only.includes(name))
+        .sort();
+
+    let generated = 0;
+    let failed = 0;
+
+    files.forEach(name => {
+        const audioFile = path.join(audioDir, name);
+        const peaksFile = path.join(peaksDir, site.Waveform.getPeaksPath(name).split('/').pop());
+
+        if (!force && !isOutdated(audioFile, peaksFile)) {
+            console.log(`[generate-peaks] 跳过（已是最新）：${name}`);
+            return;
+        }
+
+        try {
+            generate(audioFile, peaksFile, site);
+            generated++;
+            console.log(`[generate-peaks] 已生成：${name} → ${path.relative(ROOT, peaksFile)}`);
+        } catch (error) {
+            failed++;
+            console.error(`[generate-peaks] 失败：${name}，${error.message}`);
+        }
+    });
+
+    console.log(`[generate-peaks] 完成：共 ${files.length} 个音频，生成 ${generated} 个，失败 ${failed} 个`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main();